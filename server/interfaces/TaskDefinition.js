@@ -48,6 +48,14 @@
  * @property {FileInfo} primaryFile - 主要文件信息
  * @property {ChunkingAdvice} chunkingAdvice - 分片建议
  * @property {Object} [strategySpecific] - 策略特定元数据
+ * @property {GitHistory} [gitHistory] - 相关文件的Git历史（仅Git仓库）
+ */
+
+/**
+ * 任务相关文件的Git历史
+ * @typedef {Object} GitHistory
+ * @property {Object<string, Object>} files - 文件路径 -> { commits, recentCommits, lastModified, lastCommit, authors, churn, hotness }
+ * @property {number} hotness - 批次热度（最热文件的热度）
  */
 
 /**
@@ -172,6 +180,10 @@ export class TaskDefinitionFactory {
             }
         };
 
+        if (options.gitHistory) {
+            taskDefinition.metadata.gitHistory = options.gitHistory;
+        }
+
         // 添加处理提示
         if (options.processingHints) {
             taskDefinition.processingHints = {
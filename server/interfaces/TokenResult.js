@@ -19,7 +19,8 @@
 /**
  * Token详细信息
  * @typedef {Object} TokenDetails
- * @property {number} estimatedTokens - 估算Token数量
+ * @property {number} estimatedTokens - 估算Token数量（启发式）
+ * @property {number|null} [exactTokens] - BPE词表精确计数（未计算时为null）
  * @property {number} safeTokenCount - 安全Token数量（带缓冲）
  * @property {TokenBreakdown} breakdown - 详细分解
  * @property {number} confidence - 计算置信度 (0-1)
@@ -41,6 +42,7 @@
  * @property {string} filePath - 文件路径
  * @property {string} language - 编程语言
  * @property {string} calculationMethod - 计算方法
+ * @property {string|null} [encoding] - BPE编码名称（如 cl100k_base，启发式估算时为null）
  * @property {string} analysisTimestamp - 分析时间戳
  * @property {boolean} [fromCache] - 是否来自缓存
  * @property {string} [error] - 错误信息（如有）
@@ -65,6 +67,7 @@ export class TokenResultFactory {
         if (options.details) {
             result.details = {
                 estimatedTokens: options.details.estimatedTokens || totalTokens,
+                exactTokens: options.details.exactTokens ?? null,
                 safeTokenCount: options.details.safeTokenCount || Math.floor(totalTokens * 0.9),
                 breakdown: options.details.breakdown || this._createBasicBreakdown(totalTokens),
                 confidence: Math.max(0, Math.min(1, options.details.confidence || 0.8))
@@ -77,6 +80,7 @@ export class TokenResultFactory {
                 filePath: options.metadata.filePath || 'unknown',
                 language: options.metadata.language || 'unknown',
                 calculationMethod: options.metadata.calculationMethod || 'standard',
+                encoding: options.metadata.encoding || null,
                 analysisTimestamp: options.metadata.analysisTimestamp || new Date().toISOString(),
                 fromCache: Boolean(options.metadata.fromCache),
                 error: options.metadata.error || null
@@ -135,6 +139,7 @@ export class TokenResultFactory {
         if (complexTokenResult.estimatedTokens || complexTokenResult.breakdown || complexTokenResult.confidence !== undefined) {
             options.details = {
                 estimatedTokens: complexTokenResult.estimatedTokens,
+                exactTokens: complexTokenResult.exactTokens,
                 safeTokenCount: complexTokenResult.safeTokenCount,
                 breakdown: complexTokenResult.breakdown,
                 confidence: complexTokenResult.confidence
@@ -147,6 +152,7 @@ export class TokenResultFactory {
                 filePath: complexTokenResult.filePath,
                 language: complexTokenResult.language,
                 calculationMethod: complexTokenResult.calculationMethod,
+                encoding: complexTokenResult.encoding,
                 analysisTimestamp: complexTokenResult.analysisTimestamp,
                 fromCache: complexTokenResult.fromCache,
                 error: complexTokenResult.error
@@ -291,6 +297,15 @@ export class TokenResultHelper {
         return Boolean(tokenResult?.metadata?.fromCache);
     }
 
+    /**
+     * 是否为BPE词表精确计数（而非启发式估算）
+     * @param {TokenResult} tokenResult - Token结果
+     * @returns {boolean}
+     */
+    static isExact(tokenResult) {
+        return typeof tokenResult?.details?.exactTokens === 'number';
+    }
+
     /**
      * 批量提取Token数量
      * @param {Array<TokenResult>} tokenResults - Token结果数组
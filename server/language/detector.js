@@ -5,9 +5,12 @@
 
 import fs from 'fs';
 import path from 'path';
+import ProjectScanner from '../services/project-scanner.js';
 
 class LanguageDetector {
-    constructor() {
+    constructor(config = {}, dependencies = {}) {
+        // 共享的项目快照（未注入时使用独立实例）
+        this.projectScanner = dependencies.projectScanner || new ProjectScanner();
         this.languages = {
             javascript: {
                 name: 'JavaScript/Node.js',
@@ -173,48 +176,43 @@ class LanguageDetector {
      * @param {string} projectPath - 项目路径
      */
     async scanProject(projectPath) {
-        const files = await this.getProjectFiles(projectPath);
-        
-        for (const file of files) {
+        const snapshot = await this.projectScanner.scan(projectPath);
+
+        // 检查是否是重要目录
+        for (const directory of snapshot.directories) {
+            if (!this.isHiddenPath(directory.path, true)) {
+                this.analyzeDirectory(directory.name);
+            }
+        }
+
+        for (const file of await this.getProjectFiles(projectPath)) {
             this.analyzeFile(file);
         }
     }
 
     /**
-     * 获取项目文件列表
+     * 获取项目文件列表（来自共享的项目快照，忽略规则由 ProjectScanner 统一应用）
      * @param {string} projectPath - 项目路径
-     * @returns {Array} 文件列表
+     * @returns {Array} 文件列表（绝对路径）
      */
-    async getProjectFiles(projectPath, maxDepth = 3, currentDepth = 0) {
-        if (currentDepth >= maxDepth) return [];
-        
-        const files = [];
-        const entries = fs.readdirSync(projectPath, { withFileTypes: true });
-
-        for (const entry of entries) {
-            const fullPath = path.join(projectPath, entry.name);
-            
-            // 跳过隐藏文件和常见的忽略目录
-            if (entry.name.startsWith('.') && !this.isImportantHiddenFile(entry.name)) {
-                continue;
-            }
-            if (this.shouldIgnoreDirectory(entry.name)) {
-                continue;
-            }
-
-            if (entry.isDirectory()) {
-                // 检查是否是重要目录
-                this.analyzeDirectory(entry.name);
-                
-                // 递归扫描子目录
-                const subFiles = await this.getProjectFiles(fullPath, maxDepth, currentDepth + 1);
-                files.push(...subFiles);
-            } else {
-                files.push(fullPath);
-            }
-        }
+    async getProjectFiles(projectPath) {
+        const snapshot = await this.projectScanner.scan(projectPath);
+        return snapshot.files
+            .filter(file => !this.isHiddenPath(file.path, false))
+            .map(file => file.fullPath);
+    }
 
-        return files;
+    /**
+     * 检查路径是否位于隐藏目录中或本身是隐藏文件（重要的隐藏文件除外）
+     * @param {string} relativePath - 相对项目根目录的路径（/ 分隔）
+     * @param {boolean} isDirectory - 是否为目录
+     * @returns {boolean} 是否隐藏
+     */
+    isHiddenPath(relativePath, isDirectory) {
+        const segments = relativePath.split('/');
+        const name = segments.pop();
+        if (segments.some(segment => segment.startsWith('.'))) return true;
+        return name.startsWith('.') && (isDirectory || !this.isImportantHiddenFile(name));
     }
 
     /**
@@ -396,20 +394,6 @@ class LanguageDetector {
         const importantFiles = ['.env', '.gitignore', '.dockerignore', '.nvmrc'];
         return importantFiles.includes(fileName);
     }
-
-    /**
-     * 检查是否应该忽略的目录
-     * @param {string} dirName - 目录名
-     * @returns {boolean} 是否忽略
-     */
-    shouldIgnoreDirectory(dirName) {
-        const ignoreList = [
-            'node_modules', '.git', '__pycache__', '.pytest_cache',
-            'target', 'build', 'dist', '.vscode', '.idea',
-            'coverage', '.nyc_output', 'logs'
-        ];
-        return ignoreList.includes(dirName);
-    }
 }
 
 export default LanguageDetector;
\ No newline at end of file
@@ -787,7 +787,7 @@ async function findRelatedFiles(task, projectPath) {
 }
 
 function identifyTaskDependencies(task) {
-    return [`依赖任务1`, `依赖任务2`];
+    return task.dependencies || [];
 }
 
 function generateAIInstructions(task, projectContext) {
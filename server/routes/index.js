@@ -9,6 +9,7 @@ import express from 'express';
 import { createHealthRoutes } from './system/health.js';
 import { createMCPRoutes } from './system/mcp.js';
 import { createPromptsRoutes } from './system/prompts.js';
+import { createDocsRoutes } from './system/docs.js';
 import { createClaudeCodeInitRoutes } from './init/claude-code-init.js';
 import { createTurboInitRoutes } from './init/turbo-init.js';
 import { createAIBatchInitRoutes } from './init/ai-batch-init.js';
@@ -40,6 +41,10 @@ export function createAppRoutes(services, server) {
     router.use('/prompts', promptsRouter);
     router.use('/template', promptsRouter);
 
+    // 项目文档搜索、文档站和知识图谱导出
+    const docsRouter = createDocsRoutes(routerServices);
+    router.use('/docs', docsRouter);
+
     // ========== Claude Code Init服务 (新的5步流程) ==========
     
     // Claude Code Init路由 (替代旧的workflow系统)
@@ -122,6 +127,11 @@ export function createAppRoutes(services, server) {
                         'POST /mode/create/existing-project/start',
                         'POST /mode/create/new-project/start'
                     ],
+                    docs: [
+                        'GET /docs/search',
+                        'POST /docs/export-site',
+                        'GET /docs/knowledge-graph'
+                    ],
                     system: [
                         'GET /health',
                         'GET /services/status',
@@ -17,9 +17,11 @@ import express from 'express';
 import fs from 'fs/promises';
 import path from 'path';
 import { success, error } from '../../services/response-service.js';
+import ProjectScanner from '../../services/project-scanner.js';
 
 export function createAIBatchInitRoutes(services) {
     const router = express.Router();
+    const projectScanner = services.projectScanner || new ProjectScanner();
     
     // AI智能批量处理主接口
     router.post('/ai-batch-process', async (req, res) => {
@@ -42,7 +44,7 @@ export function createAIBatchInitRoutes(services) {
             const startTime = Date.now();
             
             // 1. 扫描和分析文件
-            const projectInfo = await scanAndAnalyzeFiles(projectPath);
+            const projectInfo = await scanAndAnalyzeFiles(projectPath, projectScanner);
             
             // 2. 创建标准化目录结构
             const docStructure = await createDocumentStructure(projectPath);
@@ -133,50 +135,25 @@ export function createAIBatchInitRoutes(services) {
 /**
  * 扫描和分析文件（预处理）
  */
-async function scanAndAnalyzeFiles(projectPath) {
+async function scanAndAnalyzeFiles(projectPath, projectScanner) {
     console.log('[AI-Batch] 扫描项目文件...');
     
-    const files = [];
     const importantExtensions = ['.js', '.ts', '.jsx', '.tsx', '.json', '.md', '.py', '.java', '.go', '.rs'];
-    const skipDirs = ['node_modules', '.git', 'dist', 'build', '.next', 'coverage', '__pycache__'];
-    
-    async function scanDirectory(dir, depth = 0) {
-        if (depth > 4) return; // 限制扫描深度
-        
-        const entries = await fs.readdir(dir, { withFileTypes: true });
-        
-        await Promise.all(entries.map(async (entry) => {
-            if (entry.isDirectory()) {
-                if (!skipDirs.includes(entry.name)) {
-                    await scanDirectory(path.join(dir, entry.name), depth + 1);
-                }
-            } else {
-                const ext = path.extname(entry.name);
-                if (importantExtensions.includes(ext)) {
-                    const filePath = path.join(dir, entry.name);
-                    const relativePath = path.relative(projectPath, filePath);
-                    
-                    // 获取文件大小和内容长度估算
-                    const stats = await fs.stat(filePath);
-                    const estimatedTokens = Math.round(stats.size * 0.3); // 大概估算
-                    
-                    files.push({
-                        name: entry.name,
-                        relativePath,
-                        fullPath: filePath,
-                        extension: ext,
-                        size: stats.size,
-                        estimatedTokens,
-                        category: categorizeFile(entry.name, relativePath),
-                        priority: calculatePriority(entry.name, relativePath),
-                        lastModified: stats.mtime
-                    });
-                }
-            }
+    const snapshot = await projectScanner.scan(projectPath);
+    
+    const files = snapshot.files
+        .filter(file => importantExtensions.includes(file.ext))
+        .map(file => ({
+            name: file.name,
+            relativePath: file.path,
+            fullPath: file.fullPath,
+            extension: file.ext,
+            size: file.size,
+            estimatedTokens: Math.round(file.size * 0.3), // 大概估算
+            category: categorizeFile(file.name, file.path),
+            priority: calculatePriority(file.name, file.path),
+            lastModified: file.mtime
         }));
-    }
-    
-    await scanDirectory(projectPath);
     
     // 按优先级排序
     files.sort((a, b) => b.priority - a.priority);
@@ -35,8 +35,9 @@ export function createClaudeCodeInitRoutes(services) {
     const router = express.Router();
     
     // 服务实例
-    const projectOverviewGenerator = new ProjectOverviewGenerator();
-    const fileQueryService = new FileQueryService();
+    const projectOverviewGenerator = new ProjectOverviewGenerator({}, { projectScanner: services.projectScanner });
+    const fileQueryService = new FileQueryService({}, { projectScanner: services.projectScanner });
+    const aiTodoManager = services.aiTodoManager;
     
     // 全局状态管理 - 改为项目隔离状态
     const projectStates = new Map();
@@ -112,6 +113,12 @@ export function createClaudeCodeInitRoutes(services) {
                 }
             );
             
+            // Monorepo：生成工作区包依赖文档
+            const workspaceDocument = await projectOverviewGenerator.writeWorkspaceDocument(
+                initState.projectPath,
+                overviewResult.workspaceAnalysis
+            );
+            
             // 存储Step1结果
             initState.stepResults.step1 = {
                 projectOverview: overviewResult,
@@ -139,7 +146,14 @@ export function createClaudeCodeInitRoutes(services) {
                     primaryLanguage: overviewResult.languageProfile.primary,
                     totalFiles: overviewResult.projectMetadata.totalFiles,
                     architectureType: overviewResult.projectCharacteristics.architecture,
-                    complexity: overviewResult.projectCharacteristics.complexity
+                    complexity: overviewResult.projectCharacteristics.complexity,
+                    workspace: {
+                        isMonorepo: overviewResult.workspaceAnalysis.isMonorepo,
+                        managers: overviewResult.workspaceAnalysis.managers,
+                        packageCount: overviewResult.workspaceAnalysis.packages.length,
+                        document: workspaceDocument
+                    },
+                    gitHistory: overviewResult.gitHistory
                 },
                 
                 // AI任务准备情况
@@ -11,9 +11,11 @@ import express from 'express';
 import fs from 'fs/promises';
 import path from 'path';
 import { success, error } from '../../services/response-service.js';
+import ProjectScanner from '../../services/project-scanner.js';
 
 export function createTurboInitRoutes(services) {
     const router = express.Router();
+    const projectScanner = services.projectScanner || new ProjectScanner();
     
     // 快速批量处理API
     router.post('/turbo-batch-process', async (req, res) => {
@@ -33,7 +35,7 @@ export function createTurboInitRoutes(services) {
             const startTime = Date.now();
             
             // 1. 快速项目扫描和分类
-            const projectInfo = await fastProjectScan(projectPath);
+            const projectInfo = await fastProjectScan(projectPath, projectScanner);
             
             // 2. 创建标准化目录结构
             const docStructure = await createDocumentStructure(projectPath);
@@ -115,43 +117,22 @@ export function createTurboInitRoutes(services) {
 /**
  * 快速项目扫描 - 5倍于标准扫描速度
  */
-async function fastProjectScan(projectPath) {
+async function fastProjectScan(projectPath, projectScanner) {
     console.log('[Turbo] 快速项目扫描中...');
     
-    const files = [];
     const importantExtensions = ['.js', '.ts', '.jsx', '.tsx', '.json', '.md', '.py', '.java', '.go', '.rs'];
-    const skipDirs = ['node_modules', '.git', 'dist', 'build', '.next', 'coverage'];
-    
-    async function scanDirectory(dir, depth = 0) {
-        if (depth > 4) return; // 限制扫描深度
-        
-        const entries = await fs.readdir(dir, { withFileTypes: true });
-        
-        await Promise.all(entries.map(async (entry) => {
-            if (entry.isDirectory()) {
-                if (!skipDirs.includes(entry.name)) {
-                    await scanDirectory(path.join(dir, entry.name), depth + 1);
-                }
-            } else {
-                const ext = path.extname(entry.name);
-                if (importantExtensions.includes(ext)) {
-                    const filePath = path.join(dir, entry.name);
-                    const relativePath = path.relative(projectPath, filePath);
-                    
-                    files.push({
-                        name: entry.name,
-                        relativePath,
-                        fullPath: filePath,
-                        extension: ext,
-                        category: categorizeFile(entry.name, relativePath),
-                        priority: calculatePriority(entry.name, relativePath)
-                    });
-                }
-            }
+    const snapshot = await projectScanner.scan(projectPath);
+    
+    const files = snapshot.files
+        .filter(file => importantExtensions.includes(file.ext))
+        .map(file => ({
+            name: file.name,
+            relativePath: file.path,
+            fullPath: file.fullPath,
+            extension: file.ext,
+            category: categorizeFile(file.name, file.path),
+            priority: calculatePriority(file.name, file.path)
         }));
-    }
-    
-    await scanDirectory(projectPath);
     
     // 按优先级排序
     files.sort((a, b) => b.priority - a.priority);
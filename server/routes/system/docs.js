@@ -0,0 +1,89 @@
+/**
+ * 项目文档路由模块
+ * 提供 mg_kiro/ 生成文档的全文搜索、静态文档站导出和项目知识图谱导出
+ */
+
+import express from 'express';
+import { success, error, validationError } from '../../services/response-service.js';
+
+/**
+ * 创建项目文档路由
+ * @param {Object} services - 服务依赖
+ * @returns {express.Router} 路由实例
+ */
+export function createDocsRoutes(services) {
+    const router = express.Router();
+    const { docSearchService, docSiteExporter, knowledgeGraphService } = services;
+
+    /**
+     * 搜索项目文档
+     * GET /docs/search?projectPath=...&q=...&module=...&docType=...&limit=...
+     */
+    router.get('/search', async (req, res) => {
+        const { projectPath, q, query, module, docType, limit } = req.query;
+        const searchText = q || query;
+
+        if (!projectPath || !searchText) {
+            return validationError(res, 'projectPath 和 q 参数不能为空');
+        }
+
+        try {
+            const searchResult = await docSearchService.search(projectPath, searchText, {
+                module,
+                docType: typeof docType === 'string' && docType.includes(',') ? docType.split(',') : docType,
+                limit
+            });
+
+            success(res, searchResult, `找到 ${searchResult.total} 个相关文档`);
+        } catch (err) {
+            console.error('[DocsRoutes] 文档搜索失败:', err);
+            return error(res, `文档搜索失败: ${err.message}`, 500);
+        }
+    });
+
+    /**
+     * 导出静态文档站
+     * POST /docs/export-site { projectPath, outputDir?, title?, mermaidScript? }
+     */
+    router.post('/export-site', async (req, res) => {
+        const { projectPath, outputDir, title, mermaidScript } = req.body || {};
+
+        if (!projectPath) {
+            return validationError(res, 'projectPath 参数不能为空');
+        }
+
+        try {
+            const site = await docSiteExporter.exportSite(projectPath, { outputDir, title, mermaidScript });
+            success(res, site, `已导出 ${site.pageCount} 个文档页面`);
+        } catch (err) {
+            console.error('[DocsRoutes] 文档站导出失败:', err);
+            return error(res, `文档站导出失败: ${err.message}`, 500);
+        }
+    });
+
+    /**
+     * 导出项目知识图谱（JSON）
+     * GET /docs/knowledge-graph?projectPath=...&includeSymbols=false
+     */
+    router.get('/knowledge-graph', async (req, res) => {
+        const { projectPath, includeSymbols } = req.query;
+
+        if (!projectPath) {
+            return validationError(res, 'projectPath 参数不能为空');
+        }
+
+        try {
+            const graph = await knowledgeGraphService.buildGraph(projectPath, {
+                includeSymbols: includeSymbols !== 'false'
+            });
+            success(res, graph, `知识图谱包含 ${graph.nodes.length} 个节点、${graph.edges.length} 条边`);
+        } catch (err) {
+            console.error('[DocsRoutes] 知识图谱导出失败:', err);
+            return error(res, `知识图谱导出失败: ${err.message}`, 500);
+        }
+    });
+
+    return router;
+}
+
+export default createDocsRoutes;
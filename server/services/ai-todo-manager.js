@@ -0,0 +1,529 @@
+/**
+ * AI任务清单管理器 - Create模式和HTTP Init流程的持久化TODO列表
+ *
+ * 核心功能：
+ * - 根据处理计划（processingPlan.batches）生成有序任务：文件处理任务、批次分析任务、总结任务
+ * - 任务依赖：批次分析依赖本批次文件任务，下一批次依赖上一批次分析，总结依赖全部分析
+ * - 状态流转 pending -> in_progress -> completed，每次变化记录到任务的 history
+ * - 按项目持久化到 mg_kiro/todo-list.json，服务重启后继续
+ *
+ * 设计理念：
+ * - getNextTask 优先返回进行中的任务，其次返回依赖已满足、顺序最靠前的待处理任务
+ * - 同一项目的操作串行执行，避免并发请求重复领取同一任务
+ * - 重新创建任务清单会覆盖旧清单
+ */
+
+import { promises as fs } from 'fs';
+import { join, resolve } from 'path';
+
+export class AiTodoManager {
+    constructor(config = {}, dependencies = {}, serviceBus = null) {
+        this.config = {
+            docsFolderName: 'mg_kiro',
+            todoFileName: 'todo-list.json',
+            defaultPriority: 50,
+            estimatedMinutes: {
+                file_processing: 3,
+                analysis: 5,
+                summary: 10
+            },
+            ...config
+        };
+
+        this.serviceBus = serviceBus;
+
+        // 项目任务清单缓存：projectPath -> todoList
+        this.todoLists = new Map();
+        // 项目操作队列：projectPath -> Promise
+        this.locks = new Map();
+    }
+
+    /**
+     * 根据处理计划创建项目任务清单
+     * @param {string} projectPath - 项目根目录
+     * @param {Object} processingPlan - 处理计划（batches[].files[]）
+     * @param {Object} [options]
+     * @param {boolean} [options.includeAnalysisTasks=true] - 是否为每个批次创建分析任务
+     * @param {boolean} [options.includeSummaryTasks=true] - 是否创建总结任务
+     * @param {Object} [options.customPriorities] - 文件相对路径 -> 优先级（越大越靠前）
+     * @param {string} [options.workflowType='init'] - 工作流类型
+     * @returns {Promise<Object>} { success, totalTasks, todoList, summary }
+     */
+    async createProjectTodoList(projectPath, processingPlan = {}, options = {}) {
+        const normalizedPath = resolve(projectPath);
+
+        return await this._withLock(normalizedPath, async () => {
+            const {
+                includeAnalysisTasks = true,
+                includeSummaryTasks = true,
+                customPriorities = {},
+                workflowType = 'init'
+            } = options;
+
+            const batches = (processingPlan.batches || []).filter(batch => batch.files?.length > 0);
+            if (batches.length === 0) {
+                throw new Error('处理计划中没有需要处理的文件');
+            }
+
+            const tasks = [];
+            const analysisTaskIds = [];
+            let previousBatchGate = [];
+
+            batches.forEach((batch, batchIndex) => {
+                const batchNumber = batch.batchNumber || batchIndex + 1;
+                const batchLabel = batch.phaseName ? `${batch.phaseName}` : `批次 ${batchNumber}`;
+
+                const files = [...batch.files].sort((a, b) =>
+                    this._getPriority(b, customPriorities) - this._getPriority(a, customPriorities)
+                );
+
+                const fileTaskIds = files.map((file, fileIndex) => {
+                    const task = this._createTask({
+                        id: `task_${batchNumber}_${fileIndex + 1}`,
+                        type: 'file_processing',
+                        title: `${this._describeChange(file.changeType)}: ${file.relativePath}`,
+                        description: `${batchLabel} - ${file.name || file.relativePath}`,
+                        priority: this._getPriority(file, customPriorities),
+                        batchNumber,
+                        phaseName: batch.phaseName || null,
+                        files: [file.relativePath],
+                        file,
+                        dependencies: previousBatchGate
+                    });
+                    tasks.push(task);
+                    return task.id;
+                });
+
+                if (includeAnalysisTasks) {
+                    const analysisTask = this._createTask({
+                        id: `task_${batchNumber}_analysis`,
+                        type: 'analysis',
+                        title: `${batchLabel} 分析`,
+                        description: `检查${batchLabel}已处理文件之间的关系和一致性`,
+                        priority: this.config.defaultPriority,
+                        batchNumber,
+                        phaseName: batch.phaseName || null,
+                        files: files.map(file => file.relativePath),
+                        dependencies: fileTaskIds
+                    });
+                    tasks.push(analysisTask);
+                    analysisTaskIds.push(analysisTask.id);
+                    previousBatchGate = [analysisTask.id];
+                } else {
+                    previousBatchGate = [];
+                }
+            });
+
+            if (includeSummaryTasks) {
+                tasks.push(this._createTask({
+                    id: 'task_summary',
+                    type: 'summary',
+                    title: '总结',
+                    description: '汇总所有批次的结果，更新项目文档',
+                    priority: this.config.defaultPriority,
+                    batchNumber: null,
+                    phaseName: null,
+                    files: [],
+                    dependencies: analysisTaskIds.length > 0
+                        ? analysisTaskIds
+                        : tasks.filter(task => task.type === 'file_processing').map(task => task.id)
+                }));
+            }
+
+            tasks.forEach((task, index) => {
+                task.order = index + 1;
+            });
+
+            const now = new Date().toISOString();
+            const summary = this._summarize(tasks);
+            const todoList = {
+                projectPath: normalizedPath,
+                workflowType,
+                projectName: processingPlan.projectName || null,
+                totalTasks: tasks.length,
+                tasks,
+                summary,
+                createdAt: now,
+                updatedAt: now
+            };
+
+            await this._saveTodoList(todoList);
+            console.log(`[AiTodoManager] 创建任务清单: ${normalizedPath} (${workflowType}, ${tasks.length} 个任务)`);
+
+            return {
+                success: true,
+                totalTasks: tasks.length,
+                todoList: {
+                    totalTasks: tasks.length,
+                    workflowType,
+                    filePath: this._getTodoFilePath(normalizedPath),
+                    tasks: tasks.map(task => this._toTaskView(task))
+                },
+                summary
+            };
+        });
+    }
+
+    /**
+     * 获取下一个任务（进行中的任务优先，其次为依赖已满足的待处理任务）
+     * @param {string} projectPath - 项目根目录
+     * @returns {Promise<Object>} { success, completed, task, progress, nextSteps } 或 { completed: true, finalSummary }
+     */
+    async getNextTask(projectPath) {
+        const normalizedPath = resolve(projectPath);
+
+        return await this._withLock(normalizedPath, async () => {
+            const todoList = await this._loadTodoList(normalizedPath);
+            if (!todoList) {
+                return {
+                    success: false,
+                    completed: false,
+                    message: '项目还没有任务清单',
+                    suggestions: ['请先创建任务清单（Init Step2 或 Create模式的启动接口）']
+                };
+            }
+
+            let task = todoList.tasks.find(entry => entry.status === 'in_progress');
+            if (!task) {
+                if (todoList.tasks.every(entry => entry.status === 'completed')) {
+                    return {
+                        success: true,
+                        completed: true,
+                        progress: this._getProgress(todoList),
+                        finalSummary: this._getFinalSummary(todoList)
+                    };
+                }
+
+                task = this._findReadyTask(todoList);
+                if (!task) {
+                    const blocked = todoList.tasks.filter(entry => entry.status === 'pending');
+                    return {
+                        success: false,
+                        completed: false,
+                        message: `${blocked.length} 个待处理任务的依赖尚未完成`,
+                        suggestions: blocked.slice(0, 3).map(entry =>
+                            `${entry.id} 等待: ${this._getUnmetDependencies(todoList, entry).join(', ')}`
+                        )
+                    };
+                }
+
+                this._transition(task, 'in_progress');
+                await this._saveTodoList(todoList);
+            }
+
+            return {
+                success: true,
+                completed: false,
+                task: this._toTaskView(task),
+                progress: this._getProgress(todoList),
+                nextSteps: [
+                    `完成任务 ${task.id}: ${task.title}`,
+                    '完成后调用 complete-task 标记任务完成'
+                ]
+            };
+        });
+    }
+
+    /**
+     * 标记任务完成
+     * @param {string} projectPath - 项目根目录
+     * @param {string} taskId - 任务ID
+     * @param {Object} [completionData] - 完成信息（备注、产出等），原样保存到任务
+     * @returns {Promise<Object>} { success, completedTask, progress, nextTaskAvailable, recommendations }
+     */
+    async completeTask(projectPath, taskId, completionData = {}) {
+        const normalizedPath = resolve(projectPath);
+
+        return await this._withLock(normalizedPath, async () => {
+            const todoList = await this._loadTodoList(normalizedPath);
+            if (!todoList) {
+                throw new Error('项目还没有任务清单');
+            }
+
+            const task = todoList.tasks.find(entry => entry.id === taskId);
+            if (!task) {
+                throw new Error(`任务不存在: ${taskId}`);
+            }
+
+            const unmet = this._getUnmetDependencies(todoList, task);
+            if (unmet.length > 0) {
+                throw new Error(`任务 ${taskId} 的依赖尚未完成: ${unmet.join(', ')}`);
+            }
+
+            if (task.status !== 'completed') {
+                task.completionData = completionData;
+                this._transition(task, 'completed', completionData.notes);
+                await this._saveTodoList(todoList);
+                console.log(`[AiTodoManager] 任务完成: ${taskId} (${normalizedPath})`);
+            }
+
+            const nextTask = this._findReadyTask(todoList);
+            const progress = this._getProgress(todoList);
+
+            return {
+                success: true,
+                completedTask: this._toTaskView(task),
+                progress,
+                nextTaskAvailable: Boolean(nextTask),
+                nextTask: nextTask ? this._toTaskView(nextTask) : null,
+                recommendations: progress.completed === progress.total
+                    ? ['所有任务已完成']
+                    : nextTask
+                        ? [`下一个任务: ${nextTask.id} - ${nextTask.title}`]
+                        : ['请先完成进行中的任务']
+            };
+        });
+    }
+
+    /**
+     * 获取项目任务清单状态
+     * @param {string} projectPath - 项目根目录
+     * @returns {Promise<Object|null>} 没有任务清单时返回null
+     */
+    async getProjectTodoStatus(projectPath) {
+        const normalizedPath = resolve(projectPath);
+        const todoList = await this._loadTodoList(normalizedPath);
+        if (!todoList) {
+            return null;
+        }
+
+        const currentTask = todoList.tasks.find(task => task.status === 'in_progress');
+        const nextTask = this._findReadyTask(todoList);
+
+        return {
+            projectPath: normalizedPath,
+            workflowType: todoList.workflowType,
+            progress: this._getProgress(todoList),
+            currentTask: currentTask ? this._toTaskView(currentTask) : null,
+            nextTask: nextTask ? this._toTaskView(nextTask) : null,
+            summary: todoList.summary,
+            createdAt: todoList.createdAt,
+            updatedAt: todoList.updatedAt
+        };
+    }
+
+    /**
+     * 获取服务状态
+     */
+    getServiceStatus() {
+        return {
+            name: 'AiTodoManager',
+            cachedProjects: this.todoLists.size,
+            config: this.config
+        };
+    }
+
+    // ========== 私有方法 ==========
+
+    /**
+     * @private
+     */
+    _createTask({ id, type, title, description, priority, batchNumber, phaseName, files, file = null, dependencies }) {
+        const now = new Date().toISOString();
+        return {
+            id,
+            type,
+            title,
+            description,
+            priority,
+            order: null,
+            batchNumber,
+            phaseName,
+            files,
+            file,
+            dependencies: [...dependencies],
+            estimatedMinutes: this.config.estimatedMinutes[type] || 0,
+            status: 'pending',
+            history: [{ status: 'pending', at: now }],
+            createdAt: now,
+            startedAt: null,
+            completedAt: null,
+            completionData: null
+        };
+    }
+
+    /**
+     * 状态变更并记录历史
+     * @private
+     */
+    _transition(task, status, note = null) {
+        const now = new Date().toISOString();
+        task.status = status;
+        task.history.push(note ? { status, at: now, note } : { status, at: now });
+
+        if (status === 'in_progress') {
+            task.startedAt = now;
+        } else if (status === 'completed') {
+            task.completedAt = now;
+        }
+    }
+
+    /**
+     * 按顺序查找依赖已满足的待处理任务
+     * @private
+     */
+    _findReadyTask(todoList) {
+        return todoList.tasks
+            .filter(task => task.status === 'pending')
+            .sort((a, b) => a.order - b.order)
+            .find(task => this._getUnmetDependencies(todoList, task).length === 0) || null;
+    }
+
+    /**
+     * @private
+     */
+    _getUnmetDependencies(todoList, task) {
+        return task.dependencies.filter(dependencyId =>
+            todoList.tasks.find(entry => entry.id === dependencyId)?.status !== 'completed'
+        );
+    }
+
+    /**
+     * @private
+     */
+    _getPriority(file, customPriorities) {
+        return customPriorities[file.relativePath] ?? file.importance ?? this.config.defaultPriority;
+    }
+
+    /**
+     * @private
+     */
+    _describeChange(changeType) {
+        const labels = {
+            create: '创建',
+            modify: '修改',
+            update: '修改',
+            delete: '删除'
+        };
+        return labels[changeType] || '处理';
+    }
+
+    /**
+     * @private
+     */
+    _summarize(tasks) {
+        const countByType = (type) => tasks.filter(task => task.type === type).length;
+        const totalMinutes = tasks.reduce((sum, task) => sum + task.estimatedMinutes, 0);
+
+        return {
+            fileProcessingTasks: countByType('file_processing'),
+            analysisTasks: countByType('analysis'),
+            summaryTasks: countByType('summary'),
+            estimatedTotalMinutes: totalMinutes,
+            estimatedTotalTime: `${totalMinutes} 分钟`
+        };
+    }
+
+    /**
+     * @private
+     */
+    _getProgress(todoList) {
+        const countByStatus = (status) => todoList.tasks.filter(task => task.status === status).length;
+        const total = todoList.tasks.length;
+        const completed = countByStatus('completed');
+
+        return {
+            completed,
+            inProgress: countByStatus('in_progress'),
+            pending: countByStatus('pending'),
+            total,
+            percentage: total > 0 ? Math.round(completed / total * 100) : 0
+        };
+    }
+
+    /**
+     * @private
+     */
+    _getFinalSummary(todoList) {
+        const completedAt = todoList.tasks
+            .map(task => task.completedAt)
+            .filter(Boolean)
+            .sort()
+            .pop() || null;
+
+        return {
+            workflowType: todoList.workflowType,
+            totalTasks: todoList.tasks.length,
+            ...todoList.summary,
+            processedFiles: todoList.tasks
+                .filter(task => task.type === 'file_processing')
+                .flatMap(task => task.files),
+            startedAt: todoList.createdAt,
+            completedAt
+        };
+    }
+
+    /**
+     * 对外返回的任务视图（不含完整历史）
+     * @private
+     */
+    _toTaskView(task) {
+        const { history, ...view } = task;
+        return { ...view, historyLength: history.length };
+    }
+
+    /**
+     * 同一项目的操作串行执行
+     * @private
+     */
+    async _withLock(projectPath, operation) {
+        const previous = this.locks.get(projectPath) || Promise.resolve();
+        const current = previous.catch(() => {}).then(operation);
+        const settled = current.catch(() => {});
+        this.locks.set(projectPath, settled);
+
+        try {
+            return await current;
+        } finally {
+            if (this.locks.get(projectPath) === settled) {
+                this.locks.delete(projectPath);
+            }
+        }
+    }
+
+    /**
+     * 加载任务清单（缓存优先）
+     * @private
+     */
+    async _loadTodoList(projectPath) {
+        if (this.todoLists.has(projectPath)) {
+            return this.todoLists.get(projectPath);
+        }
+
+        try {
+            const todoList = JSON.parse(await fs.readFile(this._getTodoFilePath(projectPath), 'utf8'));
+            this.todoLists.set(projectPath, todoList);
+            console.log(`[AiTodoManager] 从文件恢复任务清单: ${projectPath}`);
+            return todoList;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`[AiTodoManager] 读取任务清单失败: ${error.message}`);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * 原子写入任务清单（临时文件+重命名）
+     * @private
+     */
+    async _saveTodoList(todoList) {
+        todoList.updatedAt = new Date().toISOString();
+        this.todoLists.set(todoList.projectPath, todoList);
+
+        const filePath = this._getTodoFilePath(todoList.projectPath);
+        const tempFile = `${filePath}.${process.pid}.tmp`;
+        await fs.mkdir(join(todoList.projectPath, this.config.docsFolderName), { recursive: true });
+        await fs.writeFile(tempFile, JSON.stringify(todoList, null, 2), 'utf8');
+        await fs.rename(tempFile, filePath);
+    }
+
+    /**
+     * @private
+     */
+    _getTodoFilePath(projectPath) {
+        return join(projectPath, this.config.docsFolderName, this.config.todoFileName);
+    }
+}
+
+export default AiTodoManager;
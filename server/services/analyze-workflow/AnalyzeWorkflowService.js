@@ -0,0 +1,446 @@
+/**
+ * Analyze工作流服务 - 按模块生成代码健康报告
+ *
+ * 流程：
+ * 1. 指标计算：对选定的模块/目录（缺省时自动发现）计算规模、复杂度、扇入扇出、TODO密度和测试情况
+ * 2. 任务循环：每个模块一个报告任务，AI根据指标编写健康报告，
+ *    由AnalysisReportValidator验证报告后自动完成（与Init Step3相同的任务循环）
+ *
+ * 存储：
+ * - mg_kiro/analysis/<模块slug>/
+ *   - metrics.json        指标数据（每次分析覆盖）
+ *   - health-report.md    健康报告（由AI编写）
+ * - mg_kiro/analysis/runs/<analysisId>.json  分析记录（目标、任务状态）
+ * - 服务重启后从分析记录恢复任务管理器中的任务
+ */
+
+import { promises as fs } from 'fs';
+import { join, resolve } from 'path';
+
+export class AnalyzeWorkflowService {
+    constructor(config = {}, dependencies = {}, serviceBus = null) {
+        this.config = {
+            docsFolderName: 'mg_kiro',
+            analysisFolderName: 'analysis',
+            runsFolderName: 'runs',
+            metricsFileName: 'metrics.json',
+            reportFileName: 'health-report.md',
+            defaultLanguage: 'general',
+            templateStep: 'quality-analysis',
+            maxFilesInTable: 50,
+            ...config
+        };
+
+        this.codeHealthAnalyzer = dependencies.codeHealthAnalyzer;
+        this.unifiedTaskManager = dependencies.unifiedTaskManager;
+        this.unifiedTaskValidator = dependencies.unifiedTaskValidator;
+        this.modeTemplateService = dependencies.modeTemplateService;
+        this.serviceBus = serviceBus;
+    }
+
+    /**
+     * 开始一次分析：计算指标、写入metrics.json、创建报告任务
+     * @param {string} projectPath - 项目根目录
+     * @param {Object} [options]
+     * @param {Array<string>} [options.targets] - 模块目录或文件（相对项目根目录），缺省时自动发现
+     * @param {string} [options.language] - 模板语言
+     * @returns {Promise<Object>} { analysis, summaries }
+     */
+    async startAnalysis(projectPath, { targets = [], language } = {}) {
+        const normalizedPath = resolve(projectPath);
+        const selectedTargets = targets.length > 0
+            ? targets.map(target => this.codeHealthAnalyzer.normalizeTarget(target))
+            : await this.codeHealthAnalyzer.discoverTargets(normalizedPath);
+
+        if (selectedTargets.length === 0) {
+            throw new Error('没有找到可分析的源代码文件');
+        }
+
+        const results = await this.codeHealthAnalyzer.analyzeTargets(normalizedPath, selectedTargets);
+        const emptyTargets = results.filter(result => result.files.length === 0).map(result => result.target);
+        const analyzable = results.filter(result => result.files.length > 0);
+
+        if (analyzable.length === 0) {
+            throw new Error(`目标中没有源代码文件: ${emptyTargets.join(', ')}`);
+        }
+
+        const analysisId = `analysis_${Date.now()}`;
+        const now = new Date().toISOString();
+
+        for (const result of analyzable) {
+            await this._writeJson(join(normalizedPath, this._getModuleDir(result.slug), this.config.metricsFileName), {
+                analysisId,
+                generatedAt: now,
+                summary: result.summary,
+                files: result.files
+            });
+        }
+
+        const analysis = {
+            analysisId,
+            projectPath: normalizedPath,
+            status: 'in_progress',
+            language: language || this.config.defaultLanguage,
+            skippedTargets: emptyTargets,
+            tasks: analyzable.map(result => ({
+                id: `${analysisId}_${result.slug}`,
+                target: result.target,
+                slug: result.slug,
+                title: `编写 ${result.target} 模块健康报告`,
+                reportPath: `${this._getModuleDir(result.slug)}/${this.config.reportFileName}`,
+                metricsPath: `${this._getModuleDir(result.slug)}/${this.config.metricsFileName}`,
+                files: result.files.map(file => file.path),
+                summary: result.summary,
+                status: 'pending'
+            })),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        for (const task of analysis.tasks) {
+            await this._ensureManagedTask(analysis, task);
+        }
+        await this._saveAnalysis(analysis);
+
+        console.log(`[AnalyzeWorkflowService] 创建分析 ${analysisId}: ${analysis.tasks.length} 个模块`);
+
+        return {
+            analysis,
+            summaries: analysis.tasks.map(task => task.summary)
+        };
+    }
+
+    /**
+     * 获取下一个报告任务（进行中的任务优先）
+     * @param {string} projectPath - 项目根目录
+     * @param {string} [analysisId] - 分析ID，缺省时使用最近一次进行中的分析
+     * @returns {Promise<Object>} { analysis, task, instructions, completed }
+     */
+    async getNextTask(projectPath, analysisId = null) {
+        const analysis = await this._loadActiveAnalysis(projectPath, analysisId);
+        const task = analysis.tasks.find(entry => entry.status === 'in_progress') ||
+                     analysis.tasks.find(entry => entry.status === 'pending');
+
+        if (!task) {
+            return { analysis, task: null, instructions: null, completed: true };
+        }
+
+        await this._ensureManagedTask(analysis, task);
+        if (task.status === 'pending') {
+            task.status = 'in_progress';
+            task.startedAt = new Date().toISOString();
+            await this._saveAnalysis(analysis);
+        }
+
+        const instructions = await this._renderTemplate(analysis, task);
+        return { analysis, task, instructions, completed: false };
+    }
+
+    /**
+     * 验证当前报告任务
+     * @param {string} projectPath - 项目根目录
+     * @param {Object} [options]
+     * @param {string} [options.analysisId] - 分析ID
+     * @param {string} [options.taskId] - 任务ID，缺省时使用进行中的任务
+     * @returns {Promise<Object>} { analysis, task, validation, nextTask }
+     */
+    async checkTaskCompletion(projectPath, { analysisId = null, taskId = null } = {}) {
+        const analysis = await this._loadActiveAnalysis(projectPath, analysisId, { includeCompleted: Boolean(taskId) });
+        const task = taskId
+            ? analysis.tasks.find(entry => entry.id === taskId)
+            : analysis.tasks.find(entry => entry.status === 'in_progress') || analysis.tasks.find(entry => entry.status === 'pending');
+
+        if (!task) {
+            throw new Error(taskId ? `分析 ${analysis.analysisId} 中没有任务 ${taskId}` : `分析 ${analysis.analysisId} 没有待验证的任务`);
+        }
+
+        await this._ensureManagedTask(analysis, task);
+        const validation = await this.unifiedTaskValidator.checkTaskCompletion(task.id, analysis.projectPath, 'analyze');
+
+        if (validation.success) {
+            task.status = 'completed';
+            task.completedAt = new Date().toISOString();
+            delete task.lastError;
+        } else {
+            task.status = 'in_progress';
+            task.lastError = validation.error?.details?.message || validation.error?.message;
+        }
+
+        if (analysis.tasks.every(entry => entry.status === 'completed') && analysis.status !== 'completed') {
+            analysis.status = 'completed';
+            analysis.completedAt = new Date().toISOString();
+            console.log(`[AnalyzeWorkflowService] 分析 ${analysis.analysisId} 完成，共 ${analysis.tasks.length} 份健康报告`);
+        }
+        await this._saveAnalysis(analysis);
+
+        const nextTask = analysis.tasks.find(entry => entry.status !== 'completed') || null;
+        return { analysis, task, validation, nextTask };
+    }
+
+    /**
+     * 健康报告模板的上下文变量（供MCP prompts/get填充，与任务指令使用的变量一致）
+     * 取进行中或下一个待处理的报告任务，全部完成时取最后一个
+     * @param {string} projectPath - 项目根目录
+     * @param {string} step - 模板步骤（各报告任务使用同一模板）
+     * @param {string} [analysisId] - 分析ID，缺省时使用最近一次进行中的分析
+     * @returns {Promise<Object>}
+     */
+    async getPromptVariables(projectPath, step, analysisId = null) {
+        const analysis = await this._loadActiveAnalysis(projectPath, analysisId, { includeCompleted: Boolean(analysisId) });
+        const task = analysis.tasks.find(entry => entry.status === 'in_progress') ||
+                     analysis.tasks.find(entry => entry.status === 'pending') ||
+                     analysis.tasks[analysis.tasks.length - 1];
+        return await this._templateVariables(analysis, task);
+    }
+
+    /**
+     * 列出项目的所有分析记录摘要（按创建时间倒序）
+     * @param {string} projectPath - 项目根目录
+     * @returns {Promise<Array<Object>>}
+     */
+    async listAnalyses(projectPath) {
+        const runsDir = this._getRunsDir(resolve(projectPath));
+        let entries;
+        try {
+            entries = await fs.readdir(runsDir);
+        } catch (error) {
+            return [];
+        }
+
+        const analyses = [];
+        for (const entry of entries.filter(name => name.endsWith('.json'))) {
+            try {
+                const analysis = JSON.parse(await fs.readFile(join(runsDir, entry), 'utf8'));
+                analyses.push({
+                    analysisId: analysis.analysisId,
+                    status: analysis.status,
+                    tasks: analysis.tasks.map(task => ({ id: task.id, target: task.target, status: task.status })),
+                    createdAt: analysis.createdAt,
+                    completedAt: analysis.completedAt || null
+                });
+            } catch (error) {
+                // 记录损坏，跳过
+            }
+        }
+
+        return analyses.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * 获取服务状态
+     */
+    getServiceStatus() {
+        return {
+            name: 'AnalyzeWorkflowService',
+            config: this.config
+        };
+    }
+
+    // ========== 私有方法 ==========
+
+    /**
+     * 确保任务存在于UnifiedTaskManager（服务重启后从分析记录恢复）
+     * @private
+     */
+    async _ensureManagedTask(analysis, task) {
+        const status = await this.unifiedTaskManager.getTaskStatus(task.id);
+        if (status.success && status.task) {
+            return;
+        }
+
+        await this.unifiedTaskManager.createTask({
+            id: task.id,
+            type: 'health_report',
+            description: task.title,
+            files: task.files,
+            analysisId: analysis.analysisId,
+            target: task.target,
+            reportPath: task.reportPath,
+            metricsPath: task.metricsPath
+        }, analysis.projectPath, 'analyze');
+    }
+
+    /**
+     * 渲染Analyze模式模板
+     * @private
+     */
+    async _renderTemplate(analysis, task) {
+        const result = await this.modeTemplateService.getAnalyzeTemplate(
+            this.config.templateStep, analysis.language, await this._templateVariables(analysis, task)
+        );
+
+        if (!result.success) {
+            console.warn(`[AnalyzeWorkflowService] Analyze模板 ${this.config.templateStep} 获取失败: ${result.error}`);
+            return null;
+        }
+        return result.content;
+    }
+
+    /**
+     * Analyze模式模板变量（指标从任务的指标文件读取）
+     * @private
+     */
+    async _templateVariables(analysis, task) {
+        let metrics = null;
+        try {
+            metrics = JSON.parse(await fs.readFile(join(analysis.projectPath, task.metricsPath), 'utf8'));
+        } catch (error) {
+            console.warn(`[AnalyzeWorkflowService] 读取指标失败: ${task.metricsPath} - ${error.message}`);
+        }
+
+        const summary = metrics?.summary || task.summary;
+        const files = metrics?.files || [];
+        return {
+            analysis_id: analysis.analysisId,
+            project_path: analysis.projectPath,
+            target: task.target,
+            summary_table: this._formatSummary(summary),
+            file_metrics: this._formatFileMetrics(files),
+            hotspots: this._formatHotspots(summary.hotspots),
+            todo_items: this._formatTodos(files),
+            untested_files: this._formatUntested(files),
+            metrics_path: join(analysis.projectPath, task.metricsPath),
+            output_path: join(analysis.projectPath, task.reportPath)
+        };
+    }
+
+    /**
+     * 模块汇总 -> Markdown表格
+     * @private
+     */
+    _formatSummary(summary) {
+        const rows = [
+            ['文件数（源码/测试）', `${summary.fileCount} (${summary.sourceFileCount}/${summary.testFileCount})`],
+            ['总行数', summary.totalLines],
+            ['总Token数', summary.totalTokens],
+            ['平均/最大圈复杂度', `${summary.averageComplexity} / ${summary.maxComplexity}`],
+            ['TODO数量（每百行）', `${summary.todoCount} (${summary.todoDensity})`],
+            ['有测试的源文件', `${summary.testedFiles}/${summary.sourceFileCount} (${Math.round(summary.testCoverageRatio * 100)}%)`],
+            ['模块外导入者（扇入）', summary.externalFanIn],
+            ['模块外依赖（扇出）', summary.externalFanOut]
+        ];
+        return ['| 指标 | 数值 |', '|------|------|', ...rows.map(([name, value]) => `| ${name} | ${value} |`)].join('\n');
+    }
+
+    /**
+     * 文件指标 -> Markdown表格（按复杂度倒序，超出上限时截断）
+     * @private
+     */
+    _formatFileMetrics(files) {
+        if (files.length === 0) {
+            return '（无文件指标，请查看 metrics.json）';
+        }
+
+        const sorted = [...files].sort((a, b) => (b.complexity || 0) - (a.complexity || 0));
+        const rows = sorted.slice(0, this.config.maxFilesInTable).map(file =>
+            `| \`${file.path}\`${file.isTest ? ' (测试)' : ''} | ${file.lines} | ${file.tokens ?? '-'} | ${file.functions} | ${file.complexity ?? '-'} | ${file.maxNesting ?? '-'} | ${file.fanIn} | ${file.fanOut} | ${file.todos.count} | ${file.isTest ? '-' : file.hasTest ? '✅' : '❌'} |`
+        );
+        const table = [
+            '| 文件 | 行数 | Token | 函数 | 复杂度 | 嵌套 | 扇入 | 扇出 | TODO | 测试 |',
+            '|------|------|-------|------|--------|------|------|------|------|------|',
+            ...rows
+        ].join('\n');
+
+        return sorted.length > this.config.maxFilesInTable
+            ? `${table}\n\n（仅列出复杂度最高的 ${this.config.maxFilesInTable} 个文件，完整数据见 metrics.json）`
+            : table;
+    }
+
+    /**
+     * @private
+     */
+    _formatHotspots(hotspots = []) {
+        if (hotspots.length === 0) {
+            return '（无）';
+        }
+        return hotspots.map(hotspot =>
+            `- \`${hotspot.path}\` - 复杂度 ${hotspot.complexity}，被 ${hotspot.fanIn} 个文件导入（${hotspot.level}）`
+        ).join('\n');
+    }
+
+    /**
+     * @private
+     */
+    _formatTodos(files) {
+        const items = files.flatMap(file => file.todos.items.map(item =>
+            `- \`${file.path}:${item.line}\` ${item.tag}: ${item.text}`
+        ));
+        return items.length > 0 ? items.join('\n') : '（无）';
+    }
+
+    /**
+     * @private
+     */
+    _formatUntested(files) {
+        const untested = files.filter(file => !file.isTest && !file.hasTest).map(file => `- \`${file.path}\``);
+        return untested.length > 0 ? untested.join('\n') : '（所有源文件都有对应测试）';
+    }
+
+    /**
+     * 加载分析记录，未指定analysisId时选择最近一次进行中的分析
+     * @private
+     */
+    async _loadActiveAnalysis(projectPath, analysisId = null, { includeCompleted = false } = {}) {
+        const normalizedPath = resolve(projectPath);
+
+        if (analysisId) {
+            const analysis = await this._readAnalysis(normalizedPath, analysisId);
+            if (!analysis) {
+                throw new Error(`分析记录不存在: ${analysisId}`);
+            }
+            if (analysis.status === 'completed' && !includeCompleted) {
+                throw new Error(`分析 ${analysisId} 已完成`);
+            }
+            return analysis;
+        }
+
+        const active = (await this.listAnalyses(normalizedPath)).find(summary => summary.status === 'in_progress');
+        if (!active) {
+            throw new Error('没有进行中的分析，请先调用 analyze_step1_compute_metrics');
+        }
+        return await this._readAnalysis(normalizedPath, active.analysisId);
+    }
+
+    /**
+     * @private
+     */
+    async _readAnalysis(projectPath, analysisId) {
+        try {
+            return JSON.parse(await fs.readFile(join(this._getRunsDir(projectPath), `${analysisId}.json`), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _saveAnalysis(analysis) {
+        analysis.updatedAt = new Date().toISOString();
+        await this._writeJson(join(this._getRunsDir(analysis.projectPath), `${analysis.analysisId}.json`), analysis);
+    }
+
+    /**
+     * @private
+     */
+    async _writeJson(filePath, data) {
+        await fs.mkdir(resolve(filePath, '..'), { recursive: true });
+        await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf8');
+    }
+
+    /**
+     * @private
+     */
+    _getModuleDir(slug) {
+        return `${this.config.docsFolderName}/${this.config.analysisFolderName}/${slug}`;
+    }
+
+    /**
+     * @private
+     */
+    _getRunsDir(projectPath) {
+        return join(projectPath, this.config.docsFolderName, this.config.analysisFolderName, this.config.runsFolderName);
+    }
+}
+
+export default AnalyzeWorkflowService;
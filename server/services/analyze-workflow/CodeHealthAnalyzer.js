@@ -0,0 +1,395 @@
+/**
+ * 代码健康度分析器 - Analyze模式的指标计算核心
+ *
+ * 核心功能：
+ * - 按模块/目录统计每个源文件的规模（行数、Token数）和复杂度（圈复杂度估算、函数数、最大嵌套深度）
+ * - 基于import关系计算扇入（被多少文件导入）和扇出（导入多少文件）
+ * - 统计 TODO / FIXME / HACK / XXX 标记及其密度
+ * - 识别对应的测试文件，计算测试覆盖情况
+ *
+ * 设计理念：
+ * - 指标完全由静态扫描得出，结果可重复，作为AI编写健康报告的事实依据
+ * - Token数使用 PreciseTokenCalculator，与Init流程的批次规划口径一致
+ * - 文件列表和import关系复用 SuspectFileRanker 的扫描结果
+ */
+
+import { promises as fs } from 'fs';
+import { join, resolve, basename, extname, dirname } from 'path';
+import { TokenResultHelper } from '../../interfaces/TokenResult.js';
+
+export class CodeHealthAnalyzer {
+    constructor(config = {}, dependencies = {}, serviceBus = null) {
+        this.config = {
+            maxFileSize: 1024 * 1024,        // 超过1MB的文件只统计规模
+            todoTags: ['TODO', 'FIXME', 'HACK', 'XXX'],
+            maxTodoItems: 20,                // 每个文件最多记录的TODO条目
+            hotspotCount: 5,
+            complexityThresholds: {
+                warning: 20,
+                critical: 50
+            },
+            testPathPattern: /(^|\/)(test|tests|__tests__|spec|specs)\//,
+            testFilePatterns: [
+                /\.(test|spec)\.[^.]+$/,
+                /^test_.+\.py$/,
+                /_test\.(go|py)$/,
+                /(Test|Tests)\.(java|kt|cs)$/
+            ],
+            ...config
+        };
+
+        this.suspectFileRanker = dependencies.suspectFileRanker;
+        this.tokenCalculator = dependencies.preciseTokenCalculator;
+        this.serviceBus = serviceBus;
+    }
+
+    /**
+     * 自动发现分析目标：源码根目录（src/lib/app等）下的一级子目录，其他一级目录整体作为一个目标
+     * 源码根目录下没有子目录时以源码根本身为目标；有子目录时，源码根下的入口文件需通过targets显式指定（避免目标重叠）
+     * @param {string} projectPath - 项目根目录
+     * @returns {Promise<Array<string>>} 相对目标路径
+     */
+    async discoverTargets(projectPath) {
+        const sourceFiles = (await this.suspectFileRanker.listSourceFiles(resolve(projectPath)))
+            .filter(filePath => !this.isTestFile(filePath));
+
+        const sourceRoots = ['src', 'lib', 'app', 'server', 'packages'];
+        const targets = new Set();
+        for (const filePath of sourceFiles) {
+            const segments = filePath.split('/');
+            if (segments.length > 2 && sourceRoots.includes(segments[0])) {
+                targets.add(`${segments[0]}/${segments[1]}`);
+            } else if (segments.length > 1) {
+                targets.add(segments[0]);
+            } else {
+                targets.add('.');
+            }
+        }
+
+        // 已拆分为子模块的源码根不再单独作为目标
+        for (const root of sourceRoots) {
+            if (targets.has(root) && Array.from(targets).some(target => target.startsWith(`${root}/`))) {
+                targets.delete(root);
+            }
+        }
+
+        return Array.from(targets).sort();
+    }
+
+    /**
+     * 计算多个目标的健康指标（共享一次文件扫描和import关系图）
+     * @param {string} projectPath - 项目根目录
+     * @param {Array<string>} targets - 相对目标路径（模块目录或单个文件）
+     * @returns {Promise<Array<Object>>} 每个目标的 { target, slug, summary, files }
+     */
+    async analyzeTargets(projectPath, targets) {
+        const normalizedPath = resolve(projectPath);
+        const allFiles = await this.suspectFileRanker.listSourceFiles(normalizedPath);
+        const importGraph = await this.suspectFileRanker.buildImportGraph(normalizedPath, allFiles);
+        const testFiles = allFiles.filter(filePath => this.isTestFile(filePath));
+
+        // 反向关系：文件 -> 导入它的文件
+        const importers = new Map();
+        for (const [filePath, imports] of importGraph) {
+            for (const imported of imports) {
+                if (!importers.has(imported)) importers.set(imported, new Set());
+                importers.get(imported).add(filePath);
+            }
+        }
+
+        const results = [];
+        for (const target of targets) {
+            const normalizedTarget = this.normalizeTarget(target);
+            const targetFiles = allFiles.filter(filePath => this._isInTarget(filePath, normalizedTarget));
+
+            const files = [];
+            for (const filePath of targetFiles) {
+                files.push(await this._analyzeFile(normalizedPath, filePath, {
+                    imports: importGraph.get(filePath) || new Set(),
+                    importers: importers.get(filePath) || new Set(),
+                    testFiles
+                }));
+            }
+
+            results.push({
+                target: normalizedTarget,
+                slug: this.toSlug(normalizedTarget),
+                summary: this._summarize(normalizedTarget, files),
+                files
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * 是否为测试文件
+     * @param {string} filePath - 相对路径
+     * @returns {boolean}
+     */
+    isTestFile(filePath) {
+        return this.config.testPathPattern.test(filePath) ||
+               this.config.testFilePatterns.some(pattern => pattern.test(basename(filePath)));
+    }
+
+    /**
+     * 规范化目标路径（去掉首尾斜杠，空值视为项目根）
+     * @param {string} target - 目标路径
+     * @returns {string}
+     */
+    normalizeTarget(target) {
+        const normalized = String(target || '.').replace(/\\/g, '/').replace(/^\.\/+/, '').replace(/\/+$/, '');
+        return normalized || '.';
+    }
+
+    /**
+     * 目标路径 -> 报告目录名
+     * @param {string} target - 规范化的目标路径
+     * @returns {string}
+     */
+    toSlug(target) {
+        return target === '.' ? 'root' : target.replace(/[\/\\]/g, '_').replace(/[^a-zA-Z0-9_.-]/g, '_');
+    }
+
+    // ========== 私有方法 ==========
+
+    /**
+     * @private
+     */
+    _isInTarget(filePath, target) {
+        if (target === '.') {
+            return !filePath.includes('/');
+        }
+        return filePath === target || filePath.startsWith(`${target}/`);
+    }
+
+    /**
+     * 计算单个文件的指标
+     * @private
+     */
+    async _analyzeFile(projectPath, filePath, { imports, importers, testFiles }) {
+        const absolutePath = join(projectPath, filePath);
+        const stats = await fs.stat(absolutePath);
+        const isTest = this.isTestFile(filePath);
+
+        const metrics = {
+            path: filePath,
+            isTest,
+            bytes: stats.size,
+            lines: 0,
+            codeLines: 0,
+            tokens: null,
+            functions: 0,
+            complexity: null,
+            maxNesting: null,
+            todos: { count: 0, items: [] },
+            todoDensity: 0,
+            fanIn: importers.size,
+            fanOut: imports.size,
+            importers: Array.from(importers).sort(),
+            imports: Array.from(imports).sort(),
+            testFiles: isTest ? [] : this._findTestFiles(filePath, testFiles)
+        };
+        metrics.hasTest = metrics.testFiles.length > 0;
+
+        if (stats.size > this.config.maxFileSize) {
+            return metrics;
+        }
+
+        const content = await fs.readFile(absolutePath, 'utf8');
+        const extension = extname(filePath).toLowerCase();
+        const lines = content.split('\n');
+        const code = this._stripComments(content, extension);
+
+        metrics.lines = lines.length;
+        metrics.codeLines = code.split('\n').filter(line => line.trim()).length;
+        metrics.functions = this._countFunctions(code, extension);
+        metrics.complexity = this._estimateComplexity(code);
+        metrics.maxNesting = this._measureNesting(code, extension);
+        metrics.todos = this._collectTodos(lines);
+        metrics.todoDensity = metrics.lines > 0
+            ? Number((metrics.todos.count / metrics.lines * 100).toFixed(2))
+            : 0;
+
+        if (this.tokenCalculator) {
+            try {
+                const tokenResult = await this.tokenCalculator.calculateTokens(absolutePath, content);
+                metrics.tokens = TokenResultHelper.getTokenCount(tokenResult);
+            } catch (error) {
+                console.warn(`[CodeHealthAnalyzer] Token计算失败: ${filePath} - ${error.message}`);
+            }
+        }
+
+        return metrics;
+    }
+
+    /**
+     * 汇总目标的整体指标
+     * @private
+     */
+    _summarize(target, files) {
+        const sourceFiles = files.filter(file => !file.isTest);
+        const sum = (values) => values.reduce((total, value) => total + (value || 0), 0);
+        const totalLines = sum(files.map(file => file.lines));
+        const todoCount = sum(files.map(file => file.todos.count));
+        const complexities = sourceFiles.map(file => file.complexity).filter(value => value !== null);
+        const targetFiles = new Set(files.map(file => file.path));
+
+        const externalImporters = new Set();
+        const externalImports = new Set();
+        for (const file of files) {
+            file.importers.filter(path => !targetFiles.has(path)).forEach(path => externalImporters.add(path));
+            file.imports.filter(path => !targetFiles.has(path)).forEach(path => externalImports.add(path));
+        }
+
+        const { warning, critical } = this.config.complexityThresholds;
+        const hotspots = [...sourceFiles]
+            .filter(file => file.complexity !== null)
+            .sort((a, b) => (b.complexity * (b.fanIn + 1)) - (a.complexity * (a.fanIn + 1)))
+            .slice(0, this.config.hotspotCount)
+            .map(file => ({
+                path: file.path,
+                complexity: file.complexity,
+                fanIn: file.fanIn,
+                level: file.complexity >= critical ? 'critical' : file.complexity >= warning ? 'warning' : 'ok'
+            }));
+
+        return {
+            target,
+            fileCount: files.length,
+            sourceFileCount: sourceFiles.length,
+            testFileCount: files.length - sourceFiles.length,
+            totalLines,
+            totalTokens: sum(files.map(file => file.tokens)),
+            averageComplexity: complexities.length > 0 ? Number((sum(complexities) / complexities.length).toFixed(1)) : 0,
+            maxComplexity: complexities.length > 0 ? Math.max(...complexities) : 0,
+            todoCount,
+            todoDensity: totalLines > 0 ? Number((todoCount / totalLines * 100).toFixed(2)) : 0,
+            testedFiles: sourceFiles.filter(file => file.hasTest).length,
+            testCoverageRatio: sourceFiles.length > 0
+                ? Number((sourceFiles.filter(file => file.hasTest).length / sourceFiles.length).toFixed(2))
+                : 0,
+            externalFanIn: externalImporters.size,
+            externalFanOut: externalImports.size,
+            hotspots
+        };
+    }
+
+    /**
+     * 查找源文件对应的测试文件（按去掉测试前后缀后的文件名匹配）
+     * @private
+     */
+    _findTestFiles(filePath, testFiles) {
+        const baseName = basename(filePath, extname(filePath)).toLowerCase();
+        const stripTestMarkers = (name) => basename(name, extname(name))
+            .replace(/\.(test|spec)$/i, '')
+            .replace(/^test_/i, '')
+            .replace(/_test$/i, '')
+            .replace(/Tests?$/, '')
+            .toLowerCase();
+
+        return testFiles.filter(testFile => stripTestMarkers(testFile) === baseName ||
+            (baseName === 'index' && stripTestMarkers(testFile) === basename(dirname(filePath)).toLowerCase()));
+    }
+
+    /**
+     * 去除注释（行注释和块注释），保留行结构
+     * @private
+     */
+    _stripComments(content, extension) {
+        if (extension === '.py' || extension === '.rb') {
+            return content
+                .replace(/("""|''')[\s\S]*?\1/g, match => match.replace(/[^\n]/g, ''))
+                .replace(/(^|\s)#.*$/gm, '$1');
+        }
+
+        return content
+            .replace(/\/\*[\s\S]*?\*\//g, match => match.replace(/[^\n]/g, ''))
+            .replace(/(^|[^:\\'"])\/\/.*$/gm, '$1');
+    }
+
+    /**
+     * 统计函数/方法数量
+     * @private
+     */
+    _countFunctions(code, extension) {
+        const count = (pattern) => (code.match(pattern) || []).length;
+
+        switch (extension) {
+            case '.py':
+                return count(/^\s*(?:async\s+)?def\s+\w+/gm);
+            case '.go':
+                return count(/^func\s/gm);
+            case '.rs':
+                return count(/\bfn\s+\w+/g);
+            default: {
+                const keywordFunctions = count(/\bfunction\b/g);
+                const arrowFunctions = count(/=>/g);
+                const methods = count(/^\s*(?:(?:public|private|protected|static|async|override|virtual|final)\s+)*[A-Za-z_$][\w$<>,\[\]]*(?:\s+[A-Za-z_$][\w$]*)?\s*\([^)]*\)\s*(?:\{|throws\b)/gm)
+                    - count(/^\s*(?:if|for|while|switch|catch|return|else\s+if)\s*\(/gm);
+                return keywordFunctions + arrowFunctions + Math.max(methods, 0);
+            }
+        }
+    }
+
+    /**
+     * 估算圈复杂度：1 + 判定点数量
+     * @private
+     */
+    _estimateComplexity(code) {
+        const decisionPoints = code.match(/\b(?:if|elif|for|foreach|while|case|catch|except)\b|&&|\|\||\?\?|\?(?![.?:])/g) || [];
+        return 1 + decisionPoints.length;
+    }
+
+    /**
+     * 最大嵌套深度：花括号语言按括号深度，Python按缩进层级
+     * @private
+     */
+    _measureNesting(code, extension) {
+        if (extension === '.py') {
+            let maxLevel = 0;
+            for (const line of code.split('\n')) {
+                if (!line.trim()) continue;
+                const indent = line.match(/^[ \t]*/)[0].replace(/\t/g, '    ').length;
+                maxLevel = Math.max(maxLevel, Math.floor(indent / 4));
+            }
+            return maxLevel;
+        }
+
+        const withoutStrings = code.replace(/(["'`])(?:\\.|(?!\1)[^\\\n])*\1/g, '""');
+        let depth = 0;
+        let maxDepth = 0;
+        for (const char of withoutStrings) {
+            if (char === '{') {
+                depth++;
+                maxDepth = Math.max(maxDepth, depth);
+            } else if (char === '}') {
+                depth = Math.max(depth - 1, 0);
+            }
+        }
+        return maxDepth;
+    }
+
+    /**
+     * 收集TODO类标记
+     * @private
+     */
+    _collectTodos(lines) {
+        const pattern = new RegExp(`\\b(${this.config.todoTags.join('|')})\\b[:：]?\\s*(.*)`);
+        const items = [];
+        let count = 0;
+
+        lines.forEach((line, index) => {
+            const match = line.match(pattern);
+            if (!match) return;
+            count++;
+            if (items.length < this.config.maxTodoItems) {
+                items.push({ line: index + 1, tag: match[1], text: match[2].trim().slice(0, 120) });
+            }
+        });
+
+        return { count, items };
+    }
+}
+
+export default CodeHealthAnalyzer;
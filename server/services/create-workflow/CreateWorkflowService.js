@@ -0,0 +1,671 @@
+/**
+ * Create工作流服务 - 已有项目功能添加 / 新项目创建的MCP引导流程
+ *
+ * 流程（所有任务通过同一个任务循环获取和验证）：
+ * 1. 需求分析：AI根据用户需求编写需求文档
+ * 2. 方案设计：已有项目编写影响分析，新项目编写架构设计，两者都必须给出"实现计划"（文件变更清单）
+ * 3. 实现循环：实现计划经 AiTodoManager 转为有序任务，逐个实现并自动检查文件变更
+ * 4. 文档更新：更新受影响文件的分析文档并编写变更摘要
+ *
+ * 存储：
+ * - 每次流程一个目录 mg_kiro/create/<createId>/
+ *   - create.json            流程记录（需求、阶段、文档任务状态）
+ *   - requirement.md         需求文档
+ *   - impact-analysis.md     影响分析（已有项目）/ architecture-design.md 架构设计（新项目）
+ *   - change-summary.md      变更摘要
+ * - 实现任务保存在 AiTodoManager 的项目任务清单中
+ * - 服务重启后从记录恢复任务管理器中的任务
+ */
+
+import { promises as fs } from 'fs';
+import { join, resolve } from 'path';
+import { parseImplementationPlan } from './implementation-plan.js';
+
+export class CreateWorkflowService {
+    constructor(config = {}, dependencies = {}, serviceBus = null) {
+        this.config = {
+            docsFolderName: 'mg_kiro',
+            createFolderName: 'create',
+            recordFileName: 'create.json',
+            defaultLanguage: 'general',
+            maxCandidateFiles: 10,
+            maxProjectDocs: 40,
+            ...config
+        };
+
+        this.suspectFileRanker = dependencies.suspectFileRanker;
+        this.aiTodoManager = dependencies.aiTodoManager;
+        this.unifiedTaskManager = dependencies.unifiedTaskManager;
+        this.unifiedTaskValidator = dependencies.unifiedTaskValidator;
+        this.modeTemplateService = dependencies.modeTemplateService;
+        this.serviceBus = serviceBus;
+
+        // 文档任务定义（实现任务在方案设计通过后由实现计划生成）
+        this.docBlueprints = {
+            requirement: {
+                title: '编写需求文档',
+                fileName: 'requirement.md',
+                templateStep: 'requirement-analysis'
+            },
+            impact_analysis: {
+                title: '编写影响分析和实现计划',
+                fileName: 'impact-analysis.md',
+                templateStep: 'impact-analysis'
+            },
+            architecture_design: {
+                title: '编写架构设计和实现计划',
+                fileName: 'architecture-design.md',
+                templateStep: 'architecture-design'
+            },
+            doc_update: {
+                title: '更新项目文档并编写变更摘要',
+                fileName: 'change-summary.md',
+                templateStep: 'doc-update'
+            }
+        };
+    }
+
+    /**
+     * 开始一次Create流程
+     * @param {string} projectPath - 项目根目录（新项目可以是尚不存在的目录）
+     * @param {Object} request
+     * @param {string} request.requirement - 需求描述
+     * @param {string} [request.projectType] - existing | new，缺省时根据目录中是否有源代码判断
+     * @param {string} [request.projectName] - 项目名称（新项目）
+     * @param {string} [request.language] - 模板语言
+     * @returns {Promise<Object>} { workflow, candidates }
+     */
+    async startWorkflow(projectPath, { requirement, projectType, projectName, language } = {}) {
+        if (!requirement || typeof requirement !== 'string') {
+            throw new Error('需求描述(requirement)不能为空');
+        }
+        if (projectType && !['existing', 'new'].includes(projectType)) {
+            throw new Error(`不支持的项目类型: ${projectType}，可选 existing / new`);
+        }
+
+        const normalizedPath = resolve(projectPath);
+        await fs.mkdir(normalizedPath, { recursive: true });
+
+        const sourceFiles = await this.suspectFileRanker.listSourceFiles(normalizedPath);
+        const resolvedType = projectType || (sourceFiles.length > 0 ? 'existing' : 'new');
+
+        // 已有项目：按需求描述对相关文件排序，作为影响分析的起点
+        let candidates = [];
+        if (resolvedType === 'existing' && sourceFiles.length > 0) {
+            const ranking = await this.suspectFileRanker.rankSuspects(normalizedPath, {
+                bugDescription: requirement,
+                maxSuspects: this.config.maxCandidateFiles
+            });
+            candidates = ranking.suspects;
+        }
+
+        const createId = `create_${Date.now()}`;
+        const createDir = `${this.config.docsFolderName}/${this.config.createFolderName}/${createId}`;
+        const now = new Date().toISOString();
+        const planKind = resolvedType === 'existing' ? 'impact_analysis' : 'architecture_design';
+
+        const workflow = {
+            createId,
+            projectPath: normalizedPath,
+            projectType: resolvedType,
+            projectName: projectName || normalizedPath.split(/[\\/]/).pop(),
+            status: 'in_progress',
+            phase: 'planning',
+            language: language || this.config.defaultLanguage,
+            requirement,
+            candidates,
+            tasks: ['requirement', planKind, 'doc_update'].map(kind => ({
+                id: `${createId}_${kind}`,
+                kind,
+                title: this.docBlueprints[kind].title,
+                docPath: `${createDir}/${this.docBlueprints[kind].fileName}`,
+                templateStep: this.docBlueprints[kind].templateStep,
+                status: 'pending'
+            })),
+            implementation: null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await this._saveWorkflow(workflow);
+        console.log(`[CreateWorkflowService] 创建流程 ${createId}: ${resolvedType} 项目 ${normalizedPath}`);
+
+        return { workflow, candidates };
+    }
+
+    /**
+     * 获取下一个任务：需求文档 -> 方案设计 -> 实现任务 -> 文档更新
+     * @param {string} projectPath - 项目根目录
+     * @param {string} [createId] - 流程ID，缺省时使用最近一次进行中的流程
+     * @returns {Promise<Object>} { workflow, task, instructions, progress, completed }
+     */
+    async getNextTask(projectPath, createId = null) {
+        const workflow = await this._loadActiveWorkflow(projectPath, createId);
+        const task = await this._resolveCurrentTask(workflow, { claim: true });
+
+        if (!task) {
+            return { workflow, task: null, instructions: null, progress: await this._getProgress(workflow), completed: true };
+        }
+
+        await this._ensureManagedTask(workflow, task);
+        await this._saveWorkflow(workflow);
+
+        const instructions = await this._renderTaskTemplate(workflow, task);
+        return { workflow, task, instructions, progress: await this._getProgress(workflow), completed: false };
+    }
+
+    /**
+     * 验证当前任务，通过后推进流程阶段
+     * @param {string} projectPath - 项目根目录
+     * @param {Object} [options]
+     * @param {string} [options.createId] - 流程ID
+     * @param {string} [options.notes] - 完成说明（记录到实现任务）
+     * @returns {Promise<Object>} { workflow, task, validation, nextTask, progress }
+     */
+    async checkTaskCompletion(projectPath, { createId = null, notes = null } = {}) {
+        const workflow = await this._loadActiveWorkflow(projectPath, createId);
+        const task = await this._resolveCurrentTask(workflow, { claim: false });
+
+        if (!task) {
+            throw new Error(`流程 ${workflow.createId} 没有待验证的任务`);
+        }
+
+        await this._ensureManagedTask(workflow, task);
+        const validation = await this.unifiedTaskValidator.checkTaskCompletion(task.id, workflow.projectPath, 'create');
+
+        if (validation.success) {
+            await this._onTaskValidated(workflow, task, notes);
+        } else if (task.kind !== 'implementation') {
+            const docTask = this._findDocTask(workflow, task.kind);
+            docTask.status = 'in_progress';
+            docTask.lastError = validation.error?.details?.message || validation.error?.message;
+        }
+
+        const nextTask = workflow.status === 'completed' ? null : await this._resolveCurrentTask(workflow, { claim: false });
+        await this._saveWorkflow(workflow);
+
+        return { workflow, task, validation, nextTask, progress: await this._getProgress(workflow) };
+    }
+
+    /**
+     * 获取流程记录
+     * @param {string} projectPath - 项目根目录
+     * @param {string} [createId] - 流程ID，缺省时返回最近一次进行中的流程
+     * @returns {Promise<Object>}
+     */
+    async getWorkflow(projectPath, createId = null) {
+        return await this._loadActiveWorkflow(projectPath, createId, { includeCompleted: Boolean(createId) });
+    }
+
+    /**
+     * Create模板的上下文变量（供MCP prompts/get填充，与任务指令使用的变量一致）
+     * implementation 步骤取当前的实现任务，其他步骤取对应的文档任务
+     * @param {string} projectPath - 项目根目录
+     * @param {string} step - 模板步骤
+     * @param {string} [createId] - 流程ID，缺省时使用最近一次进行中的流程
+     * @returns {Promise<Object>}
+     */
+    async getPromptVariables(projectPath, step, createId = null) {
+        const workflow = await this.getWorkflow(projectPath, createId);
+        let task = workflow.tasks.find(entry => entry.templateStep === step) || null;
+        if (step === 'implementation' && workflow.phase === 'implementation') {
+            const current = await this._resolveCurrentTask(workflow, { claim: false });
+            task = current?.kind === 'implementation' ? current : null;
+        }
+        return await this._templateVariables(workflow, task);
+    }
+
+    /**
+     * 列出项目的所有Create流程摘要（按创建时间倒序）
+     * @param {string} projectPath - 项目根目录
+     * @returns {Promise<Array<Object>>}
+     */
+    async listWorkflows(projectPath) {
+        const createRoot = this._getCreateDir(resolve(projectPath));
+        let entries;
+        try {
+            entries = await fs.readdir(createRoot, { withFileTypes: true });
+        } catch (error) {
+            return [];
+        }
+
+        const workflows = [];
+        for (const entry of entries) {
+            if (!entry.isDirectory()) continue;
+            try {
+                const workflow = JSON.parse(await fs.readFile(join(createRoot, entry.name, this.config.recordFileName), 'utf8'));
+                workflows.push({
+                    createId: workflow.createId,
+                    projectType: workflow.projectType,
+                    status: workflow.status,
+                    phase: workflow.phase,
+                    requirement: workflow.requirement,
+                    createdAt: workflow.createdAt,
+                    completedAt: workflow.completedAt || null
+                });
+            } catch (error) {
+                // 非流程目录或记录损坏（如HTTP路由生成的文档），跳过
+            }
+        }
+
+        return workflows.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * 获取服务状态
+     */
+    getServiceStatus() {
+        return {
+            name: 'CreateWorkflowService',
+            docTaskKinds: Object.keys(this.docBlueprints),
+            config: this.config
+        };
+    }
+
+    // ========== 私有方法 ==========
+
+    /**
+     * 确定当前任务。claim=true 时会领取新任务（标记为进行中）
+     * @private
+     */
+    async _resolveCurrentTask(workflow, { claim }) {
+        if (workflow.phase === 'planning') {
+            const docTask = workflow.tasks.find(entry => entry.kind !== 'doc_update' && entry.status !== 'completed');
+            return docTask ? this._activateDocTask(docTask, claim) : null;
+        }
+
+        if (workflow.phase === 'implementation') {
+            await this._assertTodoListOwnership(workflow);
+            const status = await this.aiTodoManager.getProjectTodoStatus(workflow.projectPath);
+            let todoTask = status.currentTask;
+
+            if (!todoTask && claim) {
+                const next = await this.aiTodoManager.getNextTask(workflow.projectPath);
+                if (!next.success) {
+                    throw new Error(next.message);
+                }
+                todoTask = next.completed ? null : next.task;
+            } else if (!todoTask) {
+                todoTask = status.nextTask;
+            }
+
+            if (todoTask) {
+                return this._toImplementationTask(workflow, todoTask);
+            }
+
+            // 实现任务全部完成，进入文档更新阶段
+            workflow.phase = 'doc_update';
+        }
+
+        if (workflow.phase === 'doc_update') {
+            const docTask = this._findDocTask(workflow, 'doc_update');
+            if (docTask.status !== 'completed') {
+                if (!docTask.docsToUpdate) {
+                    docTask.docsToUpdate = await this._collectDocsToUpdate(workflow);
+                }
+                return this._activateDocTask(docTask, claim);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    _activateDocTask(docTask, claim) {
+        if (claim && docTask.status === 'pending') {
+            docTask.status = 'in_progress';
+            docTask.startedAt = new Date().toISOString();
+        }
+        return docTask;
+    }
+
+    /**
+     * AiTodoManager任务 -> 流程任务视图
+     * @private
+     */
+    _toImplementationTask(workflow, todoTask) {
+        return {
+            id: `${workflow.createId}_${todoTask.id}`,
+            todoTaskId: todoTask.id,
+            kind: 'implementation',
+            title: todoTask.title,
+            description: todoTask.file?.description || todoTask.description,
+            phaseName: todoTask.phaseName,
+            files: [{ path: todoTask.file.relativePath, changeType: todoTask.file.changeType }],
+            status: todoTask.status
+        };
+    }
+
+    /**
+     * 任务验证通过后推进流程
+     * @private
+     */
+    async _onTaskValidated(workflow, task, notes) {
+        if (task.kind === 'implementation') {
+            await this.aiTodoManager.completeTask(workflow.projectPath, task.todoTaskId, {
+                notes,
+                createId: workflow.createId,
+                files: task.files
+            });
+            return;
+        }
+
+        const docTask = this._findDocTask(workflow, task.kind);
+        docTask.status = 'completed';
+        docTask.completedAt = new Date().toISOString();
+        delete docTask.lastError;
+
+        if (task.kind === 'impact_analysis' || task.kind === 'architecture_design') {
+            await this._createImplementationTodos(workflow, docTask);
+        } else if (task.kind === 'doc_update') {
+            workflow.status = 'completed';
+            workflow.phase = 'completed';
+            workflow.completedAt = new Date().toISOString();
+            await this._notifyDocsRefreshed(workflow.projectPath);
+            console.log(`[CreateWorkflowService] 流程 ${workflow.createId} 完成`);
+        }
+    }
+
+    /**
+     * 将方案设计中的实现计划转为 AiTodoManager 任务清单
+     * @private
+     */
+    async _createImplementationTodos(workflow, planTask) {
+        const content = await fs.readFile(join(workflow.projectPath, planTask.docPath), 'utf8');
+        const phases = parseImplementationPlan(content);
+
+        const processingPlan = {
+            projectName: workflow.projectName,
+            batches: phases.map((phase, index) => ({
+                batchNumber: index + 1,
+                phaseName: phase.phaseName,
+                files: phase.items.map(item => ({
+                    relativePath: item.path,
+                    name: item.path.split('/').pop(),
+                    changeType: item.changeType,
+                    description: item.description
+                }))
+            }))
+        };
+
+        const result = await this.aiTodoManager.createProjectTodoList(workflow.projectPath, processingPlan, {
+            includeAnalysisTasks: false,
+            includeSummaryTasks: false,
+            workflowType: workflow.projectType === 'existing' ? 'feature_addition' : 'new_project'
+        });
+        const status = await this.aiTodoManager.getProjectTodoStatus(workflow.projectPath);
+
+        workflow.phase = 'implementation';
+        workflow.implementation = {
+            plan: phases,
+            totalTasks: result.totalTasks,
+            todoListCreatedAt: status.createdAt
+        };
+    }
+
+    /**
+     * 确认项目任务清单仍属于当前流程（HTTP路由或其他流程可能已覆盖）
+     * @private
+     */
+    async _assertTodoListOwnership(workflow) {
+        const status = await this.aiTodoManager.getProjectTodoStatus(workflow.projectPath);
+        if (!status || status.createdAt !== workflow.implementation?.todoListCreatedAt) {
+            throw new Error(`项目任务清单已被其他流程覆盖，流程 ${workflow.createId} 无法继续实现阶段，请重新开始Create流程`);
+        }
+    }
+
+    /**
+     * 需要更新的文件分析文档：实现计划中涉及、且已有 mg_kiro 文档的文件
+     * @private
+     */
+    async _collectDocsToUpdate(workflow) {
+        const changedFiles = (workflow.implementation?.plan || []).flatMap(phase => phase.items.map(item => item.path));
+        const fileDocs = await this.suspectFileRanker.findFileDocs(workflow.projectPath, changedFiles);
+        return Array.from(new Set(Array.from(fileDocs.values()).flat()));
+    }
+
+    /**
+     * 确保任务存在于UnifiedTaskManager（服务重启后从流程记录恢复）
+     * @private
+     */
+    async _ensureManagedTask(workflow, task) {
+        const status = await this.unifiedTaskManager.getTaskStatus(task.id);
+        if (status.success && status.task) {
+            return;
+        }
+
+        const metadata = task.kind === 'implementation'
+            ? { files: task.files }
+            : { docPath: task.docPath, docsToUpdate: task.docsToUpdate || [] };
+
+        await this.unifiedTaskManager.createTask({
+            id: task.id,
+            type: 'create_task',
+            description: task.title,
+            createId: workflow.createId,
+            taskKind: task.kind,
+            since: workflow.createdAt,
+            ...metadata
+        }, workflow.projectPath, 'create');
+    }
+
+    /**
+     * 渲染当前任务的Create模式模板
+     * @private
+     */
+    async _renderTaskTemplate(workflow, task) {
+        const step = task.kind === 'implementation' ? 'implementation' : task.templateStep;
+        return await this._renderTemplate(workflow, step, await this._templateVariables(workflow, task));
+    }
+
+    /**
+     * Create模式模板变量，带任务时包含任务相关的路径和文件
+     * @private
+     */
+    async _templateVariables(workflow, task = null) {
+        const planTask = workflow.tasks.find(entry => entry.kind === 'impact_analysis' || entry.kind === 'architecture_design');
+        const variables = {
+            create_id: workflow.createId,
+            project_path: workflow.projectPath,
+            project_name: workflow.projectName,
+            project_type: workflow.projectType === 'existing' ? '已有项目功能添加' : '新项目创建',
+            requirement: workflow.requirement,
+            requirement_path: join(workflow.projectPath, this._findDocTask(workflow, 'requirement').docPath),
+            plan_path: join(workflow.projectPath, planTask.docPath)
+        };
+
+        if (!task) {
+            return variables;
+        }
+
+        if (task.kind === 'implementation') {
+            const [file] = task.files;
+            const fileDocs = await this.suspectFileRanker.findFileDocs(workflow.projectPath, [file.path]);
+            return Object.assign(variables, {
+                task_title: task.title,
+                phase_name: task.phaseName || '（未分阶段）',
+                file_path: file.path,
+                change_type: { create: '创建', modify: '修改', delete: '删除' }[file.changeType] || file.changeType,
+                task_description: task.description || '（见实现计划）',
+                related_docs: this._formatList(fileDocs.get(file.path) || [], '（该文件暂无分析文档）')
+            });
+        }
+
+        return Object.assign(variables, {
+            output_path: join(workflow.projectPath, task.docPath),
+            candidate_files: this._formatCandidates(workflow.candidates),
+            project_docs: this._formatList(await this._listProjectDocs(workflow.projectPath), '（项目尚无 mg_kiro 文档）'),
+            changed_files: this._formatPlan(workflow.implementation?.plan || []),
+            docs_to_update: this._formatList(task.docsToUpdate || [], '（没有需要更新的文件分析文档）')
+        });
+    }
+
+    /**
+     * @private
+     */
+    async _renderTemplate(workflow, step, variables) {
+        const result = await this.modeTemplateService.getCreateTemplate(step, workflow.language, variables);
+        if (!result.success) {
+            console.warn(`[CreateWorkflowService] Create模板 ${step} 获取失败: ${result.error}`);
+            return null;
+        }
+        return result.content;
+    }
+
+    /**
+     * mg_kiro 中已有的项目文档（排除各工作流自身的产出）
+     * @private
+     */
+    async _listProjectDocs(projectPath) {
+        const docsRoot = join(projectPath, this.config.docsFolderName);
+        let entries;
+        try {
+            entries = await fs.readdir(docsRoot, { recursive: true });
+        } catch (error) {
+            return [];
+        }
+
+        const workflowFolders = ['create/', 'fixes/', 'analysis/', '.tmp/'];
+        return entries
+            .map(entry => entry.replace(/\\/g, '/'))
+            .filter(entry => entry.endsWith('.md') && !workflowFolders.some(folder => entry.startsWith(folder)))
+            .sort()
+            .slice(0, this.config.maxProjectDocs)
+            .map(entry => `${this.config.docsFolderName}/${entry}`);
+    }
+
+    /**
+     * 流程进度：文档任务 + 实现任务
+     * @private
+     */
+    async _getProgress(workflow) {
+        const docTasks = workflow.tasks;
+        let implementation = { completed: 0, total: 0 };
+        if (workflow.implementation) {
+            const status = await this.aiTodoManager.getProjectTodoStatus(workflow.projectPath);
+            if (status && status.createdAt === workflow.implementation.todoListCreatedAt) {
+                implementation = { completed: status.progress.completed, total: status.progress.total };
+            }
+        }
+
+        return {
+            phase: workflow.phase,
+            documents: {
+                completed: docTasks.filter(task => task.status === 'completed').length,
+                total: docTasks.length
+            },
+            implementation
+        };
+    }
+
+    /**
+     * @private
+     */
+    _formatCandidates(candidates = []) {
+        if (candidates.length === 0) {
+            return '（未找到与需求直接相关的文件）';
+        }
+        return candidates.map(candidate =>
+            `- \`${candidate.path}\` (相关度 ${candidate.score}: ${candidate.reasons.join('；')})`
+        ).join('\n');
+    }
+
+    /**
+     * @private
+     */
+    _formatPlan(phases) {
+        const lines = phases.flatMap(phase => [
+            ...(phase.phaseName ? [`### ${phase.phaseName}`] : []),
+            ...phase.items.map(item => `- [${item.changeType}] \`${item.path}\`${item.description ? ` - ${item.description}` : ''}`)
+        ]);
+        return lines.length > 0 ? lines.join('\n') : '（无）';
+    }
+
+    /**
+     * @private
+     */
+    _formatList(items, emptyText) {
+        return items.length > 0 ? items.map(item => `- \`${item}\``).join('\n') : emptyText;
+    }
+
+    /**
+     * @private
+     */
+    _findDocTask(workflow, kind) {
+        return workflow.tasks.find(task => task.kind === kind);
+    }
+
+    /**
+     * 加载流程记录，未指定createId时选择最近一次进行中的流程
+     * @private
+     */
+    async _loadActiveWorkflow(projectPath, createId = null, { includeCompleted = false } = {}) {
+        const normalizedPath = resolve(projectPath);
+
+        if (createId) {
+            const workflow = await this._readWorkflow(normalizedPath, createId);
+            if (!workflow) {
+                throw new Error(`Create流程不存在: ${createId}`);
+            }
+            if (workflow.status === 'completed' && !includeCompleted) {
+                throw new Error(`Create流程 ${createId} 已完成`);
+            }
+            return workflow;
+        }
+
+        const active = (await this.listWorkflows(normalizedPath)).find(summary => summary.status === 'in_progress');
+        if (!active) {
+            throw new Error('没有进行中的Create流程，请先调用 create_step1_requirement_analysis');
+        }
+        return await this._readWorkflow(normalizedPath, active.createId);
+    }
+
+    /**
+     * @private
+     */
+    async _readWorkflow(projectPath, createId) {
+        try {
+            return JSON.parse(await fs.readFile(join(this._getCreateDir(projectPath), createId, this.config.recordFileName), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _saveWorkflow(workflow) {
+        workflow.updatedAt = new Date().toISOString();
+        const workflowDir = join(this._getCreateDir(workflow.projectPath), workflow.createId);
+        await fs.mkdir(workflowDir, { recursive: true });
+        await fs.writeFile(join(workflowDir, this.config.recordFileName), JSON.stringify(workflow, null, 2), 'utf8');
+    }
+
+    /**
+     * @private
+     */
+    _getCreateDir(projectPath) {
+        return join(projectPath, this.config.docsFolderName, this.config.createFolderName);
+    }
+
+    /**
+     * 通知文档资源服务重新扫描
+     * @private
+     */
+    async _notifyDocsRefreshed(projectPath) {
+        const docResourceService = this.serviceBus?.get('docResourceService');
+        if (!docResourceService) {
+            return;
+        }
+
+        try {
+            await docResourceService.refreshProject(projectPath);
+        } catch (error) {
+            console.warn(`[CreateWorkflowService] 文档资源刷新失败: ${error.message}`);
+        }
+    }
+}
+
+export default CreateWorkflowService;
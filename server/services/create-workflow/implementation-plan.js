@@ -0,0 +1,78 @@
+/**
+ * 实现计划解析 - 从影响分析/架构设计文档的"实现计划"章节提取文件变更清单
+ *
+ * 格式约定（每行一个文件变更，可用三级标题划分阶段）：
+ *   ## 实现计划
+ *   ### 阶段一：数据层
+ *   - [创建] `src/models/coupon.js` - 优惠券模型
+ *   - [修改] `src/cart/total.js` - 计算时应用优惠券
+ *   - [删除] `src/legacy/discount.js`
+ *
+ * 变更类型同时支持英文：create / modify / delete
+ */
+
+const CHANGE_TYPES = {
+    '创建': 'create',
+    '新增': 'create',
+    '修改': 'modify',
+    '删除': 'delete',
+    create: 'create',
+    modify: 'modify',
+    delete: 'delete'
+};
+
+const PLAN_HEADING = '实现计划';
+const ITEM_PATTERN = /^\s*[-*]\s*\[([^\]]+)\]\s*`([^`]+)`\s*(?:[-–—:：]\s*(.*))?$/;
+
+/**
+ * 解析实现计划
+ * @param {string} content - Markdown文档内容
+ * @returns {Array<Object>} 阶段列表 [{ phaseName, items: [{ path, changeType, description }] }]
+ */
+export function parseImplementationPlan(content) {
+    const lines = String(content || '').split('\n');
+    const phases = [];
+    let inPlan = false;
+    let planLevel = 0;
+    let currentPhase = null;
+
+    for (const line of lines) {
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        if (heading) {
+            const level = heading[1].length;
+            if (!inPlan) {
+                if (heading[2].includes(PLAN_HEADING)) {
+                    inPlan = true;
+                    planLevel = level;
+                }
+                continue;
+            }
+            if (level <= planLevel) {
+                break;
+            }
+            currentPhase = { phaseName: heading[2].trim(), items: [] };
+            phases.push(currentPhase);
+            continue;
+        }
+
+        if (!inPlan) continue;
+
+        const item = line.match(ITEM_PATTERN);
+        const changeType = item && CHANGE_TYPES[item[1].trim().toLowerCase()];
+        if (!changeType) continue;
+
+        if (!currentPhase) {
+            currentPhase = { phaseName: null, items: [] };
+            phases.push(currentPhase);
+        }
+        currentPhase.items.push({
+            path: item[2].trim().replace(/^\.\//, ''),
+            changeType,
+            description: (item[3] || '').trim()
+        });
+    }
+
+    return phases.filter(phase => phase.items.length > 0);
+}
+
+export default parseImplementationPlan;
@@ -0,0 +1,413 @@
+/**
+ * Mermaid架构图生成服务 - 根据导入依赖图和模块归属确定性地生成Mermaid图
+ *
+ * 核心功能：
+ * - 模块依赖图：模块之间的导入关系（边上标注导入次数，循环依赖的模块高亮）
+ * - 分层架构图：按依赖深度分层，被依赖的模块在下层，循环依赖的模块合并在同一层
+ * - 模块文件图：每个模块内部文件之间的导入关系，以及对其他模块的引用
+ * - 写出到 mg_kiro/diagrams/，Step5/6 提示词中直接提供图代码块，也可以随时重新生成
+ *
+ * 设计理念：
+ * - 只使用Step2的导入依赖图和Step4的模块文档，不调用AI，相同输入得到相同输出
+ * - 模块归属取自知识图谱的 member_of 边，没有写进模块文档的文件按所在目录归组
+ */
+
+import { promises as fs } from 'fs';
+import { join, resolve, dirname } from 'path';
+
+export class MermaidDiagramService {
+    constructor(config = {}, dependencies = {}, serviceBus = null) {
+        this.config = {
+            docsFolderName: 'mg_kiro',
+            diagramsFolderName: 'diagrams',
+            maxModules: 40,             // 模块依赖图/分层图最多显示的模块数
+            maxFilesPerModule: 40,      // 模块文件图最多显示的文件数
+            ...config
+        };
+
+        this.serviceBus = serviceBus;
+        this.projectSessionStore = dependencies.projectSessionStore;
+        this.importGraphBuilder = dependencies.importGraphBuilder;
+        this.knowledgeGraphService = dependencies.knowledgeGraphService;
+    }
+
+    /**
+     * 文件 -> 模块归属（Step4模块文档；未归属的文件按目录）
+     * @param {string} projectPath - 项目根目录
+     * @returns {Promise<{grouping: string, groupOf: Function}>} grouping 为 'module' 或 'directory'
+     */
+    async getModuleAssignment(projectPath) {
+        const moduleOf = new Map();
+
+        if (this.knowledgeGraphService) {
+            try {
+                const graph = await this.knowledgeGraphService.buildGraph(projectPath, { includeSymbols: false });
+                for (const edge of graph.edges) {
+                    if (edge.type !== 'member_of') continue;
+                    const filePath = edge.source.replace(/^file:/, '');
+                    if (!moduleOf.has(filePath)) moduleOf.set(filePath, edge.target.replace(/^module:/, ''));
+                }
+            } catch (error) {
+                console.warn(`[MermaidDiagramService] 读取模块归属失败，按目录归组: ${error.message}`);
+            }
+        }
+
+        return {
+            grouping: moduleOf.size > 0 ? 'module' : 'directory',
+            groupOf: (filePath) => moduleOf.get(filePath) || `${dirname(filePath)}/`
+        };
+    }
+
+    /**
+     * 生成全部Mermaid图
+     * @param {string} projectPath - 项目根目录
+     * @returns {Promise<Object>} { projectPath, grouping, generatedAt, stats, diagrams: { moduleDependencies, layers, moduleFiles } }
+     */
+    async generate(projectPath) {
+        const normalizedPath = resolve(projectPath);
+        const state = this.projectSessionStore ? this.projectSessionStore.getState(normalizedPath) : {};
+        const importGraph = state.stepResults?.step2?.analysisResult?.data?.importGraph;
+
+        if (!importGraph) {
+            throw new Error('没有找到导入依赖图，请先执行 init_step2_file_analysis');
+        }
+
+        const { grouping, groupOf } = await this.getModuleAssignment(normalizedPath);
+        const modules = this._collectModules(importGraph, groupOf);
+        const moduleEdges = this.importGraphBuilder
+            .summarize(importGraph, { groupOf, limit: Infinity })
+            .groupEdges;
+
+        const shown = this._selectModules(modules, moduleEdges);
+        const moduleIds = new Map(shown.map((name, index) => [name, `m${index}`]));
+        const shownEdges = moduleEdges.filter(edge => moduleIds.has(edge.from) && moduleIds.has(edge.to));
+        const components = this._stronglyConnected(shown, shownEdges);
+        const layers = this._layerModules(shown, shownEdges, components);
+        const cycles = components.filter(component => component.length > 1);
+
+        const moduleFiles = Array.from(modules.keys()).sort().map(name =>
+            this._renderModuleFiles(name, modules.get(name), importGraph, groupOf)
+        );
+
+        console.log(`[MermaidDiagramService] 生成完成: ${shown.length} 个模块, ${shownEdges.length} 条模块依赖, ${layers.length} 层`);
+
+        return {
+            projectPath: normalizedPath,
+            grouping,
+            generatedAt: new Date().toISOString(),
+            stats: {
+                modules: modules.size,
+                shownModules: shown.length,
+                moduleEdges: moduleEdges.length,
+                layers: layers.length,
+                cycles: cycles.length
+            },
+            diagrams: {
+                moduleDependencies: this._renderModuleDependencies(shown, shownEdges, moduleIds, cycles),
+                layers: this._renderLayers(layers, shownEdges, moduleIds),
+                moduleFiles
+            }
+        };
+    }
+
+    /**
+     * 生成并写出到 mg_kiro/diagrams/（模块文件图每次全部重写，已删除模块的图随之删除）
+     * @param {string} projectPath - 项目根目录
+     * @returns {Promise<Object>} generate() 的结果，附加 outputDir 和 files
+     */
+    async writeDiagrams(projectPath) {
+        const result = await this.generate(projectPath);
+        const outputDir = join(result.projectPath, this.config.docsFolderName, this.config.diagramsFolderName);
+        const modulesDir = join(outputDir, 'modules');
+        const note = result.grouping === 'module'
+            ? '> 由导入依赖图和 Step4 模块文档自动生成，请勿手动修改；可通过 generate_mermaid_diagrams 重新生成。'
+            : '> 由导入依赖图自动生成（尚无模块文档，按目录归组），请勿手动修改；可通过 generate_mermaid_diagrams 重新生成。';
+
+        await fs.rm(modulesDir, { recursive: true, force: true });
+        await fs.mkdir(modulesDir, { recursive: true });
+
+        const documents = [
+            ['module-dependencies.md', '模块依赖图', result.diagrams.moduleDependencies.diagram],
+            ['architecture-layers.md', '分层架构图', result.diagrams.layers.diagram],
+            ...result.diagrams.moduleFiles.map(entry => [
+                join('modules', `${this._fileNameOf(entry.module)}.md`),
+                `模块文件图 - ${entry.module}`,
+                entry.diagram
+            ])
+        ];
+
+        const files = [];
+        for (const [fileName, title, diagram] of documents) {
+            const filePath = join(outputDir, fileName);
+            await fs.writeFile(filePath, `# ${title}\n\n${note}\n\n${this.toMarkdownBlock(diagram)}\n`);
+            files.push(filePath);
+        }
+
+        console.log(`[MermaidDiagramService] 已写出 ${files.length} 个图文档: ${outputDir}`);
+        return { ...result, outputDir, files };
+    }
+
+    /**
+     * 包装为Markdown代码块
+     * @param {string} diagram - Mermaid图代码
+     * @returns {string}
+     */
+    toMarkdownBlock(diagram) {
+        return `\`\`\`mermaid\n${diagram}\n\`\`\``;
+    }
+
+    /**
+     * 模块 -> 文件列表
+     * @private
+     */
+    _collectModules(importGraph, groupOf) {
+        const modules = new Map();
+        for (const filePath of Object.keys(importGraph.files || {}).sort()) {
+            const module = groupOf(filePath);
+            if (!modules.has(module)) modules.set(module, []);
+            modules.get(module).push(filePath);
+        }
+        return modules;
+    }
+
+    /**
+     * 模块过多时保留导入关系最多的模块
+     * @private
+     */
+    _selectModules(modules, moduleEdges) {
+        const names = Array.from(modules.keys()).sort();
+        if (names.length <= this.config.maxModules) return names;
+
+        const weight = new Map(names.map(name => [name, 0]));
+        for (const edge of moduleEdges) {
+            weight.set(edge.from, weight.get(edge.from) + edge.imports);
+            weight.set(edge.to, weight.get(edge.to) + edge.imports);
+        }
+        return names
+            .slice()
+            .sort((a, b) => weight.get(b) - weight.get(a) || a.localeCompare(b))
+            .slice(0, this.config.maxModules)
+            .sort();
+    }
+
+    /**
+     * 强连通分量（Tarjan），用于识别循环依赖并在分层时合并
+     * @private
+     */
+    _stronglyConnected(names, edges) {
+        const adjacency = new Map(names.map(name => [name, []]));
+        for (const edge of edges) adjacency.get(edge.from).push(edge.to);
+
+        const index = new Map();
+        const lowLink = new Map();
+        const stack = [];
+        const onStack = new Set();
+        const components = [];
+        let counter = 0;
+
+        const visit = (name) => {
+            index.set(name, counter);
+            lowLink.set(name, counter);
+            counter++;
+            stack.push(name);
+            onStack.add(name);
+
+            for (const next of adjacency.get(name)) {
+                if (!index.has(next)) {
+                    visit(next);
+                    lowLink.set(name, Math.min(lowLink.get(name), lowLink.get(next)));
+                } else if (onStack.has(next)) {
+                    lowLink.set(name, Math.min(lowLink.get(name), index.get(next)));
+                }
+            }
+
+            if (lowLink.get(name) === index.get(name)) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== name);
+                components.push(component.sort());
+            }
+        };
+
+        for (const name of names) {
+            if (!index.has(name)) visit(name);
+        }
+        return components;
+    }
+
+    /**
+     * 分层：不依赖其他模块的在第0层，其余为所依赖模块的最高层 +1
+     * @private
+     * @returns {Array<Array<string>>} 第 i 项为第 i 层的模块
+     */
+    _layerModules(names, edges, components) {
+        const componentOf = new Map();
+        components.forEach((component, componentIndex) => {
+            for (const name of component) componentOf.set(name, componentIndex);
+        });
+
+        const dependencies = components.map(() => new Set());
+        for (const edge of edges) {
+            const from = componentOf.get(edge.from);
+            const to = componentOf.get(edge.to);
+            if (from !== to) dependencies[from].add(to);
+        }
+
+        // Tarjan 按逆拓扑序输出分量：被依赖的分量总是先出现
+        const levels = [];
+        components.forEach((component, componentIndex) => {
+            let level = 0;
+            for (const dependency of dependencies[componentIndex]) {
+                level = Math.max(level, levels[dependency] + 1);
+            }
+            levels[componentIndex] = level;
+        });
+
+        const layers = [];
+        for (const name of names) {
+            const level = levels[componentOf.get(name)];
+            if (!layers[level]) layers[level] = [];
+            layers[level].push(name);
+        }
+        return layers.filter(Boolean);
+    }
+
+    /**
+     * @private
+     */
+    _renderModuleDependencies(names, edges, moduleIds, cycles) {
+        const lines = ['flowchart LR'];
+        for (const name of names) {
+            lines.push(`    ${moduleIds.get(name)}["${this._label(name)}"]`);
+        }
+        for (const edge of edges) {
+            lines.push(`    ${moduleIds.get(edge.from)} -->|${edge.imports}| ${moduleIds.get(edge.to)}`);
+        }
+
+        const cyclic = cycles.flat();
+        if (cyclic.length > 0) {
+            lines.push('    classDef cycle stroke:#d9534f,stroke-width:2px');
+            lines.push(`    class ${cyclic.map(name => moduleIds.get(name)).join(',')} cycle`);
+        }
+
+        return {
+            diagram: lines.join('\n'),
+            modules: names.length,
+            edges: edges.length,
+            cycles
+        };
+    }
+
+    /**
+     * 分层图：上层依赖下层，最上层为入口，最下层为基础模块
+     * @private
+     */
+    _renderLayers(layers, edges, moduleIds) {
+        const lines = ['flowchart TB'];
+        const top = layers.length - 1;
+
+        for (let level = top; level >= 0; level--) {
+            const title = level === top && top > 0 ? '入口层'
+                : level === 0 ? '基础层'
+                : '中间层';
+            lines.push(`    subgraph L${level}["L${level} ${title}"]`);
+            lines.push('        direction LR');
+            for (const name of layers[level]) {
+                lines.push(`        ${moduleIds.get(name)}["${this._label(name)}"]`);
+            }
+            lines.push('    end');
+        }
+        for (const edge of edges) {
+            lines.push(`    ${moduleIds.get(edge.from)} --> ${moduleIds.get(edge.to)}`);
+        }
+
+        return {
+            diagram: lines.join('\n'),
+            layers: layers.map((modules, level) => ({ level, modules }))
+        };
+    }
+
+    /**
+     * 模块内部文件图：实线为模块内导入，虚线指向被引用的其他模块
+     * @private
+     */
+    _renderModuleFiles(module, files, importGraph, groupOf) {
+        const shownFiles = files.slice(0, this.config.maxFilesPerModule);
+        const fileIds = new Map(shownFiles.map((filePath, index) => [filePath, `f${index}`]));
+        const externalIds = new Map();
+        const internalEdges = [];
+        const externalEdges = new Set();
+
+        for (const edge of importGraph.edges || []) {
+            if (!fileIds.has(edge.from)) continue;
+            if (fileIds.has(edge.to)) {
+                internalEdges.push(`    ${fileIds.get(edge.from)} --> ${fileIds.get(edge.to)}`);
+                continue;
+            }
+            const target = groupOf(edge.to);
+            if (target === module) continue;
+            if (!externalIds.has(target)) externalIds.set(target, `x${externalIds.size}`);
+            externalEdges.add(`    ${fileIds.get(edge.from)} -.-> ${externalIds.get(target)}`);
+        }
+
+        const lines = ['flowchart LR', `    subgraph M["${this._label(module)}"]`];
+        for (const [filePath, id] of fileIds) {
+            lines.push(`        ${id}["${this._label(filePath)}"]`);
+        }
+        lines.push('    end');
+        for (const [name, id] of externalIds) {
+            lines.push(`    ${id}(["${this._label(name)}"])`);
+        }
+        lines.push(...internalEdges, ...externalEdges);
+        if (externalIds.size > 0) {
+            lines.push('    classDef other fill:#f5f5f5,stroke-dasharray:3 3');
+            lines.push(`    class ${Array.from(externalIds.values()).join(',')} other`);
+        }
+
+        return {
+            module,
+            diagram: lines.join('\n'),
+            files: files.length,
+            truncated: files.length > shownFiles.length,
+            references: Array.from(externalIds.keys())
+        };
+    }
+
+    /**
+     * Mermaid标签转义
+     * @private
+     */
+    _label(text) {
+        return String(text).replace(/"/g, '#quot;');
+    }
+
+    /**
+     * 模块名 -> 文件名（目录分组名含 '/'）
+     * @private
+     */
+    _fileNameOf(module) {
+        const name = module.replace(/\/+$/, '');
+        return name && name !== '.' ? name.replace(/[^\w.-]+/g, '_') : 'root';
+    }
+
+    /**
+     * 获取服务状态
+     */
+    getServiceStatus() {
+        return {
+            name: 'MermaidDiagramService',
+            config: this.config,
+            dependencies: {
+                projectSessionStore: !!this.projectSessionStore,
+                importGraphBuilder: !!this.importGraphBuilder,
+                knowledgeGraphService: !!this.knowledgeGraphService
+            }
+        };
+    }
+}
+
+export default MermaidDiagramService;
@@ -0,0 +1,324 @@
+/**
+ * 文档新鲜度服务 - 找出来源代码已变更、移动或删除的分析文档
+ *
+ * 核心功能：
+ * - 读取 mg_kiro/files/ 下文档的frontmatter（Step3验证通过时写入的来源文件和内容哈希）
+ * - 对比来源文件当前内容哈希：changed（内容变化）、moved（原路径不存在但同内容文件在别处）、deleted（已删除）
+ * - 按模块分组输出过期文档，没有frontmatter的旧文档单独列出
+ *
+ * 模块归属：
+ * - 优先使用 mg_kiro/modules/ 中提到该来源文件的模块文档
+ * - 否则使用来源文件所在目录
+ */
+
+import { promises as fs } from 'fs';
+import { join, resolve, basename, dirname, extname, relative, sep } from 'path';
+import { hashContent, parseDocFrontmatter } from './doc-frontmatter.js';
+
+export class DocFreshnessService {
+    constructor(config = {}, dependencies = {}, serviceBus = null) {
+        this.config = {
+            docsFolderName: 'mg_kiro',
+            filesFolderName: 'files',
+            modulesFolderName: 'modules',
+            docExtensions: ['.md'],
+            ...config
+        };
+
+        this.serviceBus = serviceBus;
+        this.suspectFileRanker = dependencies.suspectFileRanker;
+    }
+
+    /**
+     * 检查项目文档新鲜度
+     * @param {string} projectPath - 项目根目录
+     * @param {Object} [options]
+     * @param {string} [options.module] - 只返回该模块的过期文档
+     * @returns {Promise<Object>} { summary, modules, untrackedDocs, suggestions }
+     */
+    async checkFreshness(projectPath, { module = null } = {}) {
+        const normalizedPath = resolve(projectPath);
+        const docs = await this._loadFileDocs(normalizedPath);
+        const moduleDocs = await this._loadModuleDocs(normalizedPath);
+
+        const currentHashes = new Map();
+        const hashOf = async (sourcePath) => {
+            if (!currentHashes.has(sourcePath)) {
+                try {
+                    currentHashes.set(sourcePath, hashContent(await fs.readFile(join(normalizedPath, sourcePath))));
+                } catch (error) {
+                    currentHashes.set(sourcePath, null);
+                }
+            }
+            return currentHashes.get(sourcePath);
+        };
+
+        // 延迟建立 内容哈希 -> 现有文件 的索引，只在有来源文件缺失时才需要
+        let movedIndex = null;
+        const findMovedFile = async (hash) => {
+            if (!hash) return null;
+            if (!movedIndex) {
+                movedIndex = new Map();
+                const sourceFiles = this.suspectFileRanker
+                    ? await this.suspectFileRanker.listSourceFiles(normalizedPath)
+                    : [];
+                for (const sourcePath of sourceFiles) {
+                    const currentHash = await hashOf(sourcePath);
+                    if (currentHash && !movedIndex.has(currentHash)) movedIndex.set(currentHash, sourcePath);
+                }
+            }
+            return movedIndex.get(hash) || null;
+        };
+
+        const untrackedDocs = [];
+        const staleByModule = new Map();
+        const counts = { fresh: 0, stale: 0, changed: 0, moved: 0, deleted: 0 };
+
+        for (const doc of docs) {
+            if (!doc.frontmatter || !Array.isArray(doc.frontmatter.sources) || doc.frontmatter.sources.length === 0) {
+                untrackedDocs.push(doc.docPath);
+                continue;
+            }
+
+            const sources = [];
+            for (const { path: sourcePath, hash } of doc.frontmatter.sources) {
+                const currentHash = await hashOf(sourcePath);
+                if (currentHash && currentHash === hash) {
+                    sources.push({ path: sourcePath, status: 'fresh' });
+                } else if (currentHash) {
+                    sources.push({ path: sourcePath, status: 'changed' });
+                } else {
+                    const newPath = await findMovedFile(hash);
+                    sources.push(newPath
+                        ? { path: sourcePath, status: 'moved', newPath }
+                        : { path: sourcePath, status: 'deleted' });
+                }
+            }
+
+            const staleSources = sources.filter(source => source.status !== 'fresh');
+            if (staleSources.length === 0) {
+                counts.fresh++;
+                continue;
+            }
+
+            counts.stale++;
+            for (const source of staleSources) counts[source.status]++;
+
+            const entry = {
+                docPath: doc.docPath,
+                taskId: doc.frontmatter.task_id || null,
+                generatedAt: doc.frontmatter.generated_at || null,
+                staleSince: doc.frontmatter.stale_since || null,
+                updateTaskId: doc.frontmatter.update_task_id || null,
+                sources
+            };
+            const modules = new Set(staleSources.map(source => this._resolveModule(source.path, moduleDocs)));
+            for (const moduleName of modules) {
+                if (!staleByModule.has(moduleName)) staleByModule.set(moduleName, []);
+                staleByModule.get(moduleName).push(entry);
+            }
+        }
+
+        const modules = Array.from(staleByModule.entries())
+            .filter(([moduleName]) => !module || moduleName === module)
+            .map(([moduleName, staleDocs]) => ({ module: moduleName, staleDocs }))
+            .sort((a, b) => a.module.localeCompare(b.module));
+
+        return {
+            projectPath: normalizedPath,
+            checkedAt: new Date().toISOString(),
+            summary: {
+                totalDocs: docs.length,
+                trackedDocs: docs.length - untrackedDocs.length,
+                freshDocs: counts.fresh,
+                staleDocs: counts.stale,
+                untrackedDocs: untrackedDocs.length,
+                changedSources: counts.changed,
+                movedSources: counts.moved,
+                deletedSources: counts.deleted
+            },
+            modules,
+            untrackedDocs,
+            suggestions: this._buildSuggestions(counts, untrackedDocs.length)
+        };
+    }
+
+    /**
+     * 建立 来源文件 -> 文档 的索引（只包含带frontmatter的文档）
+     * @param {string} projectPath - 项目根目录
+     * @returns {Promise<Map<string, Array<Object>>>} 来源路径 -> [{ docPath, absolutePath, taskId, sources, staleSince }]
+     */
+    async indexDocsBySource(projectPath) {
+        const normalizedPath = resolve(projectPath);
+        const index = new Map();
+
+        for (const doc of await this._loadFileDocs(normalizedPath)) {
+            if (!doc.frontmatter || !Array.isArray(doc.frontmatter.sources)) continue;
+
+            const entry = {
+                docPath: doc.docPath,
+                absolutePath: join(normalizedPath, doc.docPath),
+                taskId: doc.frontmatter.task_id || null,
+                sources: doc.frontmatter.sources.map(source => source.path),
+                staleSince: doc.frontmatter.stale_since || null
+            };
+            for (const sourcePath of entry.sources) {
+                if (!index.has(sourcePath)) index.set(sourcePath, []);
+                index.get(sourcePath).push(entry);
+            }
+        }
+        return index;
+    }
+
+    /**
+     * 文档生成时记录的来源文件哈希（增量Init的基线应与文档实际对应的内容一致）
+     * 同一来源被多个文档记录时取最近生成的文档；带过期标记的来源不返回，下次Init会重新规划
+     * @param {string} projectPath - 项目根目录
+     * @returns {Promise<Object>} { documented: 来源路径 -> 哈希（带算法前缀）, stale: 过期来源路径[] }
+     */
+    async getDocumentedHashes(projectPath) {
+        const normalizedPath = resolve(projectPath);
+        const latest = new Map();
+        const stale = new Set();
+
+        for (const doc of await this._loadFileDocs(normalizedPath)) {
+            const { frontmatter } = doc;
+            if (!frontmatter || !Array.isArray(frontmatter.sources)) continue;
+
+            for (const sourcePath of frontmatter.stale_sources || []) stale.add(sourcePath);
+            const generatedAt = Date.parse(frontmatter.generated_at) || 0;
+            for (const { path: sourcePath, hash } of frontmatter.sources) {
+                if (!hash) continue;
+                const previous = latest.get(sourcePath);
+                if (!previous || generatedAt >= previous.generatedAt) {
+                    latest.set(sourcePath, { hash, generatedAt });
+                }
+            }
+        }
+
+        const documented = {};
+        for (const [sourcePath, { hash }] of latest) {
+            if (!stale.has(sourcePath)) documented[sourcePath] = hash;
+        }
+        return { documented, stale: Array.from(stale).sort() };
+    }
+
+    /**
+     * 获取服务状态
+     */
+    getServiceStatus() {
+        return {
+            name: 'DocFreshnessService',
+            config: this.config
+        };
+    }
+
+    /**
+     * 读取 mg_kiro/files/ 下所有文档的frontmatter
+     * @private
+     */
+    async _loadFileDocs(projectPath) {
+        const filesDir = join(projectPath, this.config.docsFolderName, this.config.filesFolderName);
+        let docNames;
+        try {
+            docNames = await fs.readdir(filesDir);
+        } catch (error) {
+            return [];
+        }
+
+        const docs = [];
+        for (const docName of docNames.sort()) {
+            if (!this.config.docExtensions.includes(extname(docName).toLowerCase())) continue;
+            try {
+                const content = await fs.readFile(join(filesDir, docName), 'utf8');
+                docs.push({
+                    docPath: `${this.config.docsFolderName}/${this.config.filesFolderName}/${docName}`,
+                    frontmatter: parseDocFrontmatter(content).frontmatter
+                });
+            } catch (error) {
+                // 读取期间被删除，跳过
+            }
+        }
+        return docs;
+    }
+
+    /**
+     * 读取模块文档，用于判断来源文件所属模块
+     * @private
+     */
+    async _loadModuleDocs(projectPath) {
+        const modulesDir = join(projectPath, this.config.docsFolderName, this.config.modulesFolderName);
+        const moduleDocs = [];
+
+        const traverse = async (currentDir) => {
+            let entries;
+            try {
+                entries = await fs.readdir(currentDir, { withFileTypes: true });
+            } catch (error) {
+                return;
+            }
+            for (const entry of entries) {
+                const entryPath = join(currentDir, entry.name);
+                if (entry.isDirectory()) {
+                    await traverse(entryPath);
+                    continue;
+                }
+                if (!this.config.docExtensions.includes(extname(entry.name).toLowerCase())) continue;
+
+                const segments = relative(modulesDir, entryPath).split(sep);
+                const moduleName = segments.length > 1 ? segments[0] : basename(entry.name, extname(entry.name));
+                if (moduleName === 'module-overview') continue;
+
+                try {
+                    moduleDocs.push({ module: moduleName, text: (await fs.readFile(entryPath, 'utf8')).toLowerCase() });
+                } catch (error) {
+                    // 读取期间被删除，跳过
+                }
+            }
+        };
+
+        await traverse(modulesDir);
+        return moduleDocs.sort((a, b) => a.module.localeCompare(b.module));
+    }
+
+    /**
+     * 判断来源文件所属模块
+     * @private
+     */
+    _resolveModule(sourcePath, moduleDocs) {
+        const lowerPath = sourcePath.toLowerCase();
+        const fileName = basename(lowerPath);
+        const owner = moduleDocs.find(moduleDoc => moduleDoc.text.includes(lowerPath))
+            || moduleDocs.find(moduleDoc => moduleDoc.text.includes(fileName));
+        if (owner) return owner.module;
+
+        const directory = dirname(sourcePath);
+        return directory === '.' ? '(root)' : directory;
+    }
+
+    /**
+     * 生成处理建议
+     * @private
+     */
+    _buildSuggestions(counts, untrackedCount) {
+        const suggestions = [];
+        if (counts.changed > 0) {
+            suggestions.push(`${counts.changed} 个来源文件内容已变化，请重新分析并更新对应文档（可重新运行Init，增量模式只处理变更文件）`);
+        }
+        if (counts.moved > 0) {
+            suggestions.push(`${counts.moved} 个来源文件已移动，请按新路径重新生成文档并删除旧文档`);
+        }
+        if (counts.deleted > 0) {
+            suggestions.push(`${counts.deleted} 个来源文件已删除，请删除对应文档并更新模块文档`);
+        }
+        if (untrackedCount > 0) {
+            suggestions.push(`${untrackedCount} 个文档没有来源frontmatter（早于该功能生成），重新运行Step3验证后才能参与检测`);
+        }
+        if (suggestions.length === 0) {
+            suggestions.push('所有已跟踪的文档都与源代码一致');
+        }
+        return suggestions;
+    }
+}
+
+export default DocFreshnessService;
@@ -0,0 +1,684 @@
+/**
+ * 项目监听服务 - 守护进程模式下监听已登记项目，源文件变化时排入文档更新任务
+ *
+ * 核心功能：
+ * - 用 fs.watch 监听已登记项目（DocResourceService），按项目防抖合并变更
+ * - 防抖结束后重新扫描项目（ProjectScanner），与上次快照对比得到新增/修改/删除的文件
+ * - 对应文档追加过期标记（frontmatter 的 stale_since），并在 UnifiedTaskManager 中排入更新任务，
+ *   agent 通过 init_step3_get_next_task 继续处理
+ * - 没有文档的新增源文件排入单文件分析任务
+ * - 可按项目开关，开关状态保存在项目状态中（init-state.json 的 watch 字段）
+ * - 已登记项目记入全局清单（默认 ~/.mg_kiro/projects.json），守护进程启动时据此继续监听
+ * - 排入的任务保存在项目状态中（watchTasks 字段），其他进程在 init_step3_get_next_task 时载入，完成后移除
+ *
+ * 设计理念：
+ * - 事件只用于触发，变更以快照对比为准：编辑器的原子保存、重命名等事件差异不影响结果
+ * - 忽略规则与项目扫描一致（.gitignore / .mgkiroignore），mg_kiro/ 下的写入不会触发
+ * - 更新任务沿用文档原来的任务ID和任务定义，Step3验证仍按原文档名检查；
+ *   同一任务尚未完成时合并变更，不重复排队（以项目状态中的任务为准，各进程内存中的任务可能已在其他进程完成）
+ */
+
+import { watch, existsSync, mkdirSync, readFileSync, writeFileSync, renameSync } from 'fs';
+import { homedir } from 'os';
+import { join, resolve, dirname } from 'path';
+import { markDocStale } from './doc-frontmatter.js';
+import { TaskDefinitionFactory } from '../../interfaces/TaskDefinition.js';
+
+export class ProjectWatchService {
+    constructor(config = {}, dependencies = {}, serviceBus = null) {
+        this.docResourceService = dependencies.docResourceService;
+        this.projectSessionStore = dependencies.projectSessionStore;
+        this.projectScanner = dependencies.projectScanner;
+        this.unifiedTaskManager = dependencies.unifiedTaskManager;
+        this.fileAnalysisModule = dependencies.fileAnalysisModule;
+        this.docFreshnessService = dependencies.docFreshnessService;
+        this.fileQueryService = dependencies.fileQueryService;
+        this.configService = dependencies.configService || null;
+        this.serviceBus = serviceBus;
+
+        // 配置文件中的 watch 段（snake_case）
+        const fileConfig = this.configService?.get('watch', {}) || {};
+        this.config = {
+            autoWatch: fileConfig.auto_watch ?? false,      // 未单独设置的项目是否默认监听
+            debounceMs: fileConfig.debounce_ms ?? 1000,     // 防抖时间，期间的变更合并为一次处理
+            // 已登记项目清单，跨进程共享（MCP会话登记的项目由守护进程监听）
+            registryFile: (fileConfig.registry_file || '~/.mg_kiro/projects.json').replace(/^~(?=$|[\\/])/, homedir()),
+            // macOS/Windows 原生支持递归监听；Linux 上 Node 以逐目录方式模拟且会进入被忽略的目录，
+            // 因此改为只监听快照中的目录
+            recursive: process.platform === 'darwin' || process.platform === 'win32',
+            docsFolderName: 'mg_kiro',
+            ...config
+        };
+
+        this.started = false;
+        this.projects = new Map();        // 项目根目录 → 监听状态
+        this.taskSequence = 0;
+        this._onListChanged = ({ projectPath }) => {
+            if (this.docResourceService?.getProjects().includes(resolve(projectPath))) {
+                this._recordProject(resolve(projectPath));
+            }
+            this._syncProject(projectPath).catch(error => {
+                console.error(`[ProjectWatchService] 同步监听状态失败: ${projectPath}`, error.message);
+            });
+        };
+    }
+
+    /**
+     * 开始监听：处理已登记项目，并跟随之后登记/取消登记的项目
+     * @param {Object} [options]
+     * @param {boolean} [options.autoWatch] - 覆盖配置中的 auto_watch
+     */
+    async start({ autoWatch } = {}) {
+        if (autoWatch !== undefined) this.config.autoWatch = autoWatch;
+        if (!this.started) {
+            this.started = true;
+            this.docResourceService?.on('listChanged', this._onListChanged);
+
+            // 其他进程登记过、已有文档目录的项目
+            for (const projectPath of this._readRegistry()) {
+                if (existsSync(join(projectPath, this.config.docsFolderName))) {
+                    this.docResourceService?.registerProject(projectPath);
+                }
+            }
+        }
+
+        for (const projectPath of this.docResourceService?.getProjects() || []) {
+            await this._syncProject(projectPath);
+        }
+        console.log(`[ProjectWatchService] 已启动，默认${this.config.autoWatch ? '监听' : '不监听'}已登记项目，正在监听 ${this.projects.size} 个项目`);
+    }
+
+    /**
+     * 停止所有监听
+     */
+    stop() {
+        this.docResourceService?.off('listChanged', this._onListChanged);
+        this.started = false;
+        for (const rootPath of Array.from(this.projects.keys())) {
+            this._unwatchProject(rootPath);
+        }
+    }
+
+    /**
+     * 开关项目监听，设置保存在项目状态中
+     * @param {string} projectPath - 项目根目录
+     * @param {boolean} enabled - 是否监听
+     * @returns {Promise<Object>} 项目监听状态
+     */
+    async setProjectWatch(projectPath, enabled) {
+        const rootPath = resolve(projectPath);
+        this.projectSessionStore.updateState(rootPath, {
+            watch: { enabled: Boolean(enabled), updatedAt: new Date().toISOString() }
+        });
+        this.docResourceService?.registerProject(rootPath);
+
+        await this._syncProject(rootPath);
+        return this.getProjectStatus(rootPath);
+    }
+
+    /**
+     * 立即处理项目中累积的变更（不等待防抖）
+     * @param {string} projectPath - 项目根目录
+     * @returns {Promise<Object|null>} 本次处理结果，项目未监听时返回 null
+     */
+    async flush(projectPath) {
+        const project = this.projects.get(resolve(projectPath));
+        if (!project) return null;
+
+        clearTimeout(project.timer);
+        project.timer = null;
+        if (project.flushing) {
+            project.flushAgain = true;
+            return project.flushing;
+        }
+
+        project.flushing = this._processChanges(project)
+            .catch(error => {
+                project.lastError = error.message;
+                console.error(`[ProjectWatchService] 处理变更失败: ${project.rootPath}`, error.message);
+                return null;
+            })
+            .finally(() => {
+                project.flushing = null;
+                if (project.flushAgain && this.projects.get(project.rootPath) === project) {
+                    project.flushAgain = false;
+                    this._scheduleFlush(project);
+                }
+            });
+        return project.flushing;
+    }
+
+    /**
+     * 载入项目状态中排队的监听任务（可能由其他进程排入），已在队列中的任务同步最新变更；
+     * 已不在项目状态中的待处理监听任务已在其他进程完成，从本进程队列移除
+     * @param {string} projectPath - 项目根目录
+     * @returns {Promise<number>} 新载入的任务数
+     */
+    async loadQueuedTasks(projectPath) {
+        const rootPath = resolve(projectPath);
+        if (!this.projectSessionStore.hasState(rootPath)) return 0;
+        const queuedTasks = this._getQueuedTasks(rootPath);
+        const queuedIds = new Set(queuedTasks.map(definition => definition.id));
+
+        for (const task of this.unifiedTaskManager.getProjectTasks(rootPath, 'step3')) {
+            if (task.status === 'pending' && task.metadata.watchUpdate && !queuedIds.has(task.id)) {
+                this.unifiedTaskManager.discardTask(task.id);
+            }
+        }
+
+        let loaded = 0;
+        for (const definition of queuedTasks) {
+            if (this._applyToActiveTask(rootPath, definition)) continue;
+            this.fileAnalysisModule?.registerTaskDefinitions([definition], rootPath);
+            await this.unifiedTaskManager.createTask(structuredClone(definition), rootPath, 'step3');
+            loaded++;
+        }
+        if (loaded > 0) {
+            console.log(`[ProjectWatchService] ${rootPath}: 载入 ${loaded} 个排队的监听任务`);
+        }
+        return loaded;
+    }
+
+    /**
+     * 任务完成后从项目状态的监听任务队列中移除
+     * @param {string} projectPath - 项目根目录
+     * @param {string} taskId - 任务ID
+     * @returns {boolean} 是否为排队的监听任务
+     */
+    completeQueuedTask(projectPath, taskId) {
+        const rootPath = resolve(projectPath);
+        if (!this.projectSessionStore.hasState(rootPath)) return false;
+        const queuedTasks = this._getQueuedTasks(rootPath);
+        const remaining = queuedTasks.filter(definition => definition.id !== taskId);
+        if (remaining.length === queuedTasks.length) return false;
+
+        this.projectSessionStore.updateState(rootPath, { watchTasks: remaining });
+        return true;
+    }
+
+    /**
+     * 获取项目监听状态
+     * @param {string} projectPath - 项目根目录
+     * @returns {Object} { projectPath, watching, enabled, mode, ... }
+     */
+    getProjectStatus(projectPath) {
+        const rootPath = resolve(projectPath);
+        const project = this.projects.get(rootPath);
+        return {
+            projectPath: rootPath,
+            watching: Boolean(project),
+            enabled: this._isEnabled(rootPath),
+            mode: project ? (project.recursive ? 'recursive' : 'per_directory') : null,
+            watchedSince: project?.watchedSince || null,
+            lastFlushAt: project?.lastFlushAt || null,
+            pendingChanges: Boolean(project?.timer),
+            staleDocsMarked: project?.staleDocsMarked || 0,
+            tasksQueued: project?.tasksQueued || 0,
+            lastError: project?.lastError || null
+        };
+    }
+
+    /**
+     * ServiceBus兼容方法：获取服务状态
+     */
+    getStatus() {
+        return {
+            name: 'ProjectWatchService',
+            status: this.started ? 'active' : 'idle',
+            autoWatch: this.config.autoWatch,
+            debounceMs: this.config.debounceMs,
+            projects: Array.from(this.projects.keys()).map(rootPath => this.getProjectStatus(rootPath))
+        };
+    }
+
+    /**
+     * 项目是否应被监听：项目状态中的开关优先，否则使用 autoWatch
+     * @private
+     */
+    _isEnabled(rootPath) {
+        if (this.projectSessionStore?.hasState(rootPath)) {
+            const enabled = this.projectSessionStore.getState(rootPath).watch?.enabled;
+            if (typeof enabled === 'boolean') return enabled;
+        }
+        return this.config.autoWatch;
+    }
+
+    /**
+     * 按登记情况和开关启动或停止项目监听
+     * @private
+     */
+    async _syncProject(projectPath) {
+        const rootPath = resolve(projectPath);
+        const registered = this.docResourceService?.getProjects().includes(rootPath) ?? true;
+        const shouldWatch = this.started && registered && this._isEnabled(rootPath);
+
+        if (shouldWatch && !this.projects.has(rootPath)) {
+            await this._watchProject(rootPath);
+        } else if (!shouldWatch && this.projects.has(rootPath)) {
+            this._unwatchProject(rootPath);
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _watchProject(rootPath) {
+        const project = {
+            rootPath,
+            watchers: new Map(),          // 相对目录（'' 为根目录）→ FSWatcher
+            recursive: this.config.recursive,
+            baseline: new Map(),          // 相对路径 → 'mtime:size'
+            ignoreMatcher: this.projectScanner.ignoreRules.forProject(rootPath),
+            timer: null,
+            flushing: null,
+            flushAgain: false,
+            watchedSince: new Date().toISOString(),
+            lastFlushAt: null,
+            staleDocsMarked: 0,
+            tasksQueued: 0,
+            lastError: null
+        };
+        this.projects.set(rootPath, project);
+
+        try {
+            const snapshot = await this.projectScanner.scan(rootPath, { refresh: true });
+            project.baseline = this._toBaseline(snapshot);
+
+            if (project.recursive) {
+                try {
+                    this._addWatcher(project, '', { recursive: true });
+                } catch (error) {
+                    if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error;
+                    project.recursive = false;
+                }
+            }
+            // 逐目录监听：每次处理变更后按快照同步
+            if (!project.recursive) this._syncDirectoryWatchers(project, snapshot);
+        } catch (error) {
+            this._unwatchProject(rootPath);
+            throw error;
+        }
+
+        console.log(`[ProjectWatchService] 开始监听: ${rootPath}（${project.recursive ? '递归' : `${project.watchers.size} 个目录`}）`);
+    }
+
+    /**
+     * @private
+     */
+    _unwatchProject(rootPath) {
+        const project = this.projects.get(rootPath);
+        if (!project) return;
+
+        clearTimeout(project.timer);
+        for (const watcher of project.watchers.values()) {
+            watcher.close();
+        }
+        this.projects.delete(rootPath);
+        console.log(`[ProjectWatchService] 停止监听: ${rootPath}`);
+    }
+
+    /**
+     * @private
+     */
+    _addWatcher(project, relativeDirectory, options = {}) {
+        const watcher = watch(join(project.rootPath, relativeDirectory), options, (eventType, fileName) => {
+            const changedPath = fileName
+                ? [relativeDirectory, fileName.toString().replace(/\\/g, '/')].filter(Boolean).join('/')
+                : relativeDirectory;
+            this._onFileEvent(project, changedPath);
+        });
+        watcher.on('error', (error) => {
+            // 被监听的目录删除后由下次同步清理
+            project.watchers.delete(relativeDirectory);
+            watcher.close();
+            if (relativeDirectory === '') project.lastError = error.message;
+        });
+        project.watchers.set(relativeDirectory, watcher);
+    }
+
+    /**
+     * 逐目录监听模式：为快照中的目录补建监听，移除已不存在目录的监听
+     * @private
+     */
+    _syncDirectoryWatchers(project, snapshot) {
+        const directories = new Set(['', ...snapshot.directories.map(directory => directory.path)]);
+        for (const [relativeDirectory, watcher] of project.watchers) {
+            if (!directories.has(relativeDirectory)) {
+                watcher.close();
+                project.watchers.delete(relativeDirectory);
+            }
+        }
+        for (const relativeDirectory of directories) {
+            if (project.watchers.has(relativeDirectory)) continue;
+            try {
+                this._addWatcher(project, relativeDirectory);
+            } catch (error) {
+                // 目录在扫描后被删除，跳过
+            }
+        }
+    }
+
+    /**
+     * 过滤文档目录和被忽略的路径，其余事件触发防抖
+     * @private
+     */
+    _onFileEvent(project, changedPath) {
+        if (changedPath === this.config.docsFolderName || changedPath.startsWith(`${this.config.docsFolderName}/`)) return;
+        if (changedPath && project.ignoreMatcher.ignores(changedPath)) return;
+        this._scheduleFlush(project);
+    }
+
+    /**
+     * @private
+     */
+    _scheduleFlush(project) {
+        clearTimeout(project.timer);
+        project.timer = setTimeout(() => {
+            project.timer = null;
+            this.flush(project.rootPath);
+        }, this.config.debounceMs);
+    }
+
+    /**
+     * 重新扫描并与上次快照对比，标记过期文档并排入更新任务
+     * @private
+     */
+    async _processChanges(project) {
+        const snapshot = await this.projectScanner.scan(project.rootPath, { refresh: true });
+        const baseline = this._toBaseline(snapshot);
+        const changes = [];
+
+        for (const [relativePath, signature] of baseline) {
+            if (!project.baseline.has(relativePath)) {
+                changes.push({ path: relativePath, status: 'added' });
+            } else if (project.baseline.get(relativePath) !== signature) {
+                changes.push({ path: relativePath, status: 'changed' });
+            }
+        }
+        for (const relativePath of project.baseline.keys()) {
+            if (!baseline.has(relativePath)) changes.push({ path: relativePath, status: 'removed' });
+        }
+
+        project.baseline = baseline;
+        project.lastFlushAt = new Date().toISOString();
+        project.ignoreMatcher = this.projectScanner.ignoreRules.forProject(project.rootPath);
+        if (!project.recursive) this._syncDirectoryWatchers(project, snapshot);
+
+        if (changes.length === 0) {
+            return { changes, staleDocs: [], queuedTasks: [], mergedTasks: [] };
+        }
+
+        const sizes = new Map(snapshot.files.map(file => [file.path, file.size]));
+        const result = await this._queueDocUpdates(project, changes, sizes);
+        project.staleDocsMarked += result.staleDocs.length;
+        project.tasksQueued += result.queuedTasks.length;
+
+        console.log(`[ProjectWatchService] ${project.rootPath}: ${changes.length} 个文件变更，${result.staleDocs.length} 个文档过期，排入 ${result.queuedTasks.length} 个任务，合并 ${result.mergedTasks.length} 个任务`);
+        return { changes, ...result };
+    }
+
+    /**
+     * @private
+     */
+    async _queueDocUpdates(project, changes, sizes) {
+        const rootPath = project.rootPath;
+        const state = this.projectSessionStore.getState(rootPath);
+        const step2Definitions = state.stepResults?.step2?.analysisResult?.data?.taskDefinitions || [];
+        // Step2 完成前没有任务流程可接续，只标记文档
+        const canQueue = Boolean(state.stepsCompleted?.includes('step2'));
+        if (canQueue) await this._ensureInitTasksLoaded(rootPath, state, step2Definitions);
+
+        const docIndex = await this.docFreshnessService.indexDocsBySource(rootPath);
+        const updates = new Map();        // 任务ID（无ID时为文档路径）→ { taskId, docs, changes }
+        const addedFiles = [];
+
+        for (const change of changes) {
+            const docs = docIndex.get(change.path) || [];
+            if (docs.length === 0) {
+                if (change.status === 'added' && this.fileQueryService?.isSourceFile(change.path.split('/').pop())) {
+                    addedFiles.push(change.path);
+                }
+                continue;
+            }
+            for (const doc of docs) {
+                const key = doc.taskId || doc.docPath;
+                if (!updates.has(key)) updates.set(key, { taskId: doc.taskId, docs: new Map(), changes: [] });
+                const update = updates.get(key);
+                update.docs.set(doc.docPath, doc);
+                if (!update.changes.some(existing => existing.path === change.path)) update.changes.push(change);
+            }
+        }
+
+        const result = { staleDocs: [], queuedTasks: [], mergedTasks: [] };
+        for (const update of updates.values()) {
+            for (const doc of update.docs.values()) {
+                const changedSources = update.changes.map(change => change.path).filter(path => doc.sources.includes(path));
+                const { marked } = await markDocStale(doc.absolutePath, { sources: changedSources, updateTaskId: update.taskId });
+                if (marked) result.staleDocs.push(doc.docPath);
+            }
+            if (!canQueue || !update.taskId) continue;
+
+            const outcome = await this._queueUpdateTask(rootPath, update, step2Definitions);
+            if (outcome === 'merged') result.mergedTasks.push(update.taskId);
+            else if (outcome === 'queued') result.queuedTasks.push(update.taskId);
+        }
+
+        if (canQueue) {
+            for (const relativePath of addedFiles) {
+                const taskId = await this._queueNewFileTask(project, relativePath, sizes.get(relativePath) || 0);
+                if (taskId) result.queuedTasks.push(taskId);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 服务重启后任务管理器为空：先载入Step2的任务，避免更新任务挡住未完成的Init任务
+     * （init_step3_get_next_task 只在任务管理器为空时载入Step2任务）
+     * @private
+     */
+    async _ensureInitTasksLoaded(rootPath, state, step2Definitions) {
+        if (state.stepsCompleted?.includes('step3') || step2Definitions.length === 0) return;
+        await this.unifiedTaskManager.ensureProjectTasks(step2Definitions, rootPath, 'step3');
+    }
+
+    /**
+     * 按文档原任务定义排入更新任务，同一任务仍在队列中时合并变更
+     * @private
+     * @returns {Promise<string|null>} 'queued' | 'merged' | null（来源文件已全部删除）
+     */
+    async _queueUpdateTask(rootPath, update, step2Definitions) {
+        const { taskId } = update;
+        const detectedAt = new Date().toISOString();
+        const docPaths = Array.from(update.docs.keys());
+
+        const queued = this._getQueuedTasks(rootPath).find(definition => definition.id === taskId);
+        if (queued) {
+            const changes = new Map(queued.watchUpdate.changes.map(change => [change.path, change]));
+            for (const change of update.changes) changes.set(change.path, change);
+            queued.watchUpdate = {
+                ...queued.watchUpdate,
+                detectedAt,
+                changes: Array.from(changes.values()),
+                staleDocs: Array.from(new Set([...queued.watchUpdate.staleDocs, ...docPaths]))
+            };
+            queued.description = this._describeUpdate(queued.watchUpdate.changes);
+            this._saveQueuedTask(rootPath, queued);
+            this._applyToActiveTask(rootPath, queued);
+            return 'merged';
+        }
+
+        const removed = new Set(update.changes.filter(change => change.status === 'removed').map(change => change.path));
+        const definition = await this._findTaskDefinition(taskId, step2Definitions)
+            || this._createFallbackDefinition(rootPath, taskId, update.docs);
+        definition.files = (definition.files || []).filter(path => !removed.has(path));
+        if (definition.files.length === 0) return null;
+
+        if (!definition.relativePath) {
+            definition.relativePath = definition.files[0];
+            definition.fileName = definition.files[0].split('/').pop();
+        }
+        definition.watchUpdate = { reason: 'source_changed', detectedAt, changes: update.changes, staleDocs: docPaths };
+        definition.description = this._describeUpdate(update.changes);
+
+        await this._queueTask(rootPath, definition);
+        return 'queued';
+    }
+
+    /**
+     * 为没有文档的新增源文件排入单文件分析任务（同一文件只排一次）
+     * @private
+     */
+    async _queueNewFileTask(project, relativePath, size) {
+        const alreadyQueued = this._getQueuedTasks(project.rootPath).some(definition =>
+            definition.watchUpdate?.reason === 'file_added' && definition.relativePath === relativePath);
+        if (alreadyQueued) return null;
+
+        const fileName = relativePath.split('/').pop();
+        const taskId = this.unifiedTaskManager.generateTaskId('step3', `watch${++this.taskSequence}`);
+        const definition = TaskDefinitionFactory.createSingleFileTask(taskId, relativePath, Math.ceil(size / 4), {
+            projectPath: project.rootPath,
+            fileInfo: { path: relativePath, name: fileName, size }
+        });
+        definition.relativePath = relativePath;
+        definition.fileName = fileName;
+        definition.watchUpdate = {
+            reason: 'file_added',
+            detectedAt: new Date().toISOString(),
+            changes: [{ path: relativePath, status: 'added' }],
+            staleDocs: []
+        };
+        definition.description = `新增源文件，生成文档: ${relativePath}`;
+
+        await this._queueTask(project.rootPath, definition);
+        return taskId;
+    }
+
+    /**
+     * 排入任务：写入项目状态，并加入本进程的任务队列（同ID的任务仍在处理中时只更新其变更信息）
+     * @private
+     */
+    async _queueTask(rootPath, definition) {
+        this._saveQueuedTask(rootPath, definition);
+        this.fileAnalysisModule?.registerTaskDefinitions([definition], rootPath);
+        if (!this._applyToActiveTask(rootPath, definition)) {
+            await this.unifiedTaskManager.createTask(structuredClone(definition), rootPath, 'step3');
+        }
+    }
+
+    /**
+     * 同步本进程中同ID未完成任务的变更信息
+     * @private
+     * @returns {boolean} 是否存在该任务
+     */
+    _applyToActiveTask(rootPath, definition) {
+        const activeTask = this.unifiedTaskManager.getActiveTask(definition.id);
+        if (!activeTask || activeTask.projectPath !== rootPath) return false;
+
+        activeTask.metadata.watchUpdate = structuredClone(definition.watchUpdate);
+        activeTask.metadata.description = definition.description;
+        activeTask.updatedAt = definition.watchUpdate.detectedAt;
+        return true;
+    }
+
+    /**
+     * @private
+     */
+    _getQueuedTasks(rootPath) {
+        return this.projectSessionStore.getState(rootPath).watchTasks || [];
+    }
+
+    /**
+     * @private
+     */
+    _saveQueuedTask(rootPath, definition) {
+        const queuedTasks = this._getQueuedTasks(rootPath).filter(queued => queued.id !== definition.id);
+        this.projectSessionStore.updateState(rootPath, { watchTasks: [...queuedTasks, definition] });
+    }
+
+    /**
+     * 读取已登记项目清单
+     * @private
+     */
+    _readRegistry() {
+        try {
+            const registry = JSON.parse(readFileSync(this.config.registryFile, 'utf8'));
+            return Array.isArray(registry.projects) ? registry.projects : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * 登记项目写入清单（临时文件+重命名保证原子性）
+     * @private
+     */
+    _recordProject(rootPath) {
+        const projects = this._readRegistry();
+        if (projects.includes(rootPath)) return;
+
+        const registryFile = this.config.registryFile;
+        try {
+            mkdirSync(dirname(registryFile), { recursive: true });
+            const tempFile = `${registryFile}.${process.pid}.tmp`;
+            writeFileSync(tempFile, JSON.stringify({ projects: [...projects, rootPath] }, null, 2));
+            renameSync(tempFile, registryFile);
+        } catch (error) {
+            console.error(`[ProjectWatchService] 写入项目清单失败: ${registryFile}`, error.message);
+        }
+    }
+
+    /**
+     * 查找文档原任务定义：优先Step2结果（含完整元数据），其次FileAnalysisModule中登记的定义
+     * @private
+     */
+    async _findTaskDefinition(taskId, step2Definitions) {
+        const definition = step2Definitions.find(candidate => candidate.id === taskId)
+            || await this.fileAnalysisModule?.getTaskDefinition(taskId);
+        if (!definition) return null;
+
+        const { watchUpdate, description, ...original } = structuredClone(definition);
+        return original;
+    }
+
+    /**
+     * 找不到原任务定义时按文档来源重建，批次策略按文档名推断以保持验证的文档名一致
+     * @private
+     */
+    _createFallbackDefinition(rootPath, taskId, docs) {
+        const sources = Array.from(new Set(Array.from(docs.values()).flatMap(doc => doc.sources)));
+        const docName = Array.from(docs.keys())[0].split('/').pop();
+        const definition = sources.length > 1
+            ? TaskDefinitionFactory.createFileBatchTask(taskId, sources, 0, { projectPath: rootPath })
+            : TaskDefinitionFactory.createSingleFileTask(taskId, sources[0], 0, { projectPath: rootPath });
+
+        if (docName === `${taskId}_combined_analysis.md`) {
+            definition.batchStrategy = 'CombinedFileBatch';
+        } else if (docName !== `${taskId}_analysis.md`) {
+            definition.batchStrategy = 'SingleFileBatch';
+        }
+        return definition;
+    }
+
+    /**
+     * @private
+     */
+    _describeUpdate(changes) {
+        const labels = { added: '新增', changed: '修改', removed: '删除' };
+        return `源文件变更，更新文档: ${changes.map(change => `${change.path}（${labels[change.status]}）`).join('、')}`;
+    }
+
+    /**
+     * 快照 → 相对路径 → 'mtime:size'（二进制文件不生成文档，不参与对比）
+     * @private
+     */
+    _toBaseline(snapshot) {
+        const baseline = new Map();
+        for (const file of snapshot.files) {
+            if (!file.isBinary) baseline.set(file.path, `${file.mtime.getTime()}:${file.size}`);
+        }
+        return baseline;
+    }
+}
+
+export default ProjectWatchService;
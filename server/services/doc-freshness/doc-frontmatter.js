@@ -0,0 +1,327 @@
+/**
+ * 文档Frontmatter - 在生成的分析文档开头记录来源文件和内容哈希
+ *
+ * 格式（YAML子集，只读写本模块生成的字段）：
+ *   ---
+ *   task_id: "task_3"
+ *   generated_at: "2026-01-01T00:00:00.000Z"
+ *   sources:
+ *     - path: "src/cart/total.js"
+ *       hash: "sha256:..."
+ *       commits: 12
+ *       last_modified: "2026-01-01T00:00:00+08:00"
+ *       last_commit: "a1b2c3d"
+ *       authors: ["alice", "bob"]
+ *       churn: 340
+ *   ---
+ *
+ * 组合批次文档对应多个来源文件，因此 sources 始终是列表
+ * Git字段只在项目是Git仓库且Step1采集到该文件历史时写入
+ *
+ * 监听模式发现来源文件变化时追加过期标记（重新生成文档并验证后自动清除）：
+ *   stale_since: "2026-01-02T00:00:00.000Z"
+ *   stale_sources: ["src/cart/total.js"]
+ *   update_task_id: "task_3"
+ */
+
+import { promises as fs } from 'fs';
+import { createHash } from 'crypto';
+import { join } from 'path';
+
+const FRONTMATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+const HASH_ALGORITHM = 'sha256';
+const GIT_SOURCE_FIELDS = ['commits', 'last_modified', 'last_commit', 'authors', 'churn'];
+
+/**
+ * 计算源文件内容哈希
+ * @param {string|Buffer} content - 文件内容
+ * @returns {string} 带算法前缀的哈希，如 sha256:ab12...
+ */
+export function hashContent(content) {
+    return `${HASH_ALGORITHM}:${createHash(HASH_ALGORITHM).update(content).digest('hex')}`;
+}
+
+/**
+ * 解析文档Frontmatter
+ * @param {string} content - 文档内容
+ * @returns {Object} { frontmatter, body }，没有frontmatter时 frontmatter 为 null
+ */
+export function parseDocFrontmatter(content) {
+    const text = String(content || '');
+    const match = text.match(FRONTMATTER_PATTERN);
+    if (!match) {
+        return { frontmatter: null, body: text };
+    }
+
+    const frontmatter = {};
+    let currentList = null;
+    let currentItem = null;
+
+    for (const rawLine of match[1].split(/\r?\n/)) {
+        if (!rawLine.trim() || rawLine.trim().startsWith('#')) continue;
+
+        const listItem = rawLine.match(/^\s+-\s+([\w-]+):\s*(.*)$/);
+        const listField = rawLine.match(/^\s+([\w-]+):\s*(.*)$/);
+        const topLevel = rawLine.match(/^([\w-]+):\s*(.*)$/);
+
+        if (listItem && currentList) {
+            currentItem = { [listItem[1]]: parseScalar(listItem[2]) };
+            currentList.push(currentItem);
+        } else if (listField && currentItem) {
+            currentItem[listField[1]] = parseScalar(listField[2]);
+        } else if (topLevel) {
+            currentItem = null;
+            if (topLevel[2].trim() === '') {
+                currentList = [];
+                frontmatter[topLevel[1]] = currentList;
+            } else {
+                currentList = null;
+                frontmatter[topLevel[1]] = parseScalar(topLevel[2]);
+            }
+        }
+    }
+
+    return { frontmatter, body: text.slice(match[0].length) };
+}
+
+/**
+ * 生成Frontmatter文本
+ * @param {Object} data
+ * @param {string} data.taskId - 生成文档的任务ID
+ * @param {string} data.generatedAt - 生成时间（ISO）
+ * @param {Array<Object>} data.sources - [{ path, hash, commits?, last_modified?, last_commit?, authors?, churn? }]
+ * @param {Object} [data.stale] - 过期标记 { since, sources, updateTaskId }
+ * @returns {string}
+ */
+export function serializeDocFrontmatter({ taskId, generatedAt, sources = [], stale = null }) {
+    const lines = [
+        '---',
+        `task_id: ${JSON.stringify(taskId || null)}`,
+        `generated_at: ${JSON.stringify(generatedAt)}`
+    ];
+    if (stale) {
+        lines.push(`stale_since: ${JSON.stringify(stale.since)}`);
+        lines.push(`stale_sources: ${JSON.stringify(stale.sources || [])}`);
+        lines.push(`update_task_id: ${JSON.stringify(stale.updateTaskId || null)}`);
+    }
+    lines.push('sources:');
+    for (const source of sources) {
+        lines.push(`  - path: ${JSON.stringify(source.path)}`);
+        lines.push(`    hash: ${JSON.stringify(source.hash)}`);
+        for (const field of GIT_SOURCE_FIELDS) {
+            if (source[field] !== undefined && source[field] !== null) {
+                lines.push(`    ${field}: ${JSON.stringify(source[field])}`);
+            }
+        }
+    }
+    lines.push('---', '');
+    return lines.join('\n');
+}
+
+/**
+ * 为文档写入（或替换）Frontmatter，记录来源文件当前的内容哈希
+ * 已有同任务、同来源且哈希与当前一致的frontmatter，并且文档在其生成后未被改写时保持不变
+ * @param {string} projectPath - 项目根目录
+ * @param {string} docPath - 文档绝对路径
+ * @param {Object} options
+ * @param {string} options.taskId - 任务ID
+ * @param {Array<string>} options.sourcePaths - 来源文件（相对项目根目录）
+ * @param {Object} [options.history] - 来源文件的Git历史（路径 -> Step1采集的统计）
+ * @param {number} [options.toleranceMs=2000] - 判断文档是否在写入frontmatter后被改写的时间容差
+ * @returns {Promise<Object>} { stamped, frontmatter }
+ */
+export async function stampDocFrontmatter(projectPath, docPath, { taskId, sourcePaths = [], history = {}, toleranceMs = 2000 }) {
+    const [content, stats] = await Promise.all([fs.readFile(docPath, 'utf8'), fs.stat(docPath)]);
+    const { frontmatter, body } = parseDocFrontmatter(content);
+
+    const currentHashes = await hashSources(projectPath, sourcePaths);
+
+    if (frontmatter && frontmatter.task_id === taskId && Array.isArray(frontmatter.sources)) {
+        const generatedAt = Date.parse(frontmatter.generated_at);
+        const unchanged = frontmatter.sources.length === sourcePaths.length &&
+            frontmatter.sources.every(source => currentHashes.has(source.path) && currentHashes.get(source.path) === source.hash);
+        if (unchanged && !Number.isNaN(generatedAt) && stats.mtimeMs <= generatedAt + toleranceMs) {
+            return { stamped: false, frontmatter };
+        }
+    }
+
+    const sources = sourcePaths.map(sourcePath => ({
+        path: sourcePath,
+        hash: currentHashes.get(sourcePath),
+        ...gitSourceFields(history?.[sourcePath])
+    }));
+
+    const generatedAt = new Date().toISOString();
+    await fs.writeFile(docPath, serializeDocFrontmatter({ taskId, generatedAt, sources }) + body, 'utf8');
+
+    return {
+        stamped: true,
+        frontmatter: { task_id: taskId, generated_at: generatedAt, sources }
+    };
+}
+
+/**
+ * 检查文档是否仍是上次写入frontmatter时的内容、而来源已经不同（任务不同、来源文件不同或内容哈希变化）
+ * 这样的文档是之前任务留下的旧文档，必须重新生成后才能算作该任务的输出
+ * 没有frontmatter或在写入frontmatter后被改写的文档视为新生成，不算过时
+ * @param {string} projectPath - 项目根目录
+ * @param {string} docPath - 文档绝对路径
+ * @param {Object} options
+ * @param {string} options.taskId - 当前任务ID
+ * @param {Array<string>} options.sourcePaths - 当前任务的来源文件（相对项目根目录）
+ * @param {number} [options.toleranceMs=2000] - 与 stampDocFrontmatter 相同的时间容差
+ * @returns {Promise<Object>} { outdated, reason, taskId, changedSources }
+ */
+export async function checkDocOutdated(projectPath, docPath, { taskId, sourcePaths = [], toleranceMs = 2000 }) {
+    const [content, stats] = await Promise.all([fs.readFile(docPath, 'utf8'), fs.stat(docPath)]);
+    const { frontmatter } = parseDocFrontmatter(content);
+    const current = { outdated: false, reason: null, taskId: frontmatter?.task_id || null, changedSources: [] };
+
+    if (!frontmatter || !Array.isArray(frontmatter.sources)) return current;
+    const generatedAt = Date.parse(frontmatter.generated_at);
+    if (Number.isNaN(generatedAt) || stats.mtimeMs > generatedAt + toleranceMs) return current;
+
+    if (frontmatter.task_id !== taskId) {
+        return { ...current, outdated: true, reason: 'other_task' };
+    }
+
+    const recorded = new Map(frontmatter.sources.map(source => [source.path, source.hash]));
+    const currentHashes = await hashSources(projectPath, sourcePaths);
+    const changedSources = sourcePaths.filter(sourcePath =>
+        !recorded.has(sourcePath) || recorded.get(sourcePath) !== currentHashes.get(sourcePath)
+    );
+
+    return changedSources.length > 0
+        ? { ...current, outdated: true, reason: 'sources_changed', changedSources }
+        : current;
+}
+
+/**
+ * 从其他任务的文档中移除已由新文档记录的来源文件（增量Init为变更文件生成了新文档，旧的组合批次文档不再负责它）
+ * 只改写frontmatter，保留文档的修改时间，不影响"文档是否被改写"的判断
+ * @param {string} docPath - 文档绝对路径
+ * @param {Array<string>} sourcePaths - 已由新文档记录的来源文件
+ * @returns {Promise<Array<string>>} 实际移除的来源文件
+ */
+export async function releaseDocSources(docPath, sourcePaths) {
+    const [content, stats] = await Promise.all([fs.readFile(docPath, 'utf8'), fs.stat(docPath)]);
+    const { frontmatter, body } = parseDocFrontmatter(content);
+    if (!frontmatter || !Array.isArray(frontmatter.sources)) return [];
+
+    const released = new Set(sourcePaths);
+    const removed = frontmatter.sources.map(source => source.path).filter(sourcePath => released.has(sourcePath));
+    if (removed.length === 0) return [];
+
+    const staleSources = (frontmatter.stale_sources || []).filter(sourcePath => !released.has(sourcePath));
+    const stale = frontmatter.stale_since && staleSources.length > 0
+        ? { since: frontmatter.stale_since, sources: staleSources, updateTaskId: frontmatter.update_task_id }
+        : null;
+    await fs.writeFile(docPath, serializeDocFrontmatter({
+        taskId: frontmatter.task_id,
+        generatedAt: frontmatter.generated_at,
+        sources: frontmatter.sources.filter(source => !released.has(source.path)),
+        stale
+    }) + body, 'utf8');
+    await fs.utimes(docPath, stats.atime, stats.mtime);
+
+    return removed;
+}
+
+/**
+ * 为文档追加过期标记，保留原有来源和哈希；已标记的文档合并过期来源，保留最早的标记时间
+ * @param {string} docPath - 文档绝对路径
+ * @param {Object} options
+ * @param {Array<string>} options.sources - 发生变化的来源文件（相对项目根目录）
+ * @param {string} [options.updateTaskId] - 负责更新该文档的任务ID
+ * @returns {Promise<Object>} { marked, frontmatter }，文档没有frontmatter时不标记
+ */
+export async function markDocStale(docPath, { sources = [], updateTaskId = null }) {
+    const { frontmatter, body } = parseDocFrontmatter(await fs.readFile(docPath, 'utf8'));
+    if (!frontmatter || !Array.isArray(frontmatter.sources)) {
+        return { marked: false, frontmatter };
+    }
+
+    const stale = {
+        since: frontmatter.stale_since || new Date().toISOString(),
+        sources: Array.from(new Set([...(frontmatter.stale_sources || []), ...sources])).sort(),
+        updateTaskId: updateTaskId || frontmatter.update_task_id || null
+    };
+    await fs.writeFile(docPath, serializeDocFrontmatter({
+        taskId: frontmatter.task_id,
+        generatedAt: frontmatter.generated_at,
+        sources: frontmatter.sources,
+        stale
+    }) + body, 'utf8');
+
+    return {
+        marked: true,
+        frontmatter: {
+            ...frontmatter,
+            stale_since: stale.since,
+            stale_sources: stale.sources,
+            update_task_id: stale.updateTaskId
+        }
+    };
+}
+
+/**
+ * 读取来源文件并计算哈希，不存在的文件哈希为 null
+ * @private
+ */
+async function hashSources(projectPath, sourcePaths) {
+    const hashes = new Map();
+    for (const sourcePath of sourcePaths) {
+        try {
+            hashes.set(sourcePath, hashContent(await fs.readFile(join(projectPath, sourcePath))));
+        } catch (error) {
+            hashes.set(sourcePath, null);
+        }
+    }
+    return hashes;
+}
+
+/**
+ * Step1采集的文件Git统计 -> frontmatter字段
+ * @private
+ */
+function gitSourceFields(stats) {
+    if (!stats) return {};
+    return {
+        commits: stats.commits,
+        last_modified: stats.lastModified,
+        last_commit: stats.lastCommit,
+        authors: stats.authors,
+        churn: stats.churn?.total
+    };
+}
+
+/**
+ * 解析标量值：双引号字符串和 [...] 列表按JSON解析，数字转为Number，null/~ 为空
+ * @private
+ */
+function parseScalar(value) {
+    const trimmed = value.trim();
+    if (trimmed === '' || trimmed === 'null' || trimmed === '~') return null;
+    if (/^-?\d+(\.\d+)?$/.test(trimmed)) return Number(trimmed);
+    if (trimmed.startsWith('"') || trimmed.startsWith('[')) {
+        try {
+            return JSON.parse(trimmed);
+        } catch (error) {
+            return trimmed.slice(1, -1);
+        }
+    }
+    if (trimmed.startsWith("'") && trimmed.endsWith("'")) {
+        return trimmed.slice(1, -1).replace(/''/g, "'");
+    }
+    return trimmed;
+}
+
+export default {
+    hashContent,
+    parseDocFrontmatter,
+    serializeDocFrontmatter,
+    stampDocFrontmatter,
+    checkDocOutdated,
+    releaseDocSources,
+    markDocStale
+};
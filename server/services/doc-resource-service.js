@@ -0,0 +1,344 @@
+/**
+ * 文档资源服务 - 将 mg_kiro/ 下生成的文档暴露为 MCP 资源
+ *
+ * 核心功能：
+ * - 登记项目并枚举 mg_kiro/ 下的所有文档（files/、modules/、relations.md、architecture.md 等）
+ * - 通过 file:// URI 读取文档内容，只允许访问已登记项目的 mg_kiro/ 目录
+ * - 管理资源订阅，文档新增/变更时发出更新事件
+ * - 每次刷新发出 docsChanged 事件（含新增/变更/删除列表），供文档搜索等服务增量更新
+ *
+ * 设计理念：
+ * - 资源URI使用标准 file:// 格式，客户端可直接识别
+ * - 基于 mtime/size 快照检测变更，不依赖文件监听
+ * - 通过事件与MCP服务器解耦：服务只发事件，由入口层转发为MCP通知
+ */
+
+import { EventEmitter } from 'events';
+import { promises as fs } from 'fs';
+import { join, resolve, relative, extname, basename, sep } from 'path';
+import { pathToFileURL, fileURLToPath } from 'url';
+
+export class DocResourceService extends EventEmitter {
+    constructor(config = {}, dependencies = {}, serviceBus = null) {
+        super();
+
+        this.config = {
+            docsFolderName: 'mg_kiro',
+            excludeFolders: ['.tmp'],        // 内部临时文件不作为资源暴露
+            maxDepth: 6,
+            maxResourceSize: 5 * 1024 * 1024, // 5MB
+            mimeTypes: {
+                '.md': 'text/markdown',
+                '.json': 'application/json',
+                '.txt': 'text/plain',
+                '.html': 'text/html'
+            },
+            ...config
+        };
+
+        this.serviceBus = serviceBus;
+
+        // 已登记项目：projectPath -> Map(relativePath -> 快照签名)
+        this.projects = new Map();
+
+        // 已订阅的资源URI -> 订阅会话数（多个MCP会话可订阅同一资源）
+        this.subscriptions = new Map();
+
+        // 每个MCP会话注册一组事件监听（会话关闭或空闲超时时移除），监听数随并发会话数增长
+        this.setMaxListeners(0);
+    }
+
+    /**
+     * 登记项目，使其文档出现在资源列表中
+     * @param {string} projectPath - 项目根目录
+     * @returns {boolean} 是否为新登记的项目
+     */
+    registerProject(projectPath) {
+        if (!projectPath || typeof projectPath !== 'string') {
+            return false;
+        }
+
+        const normalizedPath = resolve(projectPath);
+        if (this.projects.has(normalizedPath)) {
+            return false;
+        }
+
+        this.projects.set(normalizedPath, new Map());
+        console.log(`[DocResourceService] 登记项目: ${normalizedPath}`);
+        this.emit('listChanged', { projectPath: normalizedPath });
+        return true;
+    }
+
+    /**
+     * 取消登记项目
+     * @param {string} projectPath - 项目根目录
+     */
+    unregisterProject(projectPath) {
+        const normalizedPath = resolve(projectPath);
+        if (this.projects.delete(normalizedPath)) {
+            this.emit('listChanged', { projectPath: normalizedPath });
+        }
+    }
+
+    /**
+     * 获取已登记的项目列表
+     * @returns {Array<string>}
+     */
+    getProjects() {
+        return Array.from(this.projects.keys());
+    }
+
+    /**
+     * 列出所有已登记项目的文档资源
+     * @returns {Promise<Array>} MCP Resource 列表
+     */
+    async listResources() {
+        const resources = [];
+
+        for (const projectPath of this.projects.keys()) {
+            const docs = await this._scanDocs(projectPath);
+            for (const doc of docs) {
+                resources.push(this._toResource(projectPath, doc));
+            }
+        }
+
+        return resources;
+    }
+
+    /**
+     * 读取资源内容
+     * @param {string} uri - 资源URI（file://）
+     * @returns {Promise<Object>} MCP ReadResource 结果
+     */
+    async readResource(uri) {
+        const { absolutePath } = this._resolveUri(uri);
+
+        const stats = await fs.stat(absolutePath);
+        if (!stats.isFile()) {
+            throw new Error(`资源不是文件: ${uri}`);
+        }
+        if (stats.size > this.config.maxResourceSize) {
+            throw new Error(`资源过大 (${stats.size} bytes)，超过上限 ${this.config.maxResourceSize} bytes`);
+        }
+
+        const text = await fs.readFile(absolutePath, 'utf8');
+        return {
+            contents: [{
+                uri,
+                mimeType: this._getMimeType(absolutePath),
+                text
+            }]
+        };
+    }
+
+    /**
+     * 订阅资源更新
+     * @param {string} uri - 资源URI
+     */
+    subscribe(uri) {
+        this._resolveUri(uri);
+        this.subscriptions.set(uri, (this.subscriptions.get(uri) || 0) + 1);
+        console.log(`[DocResourceService] 订阅资源: ${uri}`);
+    }
+
+    /**
+     * 取消订阅资源
+     * @param {string} uri - 资源URI
+     */
+    unsubscribe(uri) {
+        const count = this.subscriptions.get(uri) || 0;
+        if (count <= 1) {
+            this.subscriptions.delete(uri);
+        } else {
+            this.subscriptions.set(uri, count - 1);
+        }
+    }
+
+    /**
+     * 重新扫描项目文档并与上次快照对比，发出变更事件
+     * 由步骤验证器在检测文档后调用
+     * @param {string} projectPath - 项目根目录
+     * @returns {Promise<Object>} { added, changed, removed } 相对路径列表
+     */
+    async refreshProject(projectPath) {
+        const normalizedPath = resolve(projectPath);
+        this.registerProject(normalizedPath);
+
+        const previous = this.projects.get(normalizedPath);
+        const current = new Map();
+        const docs = await this._scanDocs(normalizedPath);
+        for (const doc of docs) {
+            current.set(doc.relativePath, `${doc.mtimeMs}:${doc.size}`);
+        }
+
+        const added = [];
+        const changed = [];
+        for (const [relativePath, signature] of current) {
+            if (!previous.has(relativePath)) {
+                added.push(relativePath);
+            } else if (previous.get(relativePath) !== signature) {
+                changed.push(relativePath);
+            }
+        }
+        const removed = Array.from(previous.keys()).filter(relativePath => !current.has(relativePath));
+
+        this.projects.set(normalizedPath, current);
+
+        for (const relativePath of [...added, ...changed, ...removed]) {
+            const uri = this.toResourceUri(normalizedPath, relativePath);
+            if (this.subscriptions.has(uri)) {
+                this.emit('resourceUpdated', { uri, projectPath: normalizedPath });
+            }
+        }
+
+        if (added.length > 0 || removed.length > 0) {
+            this.emit('listChanged', { projectPath: normalizedPath });
+        }
+
+        if (added.length > 0 || changed.length > 0 || removed.length > 0) {
+            this.emit('docsChanged', { projectPath: normalizedPath, added, changed, removed });
+        }
+
+        return { added, changed, removed };
+    }
+
+    /**
+     * 列出项目文档目录下的所有文件（不影响变更快照）
+     * @param {string} projectPath - 项目根目录
+     * @returns {Promise<Array>} [{ relativePath, size, mtimeMs }]，relativePath 相对 mg_kiro/
+     */
+    async listProjectDocs(projectPath) {
+        return await this._scanDocs(resolve(projectPath));
+    }
+
+    /**
+     * 生成文档的资源URI
+     * @param {string} projectPath - 项目根目录
+     * @param {string} relativePath - 相对 mg_kiro/ 的路径
+     * @returns {string} file:// URI
+     */
+    toResourceUri(projectPath, relativePath) {
+        return pathToFileURL(join(resolve(projectPath), this.config.docsFolderName, relativePath)).href;
+    }
+
+    /**
+     * 获取服务状态
+     */
+    getServiceStatus() {
+        return {
+            name: 'DocResourceService',
+            projects: this.projects.size,
+            subscriptions: this.subscriptions.size,
+            config: this.config
+        };
+    }
+
+    /**
+     * 解析资源URI，确保其位于已登记项目的文档目录内
+     * @private
+     */
+    _resolveUri(uri) {
+        let absolutePath;
+        try {
+            absolutePath = resolve(fileURLToPath(uri));
+        } catch (error) {
+            throw new Error(`无效的资源URI: ${uri}`);
+        }
+
+        for (const projectPath of this.projects.keys()) {
+            const docsDir = join(projectPath, this.config.docsFolderName);
+            const relativePath = relative(docsDir, absolutePath);
+            if (relativePath && !relativePath.startsWith('..') && !relativePath.startsWith(sep)) {
+                const topFolder = relativePath.split(sep)[0];
+                if (this.config.excludeFolders.includes(topFolder)) {
+                    break;
+                }
+                return { projectPath, absolutePath, relativePath: relativePath.split(sep).join('/') };
+            }
+        }
+
+        throw new Error(`资源不在已登记项目的 ${this.config.docsFolderName}/ 目录中: ${uri}`);
+    }
+
+    /**
+     * 扫描项目的文档目录
+     * @private
+     */
+    async _scanDocs(projectPath) {
+        const docsDir = join(projectPath, this.config.docsFolderName);
+        const docs = [];
+
+        const traverse = async (currentDir, depth) => {
+            if (depth > this.config.maxDepth) return;
+
+            let entries;
+            try {
+                entries = await fs.readdir(currentDir, { withFileTypes: true });
+            } catch (error) {
+                return;
+            }
+
+            for (const entry of entries) {
+                const entryPath = join(currentDir, entry.name);
+                if (entry.isDirectory()) {
+                    if (depth === 0 && this.config.excludeFolders.includes(entry.name)) {
+                        continue;
+                    }
+                    await traverse(entryPath, depth + 1);
+                } else if (entry.isFile()) {
+                    try {
+                        const stats = await fs.stat(entryPath);
+                        docs.push({
+                            relativePath: relative(docsDir, entryPath).split(sep).join('/'),
+                            size: stats.size,
+                            mtimeMs: stats.mtimeMs
+                        });
+                    } catch (error) {
+                        // 扫描期间被删除的文件，跳过
+                    }
+                }
+            }
+        };
+
+        await traverse(docsDir, 0);
+        return docs.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+    }
+
+    /**
+     * 构建MCP资源描述
+     * @private
+     */
+    _toResource(projectPath, doc) {
+        const projectName = basename(projectPath);
+        return {
+            uri: this.toResourceUri(projectPath, doc.relativePath),
+            name: `${projectName}/${this.config.docsFolderName}/${doc.relativePath}`,
+            description: this._describeDoc(doc.relativePath, projectName),
+            mimeType: this._getMimeType(doc.relativePath),
+            size: doc.size
+        };
+    }
+
+    /**
+     * 根据文档位置生成描述
+     * @private
+     */
+    _describeDoc(relativePath, projectName) {
+        if (relativePath.startsWith('files/')) return `${projectName} 文件分析文档`;
+        if (relativePath.startsWith('modules/')) return `${projectName} 模块文档`;
+        if (relativePath === 'relations.md' || relativePath.startsWith('relations/')) return `${projectName} 模块关联文档`;
+        if (relativePath === 'architecture.md') return `${projectName} 架构文档`;
+        if (relativePath === 'init-state.json') return `${projectName} Init流程状态`;
+        return `${projectName} 项目文档`;
+    }
+
+    /**
+     * 获取MIME类型
+     * @private
+     */
+    _getMimeType(filePath) {
+        return this.config.mimeTypes[extname(filePath).toLowerCase()] || 'text/plain';
+    }
+}
+
+export default DocResourceService;
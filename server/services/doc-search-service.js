@@ -0,0 +1,551 @@
+/**
+ * 文档搜索服务 - 对 mg_kiro/ 下生成的 Markdown 文档做本地全文检索
+ *
+ * 核心功能：
+ * - 为每个项目建立内存倒排索引（词项 -> 文档词频），按需懒加载
+ * - BM25 排序，标题词项额外加权
+ * - 按模块、文档类型过滤（file / module / relations / architecture / fix / analysis / create / other）
+ * - 生成带高亮的摘要片段，并给出所在章节和行号
+ * - 监听 DocResourceService 的 docsChanged 事件增量更新索引（验证器登记新文档时自动触发）
+ *
+ * 分词策略：
+ * - 英文/数字：按 camelCase、snake_case 拆分，小写后做简单词干化（batching -> batch）
+ * - 中文：连续汉字切成二元组（"批次处理" -> 批次、次处、处理），单字保留
+ */
+
+import { promises as fs } from 'fs';
+import { join, resolve, basename, extname } from 'path';
+import { parseDocFrontmatter } from './doc-freshness/doc-frontmatter.js';
+
+const WORD_PATTERN = /[A-Za-z0-9_]+|[\u3400-\u9fff]+/g;
+const WORD_PART_PATTERN = /[A-Z]?[a-z]+|[A-Z]+(?![a-z])|\d+/g;
+const CJK_PATTERN = /^[\u3400-\u9fff]/;
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'by', 'with', 'at', 'from',
+    'is', 'are', 'was', 'were', 'be', 'it', 'this', 'that', 'as', 'where', 'what', 'how', 'which', 'who', 'why', 'when',
+    'do', 'does', 'did', 'can', 'i', 'we', 'you'
+]);
+
+export class DocSearchService {
+    constructor(config = {}, dependencies = {}, serviceBus = null) {
+        this.config = {
+            docsFolderName: 'mg_kiro',
+            indexExtensions: ['.md'],          // 只索引 Markdown 文档
+            maxDocSize: 1024 * 1024,           // 超过1MB的文档不索引
+            k1: 1.2,                           // BM25 词频饱和参数
+            b: 0.75,                           // BM25 文档长度归一化参数
+            titleBoost: 2,                     // 标题词项额外计入的次数
+            defaultLimit: 10,
+            maxLimit: 50,
+            snippetLength: 160,                // 摘要片段长度（字符）
+            highlightMarker: '**',
+            ...config
+        };
+
+        this.serviceBus = serviceBus;
+        this.docResourceService = dependencies.docResourceService;
+
+        // 项目索引：projectPath -> { docs: Map(relativePath -> 文档条目), postings: Map(term -> Map(relativePath -> tf)), totalLength }
+        this.indexes = new Map();
+
+        // 正在进行的增量更新：projectPath -> Promise，搜索前等待其完成
+        this.pendingUpdates = new Map();
+
+        if (this.docResourceService) {
+            this.docResourceService.on('docsChanged', (change) => this._onDocsChanged(change));
+        }
+    }
+
+    /**
+     * 搜索项目文档
+     * @param {string} projectPath - 项目根目录
+     * @param {string} query - 查询文本（中英文均可）
+     * @param {Object} [options]
+     * @param {string} [options.module] - 只返回该模块的文档（模块文档及其提到的文件分析文档）
+     * @param {string|Array<string>} [options.docType] - 文档类型过滤
+     * @param {number} [options.limit] - 返回条数
+     * @returns {Promise<Object>} { query, terms, total, results, index }
+     */
+    async search(projectPath, query, { module = null, docType = null, limit } = {}) {
+        if (!query || typeof query !== 'string' || !query.trim()) {
+            throw new Error('查询内容(query)不能为空');
+        }
+
+        const terms = Array.from(new Set(this._tokenize(query).map(token => token.term)));
+        if (terms.length === 0) {
+            throw new Error(`查询内容没有可检索的词: ${query}`);
+        }
+
+        const normalizedPath = resolve(projectPath);
+        const index = await this._getFreshIndex(normalizedPath);
+
+        const docTypes = docType ? [].concat(docType) : null;
+        const moduleFilter = module ? String(module).toLowerCase() : null;
+        const moduleMembers = moduleFilter ? this._collectModuleMembers(index, moduleFilter) : null;
+
+        const scores = this._scoreDocuments(index, terms);
+        const matched = [];
+        for (const [relativePath, { score, matchedTerms }] of scores) {
+            const doc = index.docs.get(relativePath);
+            if (docTypes && !docTypes.includes(doc.docType)) continue;
+            if (moduleFilter && doc.module !== moduleFilter && !(doc.docType === 'file' && moduleMembers.has(doc.sourceName))) continue;
+            matched.push({ doc, score, matchedTerms });
+        }
+        matched.sort((a, b) => b.score - a.score || a.doc.relativePath.localeCompare(b.doc.relativePath));
+
+        const resultLimit = Math.min(Math.max(parseInt(limit, 10) || this.config.defaultLimit, 1), this.config.maxLimit);
+        const results = [];
+        for (const { doc, score, matchedTerms } of matched.slice(0, resultLimit)) {
+            const excerpt = await this._buildExcerpt(normalizedPath, doc, new Set(terms));
+            results.push({
+                path: `${this.config.docsFolderName}/${doc.relativePath}`,
+                uri: this.docResourceService?.toResourceUri(normalizedPath, doc.relativePath) || null,
+                title: doc.title,
+                docType: doc.docType,
+                module: doc.module,
+                score: Math.round(score * 1000) / 1000,
+                matchedTerms,
+                ...excerpt
+            });
+        }
+
+        return {
+            projectPath: normalizedPath,
+            query,
+            terms,
+            filters: { module: module || null, docType: docTypes },
+            total: matched.length,
+            results,
+            index: {
+                documents: index.docs.size,
+                terms: index.postings.size,
+                builtAt: index.builtAt,
+                updatedAt: index.updatedAt
+            }
+        };
+    }
+
+    /**
+     * 丢弃项目索引，下次搜索时重建
+     * @param {string} projectPath - 项目根目录
+     */
+    invalidateProject(projectPath) {
+        this.indexes.delete(resolve(projectPath));
+    }
+
+    /**
+     * 获取服务状态
+     */
+    getServiceStatus() {
+        return {
+            name: 'DocSearchService',
+            projects: Array.from(this.indexes.entries()).map(([projectPath, index]) => ({
+                projectPath,
+                documents: index.docs.size,
+                terms: index.postings.size,
+                updatedAt: index.updatedAt
+            })),
+            config: this.config
+        };
+    }
+
+    /**
+     * 获取已同步到最新文档的索引
+     * 先确保索引存在，再让 DocResourceService 对比快照，变更通过 docsChanged 事件增量写入索引
+     * @private
+     */
+    async _getFreshIndex(projectPath) {
+        if (!this.indexes.has(projectPath)) {
+            await this._buildIndex(projectPath);
+        }
+
+        if (this.docResourceService) {
+            await this.docResourceService.refreshProject(projectPath);
+        }
+        await this.pendingUpdates.get(projectPath);
+
+        return this.indexes.get(projectPath);
+    }
+
+    /**
+     * 全量建立项目索引
+     * @private
+     */
+    async _buildIndex(projectPath) {
+        const startTime = Date.now();
+        const index = {
+            docs: new Map(),
+            postings: new Map(),
+            totalLength: 0,
+            builtAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        const docs = this.docResourceService
+            ? await this.docResourceService.listProjectDocs(projectPath)
+            : [];
+        for (const { relativePath } of docs) {
+            await this._indexDocument(projectPath, index, relativePath);
+        }
+
+        this.indexes.set(projectPath, index);
+        console.log(`[DocSearchService] 建立索引: ${projectPath} (${index.docs.size} 个文档, ${index.postings.size} 个词项, ${Date.now() - startTime}ms)`);
+        return index;
+    }
+
+    /**
+     * 处理文档变更事件，串行增量更新已建立的索引
+     * @private
+     */
+    _onDocsChanged({ projectPath, added = [], changed = [], removed = [] }) {
+        if (!this.indexes.has(projectPath)) {
+            return;
+        }
+
+        const previous = this.pendingUpdates.get(projectPath) || Promise.resolve();
+        const update = previous.then(async () => {
+            const index = this.indexes.get(projectPath);
+            if (!index) return;
+
+            for (const relativePath of removed) {
+                this._removeDocument(index, relativePath);
+            }
+            for (const relativePath of [...added, ...changed]) {
+                await this._indexDocument(projectPath, index, relativePath);
+            }
+            index.updatedAt = new Date().toISOString();
+            console.log(`[DocSearchService] 增量更新索引: ${projectPath} (+${added.length} ~${changed.length} -${removed.length})`);
+        }).catch(error => {
+            console.error(`[DocSearchService] 增量更新失败，丢弃索引: ${error.message}`);
+            this.indexes.delete(projectPath);
+        }).finally(() => {
+            if (this.pendingUpdates.get(projectPath) === update) {
+                this.pendingUpdates.delete(projectPath);
+            }
+        });
+
+        this.pendingUpdates.set(projectPath, update);
+    }
+
+    /**
+     * 读取并索引单个文档（内容未变时跳过，已存在时先移除旧条目）
+     * @private
+     */
+    async _indexDocument(projectPath, index, relativePath) {
+        if (!this.config.indexExtensions.includes(extname(relativePath).toLowerCase())) {
+            return;
+        }
+
+        const absolutePath = join(projectPath, this.config.docsFolderName, relativePath);
+        let stats;
+        let content;
+        try {
+            stats = await fs.stat(absolutePath);
+            const existing = index.docs.get(relativePath);
+            if (existing && existing.signature === `${stats.mtimeMs}:${stats.size}`) return;
+
+            this._removeDocument(index, relativePath);
+            if (!stats.isFile() || stats.size > this.config.maxDocSize) return;
+            content = this._maskFrontmatter(await fs.readFile(absolutePath, 'utf8'));
+        } catch (error) {
+            this._removeDocument(index, relativePath); // 读取期间被删除
+            return;
+        }
+
+        const title = this._extractTitle(content) || basename(relativePath, extname(relativePath));
+        const termFreqs = new Map();
+        const addTerm = (term, count = 1) => termFreqs.set(term, (termFreqs.get(term) || 0) + count);
+
+        const tokens = this._tokenize(content);
+        for (const { term } of tokens) addTerm(term);
+        for (const { term } of this._tokenize(title)) addTerm(term, this.config.titleBoost);
+
+        const length = Array.from(termFreqs.values()).reduce((sum, tf) => sum + tf, 0);
+        const { docType, module, sourceName } = this._classifyDoc(relativePath);
+
+        const doc = {
+            relativePath,
+            signature: `${stats.mtimeMs}:${stats.size}`,
+            title,
+            docType,
+            module,
+            sourceName,
+            mentionedFiles: docType === 'module' ? this._extractMentionedFiles(content) : null,
+            length,
+            termFreqs
+        };
+
+        for (const [term, tf] of termFreqs) {
+            if (!index.postings.has(term)) index.postings.set(term, new Map());
+            index.postings.get(term).set(relativePath, tf);
+        }
+        index.docs.set(relativePath, doc);
+        index.totalLength += length;
+    }
+
+    /**
+     * 从索引中移除文档
+     * @private
+     */
+    _removeDocument(index, relativePath) {
+        const doc = index.docs.get(relativePath);
+        if (!doc) return;
+
+        for (const term of doc.termFreqs.keys()) {
+            const posting = index.postings.get(term);
+            if (!posting) continue;
+            posting.delete(relativePath);
+            if (posting.size === 0) index.postings.delete(term);
+        }
+        index.docs.delete(relativePath);
+        index.totalLength -= doc.length;
+    }
+
+    /**
+     * BM25 打分
+     * @private
+     */
+    _scoreDocuments(index, terms) {
+        const { k1, b } = this.config;
+        const docCount = index.docs.size;
+        const avgLength = docCount > 0 ? index.totalLength / docCount : 0;
+        const scores = new Map();
+
+        for (const term of terms) {
+            const posting = index.postings.get(term);
+            if (!posting) continue;
+
+            const idf = Math.log(1 + (docCount - posting.size + 0.5) / (posting.size + 0.5));
+            for (const [relativePath, tf] of posting) {
+                const doc = index.docs.get(relativePath);
+                const norm = tf + k1 * (1 - b + b * (doc.length / (avgLength || 1)));
+                const entry = scores.get(relativePath) || { score: 0, matchedTerms: [] };
+                entry.score += idf * (tf * (k1 + 1)) / norm;
+                entry.matchedTerms.push(term);
+                scores.set(relativePath, entry);
+            }
+        }
+
+        return scores;
+    }
+
+    /**
+     * 收集某模块文档中提到的源文件名，用于把文件分析文档归入模块
+     * @private
+     */
+    _collectModuleMembers(index, module) {
+        const members = new Set();
+        for (const doc of index.docs.values()) {
+            if (doc.docType === 'module' && doc.module === module) {
+                for (const name of doc.mentionedFiles || []) members.add(name);
+            }
+        }
+        return members;
+    }
+
+    /**
+     * 生成高亮摘要：选择命中词最密集的窗口
+     * @private
+     */
+    async _buildExcerpt(projectPath, doc, terms) {
+        let content;
+        try {
+            content = this._maskFrontmatter(await fs.readFile(join(projectPath, this.config.docsFolderName, doc.relativePath), 'utf8'));
+        } catch (error) {
+            return { section: null, line: null, snippet: '' };
+        }
+
+        const spans = this._tokenize(content)
+            .filter(token => terms.has(token.term))
+            .sort((a, b) => a.start - b.start);
+        const { snippetLength, highlightMarker } = this.config;
+
+        if (spans.length === 0) {
+            // 只有标题命中
+            return { section: null, line: 1, snippet: this._flatten(content.slice(0, snippetLength)) };
+        }
+
+        let best = 0;
+        let bestCount = 0;
+        for (let i = 0, j = 0; i < spans.length; i++) {
+            while (j < spans.length && spans[j].end <= spans[i].start + snippetLength) j++;
+            if (j - i > bestCount) {
+                best = i;
+                bestCount = j - i;
+            }
+        }
+
+        const anchor = spans[best].start;
+        const windowStart = Math.max(0, Math.min(anchor - Math.floor(snippetLength / 4), content.length - snippetLength));
+        const windowEnd = Math.min(content.length, windowStart + snippetLength);
+
+        // 合并重叠的命中区间（中文二元组会相互重叠）
+        const ranges = [];
+        for (const { start, end } of spans) {
+            if (start < windowStart || end > windowEnd) continue;
+            const last = ranges[ranges.length - 1];
+            if (last && start <= last.end) {
+                last.end = Math.max(last.end, end);
+            } else {
+                ranges.push({ start, end });
+            }
+        }
+
+        let snippet = '';
+        let cursor = windowStart;
+        for (const { start, end } of ranges) {
+            snippet += content.slice(cursor, start) + highlightMarker + content.slice(start, end) + highlightMarker;
+            cursor = end;
+        }
+        snippet += content.slice(cursor, windowEnd);
+
+        return {
+            section: this._findSection(content, anchor),
+            line: content.slice(0, anchor).split('\n').length,
+            snippet: `${content.slice(0, windowStart).trim() ? '…' : ''}${this._flatten(snippet)}${windowEnd < content.length ? '…' : ''}`
+        };
+    }
+
+    /**
+     * 查找位置所在的最近一级标题
+     * @private
+     */
+    _findSection(content, offset) {
+        const headingPattern = /^#{1,6}\s+(.+)$/gm;
+        let section = null;
+        let match;
+        while ((match = headingPattern.exec(content)) !== null && match.index <= offset) {
+            section = match[1].trim();
+        }
+        return section;
+    }
+
+    /**
+     * 分词，返回带原文位置的词项
+     * @private
+     */
+    _tokenize(text) {
+        const tokens = [];
+        const content = String(text || '');
+        let match;
+
+        WORD_PATTERN.lastIndex = 0;
+        while ((match = WORD_PATTERN.exec(content)) !== null) {
+            const word = match[0];
+            const offset = match.index;
+
+            if (CJK_PATTERN.test(word)) {
+                if (word.length === 1) {
+                    tokens.push({ term: word, start: offset, end: offset + 1 });
+                }
+                for (let i = 0; i < word.length - 1; i++) {
+                    tokens.push({ term: word.slice(i, i + 2), start: offset + i, end: offset + i + 2 });
+                }
+                continue;
+            }
+
+            const parts = [];
+            let part;
+            WORD_PART_PATTERN.lastIndex = 0;
+            while ((part = WORD_PART_PATTERN.exec(word)) !== null) {
+                parts.push({ text: part[0], index: part.index });
+            }
+            for (const { text: partText, index } of parts) {
+                const lower = partText.toLowerCase();
+                if (STOP_WORDS.has(lower) || (lower.length < 2 && !/\d/.test(lower))) continue;
+                tokens.push({ term: this._stem(lower), start: offset + index, end: offset + index + partText.length });
+            }
+            // 复合标识符整体也作为一个词项，便于精确查找（如 token_batching、CombinedFileBatchStrategy）
+            if (parts.length > 1) {
+                tokens.push({ term: word.toLowerCase(), start: offset, end: offset + word.length });
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * 简单英文词干化
+     * @private
+     */
+    _stem(word) {
+        if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+        if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+        if (word.length > 4 && /(ss|x|ch|sh)es$/.test(word)) return word.slice(0, -2);
+        if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+        if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+        return word;
+    }
+
+    /**
+     * 根据文档位置判断类型和所属模块
+     * @private
+     */
+    _classifyDoc(relativePath) {
+        const segments = relativePath.split('/');
+        const fileName = basename(relativePath, extname(relativePath));
+
+        if (segments[0] === 'files') {
+            const sourceName = fileName
+                .replace(/^task_\d+(?:_\d+)*_/, '')
+                .replace(/(_combined|_batch|_part\d+)?_analysis$/, '')
+                .toLowerCase();
+            return { docType: 'file', module: null, sourceName };
+        }
+        if (segments[0] === 'modules') {
+            const module = segments.length > 2 ? segments[1] : fileName;
+            return { docType: 'module', module: module === 'module-overview' ? null : module.toLowerCase(), sourceName: null };
+        }
+        if (segments[0] === 'relations' || fileName === 'relations') {
+            return { docType: 'relations', module: null, sourceName: null };
+        }
+        if (fileName === 'architecture' || fileName === 'workspace') {
+            return { docType: 'architecture', module: null, sourceName: null };
+        }
+
+        const folderTypes = { fixes: 'fix', analysis: 'analysis', create: 'create' };
+        return { docType: folderTypes[segments[0]] || 'other', module: null, sourceName: null };
+    }
+
+    /**
+     * 提取模块文档中提到的源文件名（不含扩展名，小写）
+     * @private
+     */
+    _extractMentionedFiles(content) {
+        const names = new Set();
+        for (const match of content.matchAll(/([\w-]+)\.[A-Za-z]{1,5}\b/g)) {
+            names.add(match[1].toLowerCase());
+        }
+        return Array.from(names);
+    }
+
+    /**
+     * 提取文档标题（第一个一级标题）
+     * @private
+     */
+    _extractTitle(content) {
+        const match = content.match(/^#\s+(.+)$/m);
+        return match ? match[1].trim() : null;
+    }
+
+    /**
+     * 用空白替换frontmatter（来源哈希等元数据不参与检索），保留换行以维持行号
+     * @private
+     */
+    _maskFrontmatter(content) {
+        const { frontmatter, body } = parseDocFrontmatter(content);
+        if (!frontmatter) return content;
+        const header = content.slice(0, content.length - body.length);
+        return header.replace(/[^\n]/g, ' ') + body;
+    }
+
+    /**
+     * 摘要压成单行
+     * @private
+     */
+    _flatten(text) {
+        return text.replace(/\s+/g, ' ').trim();
+    }
+}
+
+export default DocSearchService;
@@ -0,0 +1,535 @@
+/**
+ * 文档站导出服务 - 把 mg_kiro/ 下的 Markdown 文档渲染为可直接发布的静态站点
+ *
+ * 核心功能：
+ * - 渲染 mg_kiro/**\/*.md 为 HTML，保持原目录结构（files/x.md -> files/x.html）
+ * - 侧边栏按 概览（README/architecture/relations）、模块（modules/）、文件（files/）及其他目录分组
+ * - 跨文档链接：Markdown 链接和行内代码中的文档路径改写为对应页面
+ * - 浏览器端搜索：索引写入 assets/search-index.js，file:// 打开也可用
+ * - Mermaid：代码块输出为 <pre class="mermaid">，有图的页面加载 Mermaid 脚本绘制
+ *
+ * 设计理念：
+ * - 不依赖额外工具链，站点目录拷走即可发布
+ * - Mermaid 脚本默认引用 CDN；提供本地 mermaid 脚本路径时复制进站点，完全离线
+ * - 只覆盖本服务导出过的目录（带标记文件），避免误删用户目录
+ */
+
+import { promises as fs } from 'fs';
+import { join, resolve, relative, dirname, basename, extname, sep, posix } from 'path';
+import { parseDocFrontmatter } from '../doc-freshness/doc-frontmatter.js';
+import { renderMarkdown, markdownToText, escapeHtml } from './markdown-renderer.js';
+import { SITE_STYLE, SEARCH_SCRIPT } from './site-assets.js';
+
+const SITE_MARKER = '.mg_kiro_site';
+
+export class DocSiteExporter {
+    constructor(config = {}, dependencies = {}, serviceBus = null) {
+        this.config = {
+            docsFolderName: 'mg_kiro',
+            defaultOutputFolderName: 'mg_kiro_site',
+            mermaidScriptUrl: 'https://cdn.jsdelivr.net/npm/mermaid@10/dist/mermaid.esm.min.mjs',
+            maxIndexTextLength: 20000,         // 每个文档写入搜索索引的最大字符数
+            overviewOrder: ['README.md', 'architecture.md', 'relations.md', 'workspace.md'],
+            sectionTitles: {
+                overview: '概览',
+                modules: '模块',
+                files: '文件',
+                fixes: '修复记录',
+                analysis: '代码分析',
+                create: '开发记录'
+            },
+            ...config
+        };
+
+        this.serviceBus = serviceBus;
+        this.docResourceService = dependencies.docResourceService;
+    }
+
+    /**
+     * 导出静态文档站
+     * @param {string} projectPath - 项目根目录
+     * @param {Object} [options]
+     * @param {string} [options.outputDir] - 输出目录（相对路径基于项目根目录），默认 <项目>/mg_kiro_site
+     * @param {string} [options.title] - 站点标题，默认 "<项目名> 项目文档"
+     * @param {string} [options.mermaidScript] - 本地 mermaid.min.js 路径，复制进站点实现离线绘图
+     * @returns {Promise<Object>} { outputDir, entry, pageCount, sections, mermaidPages, mermaidSource }
+     */
+    async exportSite(projectPath, { outputDir = null, title = null, mermaidScript = null } = {}) {
+        const normalizedPath = resolve(projectPath);
+        const docsDir = join(normalizedPath, this.config.docsFolderName);
+        const siteDir = resolve(normalizedPath, outputDir || this.config.defaultOutputFolderName);
+
+        this._assertSafeOutputDir(normalizedPath, docsDir, siteDir);
+
+        const docs = await this._loadDocs(normalizedPath, docsDir, siteDir);
+        if (docs.length === 0) {
+            throw new Error(`${this.config.docsFolderName}/ 下没有可导出的 Markdown 文档，请先完成Init流程`);
+        }
+
+        await this._prepareOutputDir(siteDir);
+
+        const siteTitle = title || `${basename(normalizedPath)} 项目文档`;
+        const mermaid = await this._prepareMermaid(siteDir, mermaidScript);
+        const docPaths = new Set(docs.map(doc => doc.relativePath));
+        const sections = this._buildSections(docs);
+
+        let mermaidPages = 0;
+        for (const doc of docs) {
+            const rendered = renderMarkdown(doc.body, {
+                resolveLink: (href) => this._resolveDocLink(href, doc.relativePath, docPaths),
+                resolveCode: (code) => this._resolveDocReference(code, doc.relativePath, docPaths)
+            });
+            if (rendered.hasMermaid) mermaidPages++;
+
+            const page = this._renderPage({
+                siteTitle,
+                pagePath: doc.pagePath,
+                pageTitle: doc.title,
+                sections,
+                mermaid: rendered.hasMermaid ? mermaid : null,
+                body: [
+                    this._renderDocMeta(doc),
+                    this._renderPageToc(rendered.headings),
+                    rendered.html
+                ].join('\n')
+            });
+            await this._writeFile(siteDir, doc.pagePath, page);
+        }
+
+        await this._writeFile(siteDir, 'index.html', this._renderPage({
+            siteTitle,
+            pagePath: 'index.html',
+            pageTitle: siteTitle,
+            sections,
+            mermaid: null,
+            body: this._renderLandingPage(siteTitle, sections, docs.length)
+        }));
+
+        await this._writeFile(siteDir, 'assets/style.css', SITE_STYLE);
+        await this._writeFile(siteDir, 'assets/search.js', SEARCH_SCRIPT);
+        await this._writeFile(siteDir, 'assets/search-index.js',
+            `window.MG_KIRO_SEARCH_INDEX = ${JSON.stringify(this._buildSearchIndex(docs))};\n`);
+        await this._writeFile(siteDir, SITE_MARKER, JSON.stringify({
+            projectPath: normalizedPath,
+            exportedAt: new Date().toISOString(),
+            pageCount: docs.length
+        }, null, 2));
+
+        console.log(`[DocSiteExporter] 文档站已导出: ${siteDir} (${docs.length} 个页面)`);
+
+        return {
+            projectPath: normalizedPath,
+            outputDir: siteDir,
+            entry: join(siteDir, 'index.html'),
+            pageCount: docs.length,
+            sections: sections.map(section => ({ title: section.title, pages: this._countPages(section.entries) })),
+            mermaidPages,
+            mermaidSource: mermaid.source,
+            exportedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * 获取服务状态
+     */
+    getServiceStatus() {
+        return {
+            name: 'DocSiteExporter',
+            config: this.config
+        };
+    }
+
+    /**
+     * 输出目录不能是项目根目录、文档目录或它们的上级目录
+     * @private
+     */
+    _assertSafeOutputDir(projectPath, docsDir, siteDir) {
+        const contains = (parent, child) => {
+            const relativePath = relative(parent, child);
+            return relativePath === '' || (!relativePath.startsWith('..') && !relativePath.startsWith(sep) && !/^[a-zA-Z]:/.test(relativePath));
+        };
+
+        if (contains(siteDir, projectPath) || contains(siteDir, docsDir)) {
+            throw new Error(`输出目录不能是项目目录、${this.config.docsFolderName}/ 或其上级目录: ${siteDir}`);
+        }
+    }
+
+    /**
+     * 清理上次导出的站点；非空且不是本服务导出的目录拒绝写入
+     * @private
+     */
+    async _prepareOutputDir(siteDir) {
+        let entries;
+        try {
+            entries = await fs.readdir(siteDir);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            await fs.mkdir(siteDir, { recursive: true });
+            return;
+        }
+
+        if (entries.length === 0) return;
+        if (!entries.includes(SITE_MARKER)) {
+            throw new Error(`输出目录已存在且不是导出的文档站，为避免覆盖请选择空目录: ${siteDir}`);
+        }
+
+        for (const entry of entries) {
+            await fs.rm(join(siteDir, entry), { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * 读取所有 Markdown 文档
+     * @private
+     */
+    async _loadDocs(projectPath, docsDir, siteDir) {
+        const listed = this.docResourceService
+            ? await this.docResourceService.listProjectDocs(projectPath)
+            : [];
+
+        const docs = [];
+        for (const { relativePath } of listed) {
+            if (extname(relativePath).toLowerCase() !== '.md') continue;
+
+            const absolutePath = join(docsDir, relativePath);
+            // 输出目录放在 mg_kiro/ 里时跳过自身
+            if (!relative(siteDir, absolutePath).startsWith('..')) continue;
+
+            let content;
+            try {
+                content = await fs.readFile(absolutePath, 'utf8');
+            } catch (error) {
+                continue;
+            }
+
+            const { frontmatter, body } = parseDocFrontmatter(content);
+            const headingMatch = body.match(/^#\s+(.+?)\s*#*\s*$/m);
+            docs.push({
+                relativePath,
+                pagePath: relativePath.replace(/\.md$/i, '.html'),
+                title: headingMatch ? headingMatch[1].replace(/[`*_]/g, '') : basename(relativePath, extname(relativePath)),
+                frontmatter,
+                body
+            });
+        }
+        return docs;
+    }
+
+    /**
+     * 侧边栏分组：概览 -> 模块 -> 文件 -> 其他目录
+     * @private
+     */
+    _buildSections(docs) {
+        const { overviewOrder, sectionTitles } = this.config;
+        const overview = [];
+        const folders = new Map();
+
+        for (const doc of docs) {
+            const segments = doc.relativePath.split('/');
+            if (segments.length === 1) {
+                overview.push(doc);
+                continue;
+            }
+            if (!folders.has(segments[0])) folders.set(segments[0], []);
+            folders.get(segments[0]).push(doc);
+        }
+
+        const rank = (doc) => {
+            const position = overviewOrder.indexOf(doc.relativePath);
+            return position === -1 ? overviewOrder.length : position;
+        };
+        overview.sort((a, b) => rank(a) - rank(b) || a.relativePath.localeCompare(b.relativePath));
+
+        const sections = [];
+        if (overview.length > 0) {
+            sections.push({ key: 'overview', title: sectionTitles.overview, entries: overview.map(doc => ({ doc })) });
+        }
+
+        const folderOrder = ['modules', 'files'];
+        const folderNames = Array.from(folders.keys()).sort((a, b) => {
+            const rankA = folderOrder.indexOf(a) === -1 ? folderOrder.length : folderOrder.indexOf(a);
+            const rankB = folderOrder.indexOf(b) === -1 ? folderOrder.length : folderOrder.indexOf(b);
+            return rankA - rankB || a.localeCompare(b);
+        });
+
+        for (const folder of folderNames) {
+            sections.push({
+                key: folder,
+                title: sectionTitles[folder] || folder,
+                entries: this._buildTree(folders.get(folder), 1)
+            });
+        }
+        return sections;
+    }
+
+    /**
+     * 按子目录构建嵌套条目（模块目录 -> 模块文档），README 排在目录最前
+     * @private
+     */
+    _buildTree(docs, depth) {
+        const leaves = [];
+        const groups = new Map();
+
+        for (const doc of docs) {
+            const segments = doc.relativePath.split('/');
+            if (segments.length === depth + 1) {
+                leaves.push({ doc });
+            } else {
+                const group = segments[depth];
+                if (!groups.has(group)) groups.set(group, []);
+                groups.get(group).push(doc);
+            }
+        }
+
+        const isReadme = (entry) => /^readme\.md$/i.test(basename(entry.doc.relativePath));
+        const isOverview = (entry) => /overview/i.test(basename(entry.doc.relativePath));
+        leaves.sort((a, b) =>
+            (isReadme(b) - isReadme(a)) || (isOverview(b) - isOverview(a)) ||
+            a.doc.relativePath.localeCompare(b.doc.relativePath));
+
+        const nested = Array.from(groups.entries())
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([name, groupDocs]) => ({
+                group: name,
+                prefix: `${groupDocs[0].relativePath.split('/').slice(0, depth + 1).join('/')}/`,
+                entries: this._buildTree(groupDocs, depth + 1)
+            }));
+
+        // 概览类文档（module-overview.md）在子目录之前，其余文件在之后
+        const leading = leaves.filter(entry => isReadme(entry) || isOverview(entry));
+        const trailing = leaves.filter(entry => !isReadme(entry) && !isOverview(entry));
+        return [...leading, ...nested, ...trailing];
+    }
+
+    /**
+     * @private
+     */
+    _countPages(entries) {
+        return entries.reduce((total, entry) => total + (entry.doc ? 1 : this._countPages(entry.entries)), 0);
+    }
+
+    /**
+     * 改写文档链接：指向 mg_kiro 文档的 .md 链接 -> 对应页面
+     * @private
+     */
+    _resolveDocLink(href, fromPath, docPaths) {
+        if (!href || href.startsWith('#') || /^[a-z][a-z0-9+.-]*:/i.test(href)) return null;
+
+        const [target, anchor] = href.split('#');
+        const docPath = this._findDocPath(target, fromPath, docPaths);
+        if (!docPath) return null;
+        return this._relativeUrl(fromPath, docPath.replace(/\.md$/i, '.html')) + (anchor ? `#${anchor}` : '');
+    }
+
+    /**
+     * 行内代码恰好是文档路径时（如 `modules/cart/README.md`）生成链接
+     * @private
+     */
+    _resolveDocReference(code, fromPath, docPaths) {
+        if (!/\.md$/i.test(code) || /\s/.test(code)) return null;
+        const docPath = this._findDocPath(code, fromPath, docPaths);
+        return docPath ? this._relativeUrl(fromPath, docPath.replace(/\.md$/i, '.html')) : null;
+    }
+
+    /**
+     * 依次按 相对当前文档、相对 mg_kiro/、带 mg_kiro/ 前缀 查找文档
+     * @private
+     */
+    _findDocPath(target, fromPath, docPaths) {
+        if (!target || !/\.md$/i.test(target)) return null;
+
+        let decoded;
+        try {
+            decoded = decodeURIComponent(target);
+        } catch (error) {
+            decoded = target;
+        }
+
+        const prefix = `${this.config.docsFolderName}/`;
+        const candidates = [
+            posix.normalize(posix.join(posix.dirname(fromPath), decoded)),
+            posix.normalize(decoded.replace(/^\.?\//, '')),
+            decoded.startsWith(prefix) ? decoded.slice(prefix.length) : null
+        ];
+        return candidates.find(candidate => candidate && docPaths.has(candidate)) || null;
+    }
+
+    /**
+     * @private
+     */
+    _relativeUrl(fromPagePath, toPagePath) {
+        const relativePath = posix.relative(posix.dirname(fromPagePath), toPagePath);
+        return relativePath.split('/').map(encodeURIComponent).join('/');
+    }
+
+    /**
+     * 页面根路径前缀（files/x.html -> ../）
+     * @private
+     */
+    _rootPrefix(pagePath) {
+        const depth = pagePath.split('/').length - 1;
+        return '../'.repeat(depth);
+    }
+
+    /**
+     * 准备 Mermaid 脚本：本地脚本复制进站点，否则引用CDN
+     * @private
+     */
+    async _prepareMermaid(siteDir, mermaidScript) {
+        if (mermaidScript) {
+            const content = await fs.readFile(resolve(mermaidScript));
+            await this._writeFile(siteDir, 'assets/mermaid.min.js', content);
+            return { source: 'local', assetPath: 'assets/mermaid.min.js' };
+        }
+        return { source: 'cdn', url: this.config.mermaidScriptUrl };
+    }
+
+    /**
+     * @private
+     */
+    _renderMermaidScript(mermaid, root) {
+        const init = "mermaid.initialize({ startOnLoad: false, securityLevel: 'strict' }); mermaid.run({ querySelector: 'pre.mermaid' });";
+        if (mermaid.source === 'local') {
+            return [
+                `<script src="${root}${mermaid.assetPath}"></script>`,
+                `<script>if (window.mermaid) { ${init} }</script>`
+            ].join('\n');
+        }
+        // 无法访问CDN时页面保留图表源码
+        return `<script type="module">import mermaid from ${JSON.stringify(mermaid.url)}; ${init}</script>`;
+    }
+
+    /**
+     * 渲染侧边栏
+     * @private
+     */
+    _renderSidebar(sections, pagePath) {
+        const root = this._rootPrefix(pagePath);
+        const renderEntries = (entries) => `<ul>${entries.map(entry => {
+            if (entry.doc) {
+                const active = entry.doc.pagePath === pagePath ? ' class="active"' : '';
+                const label = entry.doc.relativePath.startsWith('files/')
+                    ? basename(entry.doc.relativePath, '.md')
+                    : entry.doc.title;
+                return `<li><a href="${root}${this._relativeUrl('', entry.doc.pagePath)}"${active} title="${escapeHtml(entry.doc.relativePath)}">${escapeHtml(label)}</a></li>`;
+            }
+            const open = pagePath.startsWith(entry.prefix) ? ' open' : '';
+            return `<li><details${open}><summary>${escapeHtml(entry.group)}</summary>${renderEntries(entry.entries)}</details></li>`;
+        }).join('')}</ul>`;
+
+        return sections.map(section => `<h3>${escapeHtml(section.title)}</h3>\n${renderEntries(section.entries)}`).join('\n');
+    }
+
+    /**
+     * @private
+     */
+    _renderDocMeta(doc) {
+        const meta = [`<code>${escapeHtml(`${this.config.docsFolderName}/${doc.relativePath}`)}</code>`];
+        const sources = doc.frontmatter?.sources;
+        if (Array.isArray(sources) && sources.length > 0) {
+            meta.push(`来源: ${sources.map(source => `<code>${escapeHtml(source.path)}</code>`).join(' ')}`);
+        }
+        if (doc.frontmatter?.generated_at) {
+            meta.push(`生成于 ${escapeHtml(doc.frontmatter.generated_at)}`);
+        }
+        return `<div class="doc-meta">${meta.join(' · ')}</div>`;
+    }
+
+    /**
+     * 页内目录（二、三级标题不少于3个时显示）
+     * @private
+     */
+    _renderPageToc(headings) {
+        const items = headings.filter(heading => heading.level === 2 || heading.level === 3);
+        if (items.length < 3) return '';
+        return `<nav class="page-toc"><strong>目录</strong><ul>${items.map(heading =>
+            `<li${heading.level === 3 ? ' style="margin-left:1em"' : ''}><a href="#${escapeHtml(heading.id)}">${escapeHtml(heading.text)}</a></li>`
+        ).join('')}</ul></nav>`;
+    }
+
+    /**
+     * @private
+     */
+    _renderLandingPage(siteTitle, sections, pageCount) {
+        const renderLinks = (entries) => entries.map(entry => entry.doc
+            ? `<li><a href="${this._relativeUrl('', entry.doc.pagePath)}">${escapeHtml(entry.doc.title)}</a></li>`
+            : `<li>${escapeHtml(entry.group)}<ul>${renderLinks(entry.entries)}</ul></li>`
+        ).join('');
+
+        return [
+            `<h1>${escapeHtml(siteTitle)}</h1>`,
+            `<p>共 ${pageCount} 个文档，由 mg_kiro 根据 ${escapeHtml(this.config.docsFolderName)}/ 目录导出。使用顶部搜索框检索全部文档。</p>`,
+            ...sections.map(section => [
+                `<h2>${escapeHtml(section.title)}</h2>`,
+                `<ul${section.key === 'files' ? ' class="section-list"' : ''}>${renderLinks(section.entries)}</ul>`
+            ].join('\n'))
+        ].join('\n');
+    }
+
+    /**
+     * 渲染完整页面
+     * @private
+     */
+    _renderPage({ siteTitle, pagePath, pageTitle, sections, mermaid, body }) {
+        const root = this._rootPrefix(pagePath);
+        return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(pageTitle === siteTitle ? siteTitle : `${pageTitle} - ${siteTitle}`)}</title>
+<link rel="stylesheet" href="${root}assets/style.css">
+</head>
+<body data-root="${root}">
+<header class="topbar">
+<a class="site-title" href="${root}index.html">${escapeHtml(siteTitle)}</a>
+<input id="site-search" type="search" placeholder="搜索文档（Esc 清除）" autocomplete="off">
+</header>
+<div class="layout">
+<nav class="sidebar">
+${this._renderSidebar(sections, pagePath)}
+</nav>
+<main class="content">
+<div id="search-results" class="search-results"></div>
+<article id="page-content">
+${body}
+</article>
+</main>
+</div>
+<script src="${root}assets/search-index.js"></script>
+<script src="${root}assets/search.js"></script>
+${mermaid ? this._renderMermaidScript(mermaid, root) : ''}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * 构建浏览器端搜索索引
+     * @private
+     */
+    _buildSearchIndex(docs) {
+        const { sectionTitles } = this.config;
+        return docs.map(doc => {
+            const folder = doc.relativePath.includes('/') ? doc.relativePath.split('/')[0] : 'overview';
+            return {
+                url: this._relativeUrl('', doc.pagePath),
+                path: doc.relativePath,
+                title: doc.title,
+                section: sectionTitles[folder] || folder,
+                text: markdownToText(doc.body).slice(0, this.config.maxIndexTextLength)
+            };
+        });
+    }
+
+    /**
+     * @private
+     */
+    async _writeFile(siteDir, relativePath, content) {
+        const filePath = join(siteDir, ...relativePath.split('/'));
+        await fs.mkdir(dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, content);
+    }
+}
+
+export default DocSiteExporter;
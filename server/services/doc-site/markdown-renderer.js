@@ -0,0 +1,398 @@
+/**
+ * Markdown渲染器 - 把 mg_kiro/ 文档渲染为HTML（文档站导出使用）
+ *
+ * 支持的语法（覆盖模板和AI生成文档实际用到的部分）：
+ * - 标题（带锚点id）、段落、分隔线、引用块
+ * - 有序/无序列表（按缩进嵌套）、任务列表
+ * - GFM表格（含对齐）
+ * - 围栏代码块；```mermaid 渲染为 <pre class="mermaid"> 由浏览器端绘制
+ * - 行内：代码、粗体、斜体、删除线、链接、图片、<url> 自动链接
+ *
+ * 设计理念：
+ * - 所有文本先转义，不透传原始HTML，导出的站点不会执行文档里的脚本
+ * - 链接改写通过 resolveLink / resolveCode 回调交给调用方（跨文档链接）
+ */
+
+const FENCE_PATTERN = /^(\s*)(`{3,}|~{3,})\s*([^`\s]*)\s*$/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const HR_PATTERN = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_DIVIDER_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const BLOCKQUOTE_PATTERN = /^\s{0,3}>\s?(.*)$/;
+const SAFE_URL_SCHEMES = new Set(['http', 'https', 'mailto']);
+
+/**
+ * 转义HTML特殊字符
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * 生成标题锚点（保留中文，空白转为连字符）
+ * @param {string} text
+ * @returns {string}
+ */
+export function slugify(text) {
+    return String(text ?? '')
+        .toLowerCase()
+        .replace(/<[^>]+>/g, '')
+        .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+        .trim()
+        .replace(/\s+/g, '-') || 'section';
+}
+
+/**
+ * 去掉Markdown标记，得到纯文本（搜索索引使用）
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function markdownToText(markdown) {
+    return String(markdown ?? '')
+        .replace(/^(\s*)(`{3,}|~{3,}).*$/gm, '')
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+        .replace(/^\s*>\s?/gm, '')
+        .replace(/^\s*([-*+]|\d+[.)])\s+(\[[ xX]\]\s+)?/gm, '')
+        .replace(/[*_~`|]+/g, ' ')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * 渲染Markdown
+ * @param {string} markdown - Markdown文本（不含frontmatter）
+ * @param {Object} [options]
+ * @param {Function} [options.resolveLink] - (href) => 新href；返回 null/undefined 保持原样
+ * @param {Function} [options.resolveCode] - (code) => href；行内代码恰好是某个文档路径时生成链接
+ * @returns {Object} { html, title, headings, hasMermaid }
+ */
+export function renderMarkdown(markdown, options = {}) {
+    const state = {
+        options,
+        headings: [],
+        slugCounts: new Map(),
+        hasMermaid: false
+    };
+    const lines = String(markdown ?? '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    const html = renderBlocks(lines, state);
+
+    const firstHeading = state.headings.find(heading => heading.level === 1) || state.headings[0];
+    return {
+        html,
+        title: firstHeading ? firstHeading.text : null,
+        headings: state.headings,
+        hasMermaid: state.hasMermaid
+    };
+}
+
+/**
+ * 渲染块级元素
+ * @private
+ */
+function renderBlocks(lines, state) {
+    const output = [];
+    let index = 0;
+
+    while (index < lines.length) {
+        const line = lines[index];
+
+        if (!line.trim()) {
+            index++;
+            continue;
+        }
+
+        // HTML注释（模板说明），不输出
+        if (line.trim().startsWith('<!--')) {
+            while (index < lines.length && !lines[index].includes('-->')) index++;
+            index++;
+            continue;
+        }
+
+        const fence = line.match(FENCE_PATTERN);
+        if (fence) {
+            const [, , marker, language] = fence;
+            const body = [];
+            index++;
+            while (index < lines.length && !isClosingFence(lines[index], marker)) {
+                body.push(lines[index]);
+                index++;
+            }
+            index++;
+            output.push(renderCodeBlock(body.join('\n'), language.toLowerCase(), state));
+            continue;
+        }
+
+        const heading = line.match(HEADING_PATTERN);
+        if (heading) {
+            output.push(renderHeading(heading[1].length, heading[2], state));
+            index++;
+            continue;
+        }
+
+        if (HR_PATTERN.test(line)) {
+            output.push('<hr>');
+            index++;
+            continue;
+        }
+
+        if (line.includes('|') && index + 1 < lines.length && TABLE_DIVIDER_PATTERN.test(lines[index + 1])) {
+            const rows = [line, lines[index + 1]];
+            index += 2;
+            while (index < lines.length && lines[index].includes('|') && lines[index].trim()) {
+                rows.push(lines[index]);
+                index++;
+            }
+            output.push(renderTable(rows, state));
+            continue;
+        }
+
+        if (BLOCKQUOTE_PATTERN.test(line)) {
+            const quoted = [];
+            while (index < lines.length && lines[index].trim() && BLOCKQUOTE_PATTERN.test(lines[index])) {
+                quoted.push(lines[index].match(BLOCKQUOTE_PATTERN)[1]);
+                index++;
+            }
+            output.push(`<blockquote>\n${renderBlocks(quoted, state)}\n</blockquote>`);
+            continue;
+        }
+
+        if (LIST_ITEM_PATTERN.test(line)) {
+            const [, firstIndent, firstMarker] = line.match(LIST_ITEM_PATTERN);
+            const isOrdered = (marker) => /\d/.test(marker);
+            const listLines = [];
+            while (index < lines.length) {
+                const current = lines[index];
+                const item = current.match(LIST_ITEM_PATTERN);
+                // 同级的有序/无序列表切换时开始新列表
+                if (listLines.length > 0 && item && item[1].length <= firstIndent.length + 1 &&
+                    isOrdered(item[2]) !== isOrdered(firstMarker)) {
+                    break;
+                }
+                if (!current.trim()) {
+                    // 空行后仍是列表项或缩进内容时继续当前列表
+                    const next = lines[index + 1];
+                    if (next !== undefined && (LIST_ITEM_PATTERN.test(next) || /^\s{2,}\S/.test(next))) {
+                        listLines.push('');
+                        index++;
+                        continue;
+                    }
+                    break;
+                }
+                if (!LIST_ITEM_PATTERN.test(current) && !/^\s+\S/.test(current) && listLines.length > 0 && isBlockStart(current, lines[index + 1])) {
+                    break;
+                }
+                listLines.push(current);
+                index++;
+            }
+            output.push(renderList(listLines, state));
+            continue;
+        }
+
+        const paragraph = [];
+        while (index < lines.length && lines[index].trim() && !(paragraph.length > 0 && isBlockStart(lines[index], lines[index + 1]))) {
+            paragraph.push(lines[index].trim());
+            index++;
+        }
+        output.push(`<p>${renderInline(paragraph.join('\n'), state).replace(/\n/g, '<br>\n')}</p>`);
+    }
+
+    return output.join('\n');
+}
+
+/**
+ * @private
+ */
+function isBlockStart(line, nextLine) {
+    return FENCE_PATTERN.test(line) ||
+        HEADING_PATTERN.test(line) ||
+        HR_PATTERN.test(line) ||
+        BLOCKQUOTE_PATTERN.test(line) ||
+        LIST_ITEM_PATTERN.test(line) ||
+        (line.includes('|') && nextLine !== undefined && TABLE_DIVIDER_PATTERN.test(nextLine));
+}
+
+/**
+ * @private
+ */
+function isClosingFence(line, marker) {
+    const trimmed = line.trim();
+    return trimmed.startsWith(marker) && trimmed.replace(new RegExp(`^${marker[0] === '`' ? '`' : '~'}+`), '') === '';
+}
+
+/**
+ * @private
+ */
+function renderCodeBlock(code, language, state) {
+    if (language === 'mermaid') {
+        state.hasMermaid = true;
+        return `<pre class="mermaid">${escapeHtml(code)}</pre>`;
+    }
+    const languageClass = language ? ` class="language-${escapeHtml(language)}"` : '';
+    return `<pre><code${languageClass}>${escapeHtml(code)}</code></pre>`;
+}
+
+/**
+ * @private
+ */
+function renderHeading(level, text, state) {
+    const inner = renderInline(text, state);
+    const plain = inner.replace(/<[^>]+>/g, '').replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"').replace(/&#39;/g, "'");
+
+    let slug = slugify(plain);
+    const count = state.slugCounts.get(slug) || 0;
+    state.slugCounts.set(slug, count + 1);
+    if (count > 0) slug = `${slug}-${count}`;
+
+    state.headings.push({ level, text: plain, id: slug });
+    return `<h${level} id="${escapeHtml(slug)}"><a class="anchor" href="#${escapeHtml(slug)}">#</a>${inner}</h${level}>`;
+}
+
+/**
+ * @private
+ */
+function renderTable(rows, state) {
+    const splitRow = (row) => {
+        const trimmed = row.trim().replace(/^\|/, '').replace(/\|$/, '');
+        // 转义的 \| 不作为分隔符
+        return trimmed.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+    };
+
+    const header = splitRow(rows[0]);
+    const alignments = splitRow(rows[1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        if (cell.startsWith(':')) return 'left';
+        return null;
+    });
+    const cellTag = (tag, cell, column) => {
+        const align = alignments[column] ? ` style="text-align:${alignments[column]}"` : '';
+        return `<${tag}${align}>${renderInline(cell, state)}</${tag}>`;
+    };
+
+    const body = rows.slice(2).map(row => {
+        const cells = splitRow(row);
+        return `<tr>${header.map((_, column) => cellTag('td', cells[column] || '', column)).join('')}</tr>`;
+    });
+
+    return [
+        '<div class="table-wrapper"><table>',
+        `<thead><tr>${header.map((cell, column) => cellTag('th', cell, column)).join('')}</tr></thead>`,
+        `<tbody>\n${body.join('\n')}\n</tbody>`,
+        '</table></div>'
+    ].join('\n');
+}
+
+/**
+ * 渲染列表（按缩进嵌套，列表项内的续行和子块递归渲染）
+ * @private
+ */
+function renderList(lines, state) {
+    const first = lines[0].match(LIST_ITEM_PATTERN);
+    const baseIndent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+
+    const items = [];
+    for (const line of lines) {
+        const match = line.match(LIST_ITEM_PATTERN);
+        if (match && match[1].length <= baseIndent + 1) {
+            items.push([match[3]]);
+        } else if (items.length > 0) {
+            // 续行去掉相对列表项的缩进
+            items[items.length - 1].push(line.slice(Math.min(baseIndent + 2, line.search(/\S|$/))));
+        }
+    }
+
+    const renderedItems = items.map(([firstLine, ...rest]) => {
+        let checkbox = '';
+        let text = firstLine;
+        const task = firstLine.match(/^\[([ xX])\]\s+(.*)$/);
+        if (task) {
+            checkbox = `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> `;
+            text = task[2];
+        }
+
+        const nestedStart = rest.findIndex(line => line.trim() && (LIST_ITEM_PATTERN.test(line) || FENCE_PATTERN.test(line) || BLOCKQUOTE_PATTERN.test(line)));
+        const continuation = (nestedStart === -1 ? rest : rest.slice(0, nestedStart)).map(line => line.trim()).filter(Boolean);
+        const nested = nestedStart === -1 ? '' : renderBlocks(rest.slice(nestedStart), state);
+
+        const inline = renderInline([text, ...continuation].join('\n'), state).replace(/\n/g, '<br>\n');
+        return `<li${task ? ' class="task"' : ''}>${checkbox}${inline}${nested ? `\n${nested}\n` : ''}</li>`;
+    });
+
+    const start = ordered ? parseInt(first[2], 10) : 1;
+    const tag = ordered ? 'ol' : 'ul';
+    const startAttr = ordered && start !== 1 ? ` start="${start}"` : '';
+    return `<${tag}${startAttr}>\n${renderedItems.join('\n')}\n</${tag}>`;
+}
+
+/**
+ * 渲染行内元素
+ * @private
+ */
+function renderInline(text, state) {
+    const { resolveLink, resolveCode } = state.options;
+    const placeholders = [];
+    const hold = (html) => `\u0000${placeholders.push(html) - 1}\u0000`;
+
+    // 先取出行内代码，避免其中的标记被处理
+    let result = String(text).replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => {
+        const trimmed = code.trim();
+        const codeHtml = `<code>${escapeHtml(trimmed)}</code>`;
+        const href = resolveCode ? resolveCode(trimmed) : null;
+        return hold(href ? `<a href="${escapeHtml(href)}">${codeHtml}</a>` : codeHtml);
+    });
+
+    // 只允许 http/https/mailto 和相对地址，其他协议（javascript:、data: 等）返回null，链接和图片被去掉
+    // 判断协议前去掉浏览器会忽略的空白和控制字符（如 "java\tscript:"）
+    const linkHref = (href) => {
+        const resolved = resolveLink ? resolveLink(href) : null;
+        const finalHref = resolved ?? href;
+        const scheme = finalHref.replace(/[\u0000-\u0020\u007f]/g, '').match(/^([a-z][a-z0-9+.-]*):/i)?.[1];
+        return !scheme || SAFE_URL_SCHEMES.has(scheme.toLowerCase()) ? finalHref : null;
+    };
+
+    result = result
+        .replace(/!\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"([^"]*)")?\s*\)/g, (match, alt, src, title) => {
+            const safeSrc = linkHref(src);
+            return hold(safeSrc === null
+                ? escapeHtml(alt)
+                : `<img src="${escapeHtml(safeSrc)}" alt="${escapeHtml(alt)}"${title ? ` title="${escapeHtml(title)}"` : ''}>`);
+        })
+        .replace(/\[([^\]]+)\]\(\s*<?([^)\s>]+)>?(?:\s+"([^"]*)")?\s*\)/g, (match, label, href, title) => {
+            const labelHtml = renderInline(label, { ...state, options: { ...state.options, resolveCode: null } });
+            const safeHref = linkHref(href);
+            if (safeHref === null) {
+                return hold(labelHtml);
+            }
+            const external = /^[a-z][a-z0-9+.-]*:/i.test(href) && !href.startsWith('#');
+            return hold(`<a href="${escapeHtml(safeHref)}"${title ? ` title="${escapeHtml(title)}"` : ''}${external ? ' rel="noopener"' : ''}>${labelHtml}</a>`);
+        })
+        .replace(/<(https?:\/\/[^>\s]+)>/g, (match, url) => hold(`<a href="${escapeHtml(url)}" rel="noopener">${escapeHtml(url)}</a>`));
+
+    result = escapeHtml(result)
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(?=\S)([\s\S]*?\S)__/g, '<strong>$1</strong>')
+        .replace(/(^|[^*\w])\*(?=\S)([^*]*?\S)\*(?!\*)/g, '$1<em>$2</em>')
+        .replace(/(^|[^_\w])_(?=\S)([^_]*?\S)_(?![_\w])/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+    return result.replace(/\u0000(\d+)\u0000/g, (match, placeholderIndex) => placeholders[Number(placeholderIndex)]);
+}
+
+export default {
+    escapeHtml,
+    slugify,
+    markdownToText,
+    renderMarkdown
+};
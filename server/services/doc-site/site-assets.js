@@ -0,0 +1,162 @@
+/**
+ * 文档站静态资源 - 导出站点使用的样式和浏览器端搜索脚本
+ *
+ * 搜索索引以 search-index.js 形式写出（赋值给 window.MG_KIRO_SEARCH_INDEX），
+ * 这样直接用 file:// 打开站点也能搜索，不依赖 fetch
+ */
+
+export const SITE_STYLE = `
+:root {
+    --sidebar-width: 290px;
+    --border: #e3e6ea;
+    --text: #1f2328;
+    --muted: #656d76;
+    --accent: #0969da;
+    --code-bg: #f6f8fa;
+    --active-bg: #ddf4ff;
+}
+* { box-sizing: border-box; }
+body {
+    margin: 0;
+    color: var(--text);
+    font: 15px/1.65 -apple-system, BlinkMacSystemFont, "Segoe UI", "PingFang SC", "Microsoft YaHei", sans-serif;
+}
+a { color: var(--accent); text-decoration: none; }
+a:hover { text-decoration: underline; }
+.topbar {
+    position: sticky; top: 0; z-index: 10;
+    display: flex; align-items: center; gap: 16px;
+    height: 52px; padding: 0 20px;
+    background: #fff; border-bottom: 1px solid var(--border);
+}
+.topbar .site-title { font-weight: 600; color: var(--text); white-space: nowrap; }
+.topbar input {
+    flex: 1; max-width: 420px;
+    padding: 6px 10px; border: 1px solid var(--border); border-radius: 6px; font-size: 14px;
+}
+.layout { display: flex; }
+.sidebar {
+    position: sticky; top: 52px;
+    width: var(--sidebar-width); height: calc(100vh - 52px); overflow-y: auto;
+    flex-shrink: 0; padding: 16px 12px;
+    border-right: 1px solid var(--border); font-size: 14px;
+}
+.sidebar h3 { margin: 16px 8px 6px; font-size: 12px; color: var(--muted); text-transform: uppercase; letter-spacing: .04em; }
+.sidebar ul { list-style: none; margin: 0; padding-left: 0; }
+.sidebar ul ul { padding-left: 14px; }
+.sidebar li a { display: block; padding: 3px 8px; border-radius: 5px; color: var(--text); overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.sidebar li a.active { background: var(--active-bg); color: var(--accent); font-weight: 600; }
+.sidebar summary { padding: 3px 8px; cursor: pointer; }
+.content { flex: 1; min-width: 0; max-width: 980px; padding: 28px 40px 80px; }
+.content h1, .content h2, .content h3 { line-height: 1.3; margin-top: 1.6em; }
+.content h1 { margin-top: 0; padding-bottom: .3em; border-bottom: 1px solid var(--border); }
+.content h2 { padding-bottom: .2em; border-bottom: 1px solid var(--border); }
+.content .anchor { float: left; margin-left: -18px; padding-right: 4px; color: var(--muted); visibility: hidden; }
+.content h1:hover .anchor, .content h2:hover .anchor, .content h3:hover .anchor,
+.content h4:hover .anchor, .content h5:hover .anchor, .content h6:hover .anchor { visibility: visible; }
+code { padding: .15em .35em; background: var(--code-bg); border-radius: 4px; font: 13px/1.5 SFMono-Regular, Consolas, Menlo, monospace; }
+pre { padding: 14px 16px; overflow-x: auto; background: var(--code-bg); border-radius: 6px; }
+pre code { padding: 0; background: none; }
+pre.mermaid { background: #fff; border: 1px solid var(--border); text-align: center; }
+blockquote { margin: 0; padding: 0 1em; color: var(--muted); border-left: 4px solid var(--border); }
+.table-wrapper { overflow-x: auto; }
+table { border-collapse: collapse; margin: 1em 0; }
+th, td { padding: 6px 12px; border: 1px solid var(--border); }
+th { background: var(--code-bg); }
+li.task { list-style: none; margin-left: -1.2em; }
+.doc-meta { margin-bottom: 20px; color: var(--muted); font-size: 13px; }
+.page-toc { margin: 0 0 24px; padding: 10px 16px; background: var(--code-bg); border-radius: 6px; font-size: 14px; }
+.page-toc ul { margin: 4px 0; padding-left: 18px; }
+.section-list { columns: 2; }
+.search-results { display: none; }
+.search-results.visible { display: block; }
+.search-results .result { padding: 12px 0; border-bottom: 1px solid var(--border); }
+.search-results .result .path { color: var(--muted); font-size: 12px; }
+.search-results mark { background: #fff8c5; }
+@media (max-width: 800px) {
+    .sidebar { display: none; }
+    .content { padding: 20px; }
+}
+`.trimStart();
+
+export const SEARCH_SCRIPT = `
+(function () {
+    var index = window.MG_KIRO_SEARCH_INDEX || [];
+    var root = document.body.getAttribute('data-root') || '';
+    var input = document.getElementById('site-search');
+    var results = document.getElementById('search-results');
+    var page = document.getElementById('page-content');
+    if (!input || !results || !page) return;
+
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, function (c) {
+            return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+        });
+    }
+
+    function count(haystack, needle) {
+        var total = 0, position = haystack.indexOf(needle);
+        while (position !== -1 && total < 20) {
+            total++;
+            position = haystack.indexOf(needle, position + needle.length);
+        }
+        return total;
+    }
+
+    function snippet(text, terms) {
+        var lower = text.toLowerCase();
+        var position = -1;
+        for (var i = 0; i < terms.length && position === -1; i++) position = lower.indexOf(terms[i]);
+        var start = Math.max(0, position - 60);
+        var html = escapeHtml(text.slice(start, start + 200));
+        terms.forEach(function (term) {
+            var pattern = new RegExp(escapeHtml(term).replace(/[.*+?^\${}()|[\\]\\\\]/g, '\\\\$&'), 'gi');
+            html = html.replace(pattern, function (match) { return '<mark>' + match + '</mark>'; });
+        });
+        return (start > 0 ? '…' : '') + html + '…';
+    }
+
+    function search(query) {
+        var terms = query.toLowerCase().split(/\\s+/).filter(Boolean);
+        if (terms.length === 0) return [];
+        return index.map(function (doc) {
+            var title = doc.title.toLowerCase(), text = doc.text.toLowerCase(), path = doc.path.toLowerCase();
+            var score = 0;
+            for (var i = 0; i < terms.length; i++) {
+                var hits = count(title, terms[i]) * 10 + count(path, terms[i]) * 5 + count(text, terms[i]);
+                if (hits === 0) return null;
+                score += hits;
+            }
+            return { doc: doc, score: score };
+        }).filter(Boolean).sort(function (a, b) { return b.score - a.score; }).slice(0, 30);
+    }
+
+    input.addEventListener('input', function () {
+        var query = input.value.trim();
+        if (!query) {
+            results.classList.remove('visible');
+            page.style.display = '';
+            return;
+        }
+        var terms = query.toLowerCase().split(/\\s+/).filter(Boolean);
+        var matches = search(query);
+        results.innerHTML = '<h2>搜索 “' + escapeHtml(query) + '”：' + matches.length + ' 个结果</h2>' +
+            matches.map(function (match) {
+                return '<div class="result"><a href="' + root + match.doc.url + '">' + escapeHtml(match.doc.title) + '</a>' +
+                    '<div class="path">' + escapeHtml(match.doc.section + ' · ' + match.doc.path) + '</div>' +
+                    '<div>' + snippet(match.doc.text, terms) + '</div></div>';
+            }).join('');
+        results.classList.add('visible');
+        page.style.display = 'none';
+    });
+
+    input.addEventListener('keydown', function (event) {
+        if (event.key === 'Escape') {
+            input.value = '';
+            input.dispatchEvent(new Event('input'));
+        }
+    });
+})();
+`.trimStart();
+
+export default { SITE_STYLE, SEARCH_SCRIPT };
@@ -13,30 +13,53 @@
  * - 生成结构化任务队列，支持复杂文件处理场景
  * - 优化AI处理效率，减少Token浪费
  * 
- * 批次策略阈值：
+ * 批次策略阈值（由模型配置推导，default 配置如下）：
  * - 小文件 (<15K tokens) -> 综合文件批次策略
  * - 中等文件 (15K-20K tokens) -> 单文件单批次策略
  * - 大文件 (>20K tokens) -> 大文件多批次策略
+ * - 其他模型配置按上下文窗口、预留输出和安全余量等比例缩放（见 ModelProfileService）
+ * 
+ * 增量模式：
+ * - 为每个源文件计算内容哈希，与上次Init记录的哈希对比
+ * - 只为新增/修改的文件规划任务，已删除文件的文档标记为孤立
+ * 
+ * Git历史：
+ * - Step1为文件附加提交历史（file.git），写入任务metadata.gitHistory
+ * - prioritizeHotFiles 开启时热点文件（近期频繁变更）的任务排在前面
+ * 
+ * Monorepo：
+ * - Step1为文件标注所属工作区包（file.package）
+ * - 小文件按包分组合并，批次不跨包；任务按包排序并在metadata中记录包路径
  */
 
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import { join } from 'path';
 import { TokenResultHelper, TokenResultFactory } from '../../interfaces/TokenResult.js';
 import { ErrorResultFactory } from '../../interfaces/ErrorResult.js';
 import { TaskDefinitionFactory, TaskDefinitionHelper } from '../../interfaces/TaskDefinition.js';
 import { LoggerFactory } from '../../utils/Logger.js';
+import { parseDocFrontmatter } from '../doc-freshness/doc-frontmatter.js';
 
 export class FileAnalysisModule {
     constructor(config = {}, dependencies = {}, serviceBus = null) {
         // 配置合并（ServiceBus格式）
+        // 阈值默认值仅在未注入 ModelProfileService 时使用（等同 default 配置）
         this.config = {
             smallFileThreshold: 15000,    // 15K tokens
             largeFileThreshold: 20000,    // 20K tokens
             batchTargetSize: 18000,       // 18K tokens per batch
             maxBatchSize: 22000,          // 22K tokens maximum
+            minBatchSize: 8000,           // 8K tokens minimum
+            hashAlgorithm: 'sha256',      // 增量模式的内容哈希算法
+            prioritizeHotFiles: false,    // 按Git热度排序任务（频繁变更的文件优先）
             ...config
         };
 
         // 依赖注入（ServiceBus格式：config, dependencies, serviceBus）
         this.tokenCalculator = dependencies.preciseTokenCalculator;
+        this.importGraphBuilder = dependencies.importGraphBuilder || null;
+        this.modelProfileService = dependencies.modelProfileService || null;
         this.codeStructureAnalyzer = null; // 如果需要的话稍后注入
         this.boundaryDetector = null; // 如果需要的话稍后注入
         this.batchStrategies = {
@@ -92,6 +115,15 @@ export class FileAnalysisModule {
      * @param {Array} fileList - 文件列表（来自Step1）
      * @param {Object} projectMetadata - 项目元数据（来自Step1）
      * @param {Object} options - 分析选项
+     * @param {boolean} [options.incremental=true] - 是否启用增量模式（需提供previousFileHashes）
+     * @param {Object} [options.previousFileHashes] - 上次Init记录的文件哈希（relativePath -> { hash, size }）
+     * @param {Array} [options.previousOrphanedDocs] - 上次记录的孤立文档列表
+     * @param {Array<Object>} [options.previousTaskDefinitions] - 上次Step2的任务定义：增量模式下新任务编号从其后开始，
+     *   没有frontmatter的文档按其中的文件列表判断是否孤立
+     * @param {Array<string>} [options.packageOrder] - Monorepo包的构建顺序（包路径），任务按此顺序排列
+     * @param {boolean} [options.prioritizeHotFiles] - 热点文件（近期频繁变更）优先，默认取config
+     * @param {Array<Object>} [options.workspacePackages] - Monorepo包列表（来自Step1），用于解析包名导入
+     * @param {string} [options.modelProfile] - 模型配置名称，决定所有Token阈值，默认使用活动配置
      * @returns {Object} 批次分析结果和任务定义
      */
     async analyzeProject(projectPath, fileList, projectMetadata, options = {}) {
@@ -148,18 +180,49 @@ export class FileAnalysisModule {
         const startTime = Date.now();
         
         try {
+            // 本次分析使用的Token阈值
+            const limits = this._resolveLimits(options.modelProfile);
+            this.logger.info('Token阈值', limits);
+            
+            // Step 0: 计算文件哈希，规划增量变更
+            this.logger.info('Step 0: 开始文件哈希计算', { fileCount: fileList.length });
+            const fileHashes = await this._computeFileHashes(projectPath, fileList);
+            const incrementalPlan = await this._planIncrementalChanges(projectPath, fileList, fileHashes, options);
+            const { filesToAnalyze, ...incrementalSummary } = incrementalPlan;
+            this.logger.info('Step 0: 增量规划完成', {
+                mode: incrementalPlan.mode,
+                added: incrementalPlan.added.length,
+                modified: incrementalPlan.modified.length,
+                unchanged: incrementalPlan.unchanged.length,
+                deleted: incrementalPlan.deleted.length,
+                orphanedDocs: incrementalPlan.orphanedDocs.length
+            });
+
             // Step 1: 分析文件Token数量
-            this.logger.info('Step 1: 开始文件Token分析', { fileCount: fileList.length });
-            const fileAnalyses = await this._analyzeFileTokens(projectPath, fileList, projectMetadata);
+            this.logger.info('Step 1: 开始文件Token分析', { fileCount: filesToAnalyze.length });
+            const fileAnalyses = await this._analyzeFileTokens(projectPath, filesToAnalyze, projectMetadata);
             this.logger.info('Step 1: 文件Token分析完成', { 
                 analysisCount: fileAnalyses.length,
                 successCount: fileAnalyses.filter(a => !a.analysisError).length,
                 errorCount: fileAnalyses.filter(a => a.analysisError).length
             });
             
+            // Step 1.1: 导入依赖图（覆盖全部文件，增量模式下也能解析到未变更的文件）
+            const importGraph = await this._buildImportGraph(projectPath, fileList, options.workspacePackages);
+            if (importGraph) {
+                for (const analysis of fileAnalyses) {
+                    analysis.dependencies = this.importGraphBuilder.dependenciesOf(importGraph, analysis.path);
+                }
+            }
+            
+            // Step 1.2: 启发式估算与BPE精确计数的偏差（无精确计数时为null）
+            const tokenAccuracy = this.tokenCalculator.compareEstimates(
+                fileAnalyses.map(analysis => analysis.tokenCount)
+            );
+            
             // Step 2: 文件分类
             this.logger.info('Step 2: 开始文件分类');
-            const fileCategories = this._categorizeFiles(fileAnalyses);
+            const fileCategories = this._categorizeFiles(fileAnalyses, limits);
             this.logger.info('Step 2: 文件分类完成', {
                 smallFiles: fileCategories.small.length,
                 mediumFiles: fileCategories.medium.length,
@@ -169,7 +232,7 @@ export class FileAnalysisModule {
             
             // Step 3: 生成批次计划
             this.logger.info('Step 3: 开始批次计划生成');
-            const batchPlans = await this._generateBatchPlans(fileCategories, projectPath);
+            const batchPlans = await this._generateBatchPlans(fileCategories, projectPath, limits);
             this.logger.info('Step 3: 批次计划生成完成', {
                 combinedBatches: batchPlans.combinedBatches.length,
                 singleBatches: batchPlans.singleBatches.length,
@@ -179,7 +242,15 @@ export class FileAnalysisModule {
             
             // Step 4: 创建任务定义
             this.logger.info('Step 4: 开始任务定义创建');
-            const taskDefinitions = await this._createTaskDefinitions(batchPlans, projectMetadata);
+            // 增量模式下任务编号接在已有任务和文档之后，避免复用旧任务的文档名
+            const firstTaskNumber = incrementalPlan.mode === 'incremental'
+                ? await this._nextTaskNumber(projectPath, (options.previousTaskDefinitions || []).map(task => task.id))
+                : 1;
+            const taskDefinitions = await this._createTaskDefinitions(batchPlans, projectMetadata, {
+                firstTaskNumber,
+                packageOrder: options.packageOrder,
+                prioritizeHotFiles: options.prioritizeHotFiles ?? this.config.prioritizeHotFiles
+            });
             this.logger.info('Step 4: 任务定义创建完成', { 
                 taskCount: taskDefinitions.length 
             });
@@ -212,9 +283,15 @@ export class FileAnalysisModule {
                     batchPlans,
                     taskDefinitions,
                     strategySummary,
+                    fileHashes,
+                    importGraph,
+                    tokenAccuracy,
+                    modelProfile: limits,
+                    incrementalPlan: incrementalSummary,
                     metadata: {
                         projectPath,
                         totalFiles: fileList.length,
+                        plannedFiles: filesToAnalyze.length,
                         processingTime,
                         timestamp: new Date().toISOString()
                     }
@@ -236,6 +313,239 @@ export class FileAnalysisModule {
         }
     }
 
+    /**
+     * 解析本次分析的Token阈值
+     * @param {string} [modelProfile] - 模型配置名称，未知名称时抛出错误
+     * @returns {Object} ModelProfileService.getThresholds() 的结果（未注入服务时为 this.config 中的阈值）
+     * @private
+     */
+    _resolveLimits(modelProfile) {
+        if (this.modelProfileService) {
+            return this.modelProfileService.getThresholds(modelProfile);
+        }
+        if (modelProfile) {
+            this.logger.warn('ModelProfileService不可用，忽略模型配置', { modelProfile });
+        }
+        return {
+            profile: null,
+            smallFileThreshold: this.config.smallFileThreshold,
+            largeFileThreshold: this.config.largeFileThreshold,
+            batchTargetSize: this.config.batchTargetSize,
+            maxBatchSize: this.config.maxBatchSize,
+            minBatchSize: this.config.minBatchSize
+        };
+    }
+
+    /**
+     * 由Token阈值生成三种批次策略的配置
+     * @private
+     */
+    _strategyConfigs(limits) {
+        return {
+            combined: {
+                targetBatchSize: limits.batchTargetSize,
+                maxBatchSize: limits.maxBatchSize,
+                minBatchSize: limits.minBatchSize
+            },
+            single: {
+                minTokenSize: limits.smallFileThreshold,
+                maxTokenSize: limits.largeFileThreshold,
+                targetTokenSize: limits.batchTargetSize
+            },
+            largeMulti: {
+                minTokenSize: limits.largeFileThreshold,
+                targetChunkSize: limits.batchTargetSize,
+                maxChunkSize: limits.maxBatchSize,
+                minChunkSize: limits.minBatchSize
+            }
+        };
+    }
+
+    /**
+     * 构建导入依赖图，失败时返回null（不影响批次规划）
+     * @param {string} projectPath - 项目路径
+     * @param {Array} fileList - 文件列表
+     * @param {Array<Object>} [workspacePackages] - Monorepo包列表
+     * @returns {Promise<Object|null>}
+     * @private
+     */
+    async _buildImportGraph(projectPath, fileList, workspacePackages = []) {
+        if (!this.importGraphBuilder) return null;
+
+        try {
+            const importGraph = await this.importGraphBuilder.build(projectPath, fileList, {
+                packages: workspacePackages || []
+            });
+            this.logger.info('导入依赖图构建完成', importGraph.stats);
+            return importGraph;
+        } catch (error) {
+            this.logger.warn('导入依赖图构建失败，批次规划不使用导入关系', { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * 计算文件内容哈希 - 增量Init的变更依据
+     * @param {string} projectPath - 项目路径
+     * @param {Array} fileList - 文件列表（path为相对项目根目录的路径）
+     * @returns {Promise<Object>} relativePath -> { hash, size }
+     * @private
+     */
+    async _computeFileHashes(projectPath, fileList) {
+        const fileHashes = {};
+
+        for (const file of fileList) {
+            if (!file?.path) {
+                continue;
+            }
+
+            try {
+                const content = file.content ?? await fs.readFile(join(projectPath, file.path));
+                fileHashes[file.path] = {
+                    hash: createHash(this.config.hashAlgorithm).update(content).digest('hex'),
+                    size: Buffer.byteLength(content)
+                };
+            } catch (error) {
+                // 无法读取的文件不记录哈希，下次仍会被视为变更文件
+                this.logger.warn('文件哈希计算失败', {
+                    filePath: file.path,
+                    errorMessage: error.message
+                });
+            }
+        }
+
+        return fileHashes;
+    }
+
+    /**
+     * 对比上次记录的哈希，规划增量变更
+     * @param {string} projectPath - 项目路径
+     * @param {Array} fileList - 当前文件列表
+     * @param {Object} fileHashes - 当前文件哈希
+     * @param {Object} options - 分析选项（incremental, previousFileHashes, previousOrphanedDocs, previousTaskDefinitions）
+     * @returns {Promise<Object>} 增量计划（含需要分析的文件列表）
+     * @private
+     */
+    async _planIncrementalChanges(projectPath, fileList, fileHashes, options = {}) {
+        const previousHashes = options.previousFileHashes || {};
+        const hasBaseline = Object.keys(previousHashes).length > 0;
+        const incremental = options.incremental !== false && hasBaseline;
+
+        const added = [];
+        const modified = [];
+        const unchanged = [];
+        const currentPaths = new Set();
+
+        for (const file of fileList) {
+            if (!file?.path) {
+                continue;
+            }
+            currentPaths.add(file.path);
+
+            const previous = previousHashes[file.path];
+            const current = fileHashes[file.path];
+            if (!previous) {
+                added.push(file.path);
+            } else if (!current || previous.hash !== current.hash) {
+                modified.push(file.path);
+            } else {
+                unchanged.push(file.path);
+            }
+        }
+
+        const deleted = Object.keys(previousHashes).filter(filePath => !currentPaths.has(filePath));
+        const orphanedDocs = await this._findOrphanedDocs(
+            projectPath,
+            currentPaths,
+            options.previousOrphanedDocs || [],
+            options.previousTaskDefinitions || []
+        );
+
+        const unchangedPaths = new Set(unchanged);
+        return {
+            mode: incremental ? 'incremental' : 'full',
+            hasBaseline,
+            added,
+            modified,
+            unchanged,
+            deleted,
+            orphanedDocs,
+            filesToAnalyze: incremental
+                ? fileList.filter(file => !unchangedPaths.has(file?.path))
+                : fileList
+        };
+    }
+
+    /**
+     * 查找来源文件已全部删除的孤立文档（mg_kiro/files下）
+     * 文档的来源文件取自frontmatter（Step3验证时写入），没有frontmatter时取上次Step2中生成该文档的任务定义
+     * 只有部分来源文件被删除的组合批次文档仍然有效，由过期检测报告
+     * @private
+     */
+    async _findOrphanedDocs(projectPath, currentPaths, previousOrphanedDocs = [], previousTaskDefinitions = []) {
+        const filesDir = join(projectPath, 'mg_kiro', 'files');
+        let docNames;
+        try {
+            docNames = await fs.readdir(filesDir);
+        } catch (error) {
+            return [];
+        }
+
+        // 任务ID较长的优先匹配，避免 task_1 匹配到 task_12 的文档
+        const taskFiles = previousTaskDefinitions
+            .filter(task => task?.id && Array.isArray(task.files))
+            .sort((a, b) => b.id.length - a.id.length);
+        const previousEntries = new Map(previousOrphanedDocs.map(entry => [entry.docPath, entry]));
+        const detectedAt = new Date().toISOString();
+        const orphanedDocs = [];
+
+        for (const docName of docNames.filter(name => name.endsWith('.md')).sort()) {
+            let frontmatter = null;
+            try {
+                ({ frontmatter } = parseDocFrontmatter(await fs.readFile(join(filesDir, docName), 'utf8')));
+            } catch (error) {
+                continue;
+            }
+
+            const sourcePaths = Array.isArray(frontmatter?.sources)
+                ? frontmatter.sources.map(source => source.path)
+                : taskFiles.find(task => docName.startsWith(`${task.id}_`))?.files || [];
+            if (sourcePaths.length === 0 || sourcePaths.some(sourcePath => currentPaths.has(sourcePath))) {
+                continue;
+            }
+
+            const docPath = `mg_kiro/files/${docName}`;
+            orphanedDocs.push({
+                sourcePath: sourcePaths[0],
+                sourcePaths,
+                docPath,
+                detectedAt: previousEntries.get(docPath)?.detectedAt || detectedAt
+            });
+        }
+
+        return orphanedDocs;
+    }
+
+    /**
+     * 下一个未被使用的任务编号：大于上次的任务ID和 mg_kiro/files 下文档名中的所有 task_N
+     * @private
+     */
+    async _nextTaskNumber(projectPath, previousTaskIds = []) {
+        let docNames = [];
+        try {
+            docNames = await fs.readdir(join(projectPath, 'mg_kiro', 'files'));
+        } catch (error) {
+            // 还没有生成过文档
+        }
+
+        let maxNumber = 0;
+        for (const name of [...previousTaskIds, ...docNames]) {
+            const match = /^task_(\d+)(?:_|$)/.exec(name || '');
+            if (match) maxNumber = Math.max(maxNumber, Number(match[1]));
+        }
+        return maxNumber + 1;
+    }
+
     /**
      * 分析文件Token数量
      * @private
@@ -307,10 +617,13 @@ export class FileAnalysisModule {
                     hasContent: !!file.content
                 });
                 
+                // 文件路径相对于项目根目录，在此读取内容（而不是让计算器按工作目录解析）
+                const content = file.content ?? await fs.readFile(join(projectPath, file.path), 'utf8');
+                
                 // 计算精确Token数量
                 const tokenCount = await this.tokenCalculator.calculateTokens(
                     file.path, 
-                    file.content || null,
+                    content,
                     projectMetadata.languageProfile
                 );
                 
@@ -328,7 +641,7 @@ export class FileAnalysisModule {
                 const codeStructure = this.codeStructureAnalyzer ? 
                     await this.codeStructureAnalyzer.analyze(
                         file.path,
-                        file.content || null,
+                        content,
                         projectMetadata.languageProfile
                     ) : {
                         complexity: 1,
@@ -353,6 +666,8 @@ export class FileAnalysisModule {
                     extension: file.extension,
                     isSourceCode: file.isSourceCode,
                     language: file.language,
+                    package: file.package || null,
+                    git: file.git || null,
                     // 分析结果
                     tokenCount,
                     codeStructure,
@@ -397,6 +712,8 @@ export class FileAnalysisModule {
                     extension: file.extension,
                     isSourceCode: file.isSourceCode,
                     language: file.language,
+                    package: file.package || null,
+                    git: file.git || null,
                     // 错误处理结果 - 使用统一TokenResult格式
                     tokenCount: TokenResultFactory.createErrorTokenResult(file.path, error.message),
                     codeStructure: null,
@@ -430,24 +747,24 @@ export class FileAnalysisModule {
      * 文件分类：根据Token数量分配处理策略
      * @private
      */
-    _categorizeFiles(fileAnalyses) {
+    _categorizeFiles(fileAnalyses, limits) {
         const timerId = this.logger.methodStart('_categorizeFiles', {
             fileCount: fileAnalyses?.length,
-            smallThreshold: this.config.smallFileThreshold,
-            largeThreshold: this.config.largeFileThreshold
+            smallThreshold: limits.smallFileThreshold,
+            largeThreshold: limits.largeFileThreshold
         });
         
         const categories = {
-            small: [],      // <15K tokens - 综合文件批次策略
-            medium: [],     // 15K-20K tokens - 单文件单批次策略
-            large: [],      // >20K tokens - 大文件多批次策略
+            small: [],      // <smallFileThreshold - 综合文件批次策略
+            medium: [],     // smallFileThreshold-largeFileThreshold - 单文件单批次策略
+            large: [],      // >=largeFileThreshold - 大文件多批次策略
             error: []       // 分析出错的文件
         };
         
         this.logger.info('开始文件分类', {
             fileCount: fileAnalyses?.length,
-            smallThreshold: this.config.smallFileThreshold,
-            mediumThreshold: this.config.largeFileThreshold,
+            smallThreshold: limits.smallFileThreshold,
+            mediumThreshold: limits.largeFileThreshold,
             策略说明: {
                 small: '综合文件批次策略',
                 medium: '单文件单批次策略', 
@@ -495,11 +812,11 @@ export class FileAnalysisModule {
             let category;
             let strategyReason;
             
-            if (actualTokenCount < this.config.smallFileThreshold) {
+            if (actualTokenCount < limits.smallFileThreshold) {
                 categories.small.push(analysis);
                 category = 'small';
                 strategyReason = '文件较小，适合与其他文件组合批处理';
-            } else if (actualTokenCount < this.config.largeFileThreshold) {
+            } else if (actualTokenCount < limits.largeFileThreshold) {
                 categories.medium.push(analysis);
                 category = 'medium';
                 strategyReason = '中等大小文件，适合单独批处理';
@@ -523,8 +840,8 @@ export class FileAnalysisModule {
                 filePath: analysis.path,
                 分类: category,
                 Token数量: actualTokenCount,
-                小文件阈值: this.config.smallFileThreshold,
-                大文件阈值: this.config.largeFileThreshold,
+                小文件阈值: limits.smallFileThreshold,
+                大文件阈值: limits.largeFileThreshold,
                 处理策略: strategyReason
             });
         }
@@ -594,7 +911,8 @@ export class FileAnalysisModule {
      * 生成批次计划
      * @private
      */
-    async _generateBatchPlans(fileCategories, projectPath) {
+    async _generateBatchPlans(fileCategories, projectPath, limits) {
+        const strategyConfigs = this._strategyConfigs(limits);
         const timerId = this.logger.methodStart('_generateBatchPlans', {
             projectPath,
             smallFiles: fileCategories.small?.length || 0,
@@ -618,8 +936,9 @@ export class FileAnalysisModule {
                 错误文件: fileCategories.error?.length || 0
             },
             策略配置: {
-                batchTargetSize: this.config.batchTargetSize,
-                maxBatchSize: this.config.maxBatchSize
+                modelProfile: limits.profile,
+                batchTargetSize: limits.batchTargetSize,
+                maxBatchSize: limits.maxBatchSize
             }
         });
         
@@ -636,14 +955,11 @@ export class FileAnalysisModule {
             this.logger.info('执行综合文件批次策略', {
                 targetFiles: fileCategories.small.length,
                 strategy: 'CombinedFileBatchStrategy',
-                targetSize: this.config.batchTargetSize
+                targetSize: limits.batchTargetSize
             });
             
             try {
-                plans.combinedBatches = await this.batchStrategies.combined.generateBatches(
-                    fileCategories.small, 
-                    this.config
-                );
+                plans.combinedBatches = await this._generateCombinedBatchesByPackage(fileCategories.small, strategyConfigs.combined);
                 
                 const combinedTokens = plans.combinedBatches.reduce((sum, batch) => sum + (batch.estimatedTokens || 0), 0);
                 totalEstimatedTokens += combinedTokens;
@@ -692,7 +1008,7 @@ export class FileAnalysisModule {
             try {
                 plans.singleBatches = await this.batchStrategies.single.generateBatches(
                     fileCategories.medium,
-                    this.config
+                    strategyConfigs.single
                 );
                 
                 const singleTokens = plans.singleBatches.reduce((sum, batch) => sum + (batch.estimatedTokens || 0), 0);
@@ -744,7 +1060,7 @@ export class FileAnalysisModule {
             try {
                 plans.multiBatches = await this.batchStrategies.largeMulti.generateBatches(
                     fileCategories.large,
-                    this.config,
+                    strategyConfigs.largeMulti,
                     projectPath
                 );
                 
@@ -833,6 +1149,8 @@ export class FileAnalysisModule {
             this.logger.debug('无错误文件', { reason: '所有文件分析成功' });
         }
         
+        this._annotateBatches(plans, fileCategories);
+        
         this.logger.methodEnd(timerId, '_generateBatchPlans', {
             totalBatches,
             totalEstimatedTokens,
@@ -861,6 +1179,70 @@ export class FileAnalysisModule {
         return plans;
     }
 
+    /**
+     * 综合文件批次 - Monorepo下按工作区包分组，批次不跨包
+     * @private
+     */
+    async _generateCombinedBatchesByPackage(smallFiles, strategyConfig) {
+        const groups = new Map();
+        for (const file of smallFiles) {
+            const packagePath = file.package || null;
+            if (!groups.has(packagePath)) groups.set(packagePath, []);
+            groups.get(packagePath).push(file);
+        }
+
+        if (groups.size === 1 && groups.has(null)) {
+            return this.batchStrategies.combined.generateBatches(smallFiles, strategyConfig);
+        }
+
+        const batches = [];
+        for (const [packagePath, files] of groups) {
+            const packageBatches = await this.batchStrategies.combined.generateBatches(files, strategyConfig);
+            // 策略每次调用都从 batch_1 重新编号，加包前缀避免冲突
+            const prefix = packagePath ? packagePath.replace(/[^a-zA-Z0-9]+/g, '_') : 'root';
+            for (const batch of packageBatches) {
+                batch.batchId = `${prefix}_${batch.batchId}`;
+                batch.package = packagePath;
+                batches.push(batch);
+            }
+
+            this.logger.debug('包内综合批次完成', {
+                package: packagePath || '(root)',
+                fileCount: files.length,
+                batchCount: packageBatches.length
+            });
+        }
+        return batches;
+    }
+
+    /**
+     * 为批次标注所属工作区包和Git历史（批次策略只保留文件路径等基础字段）
+     * 批次热度取其中最热文件的热度
+     * @private
+     */
+    _annotateBatches(plans, fileCategories) {
+        const fileIndex = new Map();
+        for (const file of [...fileCategories.small, ...fileCategories.medium, ...fileCategories.large]) {
+            fileIndex.set(file.path, file);
+        }
+
+        for (const batch of [...plans.combinedBatches, ...plans.singleBatches, ...plans.multiBatches]) {
+            const paths = (batch.files || []).map(file => file.path);
+            const primaryPath = paths[0] || batch.parentFileInfo?.path;
+            if (batch.package === undefined) {
+                batch.package = fileIndex.get(primaryPath)?.package || null;
+            }
+
+            const histories = paths
+                .map(path => [path, fileIndex.get(path)?.git])
+                .filter(([, git]) => git);
+            batch.gitHistory = histories.length > 0 ? {
+                files: Object.fromEntries(histories),
+                hotness: Math.max(...histories.map(([, git]) => git.hotness))
+            } : null;
+        }
+    }
+
     /**
      * 评估批次效率
      * @private
@@ -884,7 +1266,7 @@ export class FileAnalysisModule {
      * 创建任务定义
      * @private
      */
-    async _createTaskDefinitions(batchPlans, projectMetadata) {
+    async _createTaskDefinitions(batchPlans, projectMetadata, { firstTaskNumber = 1, packageOrder = [], prioritizeHotFiles = false } = {}) {
         const timerId = this.logger.methodStart('_createTaskDefinitions', {
             combinedBatches: batchPlans.combinedBatches?.length || 0,
             singleBatches: batchPlans.singleBatches?.length || 0,
@@ -893,7 +1275,7 @@ export class FileAnalysisModule {
         });
         
         const taskDefinitions = [];
-        let taskCounter = 1;
+        let taskCounter = firstTaskNumber;
         
         this.logger.info('开始生成任务定义', {
             批次计划统计: {
@@ -915,6 +1297,23 @@ export class FileAnalysisModule {
             ...(batchPlans.multiBatches || [])
         ];
         
+        // Monorepo：同一个包的任务排在一起，被依赖的包在前，根目录文件排最后
+        // 热点优先：（包内）按Git热度从高到低；稳定排序，其余情况保持策略顺序
+        const hasPackages = allBatches.some(batch => batch.package);
+        if (hasPackages || prioritizeHotFiles) {
+            const rankOf = (packagePath) => {
+                if (!packagePath) return Number.MAX_SAFE_INTEGER;
+                const index = packageOrder.indexOf(packagePath);
+                return index === -1 ? packageOrder.length : index;
+            };
+            const hotnessOf = (batch) => batch.gitHistory?.hotness || 0;
+            allBatches.sort((a, b) =>
+                (hasPackages ? rankOf(a.package) - rankOf(b.package) : 0) ||
+                (hasPackages && a.package && b.package ? a.package.localeCompare(b.package) : 0) ||
+                (prioritizeHotFiles ? hotnessOf(b) - hotnessOf(a) : 0)
+            );
+        }
+        
         this.logger.debug('合并批次数据', {
             总批次数: allBatches.length,
             批次来源: {
@@ -990,8 +1389,10 @@ export class FileAnalysisModule {
                         },
                         strategySpecific: {
                             fileCount: batch.fileCount,
-                            batchType: batch.type
-                        }
+                            batchType: batch.type,
+                            package: batch.package || null
+                        },
+                        gitHistory: batch.gitHistory
                     }
                 );
                 
@@ -1293,6 +1694,16 @@ export class FileAnalysisModule {
         }
     }
 
+    /**
+     * 登记分析流程之外生成的任务定义（如监听模式排入的文档更新任务），供step3验证读取
+     * @param {Array<Object>} taskDefinitions - 任务定义列表
+     * @param {string} projectPath - 项目路径
+     * @returns {boolean} 是否登记成功
+     */
+    registerTaskDefinitions(taskDefinitions, projectPath) {
+        return this._storeTaskDefinitions(taskDefinitions, projectPath);
+    }
+
     /**
      * 获取项目的所有任务ID
      */
@@ -3,7 +3,7 @@
  * 
  * 核心功能：
  * - 将多个小文件（<15K tokens）合并到一个批次
- * - 目标每批次约18K tokens，最大不超过22K tokens
+ * - 目标每批次约18K tokens，最大不超过22K tokens（default 模型配置，FileAnalysisModule 按模型配置传入）
  * - 智能文件分组：优先合并相关文件
  * - 保持处理效率：减少API调用次数
  * 
@@ -62,7 +62,7 @@ export class CombinedFileBatchStrategy {
             const processedFiles = this._preprocessFiles(smallFiles);
 
             // 智能分组文件
-            const fileGroups = this._groupRelatedFiles(processedFiles);
+            const fileGroups = this._groupRelatedFiles(processedFiles, finalConfig);
 
             // 生成批次
             const batches = this._createBatches(fileGroups, finalConfig);
@@ -106,8 +106,8 @@ export class CombinedFileBatchStrategy {
      * 智能分组相关文件
      * @private
      */
-    _groupRelatedFiles(files) {
-        if (!this.config.enableSmartGrouping) {
+    _groupRelatedFiles(files, config) {
+        if (!config.enableSmartGrouping) {
             return [files]; // 不分组，返回单一组
         }
 
@@ -125,7 +125,7 @@ export class CombinedFileBatchStrategy {
             processedFiles.add(file.originalIndex);
 
             // 寻找相关文件
-            const relatedFiles = this._findRelatedFiles(file, files, processedFiles);
+            const relatedFiles = this._findRelatedFiles(file, files, processedFiles, config);
             group.push(...relatedFiles);
 
             // 标记相关文件为已处理
@@ -149,9 +149,9 @@ export class CombinedFileBatchStrategy {
      * 寻找相关文件
      * @private
      */
-    _findRelatedFiles(targetFile, allFiles, processedFiles) {
+    _findRelatedFiles(targetFile, allFiles, processedFiles, config) {
         const relatedFiles = [];
-        const maxRelatedFiles = this.config.maxFilesPerBatch - 1;
+        const maxRelatedFiles = config.maxFilesPerBatch - 1;
 
         // 计算每个文件的相关性评分
         const candidates = allFiles
@@ -173,7 +173,7 @@ export class CombinedFileBatchStrategy {
             const fileTokens = file.tokenCount?.totalTokens || 
                               file.tokenCount?.safeTokenCount || 
                               (typeof file.tokenCount === 'number' ? file.tokenCount : 0);
-            if (currentTokens + fileTokens > this.config.maxBatchSize) break;
+            if (currentTokens + fileTokens > config.maxBatchSize) break;
 
             relatedFiles.push(file);
             currentTokens += fileTokens;
@@ -274,7 +274,7 @@ export class CombinedFileBatchStrategy {
 
             if (shouldCreateNewBatch && currentBatch.length > 0) {
                 // 创建当前批次
-                batches.push(this._createBatchFromFiles(currentBatch, batches.length + 1));
+                batches.push(this._createBatchFromFiles(currentBatch, batches.length + 1, config));
                 
                 // 开始新批次
                 currentBatch = [file];
@@ -288,7 +288,7 @@ export class CombinedFileBatchStrategy {
 
         // 处理最后一个批次
         if (currentBatch.length > 0) {
-            batches.push(this._createBatchFromFiles(currentBatch, batches.length + 1));
+            batches.push(this._createBatchFromFiles(currentBatch, batches.length + 1, config));
         }
 
         return batches;
@@ -298,7 +298,7 @@ export class CombinedFileBatchStrategy {
      * 从文件列表创建批次对象
      * @private
      */
-    _createBatchFromFiles(files, batchIndex) {
+    _createBatchFromFiles(files, batchIndex, config) {
         const totalTokens = files.reduce((sum, file) => {
             // 正确提取tokenCount对象中的实际token数量
             const actualTokens = file.tokenCount?.totalTokens || 
@@ -319,7 +319,7 @@ export class CombinedFileBatchStrategy {
         }));
 
         const batchId = `combined_batch_${batchIndex}`;
-        const efficiency = this._calculateBatchEfficiency(totalTokens, files.length);
+        const efficiency = this._calculateBatchEfficiency(totalTokens, config);
 
         // 使用BatchResultFactory创建统一格式的批次结果
         const batchResult = BatchResultFactory.createCombinedBatch(
@@ -390,7 +390,7 @@ export class CombinedFileBatchStrategy {
 
                 // 如果合并后不超过限制，则合并
                 if (combinedTokens <= config.maxBatchSize && combinedFiles <= config.maxFilesPerBatch) {
-                    const mergedBatch = this._mergeBatches(currentBatch, nextBatch);
+                    const mergedBatch = this._mergeBatches(currentBatch, nextBatch, config);
                     optimized.push(mergedBatch);
                     i += 2; // 跳过下一个批次
                     continue;
@@ -481,7 +481,11 @@ export class CombinedFileBatchStrategy {
      * 合并两个批次
      * @private
      */
-    _mergeBatches(batch1, batch2) {
+    _mergeBatches(batch1, batch2, config) {
+        // 新建批次的目录/扩展名/模块信息在 metadata.processingHints 中，合并过的批次直接在 metadata 中
+        const hintsOf = (batch) => batch.metadata?.processingHints || batch.metadata || {};
+        const mergeHint = (key) => [...new Set([...(hintsOf(batch1)[key] || []), ...(hintsOf(batch2)[key] || [])])];
+
         return {
             type: 'combined_files',
             batchId: batch1.batchId,
@@ -491,14 +495,14 @@ export class CombinedFileBatchStrategy {
             strategy: 'combined_merged',
             efficiency: this._calculateBatchEfficiency(
                 batch1.estimatedTokens + batch2.estimatedTokens,
-                batch1.fileCount + batch2.fileCount
+                config
             ),
             description: `合并批次 - ${batch1.fileCount + batch2.fileCount} 个文件`,
             metadata: {
                 avgTokensPerFile: Math.round((batch1.estimatedTokens + batch2.estimatedTokens) / (batch1.fileCount + batch2.fileCount)),
-                directories: [...new Set([...batch1.metadata.directories, ...batch2.metadata.directories])],
-                extensions: [...new Set([...batch1.metadata.extensions, ...batch2.metadata.extensions])],
-                modules: [...new Set([...batch1.metadata.modules, ...batch2.metadata.modules])]
+                directories: mergeHint('directories'),
+                extensions: mergeHint('extensions'),
+                modules: mergeHint('modules')
             },
             processingHints: {
                 analysisDepth: 'comprehensive',
@@ -542,8 +546,8 @@ export class CombinedFileBatchStrategy {
     }
 
     _extractDependencies(file) {
-        // 简单实现，可以基于代码结构分析结果扩展
-        return file.codeStructure?.structure?.dependencies || { internal: [], external: [] };
+        // 优先使用导入依赖图解析出的项目内文件路径
+        return file.dependencies || file.codeStructure?.structure?.dependencies || { internal: [], external: [] };
     }
 
     _calculateFilePriority(file) {
@@ -610,12 +614,9 @@ export class CombinedFileBatchStrategy {
         
         if (!deps1 || !deps2) return false;
         
-        // 检查是否有相互引用
-        const file1Name = file1.baseName;
-        const file2Name = file2.baseName;
-        
-        return deps1.internal.some(dep => dep.includes(file2Name)) ||
-               deps2.internal.some(dep => dep.includes(file1Name));
+        // 检查是否有相互引用（internal 为相对项目根目录的文件路径）
+        return deps1.internal.includes(file2.path) ||
+               deps2.internal.includes(file1.path);
     }
 
     _isSimilarSize(size1, size2) {
@@ -623,8 +624,8 @@ export class CombinedFileBatchStrategy {
         return ratio > 0.7;
     }
 
-    _calculateBatchEfficiency(totalTokens, fileCount) {
-        const targetEfficiency = this.config.targetBatchSize;
+    _calculateBatchEfficiency(totalTokens, config) {
+        const targetEfficiency = config.targetBatchSize;
         const efficiency = (totalTokens / targetEfficiency) * 100;
         return Math.min(Math.round(efficiency), 100);
     }
@@ -642,7 +643,7 @@ export class CombinedFileBatchStrategy {
             name: 'CombinedFileBatchStrategy',
             version: '1.0.0',
             config: this.config,
-            targetFiles: '小文件 (<15K tokens)',
+            targetFiles: '小文件 (<smallFileThreshold，default 配置为15K tokens)',
             isReady: true
         };
     }
@@ -2,7 +2,7 @@
  * 大文件多批次策略 - 智能文件分割处理
  * 
  * 核心功能：
- * - 将大文件（>20K tokens）智能分割成多个批次
+ * - 将大文件（>20K tokens，default 模型配置）智能分割成多个批次
  * - 基于函数边界检测，避免破坏代码逻辑完整性
  * - 保持代码上下文和依赖关系
  * - 生成有序的子任务ID（task_X_1, task_X_2等）
@@ -33,12 +33,13 @@ export class LargeFileMultiBatchStrategy {
             ...config
         };
 
-        // 初始化边界检测器
+        // 初始化边界检测器（其他切片大小按需创建，见 _boundaryDetectorFor）
         this.boundaryDetector = new FunctionBoundaryDetector({
             minChunkSize: this.config.minChunkSize,
             maxChunkSize: this.config.maxChunkSize,
             overlapSize: this.config.overlapSize
         });
+        this.boundaryDetectors = new Map();
 
         // 分析质量权重
         this.qualityWeights = {
@@ -141,7 +142,7 @@ export class LargeFileMultiBatchStrategy {
             const fileContent = await this._readFileContent(file.path, projectPath);
             
             // 检测最佳分割点
-            const boundaryResult = await this.boundaryDetector.detectBoundaries(
+            const boundaryResult = await this._boundaryDetectorFor(config).detectBoundaries(
                 file.path,
                 fileContent,
                 file.codeStructure,
@@ -161,6 +162,16 @@ export class LargeFileMultiBatchStrategy {
                 config
             );
 
+            // 记录切割依据（词法分析/正则），以及无法在声明内部继续切割的超大切片
+            const { chunks } = boundaryResult.chunkPlan;
+            batches.forEach((batch, index) => {
+                batch.metadata.boundarySource = boundaryResult.metadata?.boundarySource || 'regex';
+                if (chunks[index]?.oversized) {
+                    batch.metadata.oversized = true;
+                    console.warn(`[LargeFileMultiBatchStrategy] 分片超过最大大小但无法在声明内部切割: ${file.path} (${chunks[index].startLine}-${chunks[index].endLine})`);
+                }
+            });
+
             return batches;
 
         } catch (error) {
@@ -189,6 +200,26 @@ export class LargeFileMultiBatchStrategy {
         }
     }
 
+    /**
+     * 按本次调用的切片大小获取边界检测器（模型配置不同时切片上下限不同）
+     * @private
+     */
+    _boundaryDetectorFor(config) {
+        const { minChunkSize, maxChunkSize, overlapSize } = config;
+        const detectorConfig = this.boundaryDetector.config;
+        if (minChunkSize === detectorConfig.minChunkSize &&
+            maxChunkSize === detectorConfig.maxChunkSize &&
+            overlapSize === detectorConfig.overlapSize) {
+            return this.boundaryDetector;
+        }
+
+        const key = `${minChunkSize}:${maxChunkSize}:${overlapSize}`;
+        if (!this.boundaryDetectors.has(key)) {
+            this.boundaryDetectors.set(key, new FunctionBoundaryDetector({ minChunkSize, maxChunkSize, overlapSize }));
+        }
+        return this.boundaryDetectors.get(key);
+    }
+
     /**
      * 基于切片计划创建批次
      * @private
@@ -248,15 +279,15 @@ export class LargeFileMultiBatchStrategy {
             parentFileInfo,
             {
                 description: this._generateChunkDescription(file, chunk, chunkIndex, totalChunks),
-                efficiency: this._assessSplitQuality(chunk)
+                efficiency: this._assessSplitQuality(chunk, config)
             }
         );
 
         // 添加额外的处理提示和元数据（保留原有功能）
-        batchResult.metadata.splitQuality = this._assessSplitQuality(chunk);
+        batchResult.metadata.splitQuality = this._assessSplitQuality(chunk, config);
         batchResult.metadata.processingHints = {
             ...batchResult.metadata.processingHints,
-            ...this._generateChunkProcessingHints(file, chunk, chunkIndex, totalChunks),
+            ...this._generateChunkProcessingHints(file, chunk, chunkIndex, totalChunks, config),
             contextInfo: this._generateChunkContextInfo(file, chunk, chunkIndex, totalChunks),
             reconstructionInfo: this._generateReconstructionInfo(chunk, chunkIndex, totalChunks)
         };
@@ -269,7 +300,7 @@ export class LargeFileMultiBatchStrategy {
      * 评估分割质量
      * @private
      */
-    _assessSplitQuality(chunk) {
+    _assessSplitQuality(chunk, config) {
         let quality = 0;
 
         // 结构完整性评分
@@ -281,7 +312,7 @@ export class LargeFileMultiBatchStrategy {
         quality += contextScore * this.qualityWeights.contextPreservation;
 
         // 大小平衡评分
-        const sizeScore = this._assessSizeBalance(chunk);
+        const sizeScore = this._assessSizeBalance(chunk, config);
         quality += sizeScore * this.qualityWeights.sizeBestance;
 
         // 依赖处理评分
@@ -358,8 +389,8 @@ export class LargeFileMultiBatchStrategy {
      * 评估大小平衡
      * @private
      */
-    _assessSizeBalance(chunk) {
-        const idealSize = this.config.targetChunkSize;
+    _assessSizeBalance(chunk, config) {
+        const idealSize = config.targetChunkSize;
         const actualSize = chunk.estimatedTokens;
         
         // 计算与理想大小的接近程度
@@ -465,11 +496,11 @@ export class LargeFileMultiBatchStrategy {
      * 生成切片处理提示
      * @private
      */
-    _generateChunkProcessingHints(file, chunk, chunkIndex, totalChunks) {
+    _generateChunkProcessingHints(file, chunk, chunkIndex, totalChunks, config) {
         const hints = {
             isFirstChunk: chunkIndex === 1,
             isLastChunk: chunkIndex === totalChunks,
-            analysisDepth: this._determineAnalysisDepth(chunk),
+            analysisDepth: this._determineAnalysisDepth(chunk, config),
             focusAreas: this._identifyChunkFocusAreas(chunk),
             specialInstructions: this._generateSpecialInstructions(chunk, chunkIndex, totalChunks),
             contextAware: this.config.preserveContext,
@@ -483,11 +514,11 @@ export class LargeFileMultiBatchStrategy {
      * 确定分析深度
      * @private
      */
-    _determineAnalysisDepth(chunk) {
+    _determineAnalysisDepth(chunk, config) {
         if (chunk.type === 'class-focused') return 'detailed';
         if (chunk.type === 'function-focused') return 'comprehensive';
         if (chunk.type === 'interface-focused') return 'comprehensive';
-        if (chunk.estimatedTokens > 15000) return 'detailed';
+        if (chunk.estimatedTokens > config.targetChunkSize * 5 / 6) return 'detailed'; // default 配置为15K
         return 'comprehensive';
     }
 
@@ -725,7 +756,7 @@ export class LargeFileMultiBatchStrategy {
             name: 'LargeFileMultiBatchStrategy',
             version: '1.0.0',
             config: this.config,
-            targetFiles: '大文件 (>20K tokens)',
+            targetFiles: '大文件 (>=largeFileThreshold，default 配置为20K tokens)',
             boundaryDetector: this.boundaryDetector?.getDetectorStatus() || null,
             isReady: !!this.boundaryDetector
         };
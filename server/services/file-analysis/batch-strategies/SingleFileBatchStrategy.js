@@ -2,7 +2,7 @@
  * 单文件单批次策略 - 中等文件独立处理
  * 
  * 核心功能：
- * - 为每个中等大小文件（15K-20K tokens）创建独立批次
+ * - 为每个中等大小文件（15K-20K tokens，default 模型配置）创建独立批次
  * - 保持文件的完整性和独立分析质量
  * - 优化Token使用，避免浪费
  * - 简化处理流程，提升分析精度
@@ -23,13 +23,14 @@ export class SingleFileBatchStrategy {
         this.config = {
             minTokenSize: 15000,        // 最小Token大小
             maxTokenSize: 20000,        // 最大Token大小
+            targetTokenSize: 18000,     // 理想批次大小
             enableContentAnalysis: true, // 启用内容分析
             preserveStructure: true,    // 保持代码结构
             addContextInfo: true,       // 添加上下文信息
             ...config
         };
 
-        // 分析深度配置
+        // 分析深度配置（边界见 _sizeBoundaries，以下为 default 配置的值）
         this.analysisDepths = {
             'tiny': 'basic',           // <16K tokens
             'medium': 'comprehensive', // 16K-18K tokens
@@ -54,8 +55,14 @@ export class SingleFileBatchStrategy {
             // 合并配置
             const finalConfig = { ...this.config, ...config };
 
+            // tokenCount 可能是 TokenResult 对象，统一为数字后再比较
+            const normalizedFiles = mediumFiles.map(file => ({
+                ...file,
+                tokenCount: BatchResultFactory._extractTokenCount(file.tokenCount)
+            }));
+
             // 验证文件大小
-            const validFiles = this._validateFiles(mediumFiles, finalConfig);
+            const validFiles = this._validateFiles(normalizedFiles, finalConfig);
 
             // 为每个文件创建独立批次
             const batches = this._createIndividualBatches(validFiles, finalConfig);
@@ -116,7 +123,7 @@ export class SingleFileBatchStrategy {
      * @private
      */
     _createSingleFileBatch(file, batchIndex, config) {
-        const sizeCategory = this._determineSizeCategory(file.tokenCount);
+        const sizeCategory = this._determineSizeCategory(file.tokenCount, config);
         const analysisDepth = this.analysisDepths[sizeCategory] || 'comprehensive';
         
         // 创建统一的BatchFile格式
@@ -131,7 +138,7 @@ export class SingleFileBatchStrategy {
 
         const batchId = `single_batch_${batchIndex}`;
         const estimatedTokens = batchFile.tokenCount;
-        const efficiency = this._calculateBatchEfficiency(estimatedTokens);
+        const efficiency = this._calculateBatchEfficiency(estimatedTokens, config);
 
         // 使用BatchResultFactory创建统一格式的批次结果
         const batchResult = BatchResultFactory.createSingleBatch(
@@ -147,10 +154,10 @@ export class SingleFileBatchStrategy {
         // 添加额外的处理提示和元数据（保留原有功能）
         batchResult.metadata.sizeCategory = sizeCategory;
         batchResult.metadata.analysisDepth = analysisDepth;
-        batchResult.metadata.qualityScore = this._calculateQualityScore(file);
+        batchResult.metadata.qualityScore = this._calculateQualityScore(file, config);
         batchResult.metadata.processingHints = {
             ...batchResult.metadata.processingHints,
-            ...this._generateProcessingHints(file, analysisDepth),
+            ...this._generateProcessingHints(file, analysisDepth, config),
             codeStructure: file.codeStructure,
             importance: this._calculateFileImportance(file),
             complexity: this._calculateFileComplexity(file),
@@ -161,13 +168,27 @@ export class SingleFileBatchStrategy {
         return batchResult;
     }
 
+    /**
+     * 大小类别边界，随 minTokenSize/maxTokenSize/targetTokenSize 缩放（default 配置为 16K/18K/19K）
+     * @private
+     */
+    _sizeBoundaries(config) {
+        const span = config.maxTokenSize - config.minTokenSize;
+        return {
+            mediumFrom: config.minTokenSize + span * 0.2,
+            largeFrom: config.targetTokenSize,
+            largeFileAbove: config.maxTokenSize - span * 0.2
+        };
+    }
+
     /**
      * 确定文件大小类别
      * @private
      */
-    _determineSizeCategory(tokenCount) {
-        if (tokenCount < 16000) return 'tiny';
-        if (tokenCount < 18000) return 'medium';
+    _determineSizeCategory(tokenCount, config) {
+        const { mediumFrom, largeFrom } = this._sizeBoundaries(config);
+        if (tokenCount < mediumFrom) return 'tiny';
+        if (tokenCount < largeFrom) return 'medium';
         return 'large';
     }
 
@@ -243,8 +264,8 @@ export class SingleFileBatchStrategy {
      * 计算批次效率
      * @private
      */
-    _calculateBatchEfficiency(tokenCount) {
-        const idealSize = 18000; // 理想批次大小
+    _calculateBatchEfficiency(tokenCount, config) {
+        const idealSize = config.targetTokenSize;
         const efficiency = Math.min((tokenCount / idealSize) * 100, 100);
         return Math.round(efficiency);
     }
@@ -302,11 +323,11 @@ export class SingleFileBatchStrategy {
      * 生成处理提示
      * @private
      */
-    _generateProcessingHints(file, analysisDepth) {
+    _generateProcessingHints(file, analysisDepth, config) {
         const hints = {
             analysisDepth,
             focusAreas: this._identifyFocusAreas(file),
-            specialHandling: this._identifySpecialHandling(file),
+            specialHandling: this._identifySpecialHandling(file, config),
             contextAware: true,
             preserveStructure: this.config.preserveStructure,
             documentationStyle: this._recommendDocumentationStyle(file)
@@ -349,7 +370,7 @@ export class SingleFileBatchStrategy {
      * 识别特殊处理需求
      * @private
      */
-    _identifySpecialHandling(file) {
+    _identifySpecialHandling(file, config) {
         const specialHandling = [];
 
         if (file.codeStructure && file.codeStructure.structure) {
@@ -369,7 +390,7 @@ export class SingleFileBatchStrategy {
             }
         }
 
-        if (file.tokenCount > 19000) {
+        if (file.tokenCount > this._sizeBoundaries(config).largeFileAbove) {
             specialHandling.push('large_file');
         }
 
@@ -411,11 +432,12 @@ export class SingleFileBatchStrategy {
      * 计算质量评分
      * @private
      */
-    _calculateQualityScore(file) {
+    _calculateQualityScore(file, config) {
         let score = 70; // 基础分数
 
         // Token数量适中加分
-        if (file.tokenCount >= 16000 && file.tokenCount <= 18000) {
+        const { mediumFrom, largeFrom } = this._sizeBoundaries(config);
+        if (file.tokenCount >= mediumFrom && file.tokenCount <= largeFrom) {
             score += 10;
         }
 
@@ -437,8 +459,8 @@ export class SingleFileBatchStrategy {
      * @private
      */
     _optimizeBatches(batches, config) {
-        // 按重要性排序
-        const sortedBatches = batches.sort((a, b) => b.file.importance - a.file.importance);
+        // 按重要性排序（BatchFile.priority 即文件重要性）
+        const sortedBatches = batches.sort((a, b) => (b.files[0]?.priority || 0) - (a.files[0]?.priority || 0));
 
         // 重新分配批次ID
         sortedBatches.forEach((batch, index) => {
@@ -547,7 +569,7 @@ export class SingleFileBatchStrategy {
             name: 'SingleFileBatchStrategy',
             version: '1.0.0',
             config: this.config,
-            targetFiles: '中等文件 (15K-20K tokens)',
+            targetFiles: '中等文件 (smallFileThreshold-largeFileThreshold，default 配置为15K-20K tokens)',
             isReady: true
         };
     }
@@ -0,0 +1,288 @@
+/**
+ * 导入语句提取器 - 从源文件中提取导入声明（不解析到文件）
+ *
+ * 支持语言（与 LanguageDetector 一致）：
+ * - JavaScript/TypeScript：ESM import/export from、动态 import()、CommonJS require()
+ * - Python：import a.b、from .pkg import x
+ * - Go：import "x" 和 import (...) 块
+ * - Java：import a.b.C、import a.b.*、import static a.b.C.m
+ * - Rust：use 路径（含 {..} 分组）、mod 声明、extern crate
+ * - C#：using 命名空间、using static、using 别名
+ *
+ * 设计理念：
+ * - 基于正则的轻量提取，不依赖各语言的解析器
+ * - 注释中的导入尽量跳过（去掉块注释和整行注释）
+ * - 每条导入记录行号，便于文档引用
+ */
+
+const LANGUAGE_BY_EXTENSION = {
+    '.js': 'javascript', '.jsx': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript', '.vue': 'javascript',
+    '.ts': 'typescript', '.tsx': 'typescript', '.mts': 'typescript', '.cts': 'typescript',
+    '.py': 'python', '.pyw': 'python', '.pyi': 'python',
+    '.go': 'go',
+    '.java': 'java',
+    '.rs': 'rust',
+    '.cs': 'csharp'
+};
+
+export class ImportExtractor {
+    constructor(config = {}) {
+        this.config = {
+            languageByExtension: LANGUAGE_BY_EXTENSION,
+            ...config
+        };
+    }
+
+    /**
+     * 根据扩展名判断导入语法
+     * @param {string} extension - 小写扩展名（如 '.ts'）
+     * @returns {string|null} javascript | typescript | python | go | java | rust | csharp
+     */
+    languageOf(extension) {
+        return this.config.languageByExtension[extension] || null;
+    }
+
+    /**
+     * 提取导入声明
+     * @param {string} content - 源文件内容
+     * @param {string} language - languageOf() 的结果
+     * @returns {Array<Object>} [{ specifier, kind, line }]
+     */
+    extract(content, language) {
+        switch (language) {
+            case 'javascript':
+            case 'typescript':
+                return this._extractJavaScript(content);
+            case 'python':
+                return this._extractPython(content);
+            case 'go':
+                return this._extractGo(content);
+            case 'java':
+                return this._extractJava(content);
+            case 'rust':
+                return this._extractRust(content);
+            case 'csharp':
+                return this._extractCSharp(content);
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * 提取文件声明的包/命名空间（Java package、C# namespace），用于按名称解析导入
+     * @param {string} content - 源文件内容
+     * @param {string} language - languageOf() 的结果
+     * @returns {Array<string>}
+     */
+    extractDeclarations(content, language) {
+        const source = this._stripComments(content, language);
+        if (language === 'java') {
+            const match = source.match(/^\s*package\s+([\w.]+)\s*;/m);
+            return match ? [match[1]] : [];
+        }
+        if (language === 'csharp') {
+            return Array.from(source.matchAll(/^\s*namespace\s+([\w.]+)/gm), match => match[1]);
+        }
+        return [];
+    }
+
+    /**
+     * @private
+     */
+    _extractJavaScript(content) {
+        const source = this._stripComments(content, 'javascript');
+        const lineAt = this._lineLocator(source);
+        const imports = [];
+        const patterns = [
+            ['esm', /\bimport\s+(?:type\s+)?(?:[\w$*{}\s,]+?\s+from\s+)?['"]([^'"\n]+)['"]/g],
+            ['esm', /\bexport\s+(?:type\s+)?(?:\*(?:\s+as\s+[\w$]+)?|\{[^}]*\})\s*from\s+['"]([^'"\n]+)['"]/g],
+            ['dynamic', /\bimport\s*\(\s*['"]([^'"\n]+)['"]\s*\)/g],
+            ['cjs', /\brequire\s*\(\s*['"]([^'"\n]+)['"]\s*\)/g]
+        ];
+
+        for (const [kind, pattern] of patterns) {
+            for (const match of source.matchAll(pattern)) {
+                imports.push({ specifier: match[1], kind, line: lineAt(match.index) });
+            }
+        }
+        return this._dedupe(imports);
+    }
+
+    /**
+     * @private
+     */
+    _extractPython(content) {
+        const source = this._stripComments(content, 'python');
+        const lineAt = this._lineLocator(source);
+        const imports = [];
+
+        for (const match of source.matchAll(/^[ \t]*from\s+(\.*[\w.]*)\s+import\s+(\([^)]*\)|[^\n]+)/gm)) {
+            const names = match[2].replace(/[()\\]/g, ' ').split(',')
+                .map(name => name.trim().split(/\s+as\s+/)[0].trim())
+                .filter(name => name && name !== '*');
+            imports.push({ specifier: match[1], kind: 'from', names, line: lineAt(match.index) });
+        }
+        for (const match of source.matchAll(/^[ \t]*import\s+([\w.]+(?:\s+as\s+\w+)?(?:\s*,\s*[\w.]+(?:\s+as\s+\w+)?)*)/gm)) {
+            const line = lineAt(match.index);
+            for (const part of match[1].split(',')) {
+                imports.push({ specifier: part.trim().split(/\s+as\s+/)[0], kind: 'import', line });
+            }
+        }
+        return this._dedupe(imports);
+    }
+
+    /**
+     * @private
+     */
+    _extractGo(content) {
+        const source = this._stripComments(content, 'go');
+        const lineAt = this._lineLocator(source);
+        const imports = [];
+
+        for (const match of source.matchAll(/^\s*import\s+(?:[\w.]+\s+)?"([^"]+)"/gm)) {
+            imports.push({ specifier: match[1], kind: 'import', line: lineAt(match.index) });
+        }
+        for (const block of source.matchAll(/^\s*import\s*\(([\s\S]*?)\)/gm)) {
+            const blockStart = block.index + block[0].indexOf('(') + 1;
+            for (const match of block[1].matchAll(/(?:[\w.]+\s+)?"([^"]+)"/g)) {
+                imports.push({ specifier: match[1], kind: 'import', line: lineAt(blockStart + match.index) });
+            }
+        }
+        return this._dedupe(imports);
+    }
+
+    /**
+     * @private
+     */
+    _extractJava(content) {
+        const source = this._stripComments(content, 'java');
+        const lineAt = this._lineLocator(source);
+        return this._dedupe(Array.from(source.matchAll(/^\s*import\s+(static\s+)?([\w.]+(?:\.\*)?)\s*;/gm), match => ({
+            specifier: match[2],
+            kind: match[1] ? 'static' : 'import',
+            line: lineAt(match.index)
+        })));
+    }
+
+    /**
+     * @private
+     */
+    _extractRust(content) {
+        const source = this._stripComments(content, 'rust');
+        const lineAt = this._lineLocator(source);
+        const imports = [];
+
+        for (const match of source.matchAll(/^\s*(?:pub(?:\([^)]*\))?\s+)?use\s+([^;]+);/gm)) {
+            const line = lineAt(match.index);
+            const path = match[1].replace(/\s+/g, ' ').replace(/\s*(::|,|\{|\})\s*/g, '$1').trim();
+            for (const expanded of this._expandRustUse(path)) {
+                imports.push({ specifier: expanded, kind: 'use', line });
+            }
+        }
+        for (const match of source.matchAll(/^\s*(?:pub(?:\([^)]*\))?\s+)?mod\s+(\w+)\s*;/gm)) {
+            imports.push({ specifier: match[1], kind: 'mod', line: lineAt(match.index) });
+        }
+        for (const match of source.matchAll(/^\s*extern\s+crate\s+(\w+)/gm)) {
+            imports.push({ specifier: match[1], kind: 'extern_crate', line: lineAt(match.index) });
+        }
+        return this._dedupe(imports);
+    }
+
+    /**
+     * 展开 use 分组：a::{b, c::d} -> a::b, a::c::d（嵌套分组只展开一层）
+     * @private
+     */
+    _expandRustUse(path) {
+        const withoutAlias = (item) => item.replace(/\s+as\s+\w+$/, '');
+        const braceIndex = path.indexOf('{');
+        if (braceIndex === -1) return [withoutAlias(path)];
+
+        const prefix = path.slice(0, braceIndex);
+        const inner = path.slice(braceIndex + 1, path.lastIndexOf('}'));
+        const items = [];
+        let depth = 0;
+        let current = '';
+        for (const char of inner) {
+            if (char === '{') depth++;
+            if (char === '}') depth--;
+            if (char === ',' && depth === 0) {
+                items.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        items.push(current);
+
+        return items
+            .map(item => withoutAlias(item.split('{')[0]).replace(/::$/, ''))
+            .filter(item => item && item !== '*')
+            .map(item => item === 'self' ? prefix.replace(/::$/, '') : `${prefix}${item}`);
+    }
+
+    /**
+     * @private
+     */
+    _extractCSharp(content) {
+        const source = this._stripComments(content, 'csharp');
+        const lineAt = this._lineLocator(source);
+        return this._dedupe(Array.from(source.matchAll(/^\s*(?:global\s+)?using\s+(static\s+)?(?:\w+\s*=\s*)?([\w.]+)\s*;/gm), match => ({
+            specifier: match[2],
+            kind: match[1] ? 'static' : 'using',
+            line: lineAt(match.index)
+        })));
+    }
+
+    /**
+     * 去掉块注释和整行注释（替换为空格以保持行号和偏移）
+     * @private
+     */
+    _stripComments(content, language) {
+        const blank = (text) => text.replace(/[^\n]/g, ' ');
+        if (language === 'python') {
+            return content.replace(/^[ \t]*#.*$/gm, blank);
+        }
+        return content
+            .replace(/\/\*[\s\S]*?\*\//g, blank)
+            .replace(/^[ \t]*\/\/.*$/gm, blank);
+    }
+
+    /**
+     * 偏移 -> 行号（预先记录每行起始偏移，二分查找）
+     * @private
+     */
+    _lineLocator(source) {
+        const lineStarts = [0];
+        for (let i = 0; i < source.length; i++) {
+            if (source.charCodeAt(i) === 10) lineStarts.push(i + 1);
+        }
+        return (index) => {
+            let low = 0;
+            let high = lineStarts.length - 1;
+            while (low < high) {
+                const middle = (low + high + 1) >> 1;
+                if (lineStarts[middle] <= index) low = middle;
+                else high = middle - 1;
+            }
+            return low + 1;
+        };
+    }
+
+    /**
+     * 同一导入重复出现时保留第一次
+     * @private
+     */
+    _dedupe(imports) {
+        const seen = new Set();
+        return imports
+            .sort((a, b) => a.line - b.line)
+            .filter(entry => {
+                const key = `${entry.kind}|${entry.specifier}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+}
+
+export default ImportExtractor;
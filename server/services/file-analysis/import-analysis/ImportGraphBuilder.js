@@ -0,0 +1,644 @@
+/**
+ * 导入依赖图构建器 - 提取源文件的导入声明并解析到项目文件
+ *
+ * 核心功能：
+ * - 读取项目源文件，用 ImportExtractor 提取导入声明
+ * - 按语言规则把导入解析为项目内文件，无法解析的归为外部包或标准库
+ *   - JS/TS：相对路径、扩展名和 index 补全、tsconfig/jsconfig 的 baseUrl 和 paths、Monorepo 包名
+ *   - Python：相对导入（点号）、包目录（__init__.py）、项目根目录和 src/ 下的绝对导入
+ *   - Go：go.mod 模块路径下的包目录（指向目录中的所有非测试 .go 文件）
+ *   - Java：package 声明建立的全限定类名索引，支持通配符和静态导入
+ *   - Rust：crate::/super::/self:: 路径、mod 声明、工作区内其他 crate
+ *   - C#：namespace 声明建立的命名空间索引
+ * - 生成文件级依赖图：每个文件的导入明细、文件间的边、外部包使用统计
+ *
+ * 设计理念：
+ * - 只依赖源文件本身，完全离线
+ * - 解析失败不影响Init流程，记为 unresolved
+ */
+
+import { promises as fs } from 'fs';
+import { builtinModules } from 'module';
+import { join, resolve, extname, posix } from 'path';
+import { ImportExtractor } from './ImportExtractor.js';
+
+const IMPORT_GRAPH_VERSION = 1;
+
+const JS_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts', '.vue', '.json'];
+
+// 常用 Python 标准库顶层模块（未列出的无法解析模块按外部包处理）
+const PYTHON_STDLIB = new Set([
+    'abc', 'argparse', 'array', 'ast', 'asyncio', 'base64', 'bisect', 'builtins', 'calendar', 'collections',
+    'concurrent', 'configparser', 'contextlib', 'copy', 'csv', 'ctypes', 'dataclasses', 'datetime', 'decimal',
+    'difflib', 'email', 'enum', 'errno', 'fnmatch', 'fractions', 'functools', 'gc', 'getpass', 'glob', 'gzip',
+    'hashlib', 'heapq', 'hmac', 'html', 'http', 'importlib', 'inspect', 'io', 'ipaddress', 'itertools', 'json',
+    'logging', 'math', 'mimetypes', 'multiprocessing', 'operator', 'os', 'pathlib', 'pickle', 'platform',
+    'pprint', 'queue', 'random', 're', 'secrets', 'select', 'shlex', 'shutil', 'signal', 'socket', 'sqlite3',
+    'ssl', 'stat', 'statistics', 'string', 'struct', 'subprocess', 'sys', 'tempfile', 'textwrap', 'threading',
+    'time', 'timeit', 'traceback', 'types', 'typing', 'unittest', 'urllib', 'uuid', 'warnings', 'weakref',
+    'xml', 'zipfile', 'zlib', '__future__'
+]);
+
+const RUST_BUILTIN_CRATES = new Set(['std', 'core', 'alloc', 'proc_macro', 'test']);
+
+export class ImportGraphBuilder {
+    constructor(config = {}, dependencies = {}, serviceBus = null) {
+        this.config = {
+            maxFileSize: 1024 * 1024,          // 超过该大小的文件不提取导入
+            pythonRoots: ['', 'src/', 'lib/'],  // Python 绝对导入的候选根目录
+            ...config
+        };
+
+        this.serviceBus = serviceBus;
+        this.extractor = new ImportExtractor();
+    }
+
+    /**
+     * 构建项目的导入依赖图
+     * @param {string} projectPath - 项目根目录
+     * @param {Array<Object>} fileList - Step1 文件列表（path 为相对项目根目录的路径）
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.packages] - Monorepo 包列表（{ name, path, manager }）
+     * @returns {Promise<Object>} { version, files, edges, externalPackages, stats }
+     */
+    async build(projectPath, fileList, { packages = [] } = {}) {
+        const rootPath = resolve(projectPath);
+        const sources = [];
+
+        // 第一遍：读取文件，提取导入和包/命名空间声明
+        for (const file of fileList || []) {
+            const language = this.extractor.languageOf(extname(file.path).toLowerCase());
+            if (!language) continue;
+
+            let content;
+            try {
+                const filePath = join(rootPath, file.path);
+                if ((await fs.stat(filePath)).size > this.config.maxFileSize) continue;
+                content = await fs.readFile(filePath, 'utf8');
+            } catch (error) {
+                continue;
+            }
+
+            sources.push({
+                path: file.path,
+                language,
+                imports: this.extractor.extract(content, language),
+                declarations: this.extractor.extractDeclarations(content, language)
+            });
+        }
+
+        const context = await this._createContext(rootPath, sources, packages);
+
+        // 第二遍：解析导入
+        const files = {};
+        const edgeCounts = new Map();
+        const externalUsage = new Map();
+        const stats = { files: sources.length, imports: 0, internal: 0, external: 0, builtin: 0, unresolved: 0 };
+
+        for (const source of sources) {
+            const imports = source.imports.map(entry => {
+                const resolution = this._resolve(source, entry, context);
+                stats.imports++;
+                stats[resolution.status]++;
+
+                for (const target of resolution.targets || []) {
+                    if (target === source.path) continue;
+                    const key = `${source.path}\n${target}`;
+                    edgeCounts.set(key, (edgeCounts.get(key) || 0) + 1);
+                }
+                if (resolution.status === 'external') {
+                    if (!externalUsage.has(resolution.package)) externalUsage.set(resolution.package, new Set());
+                    externalUsage.get(resolution.package).add(source.path);
+                }
+
+                return {
+                    specifier: entry.specifier,
+                    kind: entry.kind,
+                    line: entry.line,
+                    status: resolution.status,
+                    targets: (resolution.targets || []).filter(target => target !== source.path),
+                    package: resolution.package || null
+                };
+            });
+
+            files[source.path] = { language: source.language, imports };
+        }
+
+        const edges = Array.from(edgeCounts.entries()).map(([key, count]) => {
+            const [from, to] = key.split('\n');
+            return { from, to, count };
+        });
+
+        for (const edge of edges) {
+            if (files[edge.to]) {
+                files[edge.to].importedBy = files[edge.to].importedBy || [];
+                files[edge.to].importedBy.push(edge.from);
+            }
+        }
+
+        return {
+            version: IMPORT_GRAPH_VERSION,
+            generatedAt: new Date().toISOString(),
+            files,
+            edges,
+            externalPackages: Array.from(externalUsage.entries())
+                .map(([name, importers]) => ({ name, importers: importers.size }))
+                .sort((a, b) => b.importers - a.importers || a.name.localeCompare(b.name)),
+            stats: { ...stats, edges: edges.length }
+        };
+    }
+
+    /**
+     * 文件的直接依赖（供批次策略使用）
+     * @param {Object} graph - build() 的结果
+     * @param {string} filePath - 相对路径
+     * @returns {{internal: Array<string>, external: Array<string>}}
+     */
+    dependenciesOf(graph, filePath) {
+        const imports = graph?.files?.[filePath]?.imports || [];
+        return {
+            internal: Array.from(new Set(imports.flatMap(entry => entry.targets))),
+            external: Array.from(new Set(imports.filter(entry => entry.status === 'external').map(entry => entry.package)))
+        };
+    }
+
+    /**
+     * 按分组（目录、模块等）汇总依赖关系，用于文档生成
+     * @param {Object} graph - build() 的结果
+     * @param {Object} [options]
+     * @param {Function} [options.groupOf] - 文件 -> 分组名（返回null时忽略该文件），默认取所在目录
+     * @param {number} [options.limit=30] - 返回的分组依赖数上限
+     * @returns {Object} { groupEdges, cycles, externalPackages, stats }
+     */
+    summarize(graph, { groupOf = (path) => posix.dirname(path), limit = 30 } = {}) {
+        const groupEdges = new Map();
+
+        for (const edge of graph?.edges || []) {
+            const from = groupOf(edge.from);
+            const to = groupOf(edge.to);
+            if (!from || !to || from === to) continue;
+
+            const key = `${from}\n${to}`;
+            if (!groupEdges.has(key)) groupEdges.set(key, { from, to, imports: 0, examples: [] });
+            const groupEdge = groupEdges.get(key);
+            groupEdge.imports += edge.count;
+            if (groupEdge.examples.length < 3) groupEdge.examples.push(`${edge.from} -> ${edge.to}`);
+        }
+
+        const sorted = Array.from(groupEdges.values())
+            .sort((a, b) => b.imports - a.imports || a.from.localeCompare(b.from) || a.to.localeCompare(b.to));
+        const cycles = sorted
+            .filter(edge => edge.from < edge.to && groupEdges.has(`${edge.to}\n${edge.from}`))
+            .map(edge => [edge.from, edge.to]);
+
+        return {
+            groupEdges: sorted.slice(0, limit),
+            totalGroupEdges: sorted.length,
+            cycles,
+            externalPackages: (graph?.externalPackages || []).slice(0, 15),
+            stats: graph?.stats || null
+        };
+    }
+
+    /**
+     * 获取服务状态
+     */
+    getServiceStatus() {
+        return {
+            name: 'ImportGraphBuilder',
+            version: IMPORT_GRAPH_VERSION,
+            config: this.config
+        };
+    }
+
+    // ========== 解析上下文 ==========
+
+    /**
+     * 建立解析所需的索引
+     * @private
+     */
+    async _createContext(rootPath, sources, packages) {
+        const fileSet = new Set(sources.map(source => source.path));
+        const byDeclaration = new Map();   // Java 包 / C# 命名空间 -> 文件
+        const javaClasses = new Map();     // Java 全限定类名 -> 文件
+
+        for (const source of sources) {
+            for (const declaration of source.declarations) {
+                if (!byDeclaration.has(declaration)) byDeclaration.set(declaration, []);
+                byDeclaration.get(declaration).push(source.path);
+                if (source.language === 'java') {
+                    const className = posix.basename(source.path, '.java');
+                    javaClasses.set(`${declaration}.${className}`, source.path);
+                }
+            }
+        }
+
+        const goFilesByDir = new Map();     // 目录 -> 非测试 .go 文件
+        for (const source of sources) {
+            if (source.language !== 'go' || source.path.endsWith('_test.go')) continue;
+            const directory = posix.dirname(source.path);
+            if (!goFilesByDir.has(directory)) goFilesByDir.set(directory, []);
+            goFilesByDir.get(directory).push(source.path);
+        }
+
+        // go.mod 可能在子目录（多个Go模块），从源文件所在目录逐级向上查找
+        const goModules = [];
+        const checkedDirs = new Set();
+        for (const directory of goFilesByDir.keys()) {
+            for (const ancestor of this._ancestors(directory)) {
+                if (checkedDirs.has(ancestor)) continue;
+                checkedDirs.add(ancestor);
+                const goMod = await this._readText(join(rootPath, ancestor, 'go.mod'));
+                const moduleMatch = goMod?.match(/^\s*module\s+(\S+)/m);
+                if (moduleMatch) goModules.push({ module: moduleMatch[1], path: ancestor });
+            }
+        }
+        goModules.sort((a, b) => b.module.length - a.module.length);
+
+        return {
+            rootPath,
+            fileSet,
+            byDeclaration,
+            javaClasses,
+            goModules,
+            goFilesByDir,
+            tsconfig: await this._readTsconfig(rootPath),
+            jsPackages: packages
+                .filter(item => ['npm', 'yarn', 'pnpm'].includes(item.manager) && item.name)
+                .sort((a, b) => b.name.length - a.name.length),
+            rustCrates: new Map(packages
+                .filter(item => item.manager === 'cargo' && item.name)
+                .map(item => [item.name.replace(/-/g, '_'), posix.join(item.path, 'src')]))
+        };
+    }
+
+    /**
+     * 读取 tsconfig.json / jsconfig.json 的 baseUrl 和 paths
+     * @private
+     */
+    async _readTsconfig(rootPath) {
+        for (const name of ['tsconfig.json', 'jsconfig.json']) {
+            const content = await this._readText(join(rootPath, name));
+            if (!content) continue;
+            try {
+                // tsconfig 允许注释和尾逗号（JSONC）
+                const json = JSON.parse(this._stripJsonComments(content).replace(/,(\s*[}\]])/g, '$1'));
+                const options = json.compilerOptions || {};
+                return {
+                    baseUrl: options.baseUrl ? posix.normalize(options.baseUrl).replace(/^\.\/?$/, '') : null,
+                    paths: options.paths || {}
+                };
+            } catch (error) {
+                return null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 目录及其所有上级目录（'' 表示项目根目录）
+     * @private
+     */
+    _ancestors(directory) {
+        const ancestors = [];
+        let current = directory === '.' ? '' : directory;
+        while (true) {
+            ancestors.push(current);
+            if (!current) break;
+            const parent = posix.dirname(current);
+            current = parent === '.' ? '' : parent;
+        }
+        return ancestors;
+    }
+
+    /**
+     * 去掉JSONC中的注释（跳过字符串内容）
+     * @private
+     */
+    _stripJsonComments(text) {
+        let result = '';
+        let inString = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inString) {
+                result += char;
+                if (char === '\\') result += text[++i] || '';
+                else if (char === '"') inString = false;
+            } else if (char === '"') {
+                inString = true;
+                result += char;
+            } else if (char === '/' && text[i + 1] === '/') {
+                while (i < text.length && text[i] !== '\n') i++;
+                result += '\n';
+            } else if (char === '/' && text[i + 1] === '*') {
+                i = text.indexOf('*/', i + 2);
+                if (i === -1) break;
+                i++;
+            } else {
+                result += char;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * @private
+     */
+    async _readText(filePath) {
+        try {
+            return await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // ========== 按语言解析 ==========
+
+    /**
+     * @private
+     * @returns {{status: string, targets?: Array<string>, package?: string}}
+     */
+    _resolve(source, entry, context) {
+        switch (source.language) {
+            case 'javascript':
+            case 'typescript':
+                return this._resolveJavaScript(source.path, entry.specifier, context);
+            case 'python':
+                return this._resolvePython(source.path, entry, context);
+            case 'go':
+                return this._resolveGo(entry.specifier, context);
+            case 'java':
+                return this._resolveJava(entry, context);
+            case 'rust':
+                return this._resolveRust(source.path, entry, context);
+            case 'csharp':
+                return this._resolveCSharp(entry, context);
+            default:
+                return { status: 'unresolved' };
+        }
+    }
+
+    /**
+     * @private
+     */
+    _resolveJavaScript(fromPath, specifier, context) {
+        const internal = (path) => {
+            const target = this._probeJavaScript(path, context.fileSet);
+            return target ? { status: 'internal', targets: [target] } : null;
+        };
+
+        if (specifier.startsWith('.') || specifier.startsWith('/')) {
+            const base = specifier.startsWith('/')
+                ? specifier.slice(1)
+                : posix.join(posix.dirname(fromPath), specifier);
+            return internal(posix.normalize(base)) || { status: 'unresolved' };
+        }
+
+        if (specifier.startsWith('node:') || builtinModules.includes(specifier.split('/')[0])) {
+            return { status: 'builtin', package: specifier.replace(/^node:/, '') };
+        }
+
+        // tsconfig paths 别名
+        const tsconfig = context.tsconfig;
+        if (tsconfig) {
+            for (const [pattern, replacements] of Object.entries(tsconfig.paths)) {
+                const [prefix, suffix = ''] = pattern.split('*');
+                const isWildcard = pattern.includes('*');
+                if (isWildcard ? !(specifier.startsWith(prefix) && specifier.endsWith(suffix)) : specifier !== pattern) continue;
+
+                const captured = isWildcard ? specifier.slice(prefix.length, specifier.length - suffix.length) : '';
+                for (const replacement of replacements) {
+                    const mapped = posix.join(tsconfig.baseUrl || '', replacement.replace('*', captured));
+                    const resolved = internal(posix.normalize(mapped));
+                    if (resolved) return resolved;
+                }
+            }
+            if (tsconfig.baseUrl !== null) {
+                const resolved = internal(posix.join(tsconfig.baseUrl, specifier));
+                if (resolved) return resolved;
+            }
+        }
+
+        // Monorepo 内部包
+        for (const packageInfo of context.jsPackages) {
+            if (specifier !== packageInfo.name && !specifier.startsWith(`${packageInfo.name}/`)) continue;
+            const subpath = specifier.slice(packageInfo.name.length).replace(/^\//, '');
+            const candidates = subpath
+                ? [posix.join(packageInfo.path, subpath), posix.join(packageInfo.path, 'src', subpath)]
+                : ['src/index', 'index', 'lib/index', 'src/main', 'main'].map(entry => posix.join(packageInfo.path, entry));
+            for (const candidate of candidates) {
+                const resolved = internal(candidate);
+                if (resolved) return resolved;
+            }
+            return { status: 'unresolved', package: packageInfo.name };
+        }
+
+        const segments = specifier.split('/');
+        return {
+            status: 'external',
+            package: specifier.startsWith('@') && segments.length > 1 ? segments.slice(0, 2).join('/') : segments[0]
+        };
+    }
+
+    /**
+     * 依次尝试 原路径、补扩展名、TS 的 .js -> .ts、目录 index
+     * @private
+     */
+    _probeJavaScript(path, fileSet) {
+        if (fileSet.has(path)) return path;
+        for (const extension of JS_EXTENSIONS) {
+            if (fileSet.has(`${path}${extension}`)) return `${path}${extension}`;
+        }
+        const jsExtension = path.match(/\.(m|c)?jsx?$/);
+        if (jsExtension) {
+            const stem = path.slice(0, -jsExtension[0].length);
+            for (const extension of ['.ts', '.tsx', '.mts', '.cts']) {
+                if (fileSet.has(`${stem}${extension}`)) return `${stem}${extension}`;
+            }
+        }
+        for (const extension of JS_EXTENSIONS) {
+            if (fileSet.has(`${path}/index${extension}`)) return `${path}/index${extension}`;
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    _resolvePython(fromPath, entry, context) {
+        const { specifier } = entry;
+        const probe = (modulePath) => {
+            for (const candidate of [`${modulePath}.py`, `${modulePath}.pyi`, `${modulePath}/__init__.py`]) {
+                if (context.fileSet.has(candidate)) return candidate;
+            }
+            return null;
+        };
+        // from x import y：y 可能是子模块，也可能是 x 中定义的名称（此时依赖 x 本身）
+        const resolveModule = (modulePath) => {
+            const names = entry.kind === 'from' ? entry.names || [] : [];
+            const moduleFile = modulePath ? probe(modulePath) : null;
+            const submodules = names
+                .map(name => probe(modulePath ? `${modulePath}/${name}` : name))
+                .filter(Boolean);
+            const needsModule = entry.kind !== 'from' || submodules.length < names.length;
+            const targets = [...(needsModule && moduleFile ? [moduleFile] : []), ...submodules];
+            return targets.length > 0 ? { status: 'internal', targets: Array.from(new Set(targets)) } : null;
+        };
+
+        const dots = specifier.match(/^\.*/)[0].length;
+        if (dots > 0) {
+            let baseDir = posix.dirname(fromPath);
+            for (let i = 1; i < dots; i++) baseDir = posix.dirname(baseDir);
+            const rest = specifier.slice(dots).replace(/\./g, '/');
+            const modulePath = baseDir === '.' ? rest : (rest ? `${baseDir}/${rest}` : baseDir);
+            return resolveModule(modulePath) || { status: 'unresolved' };
+        }
+
+        const modulePath = specifier.replace(/\./g, '/');
+        // 项目根目录、src/ 等，以及文件所在目录的各级上级目录（脚本目录和子项目根目录）
+        const ancestorRoots = this._ancestors(posix.dirname(fromPath)).map(directory => directory ? `${directory}/` : '');
+        const roots = Array.from(new Set([...this.config.pythonRoots, ...ancestorRoots.reverse()]));
+        for (const root of roots) {
+            const resolved = resolveModule(`${root}${modulePath}`);
+            if (resolved) return resolved;
+        }
+
+        const topLevel = specifier.split('.')[0];
+        return PYTHON_STDLIB.has(topLevel)
+            ? { status: 'builtin', package: topLevel }
+            : { status: 'external', package: topLevel };
+    }
+
+    /**
+     * @private
+     */
+    _resolveGo(specifier, context) {
+        for (const { module, path } of context.goModules) {
+            if (specifier !== module && !specifier.startsWith(`${module}/`)) continue;
+            const directory = posix.join(path, specifier.slice(module.length).replace(/^\//, ''));
+            const targets = context.goFilesByDir.get(directory || '.');
+            return targets ? { status: 'internal', targets: [...targets] } : { status: 'unresolved', package: module };
+        }
+
+        const segments = specifier.split('/');
+        if (!segments[0].includes('.')) {
+            return { status: 'builtin', package: specifier };
+        }
+        // 外部模块路径：域名/组织/仓库
+        return { status: 'external', package: segments.slice(0, segments[0] === 'github.com' || segments[0] === 'gitlab.com' ? 3 : 2).join('/') };
+    }
+
+    /**
+     * @private
+     */
+    _resolveJava(entry, context) {
+        const { specifier } = entry;
+        if (specifier.endsWith('.*')) {
+            const packageName = specifier.slice(0, -2);
+            const targets = context.byDeclaration.get(packageName)
+                // import static a.b.C.*：C 是类
+                || (context.javaClasses.has(packageName) ? [context.javaClasses.get(packageName)] : null);
+            if (targets) return { status: 'internal', targets: [...targets] };
+        } else {
+            // 静态导入和内部类：逐级去掉末尾成员直到匹配类名
+            const parts = specifier.split('.');
+            for (let length = parts.length; length > 1; length--) {
+                const target = context.javaClasses.get(parts.slice(0, length).join('.'));
+                if (target) return { status: 'internal', targets: [target] };
+            }
+        }
+
+        const root = specifier.split('.')[0];
+        if (['java', 'javax', 'jdk', 'sun'].includes(root)) {
+            return { status: 'builtin', package: specifier.split('.').slice(0, 2).join('.') };
+        }
+        return { status: 'external', package: specifier.split('.').slice(0, 2).join('.') };
+    }
+
+    /**
+     * @private
+     */
+    _resolveRust(fromPath, entry, context) {
+        const { specifier, kind } = entry;
+        const fileName = posix.basename(fromPath);
+        const fileDir = posix.dirname(fromPath);
+        // 当前模块的子模块目录：foo.rs -> foo/，mod.rs/lib.rs/main.rs -> 所在目录
+        const isModuleRoot = ['mod.rs', 'lib.rs', 'main.rs'].includes(fileName);
+        const selfDir = isModuleRoot ? fileDir : posix.join(fileDir, posix.basename(fromPath, '.rs'));
+        const superDir = isModuleRoot ? posix.dirname(fileDir) : fileDir;
+        const crateDir = this._rustCrateDir(fromPath);
+
+        const probeModule = (directory, segments) => {
+            // 从最长路径开始尝试：a::b::C 可能是 a/b.rs 中的 C
+            for (let length = segments.length; length > 0; length--) {
+                const modulePath = posix.join(directory, ...segments.slice(0, length));
+                for (const candidate of [`${modulePath}.rs`, `${modulePath}/mod.rs`]) {
+                    if (context.fileSet.has(candidate)) return candidate;
+                }
+            }
+            return null;
+        };
+
+        if (kind === 'mod') {
+            const target = probeModule(selfDir, [specifier]);
+            return target ? { status: 'internal', targets: [target] } : { status: 'unresolved' };
+        }
+
+        const segments = specifier.split('::').filter(Boolean);
+        const [head, ...rest] = segments;
+        let directory = null;
+        if (head === 'crate') directory = crateDir;
+        else if (head === 'self') directory = selfDir;
+        else if (head === 'super') {
+            directory = superDir;
+            while (rest[0] === 'super') {
+                rest.shift();
+                directory = posix.dirname(directory);
+            }
+        } else if (context.rustCrates.has(head)) {
+            directory = context.rustCrates.get(head);
+        }
+
+        if (directory !== null) {
+            const target = rest.length > 0 ? probeModule(directory, rest) : null;
+            return target ? { status: 'internal', targets: [target] } : { status: 'unresolved' };
+        }
+
+        return RUST_BUILTIN_CRATES.has(head)
+            ? { status: 'builtin', package: head }
+            : { status: 'external', package: head };
+    }
+
+    /**
+     * crate根目录：路径中最后一个 src 目录，没有时取文件所在目录
+     * @private
+     */
+    _rustCrateDir(filePath) {
+        const segments = filePath.split('/');
+        const srcIndex = segments.lastIndexOf('src');
+        return srcIndex >= 0 && srcIndex < segments.length - 1
+            ? segments.slice(0, srcIndex + 1).join('/')
+            : posix.dirname(filePath);
+    }
+
+    /**
+     * @private
+     */
+    _resolveCSharp(entry, context) {
+        const { specifier } = entry;
+        let targets = context.byDeclaration.get(specifier);
+        // using static A.B.Type：去掉类型名后按命名空间匹配
+        if (!targets && entry.kind === 'static') {
+            targets = context.byDeclaration.get(specifier.split('.').slice(0, -1).join('.'));
+        }
+        if (targets) return { status: 'internal', targets: [...targets] };
+
+        const root = specifier.split('.')[0];
+        if (root === 'System' || root === 'Microsoft') {
+            return { status: 'builtin', package: specifier.split('.').slice(0, 2).join('.') };
+        }
+        return { status: 'external', package: specifier.split('.').slice(0, 2).join('.') };
+    }
+}
+
+export default ImportGraphBuilder;
@@ -0,0 +1,480 @@
+/**
+ * 顶层声明扫描器 - 基于词法分析找出源文件中可以安全切割的声明边界
+ *
+ * 核心功能：
+ * - JavaScript/TypeScript：跳过字符串、模板字符串（含 ${} 嵌套）、正则字面量和注释，按括号深度识别顶层语句
+ * - Python：跳过字符串（含三引号）和注释，按逻辑行和缩进识别顶层语句
+ * - 装饰器和紧贴在上方的注释归入后面的声明
+ * - 类和函数额外记录内部边界（类成员、函数体的顶层语句），超大的声明可以在内部边界之间切割
+ *
+ * 设计理念：
+ * - 只做切割需要的词法分析，不构建AST，不依赖第三方解析器
+ * - 扫描结束时括号或字符串没有闭合（如含JSX文本），说明词法结果不可信，返回 null 由调用方回退到正则规则
+ */
+
+// 行尾是这些字符时，下一行是同一条语句的延续
+const JS_CONTINUATION_END = new Set(['=', ',', '+', '-', '*', '/', '%', '&', '|', '^', '!', '?', ':', '.', '<', '>', '(', '[', '~']);
+// 行首是这些内容时，该行是上一条语句的延续
+const JS_CONTINUATION_START = /^(?:\.(?!\.\.)|\?|:|\+|-|\*|\/(?![/*])|&&|\|\||\)|\]|\}|,|=(?!>)|>|(?:else|catch|finally)\b)/;
+// 语句结束后以 * 开头的是生成器方法
+const JS_GENERATOR_START = /^\*\s*[\w$#[]/;
+const JS_STATEMENT_END = new Set(['', ';', '}', '{']);
+// 这些关键字之后的 / 是正则字面量而不是除号
+const JS_REGEX_KEYWORDS = new Set(['return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete', 'void', 'throw', 'instanceof', 'yield', 'await']);
+const JS_REGEX_AFTER = new Set(['', '(', ',', '=', ':', '[', '!', '&', '|', '?', '{', ';', '+', '-', '*', '%', '<', '>', '~', '^']);
+
+// 以这些关键字开头的内部语句没有名称
+const STATEMENT_KEYWORDS = new Set(['return', 'if', 'for', 'while', 'do', 'switch', 'try', 'throw', 'await', 'yield', 'with', 'raise', 'assert', 'pass', 'del', 'global', 'nonlocal', 'print']);
+
+const PYTHON_CONTINUATION_START = /^(?:else|elif|except|finally)\b/;
+
+export class DeclarationScanner {
+    constructor(config = {}) {
+        this.config = {
+            languages: ['javascript', 'typescript', 'python'],
+            ...config
+        };
+    }
+
+    /**
+     * 是否支持该语言
+     * @param {string} language - 小写语言名
+     * @returns {boolean}
+     */
+    supports(language) {
+        return this.config.languages.includes(language);
+    }
+
+    /**
+     * 扫描顶层声明
+     * @param {string} content - 源文件内容
+     * @param {string} language - javascript | typescript | python
+     * @returns {Object|null} { parser, declarations: [{ startLine, endLine, headerLine, kind, name, members }] }，
+     *   members 为类成员/函数体顶层语句的 [{ startLine, name }]；不支持的语言或词法分析失败时返回 null
+     */
+    scan(content, language) {
+        const lines = content.split('\n');
+
+        if (language === 'javascript' || language === 'typescript') {
+            const lineStates = this._tokenizeJavaScript(content);
+            return lineStates && {
+                parser: 'javascript-tokenizer',
+                declarations: this._collectJavaScriptDeclarations(lines, lineStates)
+            };
+        }
+        if (language === 'python') {
+            const lineStates = this._tokenizePython(content);
+            return lineStates && {
+                parser: 'python-tokenizer',
+                declarations: this._collectPythonDeclarations(lines, lineStates)
+            };
+        }
+        return null;
+    }
+
+    // ========== JavaScript / TypeScript ==========
+
+    /**
+     * 逐字符扫描，记录每行开头的词法状态
+     * @private
+     * @returns {Array<Object>|null} 每行 { depth, mode, prevSig }；mode 为 code | template | comment
+     */
+    _tokenizeJavaScript(content) {
+        const lineStates = [];
+        const templateDepths = [];      // 每个 ${ 打开时的括号深度
+        let depth = 0;
+        let mode = 'code';
+        let prevSig = '';               // 上一个有意义的字符（标识符和字面量记为 'a'）
+        let prevWord = '';
+
+        for (let i = 0; i <= content.length; i++) {
+            if (i === 0 || content[i - 1] === '\n') {
+                lineStates.push({ depth, mode, prevSig });
+            }
+            if (i === content.length) break;
+
+            const char = content[i];
+            const next = content[i + 1];
+
+            if (mode === 'comment') {
+                if (char === '*' && next === '/') {
+                    mode = 'code';
+                    i++;
+                }
+                continue;
+            }
+
+            if (mode === 'template') {
+                if (char === '\\') {
+                    i++;
+                } else if (char === '`') {
+                    mode = 'code';
+                    prevSig = 'a';
+                } else if (char === '$' && next === '{') {
+                    templateDepths.push(depth);
+                    depth++;
+                    mode = 'code';
+                    prevSig = '{';
+                    i++;
+                }
+                continue;
+            }
+
+            if (/\s/.test(char)) continue;
+
+            if (char === '/' && next === '/') {
+                const end = content.indexOf('\n', i);
+                i = (end === -1 ? content.length : end) - 1;
+                continue;
+            }
+            if (char === '/' && next === '*') {
+                mode = 'comment';
+                i++;
+                continue;
+            }
+
+            if (char === '\'' || char === '"') {
+                i = this._skipQuoted(content, i, char);
+                if (i === -1) return null;
+                prevSig = 'a';
+                continue;
+            }
+            if (char === '`') {
+                mode = 'template';
+                continue;
+            }
+            if (char === '/' && (JS_REGEX_AFTER.has(prevSig) || (prevSig === 'a' && JS_REGEX_KEYWORDS.has(prevWord)))) {
+                i = this._skipRegex(content, i);
+                if (i === -1) return null;
+                prevSig = 'a';
+                prevWord = '';
+                continue;
+            }
+
+            if (char === '(' || char === '[' || char === '{') {
+                depth++;
+                prevSig = char;
+                continue;
+            }
+            if (char === ')' || char === ']' || char === '}') {
+                depth--;
+                if (depth < 0) return null;
+                if (char === '}' && templateDepths.length > 0 && templateDepths[templateDepths.length - 1] === depth) {
+                    templateDepths.pop();
+                    mode = 'template';
+                    continue;
+                }
+                prevSig = char;
+                continue;
+            }
+
+            if (/[\w$#@]/.test(char)) {
+                let end = i;
+                while (end + 1 < content.length && /[\w$]/.test(content[end + 1])) end++;
+                prevWord = content.slice(i, end + 1);
+                prevSig = 'a';
+                i = end;
+                continue;
+            }
+
+            prevSig = char;
+        }
+
+        if (mode !== 'code' || depth !== 0 || templateDepths.length > 0) return null;
+        return lineStates;
+    }
+
+    /**
+     * 跳过单/双引号字符串，返回结束引号位置；字符串跨行未闭合时返回 -1
+     * @private
+     */
+    _skipQuoted(content, start, quote) {
+        for (let i = start + 1; i < content.length; i++) {
+            const char = content[i];
+            if (char === '\\') {
+                i++;
+            } else if (char === quote) {
+                return i;
+            } else if (char === '\n') {
+                return -1;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * 跳过正则字面量（含字符类和标志），返回最后一个字符位置；跨行时返回 -1
+     * @private
+     */
+    _skipRegex(content, start) {
+        let inClass = false;
+        for (let i = start + 1; i < content.length; i++) {
+            const char = content[i];
+            if (char === '\\') {
+                i++;
+            } else if (char === '\n') {
+                return -1;
+            } else if (char === '[') {
+                inClass = true;
+            } else if (char === ']') {
+                inClass = false;
+            } else if (char === '/' && !inClass) {
+                while (i + 1 < content.length && /[a-z]/i.test(content[i + 1])) i++;
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * 根据行状态划分顶层声明和内部边界
+     * @private
+     */
+    _collectJavaScriptDeclarations(lines, lineStates) {
+        const isStatementStart = (index, depth) => {
+            const state = lineStates[index];
+            const text = lines[index].trim();
+            return state.mode === 'code'
+                && state.depth === depth
+                && text !== ''
+                && !this._isJavaScriptComment(text)
+                && !JS_CONTINUATION_END.has(state.prevSig)
+                && (!JS_CONTINUATION_START.test(text) || (JS_GENERATOR_START.test(text) && JS_STATEMENT_END.has(state.prevSig)));
+        };
+        const isCommentLine = (index) => lineStates[index].mode === 'comment' || this._isJavaScriptComment(lines[index].trim());
+
+        const statements = this._mergeDecorated(lines, this._range(0, lines.length).filter(index => isStatementStart(index, 0)));
+        const declarations = this._toDeclarations(lines, statements, isCommentLine, (text) => this._describeJavaScript(text));
+
+        for (const declaration of declarations) {
+            if (declaration.kind !== 'class' && declaration.kind !== 'function') continue;
+            const headerLine = declaration.headerLine - 1;
+            const members = this._mergeDecorated(lines, this._range(headerLine + 1, declaration.endLine)
+                .filter(index => isStatementStart(index, 1)));
+            declaration.members = this._toMembers(lines, members, isCommentLine, headerLine + 1);
+        }
+        return declarations;
+    }
+
+    /**
+     * @private
+     */
+    _isJavaScriptComment(text) {
+        return text.startsWith('//') || text.startsWith('/*');
+    }
+
+    /**
+     * @private
+     */
+    _describeJavaScript(text) {
+        const statement = text.replace(/^(?:export\s+)?(?:default\s+)?(?:declare\s+)?(?:abstract\s+)?(?:async\s+)?/, '');
+        const nameAfter = (keyword) => statement.match(new RegExp(`^${keyword}\\s*\\*?\\s*([\\w$]+)`))?.[1] || null;
+
+        if (/^import\b/.test(text)) return { kind: 'import', name: null };
+        if (/^export\s*(?:\*|\{|type\s*\{)/.test(text)) return { kind: 'export', name: null };
+        if (/^function\b/.test(statement)) return { kind: 'function', name: nameAfter('function') };
+        if (/^class\b/.test(statement)) return { kind: 'class', name: nameAfter('class') };
+        if (/^interface\b/.test(statement)) return { kind: 'interface', name: nameAfter('interface') };
+        if (/^type\b/.test(statement)) return { kind: 'type', name: nameAfter('type') };
+        if (/^(?:const\s+)?enum\b/.test(statement)) return { kind: 'enum', name: statement.match(/enum\s+([\w$]+)/)?.[1] || null };
+        if (/^(?:namespace|module)\b/.test(statement)) return { kind: 'module', name: statement.match(/^\w+\s+([\w$.]+)/)?.[1] || null };
+        if (/^(?:const|let|var)\b/.test(statement)) {
+            const name = statement.match(/^\w+\s+([\w$]+)/)?.[1] || null;
+            return { kind: /=>|\bfunction\b/.test(statement) ? 'function' : 'variable', name };
+        }
+        return { kind: 'statement', name: null };
+    }
+
+    /**
+     * @private
+     */
+    _memberName(line) {
+        const name = line.trim()
+            .replace(/^@[\w$.]+(?:\([^)]*\))?\s*/, '')
+            .match(/^(?:(?:static|async|get|set|public|private|protected|readonly|override|abstract|declare|function|const|let|var|def|class)\s+)*\*?\s*([#\w$]+)/)?.[1] || null;
+        return name && !STATEMENT_KEYWORDS.has(name) ? name : null;
+    }
+
+    // ========== Python ==========
+
+    /**
+     * 逐字符扫描，记录每行开头的词法状态
+     * @private
+     * @returns {Array<Object>|null} 每行 { depth, inString, continued }
+     */
+    _tokenizePython(content) {
+        const lineStates = [];
+        let depth = 0;
+        let quote = null;           // 当前字符串的引号（三引号为 ''' 或 """）
+        let continued = false;      // 上一行以反斜杠结尾
+
+        for (let i = 0; i <= content.length; i++) {
+            if (i === 0 || content[i - 1] === '\n') {
+                lineStates.push({ depth, inString: quote !== null, continued });
+                continued = false;
+            }
+            if (i === content.length) break;
+
+            const char = content[i];
+
+            if (quote) {
+                if (char === '\\') {
+                    i++;
+                } else if (content.startsWith(quote, i)) {
+                    i += quote.length - 1;
+                    quote = null;
+                } else if (char === '\n' && quote.length === 1) {
+                    return null;
+                }
+                continue;
+            }
+
+            if (char === '#') {
+                const end = content.indexOf('\n', i);
+                i = (end === -1 ? content.length : end) - 1;
+            } else if (char === '\'' || char === '"') {
+                quote = content.startsWith(char.repeat(3), i) ? char.repeat(3) : char;
+                i += quote.length - 1;
+            } else if (char === '\\' && content[i + 1] === '\n') {
+                continued = true;
+            } else if (char === '(' || char === '[' || char === '{') {
+                depth++;
+            } else if (char === ')' || char === ']' || char === '}') {
+                depth--;
+                if (depth < 0) return null;
+            }
+        }
+
+        if (quote !== null || depth !== 0) return null;
+        return lineStates;
+    }
+
+    /**
+     * @private
+     */
+    _collectPythonDeclarations(lines, lineStates) {
+        const indentOf = (index) => lines[index].match(/^[ \t]*/)[0].length;
+        const isStatementStart = (index, indent) => {
+            const state = lineStates[index];
+            const text = lines[index].trim();
+            return !state.inString
+                && state.depth === 0
+                && !state.continued
+                && text !== ''
+                && !text.startsWith('#')
+                && indentOf(index) === indent
+                && !PYTHON_CONTINUATION_START.test(text);
+        };
+        const isCommentLine = (index) => !lineStates[index].inString && lines[index].trim().startsWith('#');
+
+        const statements = this._mergeDecorated(lines, this._range(0, lines.length).filter(index => isStatementStart(index, 0)));
+        const declarations = this._toDeclarations(lines, statements, isCommentLine, (text) => this._describePython(text));
+
+        for (const declaration of declarations) {
+            if (declaration.kind !== 'class' && declaration.kind !== 'function') continue;
+            const headerLine = declaration.headerLine - 1;
+            // 跳过跨行的签名，第一条语句的缩进就是函数体/类体的缩进
+            const bodyLine = this._range(headerLine + 1, declaration.endLine)
+                .find(index => isStatementStart(index, indentOf(index)));
+            if (bodyLine === undefined || indentOf(bodyLine) === 0) continue;
+
+            const bodyIndent = indentOf(bodyLine);
+            const members = this._mergeDecorated(lines, this._range(bodyLine, declaration.endLine)
+                .filter(index => isStatementStart(index, bodyIndent)));
+            declaration.members = this._toMembers(lines, members, isCommentLine, headerLine + 1);
+        }
+        return declarations;
+    }
+
+    /**
+     * @private
+     */
+    _describePython(text) {
+        if (/^(?:import|from)\b/.test(text)) return { kind: 'import', name: null };
+        const match = text.match(/^(?:async\s+)?(def|class)\s+(\w+)/);
+        if (match) return { kind: match[1] === 'def' ? 'function' : 'class', name: match[2] };
+        return { kind: 'statement', name: null };
+    }
+
+    // ========== 通用 ==========
+
+    /**
+     * 装饰器与后面的声明合并：以装饰器所在行为起点，被装饰的声明行作为声明头
+     * @private
+     * @returns {Array<{start: number, header: number}>} 行号均为0起
+     */
+    _mergeDecorated(lines, starts) {
+        const merged = [];
+        let decoratorPending = false;
+
+        for (const index of starts) {
+            if (!decoratorPending) merged.push({ start: index, header: index });
+            decoratorPending = this._isDecoratorOnly(lines[index].trim());
+            merged[merged.length - 1].header = index;
+        }
+        return merged;
+    }
+
+    /**
+     * 只有装饰器（或装饰器参数跨行）的行，被装饰的声明在后面
+     * @private
+     */
+    _isDecoratorOnly(text) {
+        if (!text.startsWith('@')) return false;
+        const rest = text.replace(/^@[\w$.]+(?:\([^()]*\))?\s*/, '');
+        return rest === '' || rest.startsWith('(');
+    }
+
+    /**
+     * 把紧贴在声明上方的注释行（中间没有空行）归入该声明
+     * @private
+     * @param {Array<number>} starts - 起始行（0起）
+     * @returns {Array<number>} 调整后的起始行（0起）
+     */
+    _attachComments(starts, isCommentLine, lowerBound = 0) {
+        return starts.map((start, position) => {
+            const floor = Math.max(lowerBound, position > 0 ? starts[position - 1] + 1 : 0);
+            let adjusted = start;
+            while (adjusted - 1 >= floor && isCommentLine(adjusted - 1)) adjusted--;
+            return adjusted;
+        });
+    }
+
+    /**
+     * 语句起点 -> 声明列表（第一个声明从文件开头开始，最后一个到文件末尾）
+     * @private
+     */
+    _toDeclarations(lines, statements, isCommentLine, describe) {
+        const starts = this._attachComments(statements.map(statement => statement.start), isCommentLine);
+        if (starts.length > 0) starts[0] = 0;
+
+        return statements.map((statement, position) => ({
+            startLine: starts[position] + 1,
+            endLine: position + 1 < starts.length ? starts[position + 1] : lines.length,
+            headerLine: statement.header + 1,
+            ...describe(lines[statement.header].trim()),
+            members: []
+        }));
+    }
+
+    /**
+     * 内部边界起点 -> [{ startLine, name }]
+     * @private
+     */
+    _toMembers(lines, members, isCommentLine, lowerBound) {
+        const starts = this._attachComments(members.map(member => member.start), isCommentLine, lowerBound);
+        return members.map((member, position) => ({
+            startLine: starts[position] + 1,
+            name: this._memberName(lines[member.header])
+        }));
+    }
+
+    /**
+     * @private
+     */
+    _range(from, to) {
+        return Array.from({ length: Math.max(0, to - from) }, (_, offset) => from + offset);
+    }
+}
+
+export default DeclarationScanner;
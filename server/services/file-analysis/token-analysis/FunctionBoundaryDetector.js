@@ -10,10 +10,12 @@
  * 设计理念：
  * - 语义完整性：确保每个切片都是语义完整的代码单元
  * - 上下文保持：保持必要的导入和依赖关系
- * - 智能边界：基于AST和语法结构的智能边界检测
+ * - 智能边界：JS/TS/Python 用词法分析（DeclarationScanner）只在顶层声明之间切割，其他语言使用正则规则
  * - 灵活策略：支持多种切割策略（函数级、类级、模块级）
  */
 
+import { DeclarationScanner } from './DeclarationScanner.js';
+
 export class FunctionBoundaryDetector {
     constructor(config = {}) {
         this.config = {
@@ -25,7 +27,10 @@ export class FunctionBoundaryDetector {
             ...config
         };
 
-        // 语言特定的边界检测规则
+        // JS/TS/Python 顶层声明扫描（词法分析失败时回退到 boundaryRules）
+        this.declarationScanner = new DeclarationScanner();
+
+        // 语言特定的边界检测规则（正则，用于其他语言和回退）
         this.boundaryRules = {
             javascript: {
                 safeBoundaries: [
@@ -149,6 +154,27 @@ export class FunctionBoundaryDetector {
 
             // 分析内容行
             const lines = content.split('\n');
+
+            // 优先使用词法分析得到的顶层声明
+            const scanResult = this.declarationScanner.scan(content, language);
+            if (scanResult) {
+                const chunkPlan = this._generateDeclarationChunkPlan(scanResult.declarations, lines, targetChunkSize);
+                return {
+                    success: true,
+                    language,
+                    chunkPlan,
+                    metadata: {
+                        totalLines: lines.length,
+                        boundarySource: scanResult.parser,
+                        declarations: scanResult.declarations.length,
+                        recommendedChunks: chunkPlan.chunks.length,
+                        avgChunkSize: chunkPlan.avgChunkSize
+                    }
+                };
+            }
+            if (this.declarationScanner.supports(language)) {
+                console.warn(`[FunctionBoundaryDetector] 词法分析未通过（括号或字符串未闭合），回退到正则规则: ${filePath}`);
+            }
             
             // 找到所有可能的边界点
             const candidateBoundaries = this._findCandidateBoundaries(lines, rules);
@@ -174,6 +200,7 @@ export class FunctionBoundaryDetector {
                 chunkPlan,
                 metadata: {
                     totalLines: lines.length,
+                    boundarySource: 'regex',
                     candidateBoundaries: candidateBoundaries.length,
                     optimizedBoundaries: optimizedBoundaries.length,
                     recommendedChunks: chunkPlan.chunks.length,
@@ -389,15 +416,148 @@ export class FunctionBoundaryDetector {
         };
     }
 
+    /**
+     * 按顶层声明生成切割计划：相邻声明装入同一切片，只在声明之间切割；
+     * 超过 maxChunkSize 的类/函数在内部边界（成员、函数体顶层语句）之间切割，仍然超大的切片标记 oversized
+     * @private
+     */
+    _generateDeclarationChunkPlan(declarations, lines, targetChunkSize) {
+        const pieces = this._declarationPieces(declarations, lines);
+        const imports = declarations
+            .filter(declaration => declaration.kind === 'import')
+            .flatMap(declaration => lines.slice(declaration.headerLine - 1, declaration.endLine))
+            .filter(line => line.trim());
+
+        const groups = [];
+        let current = null;
+        for (const piece of pieces) {
+            const combined = current ? current.tokens + piece.tokens : piece.tokens;
+            const fits = combined <= targetChunkSize ||
+                (current && current.tokens < this.config.minChunkSize && combined <= this.config.maxChunkSize);
+
+            if (current && fits) {
+                current.pieces.push(piece);
+                current.tokens = combined;
+            } else {
+                current = { pieces: [piece], tokens: piece.tokens };
+                groups.push(current);
+            }
+        }
+
+        // 末尾过小的切片并入前一个
+        const last = groups[groups.length - 1];
+        const previous = groups[groups.length - 2];
+        if (previous && last.tokens < this.config.minChunkSize && previous.tokens + last.tokens <= this.config.maxChunkSize) {
+            previous.pieces.push(...last.pieces);
+            previous.tokens += last.tokens;
+            groups.pop();
+        }
+
+        const chunks = groups.map((group, index) => {
+            const first = group.pieces[0];
+            const startLine = first.startLine;
+            const endLine = group.pieces[group.pieces.length - 1].endLine;
+            const boundaries = group.pieces.map(piece => piece.boundary);
+
+            return {
+                chunkIndex: index + 1,
+                startLine,
+                endLine,
+                estimatedTokens: group.tokens,
+                content: this._buildChunkContent(lines.slice(startLine - 1, endLine), imports, index + 1, first.context),
+                boundaries,
+                type: this._determineChunkType(boundaries, startLine, endLine),
+                oversized: group.tokens > this.config.maxChunkSize
+            };
+        });
+
+        const avgChunkSize = chunks.reduce((sum, chunk) => sum + chunk.estimatedTokens, 0) / (chunks.length || 1);
+
+        return {
+            chunks,
+            totalChunks: chunks.length,
+            avgChunkSize: Math.round(avgChunkSize),
+            imports,
+            strategy: 'declaration-aware'
+        };
+    }
+
+    /**
+     * 声明 -> 切割单元（超大的类/函数拆成声明头和各内部单元）
+     * @private
+     */
+    _declarationPieces(declarations, lines) {
+        const pieces = [];
+        const tokensOf = (startLine, endLine) => this._estimateTokens(lines.slice(startLine - 1, endLine).join('\n'));
+        const boundaryOf = (startLine, headerLine, type) => ({
+            lineNumber: startLine,
+            line: lines[headerLine - 1],
+            type,
+            indentLevel: this._getIndentLevel(lines[headerLine - 1]),
+            priority: this._calculateBoundaryPriority(type)
+        });
+
+        for (const declaration of declarations) {
+            const type = this._boundaryTypeOf(declaration.kind);
+            const tokens = tokensOf(declaration.startLine, declaration.endLine);
+
+            if (tokens <= this.config.maxChunkSize || declaration.members.length === 0) {
+                pieces.push({
+                    startLine: declaration.startLine,
+                    endLine: declaration.endLine,
+                    tokens,
+                    boundary: boundaryOf(declaration.startLine, declaration.headerLine, type),
+                    context: null
+                });
+                continue;
+            }
+
+            // 声明头（到第一个内部边界之前）+ 各内部单元，后续切片注明所属的声明
+            const header = lines[declaration.headerLine - 1].trim();
+            const starts = [declaration.startLine, ...declaration.members.map(member => member.startLine)];
+            starts.forEach((startLine, position) => {
+                const endLine = position + 1 < starts.length ? starts[position + 1] - 1 : declaration.endLine;
+                pieces.push({
+                    startLine,
+                    endLine,
+                    tokens: tokensOf(startLine, endLine),
+                    boundary: boundaryOf(startLine, position === 0 ? declaration.headerLine : startLine, type),
+                    context: position === 0 ? null : header
+                });
+            });
+        }
+        return pieces;
+    }
+
+    /**
+     * @private
+     */
+    _boundaryTypeOf(kind) {
+        const types = {
+            function: 'function',
+            class: 'class',
+            interface: 'interface',
+            type: 'type',
+            enum: 'type',
+            import: 'module',
+            export: 'module',
+            module: 'module'
+        };
+        return types[kind] || 'other';
+    }
+
     /**
      * 构建切片内容
      * @private
      */
-    _buildChunkContent(lines, imports, chunkIndex) {
+    _buildChunkContent(lines, imports, chunkIndex, contextLine = null) {
         const content = [];
         
         // 添加头部注释
         content.push(`// Chunk ${chunkIndex} - Generated by FunctionBoundaryDetector`);
+        if (contextLine) {
+            content.push(`// Continues: ${contextLine}`);
+        }
         content.push('');
         
         // 添加必要的导入语句（如果启用）
@@ -533,14 +693,14 @@ export class FunctionBoundaryDetector {
 
     _detectLanguage(filePath, codeStructure) {
         if (codeStructure && codeStructure.structure && codeStructure.structure.language) {
-            return codeStructure.structure.language;
+            return codeStructure.structure.language.toLowerCase();
         }
         
         const ext = filePath.split('.').pop()?.toLowerCase();
         const extMap = {
-            js: 'javascript', jsx: 'javascript', mjs: 'javascript',
-            ts: 'typescript', tsx: 'typescript',
-            py: 'python', java: 'java', go: 'go', rs: 'rust', cs: 'c#'
+            js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript',
+            ts: 'typescript', tsx: 'typescript', mts: 'typescript', cts: 'typescript',
+            py: 'python', pyw: 'python', java: 'java', go: 'go', rs: 'rust', cs: 'c#'
         };
         
         return extMap[ext] || 'default';
@@ -555,6 +715,7 @@ export class FunctionBoundaryDetector {
             version: '1.0.0',
             config: this.config,
             supportedLanguages: Object.keys(this.boundaryRules),
+            tokenizerLanguages: this.declarationScanner.config.languages,
             isReady: true
         };
     }
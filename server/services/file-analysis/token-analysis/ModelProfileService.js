@@ -0,0 +1,159 @@
+/**
+ * 模型配置服务 - 由模型上下文窗口推导Token阈值
+ *
+ * 核心功能：
+ * - 管理命名的模型配置（上下文窗口、预留输出、安全余量）
+ * - 内置常用配置，config/mcp.config.json 的 file_analysis.model_profiles 可覆盖或新增
+ * - 由配置推导文件分类阈值、批次大小和切片大小（FileAnalysisModule 和三种批次策略共用）
+ *
+ * 设计理念：
+ * - 单一来源：所有阈值都由一个输入预算按固定比例推导，不再各处硬编码
+ * - 比例沿用早期固定值（22K上限下的 15K/20K/18K/8K），default 配置推导结果与之一致
+ * - 未知配置名直接报错并列出可用配置，避免静默回退到错误的预算
+ */
+
+// 输入预算 = (上下文窗口 - 预留输出) × (1 - 安全余量)，各阈值为其固定比例
+const THRESHOLD_RATIOS = {
+    maxBatchSize: 1,
+    largeFileThreshold: 20 / 22,
+    batchTargetSize: 18 / 22,
+    smallFileThreshold: 15 / 22,
+    minBatchSize: 8 / 22
+};
+
+// 阈值取整粒度（Token数）
+const THRESHOLD_STEP = 100;
+
+const BUILTIN_PROFILES = {
+    default: {
+        contextWindow: 32000,
+        reservedOutput: 8000,
+        safetyMargin: 0.08,
+        description: '保守预算，阈值与早期固定值一致（15K/20K/22K）'
+    },
+    'claude-200k': {
+        contextWindow: 200000,
+        reservedOutput: 16000,
+        safetyMargin: 0.6,
+        description: '200K上下文的Claude模型，余量留给模板、指令和对话历史'
+    },
+    'gpt-4o-128k': {
+        contextWindow: 128000,
+        reservedOutput: 16000,
+        safetyMargin: 0.6,
+        description: '128K上下文的GPT-4o系列模型'
+    },
+    'local-8k': {
+        contextWindow: 8192,
+        reservedOutput: 2048,
+        safetyMargin: 0.1,
+        description: '8K上下文的本地模型'
+    }
+};
+
+export class ModelProfileService {
+    constructor(config = {}, dependencies = {}, serviceBus = null) {
+        this.configService = dependencies.configService || null;
+        this.serviceBus = serviceBus;
+
+        // 配置文件中的 model_profiles（snake_case）覆盖内置配置
+        const fileConfig = this.configService?.get('file_analysis.model_profiles', {}) || {};
+        this.config = {
+            activeProfile: fileConfig.active || 'default',
+            ...config
+        };
+
+        this.profiles = { ...BUILTIN_PROFILES };
+        for (const [name, profile] of Object.entries(fileConfig.profiles || {})) {
+            this.profiles[name] = this._normalizeProfile(name, {
+                ...this.profiles[name],
+                ...this._fromSnakeCase(profile)
+            });
+        }
+
+        // 启动时校验活动配置，配置错误尽早暴露
+        this.getProfile(this.config.activeProfile);
+
+        console.log(`[ModelProfileService] 已加载 ${Object.keys(this.profiles).length} 个模型配置，当前: ${this.config.activeProfile}`);
+    }
+
+    /**
+     * 列出所有模型配置
+     * @returns {Array<Object>} [{ name, contextWindow, reservedOutput, safetyMargin, description, active }]
+     */
+    listProfiles() {
+        return Object.entries(this.profiles).map(([name, profile]) => ({
+            name,
+            ...profile,
+            active: name === this.config.activeProfile
+        }));
+    }
+
+    /**
+     * 获取模型配置
+     * @param {string} [name] - 配置名称，缺省时使用活动配置
+     * @returns {Object} { name, contextWindow, reservedOutput, safetyMargin, description }
+     */
+    getProfile(name = null) {
+        const profileName = name || this.config.activeProfile;
+        const profile = this.profiles[profileName];
+        if (!profile) {
+            throw new Error(`未知的模型配置: ${profileName}，可用配置: ${Object.keys(this.profiles).join(', ')}`);
+        }
+        return { name: profileName, ...profile };
+    }
+
+    /**
+     * 由模型配置推导Token阈值
+     * @param {string} [name] - 配置名称，缺省时使用活动配置
+     * @returns {Object} { profile, contextWindow, reservedOutput, safetyMargin, inputBudget,
+     *   maxBatchSize, largeFileThreshold, batchTargetSize, smallFileThreshold, minBatchSize }
+     */
+    getThresholds(name = null) {
+        const profile = this.getProfile(name);
+        const inputBudget = Math.floor((profile.contextWindow - profile.reservedOutput) * (1 - profile.safetyMargin));
+
+        const thresholds = {
+            profile: profile.name,
+            contextWindow: profile.contextWindow,
+            reservedOutput: profile.reservedOutput,
+            safetyMargin: profile.safetyMargin,
+            inputBudget
+        };
+        for (const [key, ratio] of Object.entries(THRESHOLD_RATIOS)) {
+            thresholds[key] = Math.floor((inputBudget * ratio) / THRESHOLD_STEP) * THRESHOLD_STEP;
+        }
+        return thresholds;
+    }
+
+    /**
+     * @private
+     */
+    _fromSnakeCase(profile) {
+        const result = {};
+        for (const [key, value] of Object.entries(profile || {})) {
+            result[key.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase())] = value;
+        }
+        return result;
+    }
+
+    /**
+     * 校验配置数值，非法配置在加载时报错
+     * @private
+     */
+    _normalizeProfile(name, profile) {
+        const { contextWindow, reservedOutput, safetyMargin = 0, description = '' } = profile;
+        if (!Number.isFinite(contextWindow) || contextWindow <= 0) {
+            throw new Error(`模型配置 ${name} 的 context_window 无效: ${contextWindow}`);
+        }
+        if (!Number.isFinite(reservedOutput) || reservedOutput < 0 || reservedOutput >= contextWindow) {
+            throw new Error(`模型配置 ${name} 的 reserved_output 必须小于 context_window: ${reservedOutput}`);
+        }
+        if (!Number.isFinite(safetyMargin) || safetyMargin < 0 || safetyMargin >= 1) {
+            throw new Error(`模型配置 ${name} 的 safety_margin 必须在 [0, 1) 之间: ${safetyMargin}`);
+        }
+        return { contextWindow, reservedOutput, safetyMargin, description };
+    }
+}
+
+export default ModelProfileService;
@@ -2,13 +2,14 @@
  * 精确Token计算器 - 多语言智能Token分析
  * 
  * 核心功能：
- * - 支持多种编程语言的精确Token计算
- * - 考虑注释、字符串、关键字等因素
+ * - 基于离线BPE词表的真实Token计数（gpt-tokenizer 内置 cl100k_base / o200k_base，无需联网）
+ * - 启发式估算（按语言的字符比率和注释、字符串、关键字权重）作为快速回退
+ * - 每个结果同时记录估算值和精确值，可汇总启发式估算的偏差
  * - 优化的缓存机制提升性能
- * - 基于实际Token使用情况的智能估算
  * 
  * 设计理念：
- * - 精确性优于速度：确保Token计算准确
+ * - 精确性优于速度：词表可用时始终使用BPE计数
+ * - 回退而非失败：词表加载失败、超大文件或显式配置 tokenizer: 'heuristic' 时使用估算
  * - 语言特异性：不同语言有不同的Token密度
  * - 智能优化：缓存和批量计算提升效率
  * - 可扩展性：易于添加新语言支持
@@ -16,20 +17,32 @@
 
 import { promises as fs } from 'fs';
 import { extname, basename } from 'path';
-import { TokenResultFactory, TOKEN_CALCULATION_METHODS, TOKEN_CONFIDENCE_LEVELS } from '../../../interfaces/TokenResult.js';
+import { TokenResultFactory, TokenResultHelper, TOKEN_CALCULATION_METHODS, TOKEN_CONFIDENCE_LEVELS } from '../../../interfaces/TokenResult.js';
 import { LoggerFactory } from '../../../utils/Logger.js';
 
+// gpt-tokenizer 随包分发的BPE编码（词表在包内，离线可用）
+const BPE_ENCODINGS = ['cl100k_base', 'o200k_base'];
+
 export class PreciseTokenCalculator {
-    constructor(config = {}) {
+    constructor(config = {}, dependencies = {}) {
         this.config = {
             cacheEnabled: true,
             maxCacheSize: 1000,
             tokenSafetyBuffer: 0.1, // 10%安全缓冲
+            tokenizer: 'bpe',           // 'bpe' | 'heuristic'
+            bpeEncoding: 'cl100k_base',
+            bpeMaxChars: 1000000,       // 超过该字符数直接使用启发式估算
             ...config
         };
 
         // Token计算缓存
         this.tokenCache = new Map();
+
+        // BPE计数函数（首次使用时加载词表）
+        this._bpeCounterPromise = null;
+
+        // 模型配置（上下文窗口和预留输出决定Token上限）
+        this.modelProfileService = dependencies.modelProfileService || null;
         
         // 语言特定的Token计算规则
         this.languageRules = {
@@ -137,7 +150,7 @@ export class PreciseTokenCalculator {
             yaml: /\.(yml|yaml)$/i
         };
 
-        // Token限制配置
+        // Token限制配置（未注入模型配置服务或模型名不是配置名时使用）
         this.tokenLimits = {
             'claude-3-5-sonnet': 200000,
             'claude-3-haiku': 200000,
@@ -153,12 +166,15 @@ export class PreciseTokenCalculator {
             cacheEnabled: this.config.cacheEnabled,
             maxCacheSize: this.config.maxCacheSize,
             tokenSafetyBuffer: this.config.tokenSafetyBuffer,
+            tokenizer: this.config.tokenizer,
+            bpeEncoding: this.config.bpeEncoding,
             supportedLanguages: Object.keys(this.languageRules).length
         });
     }
 
     /**
-     * 计算文件的精确Token数量
+     * 计算文件的精确Token数量（BPE计数，不可用时回退到启发式估算）
+     * details.estimatedTokens 为启发式估算值，details.exactTokens 为BPE计数（回退时为null）
      * @param {string} filePath - 文件路径
      * @param {string} content - 文件内容（可选，如果提供则不读取文件）
      * @param {Object} languageProfile - 语言配置信息
@@ -199,8 +215,8 @@ export class PreciseTokenCalculator {
                 cacheSize: this.tokenCache.size
             });
 
-            // 读取文件内容（如果未提供）
-            if (!content) {
+            // 读取文件内容（如果未提供；空字符串是合法内容）
+            if (content === null || content === undefined) {
                 this.logger.debug('读取文件内容', { filePath });
                 content = await fs.readFile(filePath, 'utf8');
                 this.logger.debug('文件读取完成', { 
@@ -225,15 +241,24 @@ export class PreciseTokenCalculator {
                 hasLanguageProfile: !!languageProfile
             });
 
-            // 执行精确计算
-            this.logger.debug('开始精确Token计算', { filePath, contentLength: content.length });
-            const tokenResult = this._calculatePreciseTokens(content, language, rules);
+            // 启发式估算（始终计算，用于回退和偏差对比）
+            const tokenResult = this._calculateHeuristicTokens(content, language, rules);
+
+            // BPE精确计数（词表不可用或内容过大时为null）
+            const exactTokens = await this._countBpeTokens(content, filePath);
+            const totalTokens = exactTokens ?? tokenResult.totalTokens;
+            const calculationMethod = exactTokens === null
+                ? TOKEN_CALCULATION_METHODS.ESTIMATED
+                : TOKEN_CALCULATION_METHODS.PRECISE;
+            const encoding = exactTokens === null ? null : this.config.bpeEncoding;
+            const confidence = exactTokens === null ? tokenResult.confidence : 1.0;
 
             this.logger.debug('Token计算完成', {
                 filePath,
-                totalTokens: tokenResult.totalTokens,
-                estimatedTokens: tokenResult.estimatedTokens,
-                confidence: tokenResult.confidence,
+                totalTokens,
+                estimatedTokens: tokenResult.totalTokens,
+                exactTokens,
+                calculationMethod,
                 breakdown: {
                     totalChars: tokenResult.breakdown?.totalChars,
                     lines: tokenResult.breakdown?.lines,
@@ -242,36 +267,27 @@ export class PreciseTokenCalculator {
                 }
             });
 
-            // 创建统一TokenResult格式
-            const result = TokenResultFactory.createTokenResult(tokenResult.totalTokens, {
-                details: {
-                    estimatedTokens: tokenResult.estimatedTokens,
-                    safeTokenCount: Math.ceil(tokenResult.totalTokens * (1 + this.config.tokenSafetyBuffer)),
-                    breakdown: tokenResult.breakdown,
-                    confidence: tokenResult.confidence
-                },
-                metadata: {
-                    filePath,
-                    language,
-                    calculationMethod: TOKEN_CALCULATION_METHODS.PRECISE,
-                    analysisTimestamp: new Date().toISOString(),
-                    fromCache: false
-                }
-            });
-
-            // 更新缓存（缓存原始格式，便于后续转换）
+            // 缓存原始格式，便于后续转换
             const cacheData = {
-                totalTokens: tokenResult.totalTokens,
-                estimatedTokens: tokenResult.estimatedTokens,
+                totalTokens,
+                estimatedTokens: tokenResult.totalTokens,
+                exactTokens,
                 breakdown: tokenResult.breakdown,
-                confidence: tokenResult.confidence,
+                confidence,
                 filePath,
                 language,
-                calculationMethod: TOKEN_CALCULATION_METHODS.PRECISE,
-                safeTokenCount: Math.ceil(tokenResult.totalTokens * (1 + this.config.tokenSafetyBuffer)),
+                calculationMethod,
+                encoding,
+                safeTokenCount: Math.ceil(totalTokens * (1 + this.config.tokenSafetyBuffer)),
                 analysisTimestamp: new Date().toISOString()
             };
-            
+
+            // 创建统一TokenResult格式
+            const result = TokenResultFactory.fromComplexTokenResult({
+                ...cacheData,
+                fromCache: false
+            });
+
             this._updateCache(cacheKey, cacheData);
             this.logger.debug('Token结果已缓存', {
                 filePath,
@@ -392,10 +408,126 @@ export class PreciseTokenCalculator {
     }
 
     /**
-     * 精确Token计算核心算法
+     * 对比启发式估算与BPE精确计数，评估估算偏差
+     * 偏差 = (估算 - 精确) / 精确，正数表示估算偏高
+     * @param {Array<TokenResult>} tokenResults - calculateTokens 的结果
+     * @param {Object} [options]
+     * @param {number} [options.limit=10] - 列出偏差最大的文件数
+     * @returns {Object|null} 没有任何精确计数时返回null
+     */
+    compareEstimates(tokenResults, options = {}) {
+        const { limit = 10 } = options;
+        const compared = (tokenResults || [])
+            .filter(result => TokenResultHelper.isExact(result))
+            .map(result => ({
+                filePath: result.metadata?.filePath || 'unknown',
+                language: result.metadata?.language || 'unknown',
+                estimatedTokens: result.details.estimatedTokens,
+                exactTokens: result.details.exactTokens
+            }));
+
+        if (compared.length === 0) {
+            return null;
+        }
+
+        const deviation = (estimated, exact) => exact > 0
+            ? Math.round(((estimated - exact) / exact) * 1000) / 10
+            : 0;
+        const summarize = (entries) => {
+            const estimatedTokens = entries.reduce((sum, entry) => sum + entry.estimatedTokens, 0);
+            const exactTokens = entries.reduce((sum, entry) => sum + entry.exactTokens, 0);
+            return {
+                files: entries.length,
+                estimatedTokens,
+                exactTokens,
+                deviationPercent: deviation(estimatedTokens, exactTokens)
+            };
+        };
+
+        const byLanguage = {};
+        for (const entry of compared) {
+            (byLanguage[entry.language] ||= []).push(entry);
+        }
+
+        const withDeviation = compared.map(entry => ({
+            ...entry,
+            deviationPercent: deviation(entry.estimatedTokens, entry.exactTokens)
+        }));
+        const meanAbsoluteDeviation = withDeviation
+            .reduce((sum, entry) => sum + Math.abs(entry.deviationPercent), 0) / withDeviation.length;
+
+        return {
+            encoding: this.config.bpeEncoding,
+            ...summarize(compared),
+            meanAbsoluteDeviationPercent: Math.round(meanAbsoluteDeviation * 10) / 10,
+            byLanguage: Object.fromEntries(
+                Object.entries(byLanguage).map(([language, entries]) => [language, summarize(entries)])
+            ),
+            worstFiles: withDeviation
+                .sort((a, b) => Math.abs(b.deviationPercent) - Math.abs(a.deviationPercent))
+                .slice(0, limit)
+        };
+    }
+
+    /**
+     * BPE词表计数，不可用时返回null（调用方回退到启发式估算）
+     * @private
+     */
+    async _countBpeTokens(content, filePath) {
+        if (content.length > this.config.bpeMaxChars) {
+            this.logger.debug('内容超过BPE计数上限，使用启发式估算', {
+                filePath,
+                contentLength: content.length,
+                bpeMaxChars: this.config.bpeMaxChars
+            });
+            return null;
+        }
+
+        const countTokens = await this._getBpeCounter();
+        return countTokens ? countTokens(content) : null;
+    }
+
+    /**
+     * 加载BPE编码（只加载一次，失败后不再重试）
+     * @private
+     */
+    _getBpeCounter() {
+        if (this.config.tokenizer !== 'bpe') {
+            return Promise.resolve(null);
+        }
+
+        if (!this._bpeCounterPromise) {
+            this._bpeCounterPromise = this._loadBpeCounter(this.config.bpeEncoding);
+        }
+        return this._bpeCounterPromise;
+    }
+
+    /**
+     * @private
+     */
+    async _loadBpeCounter(encoding) {
+        if (!BPE_ENCODINGS.includes(encoding)) {
+            this.logger.warn('不支持的BPE编码，使用启发式估算', { encoding, supported: BPE_ENCODINGS });
+            return null;
+        }
+
+        try {
+            const { countTokens } = await import(`gpt-tokenizer/encoding/${encoding}`);
+            // 源码中出现的 <|endoftext|> 等特殊标记按普通文本计数
+            const options = { disallowedSpecial: new Set() };
+            this.logger.info('BPE编码已加载', { encoding });
+            return (content) => countTokens(content, options);
+        } catch (error) {
+            this.logger.warn('BPE编码加载失败，使用启发式估算', { encoding, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * 启发式Token估算（BPE不可用时的快速回退）
      * @private
      */
-    _calculatePreciseTokens(content, language, rules) {
+    _calculateHeuristicTokens(content, language, rules) {
         const breakdown = {
             totalChars: content.length,
             lines: content.split('\n').length,
@@ -613,18 +745,18 @@ export class PreciseTokenCalculator {
      * @private
      */
     _detectLanguage(filePath, languageProfile = null) {
-        // 优先使用提供的语言配置
-        if (languageProfile && languageProfile.primary) {
-            return languageProfile.primary.toLowerCase();
-        }
-
-        // 基于文件扩展名检测
+        // 优先基于文件扩展名检测（多语言项目中项目主语言不代表每个文件）
         for (const [language, pattern] of Object.entries(this.languagePatterns)) {
             if (pattern.test(filePath)) {
                 return language;
             }
         }
 
+        // 无法识别扩展名时使用提供的语言配置
+        if (languageProfile && languageProfile.primary) {
+            return languageProfile.primary.toLowerCase();
+        }
+
         return 'default';
     }
 
@@ -680,21 +812,48 @@ export class PreciseTokenCalculator {
 
     /**
      * 检查Token是否超过限制
+     * @param {number} tokens - Token数量
+     * @param {string} [model='default'] - 模型配置名称（兼容旧的模型名）
      */
     exceedsLimit(tokens, model = 'default') {
+        const thresholds = this._profileThresholds(model);
+        if (thresholds) {
+            return tokens > thresholds.inputBudget;
+        }
         const limit = this.tokenLimits[model] || this.tokenLimits.default;
         return tokens > limit * 0.8; // 预留20%缓冲
     }
 
     /**
      * 计算需要的分片数
+     * @param {number} tokens - Token数量
+     * @param {string} [model='default'] - 模型配置名称（兼容旧的模型名）
      */
     calculateChunks(tokens, model = 'default') {
+        const thresholds = this._profileThresholds(model);
+        if (thresholds) {
+            return Math.ceil(tokens / thresholds.maxBatchSize);
+        }
         const limit = this.tokenLimits[model] || this.tokenLimits.default;
         const safeLimit = limit * 0.6; // 安全限制60%
         return Math.ceil(tokens / safeLimit);
     }
 
+    /**
+     * 模型名对应的模型配置阈值，不是配置名时返回null
+     * @private
+     */
+    _profileThresholds(model) {
+        if (!this.modelProfileService) {
+            return null;
+        }
+        try {
+            return this.modelProfileService.getThresholds(model);
+        } catch {
+            return null;
+        }
+    }
+
     /**
      * 获取缓存统计
      */
@@ -10,7 +10,8 @@
  */
 
 import { promises as fs } from 'fs';
-import { join, resolve, relative, extname, basename, dirname } from 'path';
+import { join, resolve, extname, basename } from 'path';
+import ProjectScanner from './project-scanner.js';
 
 /**
  * Token计算工具类
@@ -245,14 +246,6 @@ export class FileQueryService {
                 documentation: ['README', 'CHANGELOG', 'LICENSE', 'docs']
             },
             
-            // 排除模式
-            exclusionPatterns: [
-                '.git', '.svn', 'node_modules', '__pycache__', '.pytest_cache',
-                'venv', '.venv', 'build', 'dist', 'target', 'out',
-                '.DS_Store', '.idea', '.vscode', '*.log', '*.tmp',
-                'coverage', '.nyc_output', 'logs'
-            ],
-            
             // 覆盖默认配置
             ...config
         };
@@ -261,6 +254,7 @@ export class FileQueryService {
         this.serviceBus = serviceBus;
         this.logger = dependencies.logger || console;
         this.smartContentTrimmer = dependencies.smartContentTrimmer;
+        this.projectScanner = dependencies.projectScanner || new ProjectScanner();
         
         // 核心状态
         this.cachedProjects = new Map(); // 缓存项目信息
@@ -270,7 +264,6 @@ export class FileQueryService {
         // 使用配置中的数据（向后兼容）
         this.supportedExtensions = this.config.supportedExtensions;
         this.fileCategories = this.config.fileCategories;
-        this.exclusionPatterns = this.config.exclusionPatterns;
         
         this.logger.info('[FileQueryService] 文件查询服务已初始化');
     }
@@ -768,54 +761,23 @@ export class FileQueryService {
     }
 
     /**
-     * 扫描项目文件
+     * 扫描项目文件（来自共享的项目快照，只保留源代码文件，跳过二进制文件）
      */
     async scanProjectFiles(projectPath) {
-        const files = [];
-
-        async function scan(dirPath, depth = 0) {
-            if (depth > 6) return; // 限制扫描深度
-
-            try {
-                const items = await fs.readdir(dirPath);
-
-                for (const item of items) {
-                    // 跳过排除的目录/文件
-                    if (this.exclusionPatterns.some(pattern => 
-                        item.includes(pattern.replace('*', ''))
-                    )) {
-                        continue;
-                    }
-
-                    const itemPath = join(dirPath, item);
-                    try {
-                        const stats = await fs.stat(itemPath);
-
-                        if (stats.isDirectory()) {
-                            await scan.call(this, itemPath, depth + 1);
-                        } else if (stats.isFile() && this.isSourceFile(item)) {
-                            files.push({
-                                fullPath: itemPath,
-                                relativePath: relative(projectPath, itemPath),
-                                name: item,
-                                ext: extname(item),
-                                size: stats.size,
-                                mtime: stats.mtime,
-                                directory: relative(projectPath, dirname(itemPath)),
-                                depth: depth
-                            });
-                        }
-                    } catch (error) {
-                        // 跳过无法访问的文件
-                    }
-                }
-            } catch (error) {
-                // 跳过无法访问的目录
-            }
-        }
-
-        await scan.call(this, projectPath);
-        return files;
+        const snapshot = await this.projectScanner.scan(projectPath);
+
+        return snapshot.files
+            .filter(file => !file.isBinary && this.isSourceFile(file.name))
+            .map(file => ({
+                fullPath: file.fullPath,
+                relativePath: file.path,
+                name: file.name,
+                ext: file.ext,
+                size: file.size,
+                mtime: file.mtime,
+                directory: file.directory,
+                depth: file.depth
+            }));
     }
 
     /**
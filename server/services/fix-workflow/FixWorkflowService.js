@@ -0,0 +1,500 @@
+/**
+ * Fix工作流服务 - 基于已生成文档的问题修复流程
+ *
+ * 流程：
+ * 1. 问题分析：根据问题描述和堆栈信息，结合 mg_kiro 文件/模块文档和import关系对可疑文件排序
+ * 2. 任务循环：在UnifiedTaskManager中创建修复任务（根因说明 -> 回归测试说明），
+ *    由FixNoteValidator验证说明文档后自动完成
+ * 3. 文档更新：所有任务完成后，在受影响文件的分析文档中追加修复记录
+ *
+ * 存储：
+ * - 每次修复一个目录 mg_kiro/fixes/<fixId>/
+ *   - fix.json            修复记录（问题、可疑文件、任务状态）
+ *   - root-cause.md       根因说明（由AI编写）
+ *   - regression-test.md  回归测试说明（由AI编写）
+ * - 服务重启后从 fix.json 恢复任务管理器中的任务
+ */
+
+import { promises as fs } from 'fs';
+import { join, resolve } from 'path';
+
+export class FixWorkflowService {
+    constructor(config = {}, dependencies = {}, serviceBus = null) {
+        this.config = {
+            docsFolderName: 'mg_kiro',
+            fixesFolderName: 'fixes',
+            recordFileName: 'fix.json',
+            defaultLanguage: 'general',
+            historyHeading: '## 修复记录',
+            ...config
+        };
+
+        this.suspectFileRanker = dependencies.suspectFileRanker;
+        this.unifiedTaskManager = dependencies.unifiedTaskManager;
+        this.unifiedTaskValidator = dependencies.unifiedTaskValidator;
+        this.modeTemplateService = dependencies.modeTemplateService;
+        this.serviceBus = serviceBus;
+
+        // 修复任务定义：顺序即执行顺序
+        this.taskBlueprints = [
+            {
+                kind: 'root_cause',
+                title: '定位根本原因并编写根因说明',
+                fileName: 'root-cause.md',
+                templateStep: 'diagnosis'
+            },
+            {
+                kind: 'regression_test',
+                title: '实施修复并编写回归测试说明',
+                fileName: 'regression-test.md',
+                templateStep: 'resolution'
+            }
+        ];
+    }
+
+    /**
+     * 开始一次修复：排序可疑文件、创建修复任务
+     * @param {string} projectPath - 项目根目录
+     * @param {Object} report - 问题报告
+     * @param {string} report.bugDescription - 问题描述
+     * @param {string} [report.stackTrace] - 堆栈信息
+     * @param {number} [report.maxSuspects] - 可疑文件数量上限
+     * @param {string} [report.language] - 模板语言
+     * @returns {Promise<Object>} { fix, ranking, instructions }
+     */
+    async startFix(projectPath, { bugDescription, stackTrace = '', maxSuspects, language } = {}) {
+        if (!bugDescription || typeof bugDescription !== 'string') {
+            throw new Error('问题描述(bugDescription)不能为空');
+        }
+
+        const normalizedPath = resolve(projectPath);
+        const ranking = await this.suspectFileRanker.rankSuspects(normalizedPath, {
+            bugDescription,
+            stackTrace,
+            maxSuspects
+        });
+
+        const fixId = `fix_${Date.now()}`;
+        const fixDir = `${this.config.docsFolderName}/${this.config.fixesFolderName}/${fixId}`;
+        const now = new Date().toISOString();
+
+        const fix = {
+            fixId,
+            projectPath: normalizedPath,
+            status: 'in_progress',
+            language: language || this.config.defaultLanguage,
+            bugDescription,
+            stackTrace,
+            keywords: ranking.keywords,
+            stackFrames: ranking.stackFrames,
+            suspects: ranking.suspects,
+            tasks: this.taskBlueprints.map(blueprint => ({
+                id: `${fixId}_${blueprint.kind}`,
+                kind: blueprint.kind,
+                title: blueprint.title,
+                notePath: `${fixDir}/${blueprint.fileName}`,
+                templateStep: blueprint.templateStep,
+                status: 'pending'
+            })),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        for (const task of fix.tasks) {
+            await this._ensureManagedTask(fix, task);
+        }
+        await this._saveFix(fix);
+
+        console.log(`[FixWorkflowService] 创建修复 ${fixId}: ${fix.suspects.length} 个可疑文件, ${fix.tasks.length} 个任务`);
+
+        const instructions = await this._renderTemplate(fix, 'issue-analysis');
+
+        return { fix, ranking, instructions };
+    }
+
+    /**
+     * 获取下一个修复任务（进行中的任务优先）
+     * @param {string} projectPath - 项目根目录
+     * @param {string} [fixId] - 修复ID，缺省时使用最近一次进行中的修复
+     * @returns {Promise<Object>} { fix, task, instructions, completed }
+     */
+    async getNextTask(projectPath, fixId = null) {
+        const fix = await this._loadActiveFix(projectPath, fixId);
+        const task = fix.tasks.find(entry => entry.status === 'in_progress') ||
+                     fix.tasks.find(entry => entry.status === 'pending');
+
+        if (!task) {
+            return { fix, task: null, instructions: null, completed: true };
+        }
+
+        await this._ensureManagedTask(fix, task);
+        if (task.status === 'pending') {
+            task.status = 'in_progress';
+            task.startedAt = new Date().toISOString();
+            await this._saveFix(fix);
+        }
+
+        const instructions = await this._renderTemplate(fix, task.templateStep, task);
+
+        return { fix, task, instructions, completed: false };
+    }
+
+    /**
+     * 验证当前修复任务，全部完成后更新受影响文件的文档
+     * @param {string} projectPath - 项目根目录
+     * @param {Object} [options]
+     * @param {string} [options.fixId] - 修复ID
+     * @param {string} [options.taskId] - 任务ID，缺省时使用进行中的任务
+     * @returns {Promise<Object>} { fix, task, validation, nextTask, finalization }
+     */
+    async checkTaskCompletion(projectPath, { fixId = null, taskId = null } = {}) {
+        const fix = await this._loadActiveFix(projectPath, fixId, { includeCompleted: Boolean(taskId) });
+        const task = taskId
+            ? fix.tasks.find(entry => entry.id === taskId)
+            : fix.tasks.find(entry => entry.status === 'in_progress') || fix.tasks.find(entry => entry.status === 'pending');
+
+        if (!task) {
+            throw new Error(taskId ? `修复 ${fix.fixId} 中没有任务 ${taskId}` : `修复 ${fix.fixId} 没有待验证的任务`);
+        }
+
+        await this._ensureManagedTask(fix, task);
+        const validation = await this.unifiedTaskValidator.checkTaskCompletion(task.id, fix.projectPath, 'fix');
+
+        if (validation.success) {
+            task.status = 'completed';
+            task.completedAt = new Date().toISOString();
+            delete task.lastError;
+        } else {
+            task.status = 'in_progress';
+            task.lastError = validation.error?.details?.message || validation.error?.message;
+        }
+
+        let finalization = null;
+        if (fix.tasks.every(entry => entry.status === 'completed') && fix.status !== 'completed') {
+            finalization = await this._finalizeFix(fix);
+        }
+        await this._saveFix(fix);
+
+        const nextTask = fix.tasks.find(entry => entry.status !== 'completed') || null;
+        return { fix, task, validation, nextTask, finalization };
+    }
+
+    /**
+     * 获取修复记录
+     * @param {string} projectPath - 项目根目录
+     * @param {string} [fixId] - 修复ID，缺省时返回最近一次进行中的修复
+     * @returns {Promise<Object>}
+     */
+    async getFix(projectPath, fixId = null) {
+        return await this._loadActiveFix(projectPath, fixId, { includeCompleted: Boolean(fixId) });
+    }
+
+    /**
+     * 修复模板的上下文变量（供MCP prompts/get填充，与任务指令使用的变量一致）
+     * @param {string} projectPath - 项目根目录
+     * @param {string} step - 模板步骤（issue-analysis / diagnosis / resolution）
+     * @param {string} [fixId] - 修复ID，缺省时使用最近一次进行中的修复
+     * @returns {Promise<Object>}
+     */
+    async getPromptVariables(projectPath, step, fixId = null) {
+        const fix = await this.getFix(projectPath, fixId);
+        return this._templateVariables(fix, fix.tasks.find(task => task.templateStep === step));
+    }
+
+    /**
+     * 列出项目的所有修复记录摘要（按创建时间倒序）
+     * @param {string} projectPath - 项目根目录
+     * @returns {Promise<Array<Object>>}
+     */
+    async listFixes(projectPath) {
+        const fixesDir = this._getFixesDir(resolve(projectPath));
+        let entries;
+        try {
+            entries = await fs.readdir(fixesDir, { withFileTypes: true });
+        } catch (error) {
+            return [];
+        }
+
+        const fixes = [];
+        for (const entry of entries) {
+            if (!entry.isDirectory()) continue;
+            try {
+                const fix = JSON.parse(await fs.readFile(join(fixesDir, entry.name, this.config.recordFileName), 'utf8'));
+                fixes.push({
+                    fixId: fix.fixId,
+                    status: fix.status,
+                    bugDescription: fix.bugDescription,
+                    tasks: fix.tasks.map(task => ({ id: task.id, kind: task.kind, status: task.status })),
+                    createdAt: fix.createdAt,
+                    completedAt: fix.completedAt || null
+                });
+            } catch (error) {
+                // 非修复目录或记录损坏，跳过
+            }
+        }
+
+        return fixes.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * 获取服务状态
+     */
+    getServiceStatus() {
+        return {
+            name: 'FixWorkflowService',
+            taskKinds: this.taskBlueprints.map(blueprint => blueprint.kind),
+            config: this.config
+        };
+    }
+
+    // ========== 私有方法 ==========
+
+    /**
+     * 确保任务存在于UnifiedTaskManager（服务重启后从修复记录恢复）
+     * @private
+     */
+    async _ensureManagedTask(fix, task) {
+        const status = await this.unifiedTaskManager.getTaskStatus(task.id);
+        if (status.success && status.task) {
+            return;
+        }
+
+        await this.unifiedTaskManager.createTask({
+            id: task.id,
+            type: 'fix_note',
+            description: task.title,
+            files: fix.suspects.map(suspect => suspect.path),
+            fixId: fix.fixId,
+            noteType: task.kind,
+            notePath: task.notePath
+        }, fix.projectPath, 'fix');
+    }
+
+    /**
+     * 完成修复：在受影响文件的分析文档中追加修复记录
+     * @private
+     */
+    async _finalizeFix(fix) {
+        fix.completedAt = new Date().toISOString();
+        const affectedFiles = await this._collectAffectedFiles(fix);
+        const fileDocs = await this.suspectFileRanker.findFileDocs(fix.projectPath, affectedFiles);
+
+        const updatedDocs = [];
+        for (const docPaths of fileDocs.values()) {
+            for (const docPath of docPaths) {
+                if (await this._appendFixHistory(fix, docPath)) {
+                    updatedDocs.push(docPath);
+                }
+            }
+        }
+        const undocumentedFiles = affectedFiles.filter(filePath => !fileDocs.has(filePath));
+
+        fix.status = 'completed';
+        fix.affectedFiles = affectedFiles;
+        fix.updatedDocs = updatedDocs;
+
+        await this._notifyDocsRefreshed(fix.projectPath);
+        console.log(`[FixWorkflowService] 修复 ${fix.fixId} 完成，更新 ${updatedDocs.length} 个文件文档`);
+
+        return { affectedFiles, updatedDocs, undocumentedFiles };
+    }
+
+    /**
+     * 确定受影响文件：根因说明中提到的项目文件 > 堆栈命中文件 > 排名第一的可疑文件
+     * @private
+     */
+    async _collectAffectedFiles(fix) {
+        const rootCauseTask = this._findTask(fix, 'root_cause');
+        let rootCause = '';
+        try {
+            rootCause = await fs.readFile(join(fix.projectPath, rootCauseTask.notePath), 'utf8');
+        } catch (error) {
+            console.warn(`[FixWorkflowService] 读取根因说明失败: ${error.message}`);
+        }
+
+        const sourceFiles = await this.suspectFileRanker.listSourceFiles(fix.projectPath);
+        const mentioned = sourceFiles.filter(filePath => rootCause.includes(filePath));
+        if (mentioned.length > 0) {
+            return mentioned;
+        }
+
+        const stackFiles = Array.from(new Set(fix.stackFrames.map(frame => frame.path).filter(Boolean)));
+        if (stackFiles.length > 0) {
+            return stackFiles;
+        }
+
+        return fix.suspects.slice(0, 1).map(suspect => suspect.path);
+    }
+
+    /**
+     * 在文件文档末尾追加一条修复记录（已存在该修复的记录时跳过）
+     * @private
+     */
+    async _appendFixHistory(fix, docPath) {
+        const absolutePath = join(fix.projectPath, docPath);
+        let content;
+        try {
+            content = await fs.readFile(absolutePath, 'utf8');
+        } catch (error) {
+            console.warn(`[FixWorkflowService] 读取文件文档失败: ${docPath} - ${error.message}`);
+            return false;
+        }
+
+        if (content.includes(`### ${fix.fixId}`)) {
+            return false;
+        }
+
+        const rootCauseTask = this._findTask(fix, 'root_cause');
+        const regressionTask = this._findTask(fix, 'regression_test');
+        const summary = fix.bugDescription.split('\n')[0].trim();
+        const entry = [
+            `### ${fix.fixId} (${fix.completedAt.slice(0, 10)})`,
+            `- 问题: ${summary}`,
+            `- 根因说明: ${rootCauseTask.notePath}`,
+            `- 回归测试: ${regressionTask.notePath}`,
+            ''
+        ].join('\n');
+
+        const section = content.includes(this.config.historyHeading)
+            ? `\n${entry}`
+            : `\n${this.config.historyHeading}\n\n${entry}`;
+
+        await fs.writeFile(absolutePath, `${content.replace(/\n*$/, '\n')}${section}`, 'utf8');
+        return true;
+    }
+
+    /**
+     * 渲染Fix模式模板
+     * @private
+     */
+    async _renderTemplate(fix, step, task = null) {
+        const result = await this.modeTemplateService.getFixTemplate(step, fix.language, this._templateVariables(fix, task));
+
+        if (!result.success) {
+            console.warn(`[FixWorkflowService] Fix模板 ${step} 获取失败: ${result.error}`);
+            return null;
+        }
+        return result.content;
+    }
+
+    /**
+     * Fix模式模板变量，带任务时包含任务的输出路径
+     * @private
+     */
+    _templateVariables(fix, task = null) {
+        return {
+            fix_id: fix.fixId,
+            project_path: fix.projectPath,
+            bug_description: fix.bugDescription,
+            stack_trace: fix.stackTrace || '（未提供）',
+            suspect_files: this._formatSuspects(fix.suspects),
+            keywords: fix.keywords.join(', ') || '无',
+            related_docs: this._formatRelatedDocs(fix.suspects),
+            root_cause_path: join(fix.projectPath, this._findTask(fix, 'root_cause').notePath),
+            ...(task ? { output_path: join(fix.projectPath, task.notePath) } : {})
+        };
+    }
+
+    /**
+     * 可疑文件列表 -> Markdown表格
+     * @private
+     */
+    _formatSuspects(suspects) {
+        if (suspects.length === 0) {
+            return '（未找到可疑文件，请根据问题描述自行定位）';
+        }
+
+        const rows = suspects.map((suspect, index) =>
+            `| ${index + 1} | \`${suspect.path}\` | ${suspect.score} | ${suspect.reasons.join('；')} |`
+        );
+        return ['| # | 文件 | 评分 | 命中原因 |', '|---|------|------|----------|', ...rows].join('\n');
+    }
+
+    /**
+     * 可疑文件的相关文档列表
+     * @private
+     */
+    _formatRelatedDocs(suspects) {
+        const docs = suspects.flatMap(suspect => suspect.docs.map(docPath => `- \`${docPath}\` (${suspect.path})`));
+        return docs.length > 0 ? docs.join('\n') : '（可疑文件暂无分析文档）';
+    }
+
+    /**
+     * @private
+     */
+    _findTask(fix, kind) {
+        return fix.tasks.find(task => task.kind === kind);
+    }
+
+    /**
+     * 加载修复记录，未指定fixId时选择最近一次进行中的修复
+     * @private
+     */
+    async _loadActiveFix(projectPath, fixId = null, { includeCompleted = false } = {}) {
+        const normalizedPath = resolve(projectPath);
+
+        if (fixId) {
+            const fix = await this._readFix(normalizedPath, fixId);
+            if (!fix) {
+                throw new Error(`修复记录不存在: ${fixId}`);
+            }
+            if (fix.status === 'completed' && !includeCompleted) {
+                throw new Error(`修复 ${fixId} 已完成`);
+            }
+            return fix;
+        }
+
+        const active = (await this.listFixes(normalizedPath)).find(summary => summary.status === 'in_progress');
+        if (!active) {
+            throw new Error('没有进行中的修复，请先调用 fix_step1_bug_analysis');
+        }
+        return await this._readFix(normalizedPath, active.fixId);
+    }
+
+    /**
+     * @private
+     */
+    async _readFix(projectPath, fixId) {
+        try {
+            return JSON.parse(await fs.readFile(join(this._getFixesDir(projectPath), fixId, this.config.recordFileName), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _saveFix(fix) {
+        fix.updatedAt = new Date().toISOString();
+        const fixDir = join(this._getFixesDir(fix.projectPath), fix.fixId);
+        await fs.mkdir(fixDir, { recursive: true });
+        await fs.writeFile(join(fixDir, this.config.recordFileName), JSON.stringify(fix, null, 2), 'utf8');
+    }
+
+    /**
+     * @private
+     */
+    _getFixesDir(projectPath) {
+        return join(projectPath, this.config.docsFolderName, this.config.fixesFolderName);
+    }
+
+    /**
+     * 通知文档资源服务重新扫描
+     * @private
+     */
+    async _notifyDocsRefreshed(projectPath) {
+        const docResourceService = this.serviceBus?.get('docResourceService');
+        if (!docResourceService) {
+            return;
+        }
+
+        try {
+            await docResourceService.refreshProject(projectPath);
+        } catch (error) {
+            console.warn(`[FixWorkflowService] 文档资源刷新失败: ${error.message}`);
+        }
+    }
+}
+
+export default FixWorkflowService;
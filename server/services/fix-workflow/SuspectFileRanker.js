@@ -0,0 +1,431 @@
+/**
+ * 可疑文件排序器 - Fix模式的问题定位核心
+ *
+ * 核心功能：
+ * - 解析堆栈信息（Node.js / Python / Java / Go 等常见格式），定位到项目内的源文件
+ * - 从问题描述和堆栈中提取关键词，与 mg_kiro/files 文件文档、mg_kiro/modules 模块文档匹配
+ * - 复用Init Step2的导入依赖图（没有时由ImportGraphBuilder现场构建），为堆栈命中文件的上下游文件加权
+ * - 输出带评分和命中原因的可疑文件列表
+ *
+ * 评分维度：
+ * - 堆栈命中：越靠近栈顶权重越高
+ * - 路径命中：关键词出现在文件路径中
+ * - 文档命中：关键词出现在该文件的分析文档中
+ * - 模块命中：提及该文件的模块文档中出现关键词
+ * - 依赖关联：与堆栈命中文件存在直接import关系
+ */
+
+import { promises as fs } from 'fs';
+import { join, resolve, relative, basename, extname, isAbsolute, sep } from 'path';
+
+export class SuspectFileRanker {
+    constructor(config = {}, dependencies = {}, serviceBus = null) {
+        this.config = {
+            docsFolderName: 'mg_kiro',
+            sourceExtensions: [
+                '.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.vue', '.svelte',
+                '.py', '.java', '.go', '.rs', '.cs', '.cpp', '.c', '.h',
+                '.php', '.rb', '.swift', '.kt', '.scala'
+            ],
+            maxSuspects: 10,
+            maxDocSize: 256 * 1024,
+            weights: {
+                stackTop: 10,
+                stackDecay: 2,
+                stackMin: 3,
+                stackCap: 15,
+                pathKeyword: 2,
+                docKeyword: 1,
+                docKeywordCap: 8,
+                moduleKeyword: 1,
+                moduleKeywordCap: 3,
+                importNeighbor: 3
+            },
+            stopWords: [
+                'the', 'and', 'for', 'with', 'from', 'this', 'that', 'when', 'then', 'than', 'into',
+                'error', 'errors', 'exception', 'throw', 'thrown', 'undefined', 'null', 'true', 'false',
+                'function', 'object', 'cannot', 'can', 'not', 'does', 'did', 'was', 'were', 'has', 'have',
+                'line', 'file', 'files', 'node', 'internal', 'async', 'await', 'anonymous', 'process',
+                'modules', 'module', 'processticksandrejections', 'new', 'read', 'get', 'set', 'traceback',
+                'most', 'recent', 'call', 'last', 'bug', 'issue', 'should', 'after', 'before', 'some'
+            ],
+            ...config
+        };
+
+        this.fileQueryService = dependencies.fileQueryService;
+        this.projectSessionStore = dependencies.projectSessionStore;
+        this.importGraphBuilder = dependencies.importGraphBuilder;
+        this.serviceBus = serviceBus;
+        this.stopWords = new Set(this.config.stopWords);
+    }
+
+    /**
+     * 对可疑文件进行排序
+     * @param {string} projectPath - 项目根目录
+     * @param {Object} report - 问题报告
+     * @param {string} report.bugDescription - 问题描述
+     * @param {string} [report.stackTrace] - 堆栈信息
+     * @param {number} [report.maxSuspects] - 返回的最大文件数
+     * @returns {Promise<Object>} { suspects, stackFrames, keywords, candidateCount }
+     */
+    async rankSuspects(projectPath, { bugDescription = '', stackTrace = '', maxSuspects } = {}) {
+        const normalizedPath = resolve(projectPath);
+        const limit = maxSuspects || this.config.maxSuspects;
+
+        const candidates = await this.listSourceFiles(normalizedPath);
+        const candidateSet = new Set(candidates);
+
+        const stackFrames = this.parseStackTrace(stackTrace, normalizedPath, candidates);
+        const keywords = this.extractKeywords(`${bugDescription}\n${stackFrames.map(frame => frame.functionName || '').join(' ')}`);
+
+        const scores = new Map();
+        const addScore = (filePath, points, reason) => {
+            if (!candidateSet.has(filePath) || points <= 0) return;
+            const entry = scores.get(filePath) || { path: filePath, score: 0, reasons: [], docs: [] };
+            entry.score += points;
+            entry.reasons.push(reason);
+            scores.set(filePath, entry);
+        };
+
+        // 1. 堆栈命中
+        const { stackTop, stackDecay, stackMin, stackCap } = this.config.weights;
+        const stackScores = new Map();
+        stackFrames.forEach((frame, index) => {
+            if (!frame.path) return;
+            const points = Math.max(stackTop - stackDecay * index, stackMin);
+            const current = stackScores.get(frame.path) || { points: 0, lines: [] };
+            current.points = Math.min(current.points + points, stackCap);
+            current.lines.push(frame.line);
+            stackScores.set(frame.path, current);
+        });
+        for (const [filePath, { points, lines }] of stackScores) {
+            addScore(filePath, points, `堆栈命中 (行 ${lines.filter(Boolean).join(', ') || '未知'})`);
+        }
+
+        // 2. 路径关键词
+        for (const filePath of candidates) {
+            const lowerPath = filePath.toLowerCase();
+            const hits = keywords.filter(keyword => lowerPath.includes(keyword));
+            if (hits.length > 0) {
+                addScore(filePath, hits.length * this.config.weights.pathKeyword, `路径包含关键词: ${hits.join(', ')}`);
+            }
+        }
+
+        // 3. 文件文档关键词
+        const fileDocs = await this.findFileDocs(normalizedPath, candidates);
+        for (const [filePath, docPaths] of fileDocs) {
+            const hits = new Set();
+            for (const docPath of docPaths) {
+                const text = await this._readText(join(normalizedPath, docPath));
+                for (const keyword of keywords) {
+                    if (text.includes(keyword)) hits.add(keyword);
+                }
+            }
+            if (hits.size > 0) {
+                const points = Math.min(hits.size * this.config.weights.docKeyword, this.config.weights.docKeywordCap);
+                addScore(filePath, points, `文件文档命中关键词: ${Array.from(hits).join(', ')}`);
+            }
+        }
+
+        // 4. 模块文档关键词
+        const moduleDocs = await this._loadModuleDocs(normalizedPath);
+        for (const moduleDoc of moduleDocs) {
+            const hits = keywords.filter(keyword => moduleDoc.text.includes(keyword));
+            if (hits.length === 0) continue;
+            const points = Math.min(hits.length * this.config.weights.moduleKeyword, this.config.weights.moduleKeywordCap);
+            for (const filePath of candidates) {
+                if (moduleDoc.text.includes(filePath.toLowerCase()) || moduleDoc.text.includes(basename(filePath).toLowerCase())) {
+                    addScore(filePath, points, `模块文档 ${moduleDoc.path} 命中关键词: ${hits.join(', ')}`);
+                }
+            }
+        }
+
+        // 5. 堆栈文件的import上下游
+        if (stackScores.size > 0) {
+            const importGraph = await this.buildImportGraph(normalizedPath, candidates);
+            for (const stackFile of stackScores.keys()) {
+                for (const imported of importGraph.get(stackFile) || []) {
+                    if (!stackScores.has(imported)) {
+                        addScore(imported, this.config.weights.importNeighbor, `被堆栈文件 ${stackFile} 导入`);
+                    }
+                }
+                for (const [importer, imports] of importGraph) {
+                    if (imports.has(stackFile) && !stackScores.has(importer)) {
+                        addScore(importer, this.config.weights.importNeighbor, `导入了堆栈文件 ${stackFile}`);
+                    }
+                }
+            }
+        }
+
+        const suspects = Array.from(scores.values())
+            .sort((a, b) => b.score - a.score || a.path.localeCompare(b.path))
+            .slice(0, limit)
+            .map(entry => ({
+                ...entry,
+                docs: fileDocs.get(entry.path) || [],
+                stackLines: stackScores.get(entry.path)?.lines.filter(Boolean) || []
+            }));
+
+        console.log(`[SuspectFileRanker] ${candidates.length} 个候选文件，命中 ${scores.size} 个，返回前 ${suspects.length} 个`);
+
+        return {
+            suspects,
+            stackFrames,
+            keywords,
+            candidateCount: candidates.length
+        };
+    }
+
+    /**
+     * 解析堆栈信息，映射到项目内的相对路径
+     * @param {string} stackTrace - 堆栈文本
+     * @param {string} projectPath - 项目根目录
+     * @param {Array<string>} candidates - 项目源文件相对路径
+     * @returns {Array<Object>} [{ raw, path, line, functionName }]
+     */
+    parseStackTrace(stackTrace, projectPath, candidates) {
+        if (!stackTrace) return [];
+
+        const patterns = [
+            /at\s+(?:async\s+)?([\w$.<>\[\] ]+?)\s+\((?:file:\/\/)?(.+?):(\d+)(?::\d+)?\)/,  // Node.js: at fn (path:line:col)
+            /at\s+(?:file:\/\/)?([^\s()]+?):(\d+)(?::\d+)?\s*$/,                          // Node.js: at path:line:col
+            /File\s+"(.+?)",\s+line\s+(\d+)(?:,\s+in\s+([\w<>]+))?/,                     // Python
+            /at\s+([\w$.]+)\(([\w$]+\.(?:java|kt|scala)):(\d+)\)/,                        // JVM
+            /^\s*((?:[\w.\-]+[\/\\])*[\w.\-]+\.\w+):(\d+)(?::\d+)?/                       // Go / 通用 path:line
+        ];
+
+        const frames = [];
+        for (const rawLine of stackTrace.split('\n')) {
+            const raw = rawLine.trim();
+            if (!raw) continue;
+
+            let filePart = null;
+            let line = null;
+            let functionName = null;
+
+            let match;
+            if ((match = raw.match(patterns[0]))) {
+                [, functionName, filePart, line] = match;
+            } else if ((match = raw.match(patterns[1]))) {
+                [, filePart, line] = match;
+            } else if ((match = raw.match(patterns[2]))) {
+                [, filePart, line, functionName] = match;
+            } else if ((match = raw.match(patterns[3]))) {
+                [, functionName, filePart, line] = match;
+                functionName = functionName.split('.').pop();
+            } else if ((match = raw.match(patterns[4]))) {
+                [, filePart, line] = match;
+            }
+
+            if (!filePart) continue;
+
+            frames.push({
+                raw,
+                path: this._resolveFramePath(filePart, projectPath, candidates),
+                line: line ? Number(line) : null,
+                functionName: functionName ? functionName.trim().split('.').pop() : null
+            });
+        }
+
+        return frames;
+    }
+
+    /**
+     * 从文本中提取检索关键词（小写，含驼峰拆分和中文词组）
+     * @param {string} text - 问题描述等文本
+     * @returns {Array<string>}
+     */
+    extractKeywords(text) {
+        const keywords = new Set();
+        if (!text) return [];
+
+        for (const token of text.match(/[A-Za-z_$][\w$]{2,}/g) || []) {
+            const parts = [token, ...token.replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(/[\s_$]+/)];
+            for (const part of parts) {
+                const lower = part.toLowerCase();
+                if (lower.length >= 3 && !this.stopWords.has(lower)) {
+                    keywords.add(lower);
+                }
+            }
+        }
+
+        for (const phrase of text.match(/[一-龥]{2,}/g) || []) {
+            keywords.add(phrase);
+        }
+
+        return Array.from(keywords);
+    }
+
+    /**
+     * 查找源文件对应的文件分析文档（mg_kiro/files下）
+     * 兼容各批次策略的命名：[task_N_]<base>[_combined|_batch|_partN]_analysis.md
+     * @param {string} projectPath - 项目根目录
+     * @param {Array<string>} filePaths - 源文件相对路径
+     * @returns {Promise<Map<string, Array<string>>>} filePath -> 文档相对路径列表
+     */
+    async findFileDocs(projectPath, filePaths) {
+        const filesDir = join(projectPath, this.config.docsFolderName, 'files');
+        const result = new Map();
+
+        let docNames;
+        try {
+            docNames = await fs.readdir(filesDir);
+        } catch (error) {
+            return result;
+        }
+
+        const sanitize = (name) => name.replace(/[\/\\]/g, '_').replace(/[^a-zA-Z0-9_.-]/g, '_');
+        const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+        for (const filePath of filePaths) {
+            const baseName = basename(filePath, extname(filePath));
+            const docPattern = new RegExp(
+                `^(task_\\d+(?:_\\d+)*_)?${escapeRegExp(sanitize(baseName))}(_combined|_batch|_part\\d+)?_analysis\\.md$`
+            );
+            const docs = docNames
+                .filter(docName => docPattern.test(docName))
+                .map(docName => `${this.config.docsFolderName}/files/${docName}`);
+            if (docs.length > 0) {
+                result.set(filePath, docs);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * 源文件之间的import关系图（只保留候选文件之间的导入）
+     * 优先使用Init Step2保存的导入依赖图，项目未完成Step2时用ImportGraphBuilder现场构建
+     * @param {string} projectPath - 项目根目录
+     * @param {Array<string>} candidates - 源文件相对路径
+     * @returns {Promise<Map<string, Set<string>>>} filePath -> 导入的文件集合
+     */
+    async buildImportGraph(projectPath, candidates) {
+        const importGraph = await this._loadImportGraph(resolve(projectPath), candidates);
+        const graph = new Map(candidates.map(filePath => [filePath, new Set()]));
+
+        for (const { from, to } of importGraph?.edges || []) {
+            if (from !== to && graph.has(from) && graph.has(to)) {
+                graph.get(from).add(to);
+            }
+        }
+
+        return graph;
+    }
+
+    /**
+     * 列出项目源文件（相对路径，排除mg_kiro文档目录）
+     * @param {string} projectPath - 项目根目录
+     * @returns {Promise<Array<string>>}
+     */
+    async listSourceFiles(projectPath) {
+        const files = this.fileQueryService
+            ? await this.fileQueryService.scanProjectFiles(projectPath)
+            : [];
+
+        return files
+            .map(file => file.relativePath.split(sep).join('/'))
+            .filter(filePath => !filePath.startsWith(`${this.config.docsFolderName}/`))
+            .filter(filePath => this.config.sourceExtensions.includes(extname(filePath).toLowerCase()))
+            .sort();
+    }
+
+    /**
+     * 将堆栈中的路径映射为项目相对路径
+     * @private
+     */
+    _resolveFramePath(filePart, projectPath, candidates) {
+        const normalized = filePart.replace(/\\/g, '/');
+
+        if (isAbsolute(filePart)) {
+            const relativePath = relative(projectPath, filePart).split(sep).join('/');
+            if (!relativePath.startsWith('..') && candidates.includes(relativePath)) {
+                return relativePath;
+            }
+        }
+
+        if (candidates.includes(normalized)) {
+            return normalized;
+        }
+
+        // 后缀匹配：堆栈中常见相对或部分路径（如 src/foo.js、foo.py、Foo.java）
+        const suffixMatches = candidates.filter(candidate =>
+            candidate === normalized || candidate.endsWith(`/${normalized}`) || normalized.endsWith(`/${candidate}`)
+        );
+        return suffixMatches.length === 1 ? suffixMatches[0] : null;
+    }
+
+    /**
+     * 读取Step2保存的导入依赖图，没有时现场构建，构建失败返回null
+     * @private
+     */
+    async _loadImportGraph(projectPath, candidates) {
+        const state = this.projectSessionStore?.hasState(projectPath)
+            ? this.projectSessionStore.getState(projectPath)
+            : null;
+        const storedGraph = state?.stepResults?.step2?.analysisResult?.data?.importGraph;
+        if (storedGraph) {
+            return storedGraph;
+        }
+        if (!this.importGraphBuilder) {
+            return null;
+        }
+
+        try {
+            return await this.importGraphBuilder.build(projectPath, candidates.map(filePath => ({ path: filePath })), {
+                packages: state?.stepResults?.step1?.projectOverview?.workspaceAnalysis?.packages || []
+            });
+        } catch (error) {
+            console.warn(`[SuspectFileRanker] 导入依赖图构建失败: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * 读取mg_kiro/modules下的模块文档（小写文本）
+     * @private
+     */
+    async _loadModuleDocs(projectPath) {
+        const modulesDir = join(projectPath, this.config.docsFolderName, 'modules');
+        const docs = [];
+
+        const traverse = async (currentDir) => {
+            let entries;
+            try {
+                entries = await fs.readdir(currentDir, { withFileTypes: true });
+            } catch (error) {
+                return;
+            }
+            for (const entry of entries) {
+                const entryPath = join(currentDir, entry.name);
+                if (entry.isDirectory()) {
+                    await traverse(entryPath);
+                } else if (entry.isFile() && entry.name.endsWith('.md')) {
+                    docs.push({
+                        path: relative(projectPath, entryPath).split(sep).join('/'),
+                        text: await this._readText(entryPath)
+                    });
+                }
+            }
+        };
+
+        await traverse(modulesDir);
+        return docs;
+    }
+
+    /**
+     * 读取文本文件（小写），失败时返回空字符串
+     * @private
+     */
+    async _readText(filePath) {
+        try {
+            const stats = await fs.stat(filePath);
+            if (stats.size > this.config.maxDocSize) return '';
+            return (await fs.readFile(filePath, 'utf8')).toLowerCase();
+        } catch (error) {
+            return '';
+        }
+    }
+}
+
+export default SuspectFileRanker;
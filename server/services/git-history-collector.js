@@ -0,0 +1,243 @@
+/**
+ * Git历史采集器 - 从本地仓库读取文件的提交历史
+ *
+ * 核心功能：
+ * - 通过 git CLI 一次性读取 git log --numstat，统计每个文件的提交数、最后修改时间、最近作者和改动量（churn）
+ * - 计算热度分数：近期提交权重更高，改动量取对数避免大文件一次性改动主导排序
+ * - 项目目录可以是仓库的子目录，路径统一相对项目根目录
+ *
+ * 设计理念：
+ * - 完全离线，只读取仓库本身
+ * - 不是Git仓库、没有提交或git不可用时返回 available: false，不影响Init流程
+ * - "近期"以仓库最新提交时间为基准，而不是当前时间，结果可复现
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { resolve } from 'path';
+
+const execFileAsync = promisify(execFile);
+
+const RECORD_SEPARATOR = '\x1e';
+const FIELD_SEPARATOR = '\x1f';
+
+export class GitHistoryCollector {
+    constructor(config = {}) {
+        this.config = {
+            maxCommits: 5000,           // 读取的最大提交数
+            recentDays: 90,             // 近期提交窗口（相对最新提交）
+            maxAuthorsPerFile: 3,       // 每个文件记录的最近作者数
+            hotFileCount: 10,           // 摘要中列出的热点文件数
+            timeoutMs: 30000,           // 单个git命令超时
+            maxBuffer: 64 * 1024 * 1024,
+            ...config
+        };
+    }
+
+    /**
+     * 采集项目的Git历史
+     * @param {string} projectPath - 项目根目录（可以是仓库子目录）
+     * @returns {Promise<Object>} { available, branch, head, scannedCommits, truncated, files, hotFiles, authors }
+     */
+    async collect(projectPath) {
+        const cwd = resolve(projectPath);
+
+        try {
+            const inside = await this._git(cwd, ['rev-parse', '--is-inside-work-tree']);
+            if (inside.trim() !== 'true') {
+                return this._unavailable('不是Git工作区');
+            }
+        } catch (error) {
+            return this._unavailable(this._describeError(error));
+        }
+
+        let log;
+        try {
+            log = await this._git(cwd, [
+                '-c', 'core.quotepath=off',
+                'log', '--no-merges', '--no-renames', '--relative', '--numstat',
+                `--format=${RECORD_SEPARATOR}%h${FIELD_SEPARATOR}%an${FIELD_SEPARATOR}%aI`,
+                '-n', String(this.config.maxCommits),
+                '--', '.'
+            ]);
+        } catch (error) {
+            // 空仓库（还没有提交）时 git log 失败
+            return this._unavailable(this._describeError(error));
+        }
+
+        const commits = this._parseLog(log);
+        if (commits.length === 0) {
+            return this._unavailable('没有提交记录');
+        }
+
+        const [branch, head] = await Promise.all([
+            this._git(cwd, ['rev-parse', '--abbrev-ref', 'HEAD']).then(output => output.trim()).catch(() => null),
+            this._git(cwd, ['rev-parse', '--short', 'HEAD']).then(output => output.trim()).catch(() => null)
+        ]);
+
+        const files = this._aggregateFiles(commits);
+        const authorCommits = new Map();
+        for (const commit of commits) {
+            authorCommits.set(commit.author, (authorCommits.get(commit.author) || 0) + 1);
+        }
+
+        return {
+            available: true,
+            branch,
+            head,
+            scannedCommits: commits.length,
+            truncated: commits.length >= this.config.maxCommits,
+            latestCommitAt: commits[0].date,
+            recentDays: this.config.recentDays,
+            files,
+            hotFiles: this.rankHotFiles(files),
+            authors: Array.from(authorCommits.entries())
+                .sort((a, b) => b[1] - a[1])
+                .map(([name, count]) => ({ name, commits: count }))
+        };
+    }
+
+    /**
+     * 按热度取前 hotFileCount 个文件
+     * @param {Object} files - collect() 结果中的 files（路径 -> 统计）
+     * @param {Array<string>} [paths] - 只在这些文件中排序（如Step1的源文件列表），缺省时包含Git记录的全部路径
+     * @returns {Array<Object>} [{ path, commits, recentCommits, churn, hotness }]
+     */
+    rankHotFiles(files, paths = null) {
+        const entries = paths
+            ? paths.filter(path => files[path]).map(path => [path, files[path]])
+            : Object.entries(files);
+
+        return entries
+            .sort(([, a], [, b]) => b.hotness - a.hotness)
+            .slice(0, this.config.hotFileCount)
+            .map(([path, stats]) => ({
+                path,
+                commits: stats.commits,
+                recentCommits: stats.recentCommits,
+                churn: stats.churn.total,
+                hotness: stats.hotness
+            }));
+    }
+
+    /**
+     * 去掉逐文件明细的摘要（用于Step1输出和状态存储）
+     * @param {Object} history - collect() 的结果
+     * @returns {Object}
+     */
+    summarize(history) {
+        const { files, ...summary } = history;
+        return {
+            ...summary,
+            trackedFiles: files ? Object.keys(files).length : 0
+        };
+    }
+
+    /**
+     * 解析 git log 输出
+     * @private
+     */
+    _parseLog(output) {
+        const commits = [];
+        for (const record of output.split(RECORD_SEPARATOR)) {
+            const lines = record.split('\n');
+            const [hash, author, date] = lines[0].split(FIELD_SEPARATOR);
+            if (!hash || !date) continue;
+
+            const changes = [];
+            for (const line of lines.slice(1)) {
+                const match = line.match(/^(\d+|-)\t(\d+|-)\t(.+)$/);
+                if (!match) continue;
+                // 二进制文件的行数为 "-"
+                changes.push({
+                    path: match[3],
+                    additions: match[1] === '-' ? 0 : Number(match[1]),
+                    deletions: match[2] === '-' ? 0 : Number(match[2])
+                });
+            }
+            commits.push({ hash, author, date, changes });
+        }
+        return commits;
+    }
+
+    /**
+     * 按文件汇总提交（git log 从新到旧输出）
+     * @private
+     */
+    _aggregateFiles(commits) {
+        const latest = Date.parse(commits[0].date);
+        const recentSince = latest - this.config.recentDays * 24 * 60 * 60 * 1000;
+        const files = {};
+
+        for (const commit of commits) {
+            const isRecent = Date.parse(commit.date) >= recentSince;
+            for (const change of commit.changes) {
+                let stats = files[change.path];
+                if (!stats) {
+                    stats = files[change.path] = {
+                        commits: 0,
+                        recentCommits: 0,
+                        lastModified: commit.date,
+                        lastCommit: commit.hash,
+                        authors: [],
+                        churn: { additions: 0, deletions: 0, total: 0 },
+                        hotness: 0
+                    };
+                }
+
+                stats.commits++;
+                if (isRecent) stats.recentCommits++;
+                if (!stats.authors.includes(commit.author) && stats.authors.length < this.config.maxAuthorsPerFile) {
+                    stats.authors.push(commit.author);
+                }
+                stats.churn.additions += change.additions;
+                stats.churn.deletions += change.deletions;
+                stats.churn.total += change.additions + change.deletions;
+            }
+        }
+
+        for (const stats of Object.values(files)) {
+            stats.hotness = Math.round(
+                (stats.recentCommits * 3 + stats.commits + Math.log2(1 + stats.churn.total)) * 100
+            ) / 100;
+        }
+        return files;
+    }
+
+    /**
+     * 执行git命令
+     * @private
+     */
+    async _git(cwd, args) {
+        const { stdout } = await execFileAsync('git', args, {
+            cwd,
+            timeout: this.config.timeoutMs,
+            maxBuffer: this.config.maxBuffer,
+            env: { ...process.env, GIT_OPTIONAL_LOCKS: '0' }
+        });
+        return stdout;
+    }
+
+    /**
+     * @private
+     */
+    _describeError(error) {
+        if (error.code === 'ENOENT') return 'git命令不可用';
+        return (error.stderr || error.message || '').toString().trim().split('\n')[0] || '无法读取Git历史';
+    }
+
+    /**
+     * @private
+     */
+    _unavailable(reason) {
+        return {
+            available: false,
+            reason,
+            files: {},
+            hotFiles: [],
+            authors: []
+        };
+    }
+}
+
+export default GitHistoryCollector;
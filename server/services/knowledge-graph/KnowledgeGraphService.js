@@ -0,0 +1,562 @@
+/**
+ * 项目知识图谱服务 - 把Init流程的分析结果导出为机器可读的JSON图谱
+ *
+ * 核心功能：
+ * - 文件节点：来自 Step2 FileAnalysisModule 的完整文件集（文件哈希、导入依赖图），任务定义补充语言、包、Token、任务ID，并关联对应文档
+ * - 外部依赖节点：来自 Step1 ProjectOverviewGenerator.analyzeDependencies 的包清单
+ * - 模块节点和 member_of 边：来自 Step4 生成的 mg_kiro/modules/ 文档
+ * - 模块关系边：来自 Step5 生成的 mg_kiro/relations.md（Mermaid连线、箭头行、关系表格）
+ * - 导出符号节点：读取源文件提取导出符号
+ * - 导入边：文件分析结果中的导入信息
+ *
+ * 设计理念：
+ * - 图谱结构由 graph-schema.js 定义并带版本号，消费方按版本适配
+ * - 只读取已有的分析结果和文档，不调用AI；缺少的步骤在 sources 中标明
+ */
+
+import { promises as fs } from 'fs';
+import { join, resolve, relative, basename, extname, dirname, sep } from 'path';
+import { TokenResultHelper } from '../../interfaces/TokenResult.js';
+import { parseDocFrontmatter } from '../doc-freshness/doc-frontmatter.js';
+import { DocContentChecker } from '../task-management/validation-strategies/DocContentChecker.js';
+import { ImportExtractor } from '../file-analysis/import-analysis/ImportExtractor.js';
+import { KNOWLEDGE_GRAPH_SCHEMA, NODE_TYPES, EDGE_TYPES } from './graph-schema.js';
+
+export class KnowledgeGraphService {
+    constructor(config = {}, dependencies = {}, serviceBus = null) {
+        this.config = {
+            docsFolderName: 'mg_kiro',
+            filesFolderName: 'files',
+            modulesFolderName: 'modules',
+            relationsFileName: 'relations.md',
+            overviewFileName: 'module-overview.md',
+            maxSourceFileSize: 1024 * 1024,    // 超过该大小的源文件不提取导出符号
+            ...config
+        };
+
+        this.serviceBus = serviceBus;
+        this.projectSessionStore = dependencies.projectSessionStore;
+        this.projectOverviewGenerator = dependencies.projectOverviewGenerator;
+        this.contentChecker = new DocContentChecker({
+            mgKiroFolderName: this.config.docsFolderName,
+            modulesFolderName: this.config.modulesFolderName,
+            overviewFileName: this.config.overviewFileName
+        });
+        this.importExtractor = new ImportExtractor();
+    }
+
+    /**
+     * 构建项目知识图谱
+     * @param {string} projectPath - 项目根目录
+     * @param {Object} [options]
+     * @param {boolean} [options.includeSymbols=true] - 是否包含导出符号节点
+     * @returns {Promise<import('./graph-schema.js').KnowledgeGraph>}
+     */
+    async buildGraph(projectPath, { includeSymbols = true } = {}) {
+        const normalizedPath = resolve(projectPath);
+        const state = this.projectSessionStore ? this.projectSessionStore.getState(normalizedPath) : {};
+        const overview = state.stepResults?.step1?.projectOverview || null;
+        const analysisData = state.stepResults?.step2?.analysisResult?.data || null;
+
+        if (!analysisData) {
+            throw new Error('没有找到Step2文件分析结果，请先执行 init_step1_project_analysis 和 init_step2_file_analysis');
+        }
+
+        const graph = new GraphBuilder();
+        const projectName = overview?.projectMetadata?.name || basename(normalizedPath);
+        const projectId = graph.addNode(NODE_TYPES.PROJECT, projectName, projectName, {
+            path: normalizedPath,
+            primaryLanguage: overview?.languageProfile?.primary || null
+        });
+
+        // 1. 文件节点（Step2完整文件集，任务定义只补充任务信息）
+        const fileDocs = await this._loadFileDocs(normalizedPath);
+        const files = this._collectFiles(analysisData, fileDocs, overview?.languageProfile?.primary || null);
+        for (const [path, attributes] of files) {
+            graph.addNode(NODE_TYPES.FILE, path, path, attributes);
+        }
+
+        // 2. 外部依赖节点（Step1依赖分析）
+        const dependencyAnalysis = overview?.dependencyAnalysis
+            || (this.projectOverviewGenerator ? await this.projectOverviewGenerator.analyzeDependencies(normalizedPath) : null);
+        const dependencyIndex = this._addDependencies(graph, projectId, dependencyAnalysis);
+
+        // 3. 导入边（文件分析结果）
+        const importEdges = analysisData.importGraph
+            ? this._addImportGraph(graph, analysisData.importGraph, files, dependencyIndex)
+            : this._addImports(graph, analysisData.fileAnalyses || [], files, dependencyIndex);
+
+        // 4. 导出符号
+        if (includeSymbols) {
+            await this._addSymbols(graph, normalizedPath, files);
+        }
+
+        // 5. 模块和成员关系（Step4文档）
+        const moduleNames = await this.contentChecker.listModuleNames(normalizedPath);
+        await this._addModules(graph, normalizedPath, moduleNames, files);
+
+        // 6. 模块关系（Step5文档）
+        const relationsFound = await this._addRelations(graph, normalizedPath, moduleNames);
+
+        return {
+            schema: { ...KNOWLEDGE_GRAPH_SCHEMA },
+            generatedAt: new Date().toISOString(),
+            project: {
+                name: projectName,
+                path: normalizedPath,
+                primaryLanguage: overview?.languageProfile?.primary || null
+            },
+            sources: {
+                taskDefinitions: (analysisData.taskDefinitions || []).length,
+                dependencyAnalysis: dependencyAnalysis ? (overview?.dependencyAnalysis ? 'step1' : 'rescanned') : null,
+                imports: importEdges > 0,
+                moduleDocs: moduleNames.length > 0,
+                relationsDoc: relationsFound,
+                symbols: includeSymbols
+            },
+            stats: graph.stats(),
+            nodes: graph.nodes,
+            edges: graph.edges
+        };
+    }
+
+    /**
+     * 构建并写出图谱JSON
+     * @param {string} projectPath - 项目根目录
+     * @param {string} outputPath - 输出文件（相对路径基于项目根目录）
+     * @param {Object} [options] - 同 buildGraph
+     * @returns {Promise<Object>} { outputPath, schema, stats, sources }
+     */
+    async exportGraph(projectPath, outputPath, options = {}) {
+        const graph = await this.buildGraph(projectPath, options);
+        const filePath = resolve(projectPath, outputPath);
+
+        await fs.mkdir(dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, JSON.stringify(graph, null, 2));
+        console.log(`[KnowledgeGraphService] 知识图谱已导出: ${filePath}`);
+
+        return {
+            outputPath: filePath,
+            schema: graph.schema,
+            generatedAt: graph.generatedAt,
+            stats: graph.stats,
+            sources: graph.sources
+        };
+    }
+
+    /**
+     * 获取服务状态
+     */
+    getServiceStatus() {
+        return {
+            name: 'KnowledgeGraphService',
+            schema: KNOWLEDGE_GRAPH_SCHEMA,
+            config: this.config
+        };
+    }
+
+    /**
+     * 汇总项目文件 - 文件集取自Step2的文件哈希和导入依赖图（增量模式下任务定义只含变更文件），
+     * 任务定义补充语言、包和任务ID（大文件分片任务合并为一个文件）；没有本次任务的文件取其文档记录的任务
+     * @private
+     */
+    _collectFiles(analysisData, fileDocs, primaryLanguage = null) {
+        const analyses = new Map((analysisData.fileAnalyses || []).map(analysis => [analysis.path, analysis]));
+        const taskDefinitions = analysisData.taskDefinitions || [];
+        const paths = new Set([
+            ...Object.keys(analysisData.fileHashes || {}),
+            ...Object.keys(analysisData.importGraph?.files || {}),
+            ...taskDefinitions.flatMap(task => task.files || [])
+        ]);
+
+        const tasksByFile = new Map();
+        for (const task of taskDefinitions) {
+            for (const path of task.files || []) {
+                if (!tasksByFile.has(path)) tasksByFile.set(path, []);
+                tasksByFile.get(path).push(task);
+            }
+        }
+
+        const files = new Map();
+        for (const path of [...paths].sort()) {
+            const analysis = analyses.get(path) || {};
+            const tasks = tasksByFile.get(path) || [];
+            const primaryTask = tasks.find(task => task.metadata?.primaryFile?.relativePath === path);
+            const doc = fileDocs.get(path) || null;
+            files.set(path, {
+                language: analysis.language
+                    || primaryTask?.metadata.primaryFile.language
+                    || analysisData.importGraph?.files?.[path]?.language
+                    || this._detectLanguage(path, primaryLanguage),
+                package: analysis.package || tasks.find(task => task.metadata?.strategySpecific?.package)?.metadata.strategySpecific.package || null,
+                size: analysis.size ?? analysisData.fileHashes?.[path]?.size ?? null,
+                tokens: analysis.tokenCount ? TokenResultHelper.getTokenCount(analysis.tokenCount) : null,
+                hotness: analysis.git?.hotness ?? null,
+                doc: doc?.path || null,
+                tasks: tasks.length > 0 ? tasks.map(task => task.id) : (doc?.taskId ? [doc.taskId] : [])
+            });
+        }
+        return files;
+    }
+
+    /**
+     * 按扩展名识别文件语言（与导入分析一致），无法识别时使用项目主语言
+     * @private
+     */
+    _detectLanguage(path, primaryLanguage) {
+        return this.importExtractor.languageOf(extname(path).toLowerCase())
+            || (primaryLanguage ? primaryLanguage.toLowerCase() : null);
+    }
+
+    /**
+     * 读取 mg_kiro/files/ 文档frontmatter中的来源文件，建立 源文件 -> { path, taskId } 索引
+     * @private
+     */
+    async _loadFileDocs(projectPath) {
+        const filesDir = join(projectPath, this.config.docsFolderName, this.config.filesFolderName);
+        const index = new Map();
+        let docNames;
+        try {
+            docNames = await fs.readdir(filesDir);
+        } catch (error) {
+            return index;
+        }
+
+        for (const docName of docNames.sort()) {
+            if (extname(docName).toLowerCase() !== '.md') continue;
+            try {
+                const { frontmatter } = parseDocFrontmatter(await fs.readFile(join(filesDir, docName), 'utf8'));
+                for (const source of frontmatter?.sources || []) {
+                    if (source?.path && !index.has(source.path)) {
+                        index.set(source.path, {
+                            path: `${this.config.docsFolderName}/${this.config.filesFolderName}/${docName}`,
+                            taskId: frontmatter.task_id || null
+                        });
+                    }
+                }
+            } catch (error) {
+                // 读取期间被删除，跳过
+            }
+        }
+        return index;
+    }
+
+    /**
+     * 添加包清单中声明的外部依赖
+     * @private
+     * @returns {Map<string, string>} 包名 -> 节点ID
+     */
+    _addDependencies(graph, projectId, dependencyAnalysis) {
+        const index = new Map();
+        const scopes = ['production', 'development', 'peer'];
+
+        for (const [system, details] of Object.entries(dependencyAnalysis?.details || {})) {
+            for (const scope of scopes) {
+                const declared = details?.[scope];
+                if (!declared) continue;
+
+                const entries = Array.isArray(declared)
+                    ? declared.map(name => [name, null])
+                    : Object.entries(declared);
+                for (const [name, version] of entries) {
+                    const nodeId = graph.addNode(NODE_TYPES.DEPENDENCY, `${system}:${name}`, name, {
+                        system,
+                        version: typeof version === 'string' ? version : null,
+                        declared: true
+                    });
+                    graph.addEdge(projectId, nodeId, EDGE_TYPES.DEPENDS_ON, { scope });
+                    if (!index.has(name)) index.set(name, nodeId);
+                }
+            }
+        }
+        return index;
+    }
+
+    /**
+     * 根据Step2的静态导入依赖图添加导入边（带导入语句位置）
+     * @private
+     * @returns {number} 添加的导入边数量
+     */
+    _addImportGraph(graph, importGraph, files, dependencyIndex) {
+        let count = 0;
+
+        for (const [path, entry] of Object.entries(importGraph.files || {})) {
+            if (!files.has(path)) continue;
+            const sourceId = graph.nodeId(NODE_TYPES.FILE, path);
+
+            for (const item of entry.imports || []) {
+                const evidence = { specifier: item.specifier, kind: item.kind, line: item.line };
+                if (item.status === 'internal') {
+                    for (const target of item.targets || []) {
+                        if (!files.has(target)) continue;
+                        count += graph.addEdge(sourceId, graph.nodeId(NODE_TYPES.FILE, target), EDGE_TYPES.IMPORTS, { external: false, ...evidence });
+                    }
+                } else if (item.status === 'external' && item.package) {
+                    const targetId = dependencyIndex.get(item.package)
+                        || graph.addNode(NODE_TYPES.DEPENDENCY, `unknown:${item.package}`, item.package, {
+                            system: null,
+                            version: null,
+                            declared: false
+                        });
+                    count += graph.addEdge(sourceId, targetId, EDGE_TYPES.IMPORTS, { external: true, ...evidence });
+                }
+            }
+        }
+        return count;
+    }
+
+    /**
+     * 根据文件分析结果中的导入信息添加导入边（没有导入依赖图的旧Step2结果）
+     * @private
+     * @returns {number} 添加的导入边数量
+     */
+    _addImports(graph, fileAnalyses, files, dependencyIndex) {
+        let count = 0;
+
+        for (const analysis of fileAnalyses) {
+            if (!files.has(analysis.path)) continue;
+            const sourceId = graph.nodeId(NODE_TYPES.FILE, analysis.path);
+            const structure = analysis.codeStructure || {};
+            const internal = [
+                ...(structure.structure?.dependencies?.internal || []),
+                ...(structure.imports || [])
+            ];
+            const external = [...(structure.structure?.dependencies?.external || [])];
+
+            for (const entry of internal) {
+                const target = typeof entry === 'string' ? entry : entry?.path || entry?.resolved || entry?.source;
+                if (!target) continue;
+                if (files.has(target)) {
+                    count += graph.addEdge(sourceId, graph.nodeId(NODE_TYPES.FILE, target), EDGE_TYPES.IMPORTS, { external: false });
+                } else {
+                    external.push(target);
+                }
+            }
+
+            for (const entry of external) {
+                const specifier = typeof entry === 'string' ? entry : entry?.name || entry?.source;
+                if (!specifier || specifier.startsWith('.')) continue;
+                const packageName = this._packageName(specifier);
+                const targetId = dependencyIndex.get(packageName)
+                    || graph.addNode(NODE_TYPES.DEPENDENCY, `unknown:${packageName}`, packageName, {
+                        system: null,
+                        version: null,
+                        declared: false
+                    });
+                count += graph.addEdge(sourceId, targetId, EDGE_TYPES.IMPORTS, { external: true, specifier });
+            }
+        }
+        return count;
+    }
+
+    /**
+     * 导入路径 -> 包名（'@scope/pkg/sub' -> '@scope/pkg'，'pkg/sub' -> 'pkg'）
+     * @private
+     */
+    _packageName(specifier) {
+        const segments = specifier.split('/');
+        return specifier.startsWith('@') && segments.length > 1
+            ? segments.slice(0, 2).join('/')
+            : segments[0];
+    }
+
+    /**
+     * 读取源文件，添加导出符号节点
+     * @private
+     */
+    async _addSymbols(graph, projectPath, files) {
+        for (const path of files.keys()) {
+            let content;
+            try {
+                const filePath = join(projectPath, path);
+                if ((await fs.stat(filePath)).size > this.config.maxSourceFileSize) continue;
+                content = await fs.readFile(filePath, 'utf8');
+            } catch (error) {
+                continue;
+            }
+
+            const fileId = graph.nodeId(NODE_TYPES.FILE, path);
+            for (const symbol of this.contentChecker.extractExports(content, extname(path).toLowerCase())) {
+                const symbolId = graph.addNode(NODE_TYPES.SYMBOL, `${path}#${symbol}`, symbol, { file: path });
+                graph.addEdge(fileId, symbolId, EDGE_TYPES.EXPORTS, {});
+            }
+        }
+    }
+
+    /**
+     * 添加模块节点；模块文档中提到的文件路径作为模块成员（只提到文件名时按文件名匹配）
+     * @private
+     */
+    async _addModules(graph, projectPath, moduleNames, files) {
+        const modulesDir = join(projectPath, this.config.docsFolderName, this.config.modulesFolderName);
+        const moduleTexts = new Map();
+
+        for (const moduleName of moduleNames) {
+            const moduleDir = join(modulesDir, moduleName);
+            let docPaths;
+            try {
+                docPaths = (await fs.readdir(moduleDir))
+                    .filter(name => extname(name).toLowerCase() === '.md')
+                    .map(name => join(moduleDir, name));
+            } catch (error) {
+                docPaths = [join(modulesDir, `${moduleName}.md`)];
+            }
+
+            const texts = [];
+            for (const docPath of docPaths) {
+                texts.push(await fs.readFile(docPath, 'utf8').catch(() => ''));
+            }
+            moduleTexts.set(moduleName, texts.join('\n').toLowerCase());
+            graph.addNode(NODE_TYPES.MODULE, moduleName, moduleName, {
+                docs: docPaths.map(docPath =>
+                    `${this.config.docsFolderName}/${this.config.modulesFolderName}/${relative(modulesDir, docPath).split(sep).join('/')}`)
+            });
+        }
+
+        for (const path of files.keys()) {
+            const lowerPath = path.toLowerCase();
+            let owners = moduleNames.filter(moduleName => moduleTexts.get(moduleName).includes(lowerPath));
+            let match = 'path';
+            if (owners.length === 0) {
+                const fileName = basename(lowerPath);
+                owners = moduleNames.filter(moduleName => moduleTexts.get(moduleName).includes(fileName));
+                match = 'name';
+            }
+            for (const moduleName of owners) {
+                graph.addEdge(graph.nodeId(NODE_TYPES.FILE, path), graph.nodeId(NODE_TYPES.MODULE, moduleName), EDGE_TYPES.MEMBER_OF, { match });
+            }
+        }
+    }
+
+    /**
+     * 从 relations.md 提取模块之间的关系
+     * 识别三种写法：Mermaid连线（A -->|调用| B）、箭头行（A → B：说明）、前两列都是模块名的表格行
+     * @private
+     * @returns {Promise<boolean>} relations.md 是否存在
+     */
+    async _addRelations(graph, projectPath, moduleNames) {
+        const relationsPath = join(projectPath, this.config.docsFolderName, this.config.relationsFileName);
+        let content;
+        try {
+            content = parseDocFrontmatter(await fs.readFile(relationsPath, 'utf8')).body;
+        } catch (error) {
+            return false;
+        }
+
+        const lookup = new Map(moduleNames.map(moduleName => [moduleName.toLowerCase(), moduleName]));
+        const findModule = (text) => {
+            const cleaned = (text || '').replace(/[`*_"'\[\]()]/g, '').trim().toLowerCase();
+            return lookup.get(cleaned) || lookup.get(cleaned.replace(/\s*(模块|module)$/i, '')) || null;
+        };
+        const docRef = `${this.config.docsFolderName}/${this.config.relationsFileName}`;
+        const addRelation = (from, to, label, line, format) => {
+            const source = findModule(from);
+            const target = findModule(to);
+            if (!source || !target || source === target) return;
+            graph.addEdge(graph.nodeId(NODE_TYPES.MODULE, source), graph.nodeId(NODE_TYPES.MODULE, target), EDGE_TYPES.RELATES_TO, {
+                label: label ? label.trim() : null,
+                evidence: { doc: docRef, line, format }
+            });
+        };
+
+        const lines = content.split('\n');
+        let inMermaid = false;
+        let inFence = false;
+        let mermaidLabels = new Map();
+
+        lines.forEach((line, index) => {
+            const lineNumber = index + 1;
+            const fence = line.match(/^\s*(```+|~~~+)\s*(\w*)/);
+            if (fence) {
+                if (inMermaid || inFence) {
+                    inMermaid = false;
+                    inFence = false;
+                } else if (fence[2].toLowerCase() === 'mermaid') {
+                    inMermaid = true;
+                    mermaidLabels = new Map();
+                } else {
+                    inFence = true;
+                }
+                return;
+            }
+            if (inFence) return;
+
+            if (inMermaid) {
+                // 节点定义：id[标签] / id(标签) / id{标签}
+                for (const [, nodeId, label] of line.matchAll(/([\w-]+)\s*[\[({]+\s*"?([^\])}"]+)"?\s*[\])}]+/g)) {
+                    mermaidLabels.set(nodeId, label);
+                }
+                const edge = line.match(/^\s*([\w-]+)(?:\s*[\[({][^\])}]*[\])}]+)?\s*(?:-{2,3}>|-\.->|={2,3}>|-{2,3})\s*(?:\|([^|]*)\|\s*)?([\w-]+)/);
+                if (edge) {
+                    const resolveNode = (nodeId) => findModule(nodeId) ? nodeId : (mermaidLabels.get(nodeId) || nodeId);
+                    addRelation(resolveNode(edge[1]), resolveNode(edge[3]), edge[2] || null, lineNumber, 'mermaid');
+                }
+                return;
+            }
+
+            const cells = line.trim().startsWith('|')
+                ? line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim())
+                : null;
+            if (cells && cells.length >= 2) {
+                if (findModule(cells[0]) && findModule(cells[1])) {
+                    addRelation(cells[0], cells[1], cells.slice(2).join(' | ') || null, lineNumber, 'table');
+                }
+                return;
+            }
+
+            const arrow = line.match(/^\s*(?:[-*+]\s+|\d+\.\s+)?(.+?)\s*(?:->|→|-->|=>|⇒)\s*([^:：,，(（]+?)\s*(?:[:：(（]\s*(.+?)\)?\s*)?$/);
+            if (arrow) {
+                addRelation(arrow[1], arrow[2], arrow[3] || null, lineNumber, 'text');
+            }
+        });
+
+        return true;
+    }
+}
+
+/**
+ * 图谱构建器：节点按ID去重，边按 起点|终点|类型 去重
+ * @private
+ */
+class GraphBuilder {
+    constructor() {
+        this.nodes = [];
+        this.edges = [];
+        this.nodeIds = new Set();
+        this.edgeKeys = new Set();
+    }
+
+    nodeId(type, key) {
+        return `${type}:${key}`;
+    }
+
+    addNode(type, key, label, attributes = {}) {
+        const id = this.nodeId(type, key);
+        if (!this.nodeIds.has(id)) {
+            this.nodeIds.add(id);
+            this.nodes.push({ id, type, label, attributes });
+        }
+        return id;
+    }
+
+    /**
+     * @returns {number} 新增时返回1，重复时返回0
+     */
+    addEdge(source, target, type, attributes = {}) {
+        const key = `${source}|${target}|${type}`;
+        if (this.edgeKeys.has(key) || !this.nodeIds.has(source) || !this.nodeIds.has(target)) return 0;
+        this.edgeKeys.add(key);
+        this.edges.push({ source, target, type, attributes });
+        return 1;
+    }
+
+    stats() {
+        const count = (items) => items.reduce((counts, item) => {
+            counts[item.type] = (counts[item.type] || 0) + 1;
+            return counts;
+        }, {});
+        return { nodes: count(this.nodes), edges: count(this.edges) };
+    }
+}
+
+export default KnowledgeGraphService;
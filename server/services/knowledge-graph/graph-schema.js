@@ -0,0 +1,78 @@
+/**
+ * 项目知识图谱 Schema - 导出JSON的结构定义和版本
+ *
+ * 版本规则：
+ * - 新增节点/边类型或可选属性：次版本号 +1（旧的消费方可以忽略新字段）
+ * - 修改或删除已有字段、改变ID格式：主版本号 +1
+ *
+ * 节点ID格式：
+ * - project:<项目名>
+ * - file:<相对路径>
+ * - module:<模块名>
+ * - symbol:<相对路径>#<符号名>
+ * - dependency:<包管理器>:<包名>
+ */
+
+export const KNOWLEDGE_GRAPH_SCHEMA = {
+    name: 'mg_kiro.knowledge-graph',
+    version: '1.0.0'
+};
+
+/**
+ * 节点类型
+ */
+export const NODE_TYPES = {
+    PROJECT: 'project',
+    FILE: 'file',
+    MODULE: 'module',
+    SYMBOL: 'symbol',
+    DEPENDENCY: 'dependency'
+};
+
+/**
+ * 边类型
+ * - imports: file -> file（项目内导入）或 file -> dependency（外部依赖导入）
+ * - member_of: file -> module（模块文档中列出的文件）
+ * - exports: file -> symbol
+ * - depends_on: project -> dependency（包清单中声明的依赖）
+ * - relates_to: module -> module（relations.md 中记录的模块关系）
+ */
+export const EDGE_TYPES = {
+    IMPORTS: 'imports',
+    MEMBER_OF: 'member_of',
+    EXPORTS: 'exports',
+    DEPENDS_ON: 'depends_on',
+    RELATES_TO: 'relates_to'
+};
+
+/**
+ * 知识图谱
+ * @typedef {Object} KnowledgeGraph
+ * @property {{name: string, version: string}} schema - Schema名称和版本
+ * @property {string} generatedAt - 生成时间
+ * @property {{name: string, path: string, primaryLanguage: string|null}} project - 项目信息
+ * @property {Object} sources - 各类数据的来源（Init步骤/文档是否可用）
+ * @property {{nodes: Object<string, number>, edges: Object<string, number>}} stats - 按类型统计
+ * @property {Array<GraphNode>} nodes
+ * @property {Array<GraphEdge>} edges
+ */
+
+/**
+ * 图谱节点
+ * @typedef {Object} GraphNode
+ * @property {string} id - 节点ID（见文件头部的ID格式）
+ * @property {string} type - NODE_TYPES 之一
+ * @property {string} label - 显示名称
+ * @property {Object} attributes - 类型相关属性
+ */
+
+/**
+ * 图谱边
+ * @typedef {Object} GraphEdge
+ * @property {string} source - 起点节点ID
+ * @property {string} target - 终点节点ID
+ * @property {string} type - EDGE_TYPES 之一
+ * @property {Object} attributes - 类型相关属性（如依赖范围、关系说明、证据位置）
+ */
+
+export default { KNOWLEDGE_GRAPH_SCHEMA, NODE_TYPES, EDGE_TYPES };
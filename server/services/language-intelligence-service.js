@@ -9,8 +9,8 @@ import MasterTemplateService from './unified/master-template-service.js';
 import TemplateConfigManager from './unified/template-config-manager.js';
 
 class LanguageIntelligenceService {
-    constructor() {
-        this.detector = new LanguageDetector();
+    constructor(config = {}, dependencies = {}) {
+        this.detector = new LanguageDetector({}, { projectScanner: dependencies.projectScanner });
         this.promptIntelligence = new PromptIntelligence();
         
         // 延迟初始化模板服务，避免循环依赖
@@ -0,0 +1,244 @@
+/**
+ * 项目忽略规则 - 所有项目扫描器共用的 .gitignore 兼容匹配
+ *
+ * 核心功能：
+ * - 解析 .gitignore 语法：注释、转义、否定（!）、锚定（/）、仅目录（尾部 /）、* ? [] 和 **
+ * - 读取项目根目录及各级子目录中的 .gitignore 和 .mgkiroignore（嵌套文件只作用于所在目录）
+ * - 内置默认规则（node_modules、构建产物、缓存等），优先级最低，可在忽略文件中用 ! 取消
+ *
+ * 设计理念：
+ * - 与 git 一致：后出现的规则优先，深层目录的规则覆盖浅层，同一目录中 .mgkiroignore 覆盖 .gitignore
+ * - 父目录被忽略时其中的文件无法被否定规则重新包含
+ * - 每次扫描创建一个匹配器（forProject），忽略文件按需读取并在该次扫描内缓存，修改后下次扫描即生效
+ */
+
+import { readFileSync } from 'fs';
+import { join, resolve } from 'path';
+
+// 内置默认规则（.gitignore 语法），合并自各扫描器原先各自硬编码的排除列表
+export const DEFAULT_IGNORE_PATTERNS = [
+    '.git/', '.svn/', '.hg/',
+    'node_modules/', 'bower_components/',
+    '__pycache__/', '.pytest_cache/', '.mypy_cache/', '.tox/',
+    'venv/', '.venv/', 'env/',
+    'build/', 'dist/', 'target/', 'out/', '.next/',
+    'coverage/', '.nyc_output/', 'logs/',
+    '.idea/', '.vscode/', '.DS_Store',
+    '*.log', '*.tmp', '*.cache',
+    '/mg_kiro/', '/mg_kiro_site/'
+];
+
+export class ProjectIgnoreRules {
+    constructor(config = {}) {
+        this.config = {
+            defaultPatterns: DEFAULT_IGNORE_PATTERNS,
+            ignoreFileNames: ['.gitignore', '.mgkiroignore'],   // 同一目录内按此顺序生效
+            ...config
+        };
+    }
+
+    /**
+     * 为一次项目扫描创建匹配器
+     * @param {string} projectPath - 项目根目录
+     * @returns {IgnoreMatcher}
+     */
+    forProject(projectPath) {
+        return new IgnoreMatcher(resolve(projectPath), this.config);
+    }
+
+    /**
+     * 解析忽略文件内容
+     * @param {string} content - .gitignore 格式的文本
+     * @param {string} [baseDir=''] - 忽略文件所在目录（相对项目根目录，posix 分隔符）
+     * @returns {Array<Object>} [{ pattern, negated, directoryOnly, anchored, regex, baseDir }]
+     */
+    static parse(content, baseDir = '') {
+        const rules = [];
+        for (const line of content.split(/\r?\n/)) {
+            const rule = ProjectIgnoreRules._compileLine(line, baseDir);
+            if (rule) rules.push(rule);
+        }
+        return rules;
+    }
+
+    /**
+     * @private
+     */
+    static _compileLine(line, baseDir) {
+        // 去掉未转义的行尾空格
+        let pattern = line.replace(/(?<!\\)\s+$/, '');
+        if (!pattern || pattern.startsWith('#')) return null;
+
+        let negated = false;
+        if (pattern.startsWith('!')) {
+            negated = true;
+            pattern = pattern.slice(1);
+        } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+            pattern = pattern.slice(1);
+        }
+
+        let directoryOnly = false;
+        if (pattern.endsWith('/')) {
+            directoryOnly = true;
+            pattern = pattern.replace(/\/+$/, '');
+        }
+        if (!pattern) return null;
+
+        // 开头或中间含 / 的规则相对忽略文件所在目录锚定，否则匹配任意层级的名称
+        const anchored = pattern.includes('/');
+        pattern = pattern.replace(/^\//, '');
+
+        return {
+            pattern: line.trim(),
+            negated,
+            directoryOnly,
+            anchored,
+            regex: new RegExp(`^${ProjectIgnoreRules._toRegexSource(pattern)}$`),
+            baseDir
+        };
+    }
+
+    /**
+     * glob 转正则：* 和 ? 不跨越 /，** 跨越任意层级
+     * @private
+     */
+    static _toRegexSource(pattern) {
+        let source = '';
+        let index = 0;
+        while (index < pattern.length) {
+            const char = pattern[index];
+
+            if (char === '*' && pattern[index + 1] === '*') {
+                const atSegmentStart = index === 0 || pattern[index - 1] === '/';
+                const next = pattern[index + 2];
+                if (atSegmentStart && next === '/') {
+                    source += '(?:.*/)?';           // **/ 或 a/**/b：零或多级目录
+                    index += 3;
+                    continue;
+                }
+                if (atSegmentStart && next === undefined) {
+                    source += '.*';                 // a/**：目录下的全部内容
+                    index += 2;
+                    continue;
+                }
+                source += '[^/]*';                  // 其他位置的 ** 等同于 *
+                index += 2;
+                continue;
+            }
+
+            if (char === '*') {
+                source += '[^/]*';
+            } else if (char === '?') {
+                source += '[^/]';
+            } else if (char === '\\' && index + 1 < pattern.length) {
+                index++;
+                source += pattern[index].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+            } else if (char === '[') {
+                const close = pattern.indexOf(']', index + 2);
+                if (close === -1) {
+                    source += '\\[';
+                } else {
+                    let body = pattern.slice(index + 1, close).replace(/\\/g, '\\\\');
+                    if (body.startsWith('!')) body = `^${body.slice(1)}`;
+                    source += `[${body}]`;
+                    index = close;
+                }
+            } else {
+                source += char.replace(/[.+^${}()|\]\\]/g, '\\$&');
+            }
+            index++;
+        }
+        return source;
+    }
+}
+
+/**
+ * 单次扫描的匹配器，缓存已读取的忽略文件和目录判定结果
+ */
+export class IgnoreMatcher {
+    constructor(rootPath, config) {
+        this.rootPath = rootPath;
+        this.config = config;
+        this.defaultRules = ProjectIgnoreRules.parse(config.defaultPatterns.join('\n'));
+        this.directoryRules = new Map();       // 目录（相对路径）→ 该目录忽略文件中的规则
+        this.directoryResults = new Map();     // 目录（相对路径）→ 是否被忽略
+    }
+
+    /**
+     * 判断路径是否被忽略
+     * @param {string} relativePath - 相对项目根目录的路径
+     * @param {boolean} [isDirectory=false] - 是否为目录（仅目录规则只匹配目录）
+     * @returns {boolean}
+     */
+    ignores(relativePath, isDirectory = false) {
+        const normalized = relativePath.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+        if (!normalized || normalized === '.' || normalized.startsWith('../')) return false;
+
+        const segments = normalized.split('/');
+        for (let depth = 1; depth < segments.length; depth++) {
+            if (this._ignoresDirectory(segments.slice(0, depth).join('/'))) return true;
+        }
+        return isDirectory ? this._ignoresDirectory(normalized) : this._evaluate(normalized, false);
+    }
+
+    /**
+     * @private
+     */
+    _ignoresDirectory(directory) {
+        if (!this.directoryResults.has(directory)) {
+            this.directoryResults.set(directory, this._evaluate(directory, true));
+        }
+        return this.directoryResults.get(directory);
+    }
+
+    /**
+     * 按优先级从低到高依次匹配，最后一条命中的规则决定结果
+     * @private
+     */
+    _evaluate(path, isDirectory) {
+        const segments = path.split('/');
+        const name = segments[segments.length - 1];
+        let ignored = false;
+
+        const apply = (rules) => {
+            for (const rule of rules) {
+                if (rule.directoryOnly && !isDirectory) continue;
+                if (rule.negated !== ignored) continue;     // 只有能改变当前结果的规则需要匹配
+
+                const target = rule.anchored
+                    ? (rule.baseDir ? path.slice(rule.baseDir.length + 1) : path)
+                    : name;
+                if (rule.regex.test(target)) ignored = !rule.negated;
+            }
+        };
+
+        apply(this.defaultRules);
+        for (let depth = 0; depth < segments.length; depth++) {
+            apply(this._rulesFor(segments.slice(0, depth).join('/')));
+        }
+        return ignored;
+    }
+
+    /**
+     * 读取目录中的忽略文件，不存在时返回空规则
+     * @private
+     */
+    _rulesFor(directory) {
+        if (!this.directoryRules.has(directory)) {
+            const rules = [];
+            for (const fileName of this.config.ignoreFileNames) {
+                let content;
+                try {
+                    content = readFileSync(join(this.rootPath, directory, fileName), 'utf8');
+                } catch (error) {
+                    continue;
+                }
+                rules.push(...ProjectIgnoreRules.parse(content, directory));
+            }
+            this.directoryRules.set(directory, rules);
+        }
+        return this.directoryRules.get(directory);
+    }
+}
+
+export default ProjectIgnoreRules;
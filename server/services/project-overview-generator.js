@@ -13,6 +13,8 @@
  * - 生成结构化的架构文档
  * - 为AI任务分解提供充分的上下文信息
  * - 智能选择最重要的信息
+ * - Monorepo：识别工作区包并标注文件归属，供Step2按包规划批次
+ * - Git历史：为每个文件附加提交数、最后修改时间、最近作者和改动量
  */
 
 import { promises as fs } from 'fs';
@@ -20,10 +22,17 @@ import { join, resolve, relative, extname, basename } from 'path';
 import LanguageDetector from '../language/detector.js';
 import MasterTemplateService from './unified/master-template-service.js';
 import TemplateConfigManager from './unified/template-config-manager.js';
+import WorkspaceDetector from './workspace-detector.js';
+import GitHistoryCollector from './git-history-collector.js';
+import ProjectScanner from './project-scanner.js';
 
 export class ProjectOverviewGenerator {
-    constructor() {
-        this.languageDetector = new LanguageDetector();
+    constructor(config = {}, dependencies = {}) {
+        // 共享的项目快照：目录树、文件统计和语言检测使用同一次扫描
+        this.projectScanner = dependencies.projectScanner || new ProjectScanner();
+        this.languageDetector = new LanguageDetector({}, { projectScanner: this.projectScanner });
+        this.workspaceDetector = new WorkspaceDetector({}, { projectScanner: this.projectScanner });
+        this.gitHistoryCollector = new GitHistoryCollector();
         
         // 初始化统一模板服务
         const configManager = new TemplateConfigManager();
@@ -49,15 +58,6 @@ export class ProjectOverviewGenerator {
             'main.go', 'mod.go',
             'index.js', 'app.js', 'server.js', 'main.js'
         ];
-        
-        this.exclusionPatterns = [
-            '.git', '.svn', '.hg',
-            'node_modules', '__pycache__', '.pytest_cache',
-            'venv', 'env', '.venv', '.env',
-            'build', 'dist', 'target', 'out',
-            '.DS_Store', '.idea', '.vscode',
-            '*.log', '*.tmp', '*.cache'
-        ];
     }
 
     /**
@@ -71,19 +71,26 @@ export class ProjectOverviewGenerator {
         const projectName = basename(resolve(projectPath));
         
         try {
+            // Step1 是分析入口，重新扫描一次，后续各项分析共用该快照
+            await this.projectScanner.scan(projectPath, { refresh: true });
+
             // 并行执行所有分析任务
             const [
                 projectMetadata,
                 languageProfile,
                 dependencyAnalysis,
                 directoryStructure,
-                keyFileContents
+                keyFileContents,
+                workspaceAnalysis,
+                gitHistory
             ] = await Promise.all([
                 this.collectProjectMetadata(projectPath),
                 this.analyzeLanguageProfile(projectPath),
                 this.analyzeDependencies(projectPath),
                 this.analyzeDirectoryStructure(projectPath, options.maxDepth || 3),
-                this.collectKeyFileContents(projectPath)
+                this.collectKeyFileContents(projectPath),
+                this.analyzeWorkspace(projectPath),
+                this.analyzeGitHistory(projectPath)
             ]);
 
             // 生成项目特征分析
@@ -112,6 +119,20 @@ export class ProjectOverviewGenerator {
                 projectCharacteristics
             });
             
+            // Step2的文件列表；热点文件只在其中排序，.gitignore 等非源文件不参与
+            const fileList = this.attachGitHistory(
+                this.tagFilesWithPackage(
+                    this.extractFileListFromStructure(
+                        await this.analyzePackageStructure(projectPath, directoryStructure, workspaceAnalysis)
+                    ),
+                    workspaceAnalysis
+                ),
+                gitHistory
+            );
+            if (gitHistory.available) {
+                gitHistory.hotFiles = this.gitHistoryCollector.rankHotFiles(gitHistory.files, fileList.map(file => file.path));
+            }
+            
             const overview = {
                 generatedAt: new Date().toISOString(),
                 generationTime: `${Date.now() - startTime}ms`,
@@ -123,6 +144,8 @@ export class ProjectOverviewGenerator {
                 directoryStructure,
                 keyFileContents,
                 projectCharacteristics,
+                workspaceAnalysis,
+                gitHistory: this.gitHistoryCollector.summarize(gitHistory),
                 
                 // 新增：架构文档
                 architectureDocument,
@@ -132,9 +155,10 @@ export class ProjectOverviewGenerator {
                 
                 // 为Step2 FileAnalysisModule提供必要的基础数据
                 fileAnalysisInput: {
-                    fileList: this.extractFileListFromStructure(directoryStructure),
+                    fileList,
                     projectMetadata,
-                    languageProfile
+                    languageProfile,
+                    workspace: this.summarizeWorkspace(workspaceAnalysis)
                 }
             };
 
@@ -152,22 +176,15 @@ export class ProjectOverviewGenerator {
      */
     async collectProjectMetadata(projectPath) {
         const stats = await fs.stat(projectPath);
-        const files = await this.getAllFiles(projectPath);
+        const snapshot = await this.projectScanner.scan(projectPath);
+        const totalSize = snapshot.stats.totalSize;
         
-        let totalSize = 0;
         let fileTypes = {};
         
-        for (const file of files) {
-            try {
-                const fileStats = await fs.stat(file);
-                totalSize += fileStats.size;
-                
-                const ext = extname(file).toLowerCase();
-                if (ext) {
-                    fileTypes[ext] = (fileTypes[ext] || 0) + 1;
-                }
-            } catch (error) {
-                // 忽略无法访问的文件
+        for (const file of snapshot.files) {
+            const ext = file.ext.toLowerCase();
+            if (ext) {
+                fileTypes[ext] = (fileTypes[ext] || 0) + 1;
             }
         }
 
@@ -176,7 +193,8 @@ export class ProjectOverviewGenerator {
             path: resolve(projectPath),
             lastModified: stats.mtime.toISOString(),
             createdAt: stats.birthtime.toISOString(),
-            totalFiles: files.length,
+            totalFiles: snapshot.stats.totalFiles,
+            binaryFiles: snapshot.stats.binaryFiles,
             totalSize: this.formatSize(totalSize),
             totalSizeBytes: totalSize,
             fileTypeDistribution: Object.entries(fileTypes)
@@ -253,6 +271,114 @@ export class ProjectOverviewGenerator {
         };
     }
 
+    /**
+     * 分析工作区（Monorepo）结构
+     * 单包项目返回 isMonorepo: false，packages 可能为空
+     */
+    async analyzeWorkspace(projectPath) {
+        console.log('[ProjectOverview] 检测工作区...');
+
+        try {
+            return await this.workspaceDetector.detect(projectPath);
+        } catch (error) {
+            console.warn('[ProjectOverview] 工作区检测失败:', error.message);
+            return {
+                isMonorepo: false,
+                managers: [],
+                manifests: [],
+                packages: [],
+                dependencyGraph: { edges: [], buildOrder: [], cycles: [] },
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Monorepo的包位于子目录中，按包根目录重新计算扫描深度，避免包内源码被深度限制截断
+     */
+    async analyzePackageStructure(projectPath, directoryStructure, workspaceAnalysis) {
+        if (!workspaceAnalysis?.isMonorepo) return directoryStructure;
+
+        const packageDepth = Math.max(...workspaceAnalysis.packages.map(packageInfo =>
+            packageInfo.path === '.' ? 0 : packageInfo.path.split('/').length
+        ));
+        if (packageDepth === 0) return directoryStructure;
+
+        return this.analyzeDirectoryStructure(projectPath, directoryStructure.maxDepth + packageDepth);
+    }
+
+    /**
+     * 采集Git历史（提交数、最后修改、最近作者、改动量）
+     * 非Git仓库返回 available: false
+     */
+    async analyzeGitHistory(projectPath) {
+        console.log('[ProjectOverview] 读取Git历史...');
+
+        const history = await this.gitHistoryCollector.collect(projectPath);
+        if (!history.available) {
+            console.log(`[ProjectOverview] 跳过Git历史: ${history.reason}`);
+        }
+        return history;
+    }
+
+    /**
+     * 为文件列表附加Git历史，供Step2排序和任务元数据使用
+     */
+    attachGitHistory(fileList, gitHistory) {
+        if (!gitHistory?.available) return fileList;
+
+        return fileList.map(file => ({
+            ...file,
+            git: gitHistory.files[file.path] || null
+        }));
+    }
+
+    /**
+     * 为文件列表标注所属包，供Step2按包规划批次
+     */
+    tagFilesWithPackage(fileList, workspaceAnalysis) {
+        if (!workspaceAnalysis?.isMonorepo) return fileList;
+
+        return fileList.map(file => ({
+            ...file,
+            package: this.workspaceDetector.findPackageForFile(file.path, workspaceAnalysis.packages)
+        }));
+    }
+
+    /**
+     * 精简的工作区摘要（Step2任务上下文使用）
+     */
+    summarizeWorkspace(workspaceAnalysis) {
+        if (!workspaceAnalysis?.isMonorepo) return null;
+
+        return {
+            managers: workspaceAnalysis.managers,
+            packages: workspaceAnalysis.packages.map(packageInfo => ({
+                name: packageInfo.name,
+                path: packageInfo.path,
+                manager: packageInfo.manager,
+                primaryLanguage: packageInfo.languageProfile?.primary || 'unknown',
+                internalDependencies: packageInfo.internalDependencies
+            })),
+            buildOrder: workspaceAnalysis.dependencyGraph.buildOrder
+        };
+    }
+
+    /**
+     * 写入工作区包依赖文档 mg_kiro/workspace.md
+     * @returns {Promise<string|null>} 文档相对路径，非Monorepo时为null
+     */
+    async writeWorkspaceDocument(projectPath, workspaceAnalysis) {
+        if (!workspaceAnalysis?.isMonorepo) return null;
+
+        const docPath = join(projectPath, 'mg_kiro', 'workspace.md');
+        const content = this.workspaceDetector.renderDocument(workspaceAnalysis, basename(resolve(projectPath)));
+        await fs.mkdir(join(projectPath, 'mg_kiro'), { recursive: true });
+        await fs.writeFile(docPath, content, 'utf8');
+        console.log(`[ProjectOverview] 工作区文档已生成: ${docPath}`);
+        return 'mg_kiro/workspace.md';
+    }
+
     /**
      * 分析项目依赖
      */
@@ -367,53 +493,43 @@ export class ProjectOverviewGenerator {
     }
 
     /**
-     * 构建目录树
+     * 构建目录树（来自共享的项目快照）
      */
-    async buildDirectoryTree(dirPath, maxDepth, currentDepth = 0) {
-        if (currentDepth >= maxDepth) {
-            return { name: basename(dirPath), type: 'directory', truncated: true };
-        }
-
-        try {
-            const items = await fs.readdir(dirPath);
-            const children = [];
+    async buildDirectoryTree(dirPath, maxDepth) {
+        const snapshot = await this.projectScanner.scan(dirPath);
 
-            for (const item of items) {
-                // 跳过排除的文件/目录
-                if (this.exclusionPatterns.some(pattern => 
-                    item.includes(pattern.replace('*', ''))
-                )) {
-                    continue;
-                }
+        // 按父目录分组快照条目
+        const childrenByDirectory = new Map();
+        const addChild = (parent, child) => {
+            if (!childrenByDirectory.has(parent)) childrenByDirectory.set(parent, []);
+            childrenByDirectory.get(parent).push(child);
+        };
+        for (const directory of snapshot.directories) {
+            addChild(directory.path.split('/').slice(0, -1).join('/'), { ...directory, type: 'directory' });
+        }
+        for (const file of snapshot.files) {
+            addChild(file.directory, { ...file, type: 'file' });
+        }
 
-                const itemPath = join(dirPath, item);
-                try {
-                    const stats = await fs.stat(itemPath);
-                    
-                    if (stats.isDirectory()) {
-                        const subTree = await this.buildDirectoryTree(itemPath, maxDepth, currentDepth + 1);
-                        children.push(subTree);
-                    } else if (stats.isFile()) {
-                        children.push({
-                            name: item,
-                            type: 'file',
-                            size: stats.size,
-                            ext: extname(item)
-                        });
-                    }
-                } catch (error) {
-                    // 跳过无法访问的文件
-                }
+        const buildNode = (name, relativePath, currentDepth) => {
+            if (currentDepth >= maxDepth) {
+                return { name, type: 'directory', truncated: true };
             }
 
+            const children = (childrenByDirectory.get(relativePath) || [])
+                .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+                .map(child => child.type === 'directory'
+                    ? buildNode(child.name, child.path, currentDepth + 1)
+                    : { name: child.name, type: 'file', size: child.size, ext: child.ext });
+
             return {
-                name: basename(dirPath),
+                name,
                 type: 'directory',
                 children: children.slice(0, 50) // 限制每个目录最多50个子项
             };
-        } catch (error) {
-            return { name: basename(dirPath), type: 'directory', error: true };
-        }
+        };
+
+        return buildNode(basename(snapshot.rootPath), '', 0);
     }
 
     /**
@@ -540,44 +656,8 @@ export class ProjectOverviewGenerator {
     }
 
     async getAllFiles(dirPath, limit = Infinity) {
-        const files = [];
-        
-        async function traverse(currentPath, depth = 0) {
-            if (files.length >= limit || depth > 5) return;
-            
-            try {
-                const items = await fs.readdir(currentPath);
-                
-                for (const item of items) {
-                    if (files.length >= limit) break;
-                    
-                    const itemPath = join(currentPath, item);
-                    
-                    // 跳过排除的路径
-                    if (this.exclusionPatterns.some(pattern => 
-                        item.includes(pattern.replace('*', ''))
-                    )) {
-                        continue;
-                    }
-
-                    try {
-                        const stats = await fs.stat(itemPath);
-                        if (stats.isFile()) {
-                            files.push(itemPath);
-                        } else if (stats.isDirectory()) {
-                            await traverse(itemPath, depth + 1);
-                        }
-                    } catch (error) {
-                        // 跳过无法访问的文件
-                    }
-                }
-            } catch (error) {
-                // 跳过无法访问的目录
-            }
-        }
-
-        await traverse.call(this, dirPath);
-        return files;
+        const snapshot = await this.projectScanner.scan(dirPath);
+        return snapshot.files.slice(0, limit).map(file => file.fullPath);
     }
 
     /**
@@ -1032,8 +1112,14 @@ export class ProjectOverviewGenerator {
     identifyEcosystem(languageResults) { return languageResults.detection?.primaryLanguage || 'unknown'; }
     parseRequirementsTxt(content) { return null; }
     parsePomXml(content) { return null; }
-    parseCargoToml(content) { return null; }
-    parseGoMod(content) { return null; }
+    parseCargoToml(content) {
+        const { production, development } = this.workspaceDetector.parseCargoManifest(content);
+        return { production, development };
+    }
+    parseGoMod(content) {
+        const { production, development } = this.workspaceDetector.parseGoMod(content);
+        return { production, development };
+    }
     parseComposerJson(content) { return null; }
     checkLockFiles(projectPath) { return false; }
     basicSecurityCheck(results) { return { issues: [], score: 'unknown' }; }
@@ -0,0 +1,236 @@
+/**
+ * 项目扫描器 - 所有服务共享的项目文件快照
+ *
+ * 核心功能：
+ * - 一次遍历生成项目快照：文件（大小、修改时间、是否二进制、是否符号链接）和目录列表
+ * - 按项目缓存快照，同一项目的并发扫描共用一次遍历
+ * - 应用 .gitignore / .mgkiroignore 和默认忽略规则（ProjectIgnoreRules）
+ * - 符号链接按真实路径去重，同一真实目录只扫描一次，避免链接成环
+ *
+ * 设计理念：
+ * - ProjectOverviewGenerator、LanguageDetector、FileQueryService 等服务从同一快照取数，
+ *   不再各自遍历、各自限制深度，对"项目里有哪些文件"的判断保持一致
+ * - 快照由各服务共享，调用方只读不改；需要最新结果时传 refresh 或调用 invalidate
+ */
+
+import { promises as fs } from 'fs';
+import { join, resolve, extname } from 'path';
+import ProjectIgnoreRules, { DEFAULT_IGNORE_PATTERNS } from './project-ignore-rules.js';
+
+export class ProjectScanner {
+    constructor(config = {}, dependencies = {}, serviceBus = null) {
+        this.config = {
+            maxDepth: 20,                 // 最大目录深度（根目录下的条目深度为0）
+            maxFiles: 50000,              // 文件数上限，超过后快照标记为 truncated
+            cacheTTL: 300000,             // 快照缓存时间（5分钟）
+            binarySampleSize: 8000,       // 二进制检测读取的字节数（与git一致，检测NUL字节）
+            ignorePatterns: DEFAULT_IGNORE_PATTERNS,   // 默认忽略规则，项目的忽略文件在此基础上生效
+            ...config
+        };
+
+        this.serviceBus = serviceBus;
+        this.ignoreRules = new ProjectIgnoreRules({ defaultPatterns: this.config.ignorePatterns });
+
+        this.snapshots = new Map();       // 项目根目录 → { snapshot, expiresAt }
+        this.pendingScans = new Map();    // 项目根目录 → 进行中的扫描 Promise
+    }
+
+    /**
+     * 获取项目快照（优先使用缓存）
+     * @param {string} projectPath - 项目根目录
+     * @param {Object} [options]
+     * @param {boolean} [options.refresh=false] - 忽略缓存重新扫描
+     * @returns {Promise<Object>} { rootPath, scannedAt, scanTime, files, directories, stats }
+     *   files: [{ path, fullPath, name, ext, directory, depth, size, mtime, isBinary, isSymlink }]
+     *   directories: [{ path, fullPath, name, depth, isSymlink }]
+     *   stats: { totalFiles, totalDirectories, totalSize, binaryFiles, symlinks, skippedSymlinks, truncated }
+     */
+    async scan(projectPath, options = {}) {
+        const rootPath = resolve(projectPath);
+
+        if (!options.refresh) {
+            const cached = this.snapshots.get(rootPath);
+            if (cached && cached.expiresAt > Date.now()) return cached.snapshot;
+        }
+
+        if (!this.pendingScans.has(rootPath)) {
+            const pending = this._scan(rootPath)
+                .then(snapshot => {
+                    this.snapshots.set(rootPath, { snapshot, expiresAt: Date.now() + this.config.cacheTTL });
+                    return snapshot;
+                })
+                .finally(() => this.pendingScans.delete(rootPath));
+            this.pendingScans.set(rootPath, pending);
+        }
+        return this.pendingScans.get(rootPath);
+    }
+
+    /**
+     * 清除快照缓存
+     * @param {string} [projectPath] - 缺省时清除所有项目
+     */
+    invalidate(projectPath = null) {
+        if (projectPath) {
+            this.snapshots.delete(resolve(projectPath));
+        } else {
+            this.snapshots.clear();
+        }
+    }
+
+    /**
+     * ServiceBus兼容方法：获取服务状态
+     */
+    getStatus() {
+        return {
+            name: 'ProjectScanner',
+            status: 'active',
+            cachedProjects: this.snapshots.size,
+            config: this.config
+        };
+    }
+
+    /**
+     * @private
+     */
+    async _scan(rootPath) {
+        const startTime = Date.now();
+        const rootStats = await fs.stat(rootPath);
+        if (!rootStats.isDirectory()) {
+            throw new Error(`项目路径不是目录: ${rootPath}`);
+        }
+
+        const ignoreMatcher = this.ignoreRules.forProject(rootPath);
+        const visitedDirectories = new Set([await fs.realpath(rootPath)]);
+        const files = [];
+        const directories = [];
+        const linkedDirectories = [];
+        const stats = { totalFiles: 0, totalDirectories: 0, totalSize: 0, binaryFiles: 0, symlinks: 0, skippedSymlinks: 0, truncated: false };
+
+        const walk = async (directoryPath, relativeDirectory, depth) => {
+            let entries;
+            try {
+                entries = await fs.readdir(directoryPath, { withFileTypes: true });
+            } catch (error) {
+                return; // 无权限或扫描期间被删除
+            }
+            entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+            for (const entry of entries) {
+                if (files.length >= this.config.maxFiles) {
+                    stats.truncated = true;
+                    return;
+                }
+
+                const fullPath = join(directoryPath, entry.name);
+                const relativePath = relativeDirectory ? `${relativeDirectory}/${entry.name}` : entry.name;
+                const isSymlink = entry.isSymbolicLink();
+
+                // 符号链接按目标类型处理，断开的链接直接跳过
+                let entryStats;
+                try {
+                    entryStats = isSymlink ? await fs.stat(fullPath) : null;
+                } catch (error) {
+                    stats.skippedSymlinks++;
+                    continue;
+                }
+                const isDirectory = entryStats ? entryStats.isDirectory() : entry.isDirectory();
+                const isFile = entryStats ? entryStats.isFile() : entry.isFile();
+                if (!isDirectory && !isFile) continue;
+
+                if (ignoreMatcher.ignores(relativePath, isDirectory)) continue;
+                if (isSymlink) stats.symlinks++;
+
+                if (isDirectory) {
+                    if (depth >= this.config.maxDepth) {
+                        stats.truncated = true;
+                    } else if (isSymlink) {
+                        // 链接目录在真实目录全部扫描完后再处理，真实位置优先
+                        linkedDirectories.push({ fullPath, relativePath, name: entry.name, depth });
+                    } else {
+                        await enterDirectory({ fullPath, relativePath, name: entry.name, depth }, false);
+                    }
+                    continue;
+                }
+
+                try {
+                    const fileStats = entryStats || await fs.stat(fullPath);
+                    const isBinary = await this._isBinary(fullPath, fileStats.size);
+                    files.push({
+                        path: relativePath,
+                        fullPath,
+                        name: entry.name,
+                        ext: extname(entry.name),
+                        directory: relativeDirectory,
+                        depth,
+                        size: fileStats.size,
+                        mtime: fileStats.mtime,
+                        isBinary,
+                        isSymlink
+                    });
+                    stats.totalSize += fileStats.size;
+                    if (isBinary) stats.binaryFiles++;
+                } catch (error) {
+                    // 扫描期间被删除，跳过
+                }
+            }
+        };
+
+        // 同一真实目录只扫描一次：链接指向祖先目录（成环）或已扫描目录时跳过
+        const enterDirectory = async (directory, isSymlink) => {
+            let realPath;
+            try {
+                realPath = await fs.realpath(directory.fullPath);
+            } catch (error) {
+                return;
+            }
+            if (visitedDirectories.has(realPath)) {
+                if (isSymlink) stats.skippedSymlinks++;
+                return;
+            }
+            visitedDirectories.add(realPath);
+
+            directories.push({ path: directory.relativePath, fullPath: directory.fullPath, name: directory.name, depth: directory.depth, isSymlink });
+            await walk(directory.fullPath, directory.relativePath, directory.depth + 1);
+        };
+
+        await walk(rootPath, '', 0);
+        while (linkedDirectories.length > 0) {
+            await enterDirectory(linkedDirectories.shift(), true);
+        }
+
+        stats.totalFiles = files.length;
+        stats.totalDirectories = directories.length;
+        console.log(`[ProjectScanner] 扫描完成: ${rootPath}（${files.length} 个文件，${directories.length} 个目录，${Date.now() - startTime}ms）`);
+
+        return {
+            rootPath,
+            scannedAt: new Date().toISOString(),
+            scanTime: Date.now() - startTime,
+            files,
+            directories,
+            stats
+        };
+    }
+
+    /**
+     * 读取文件开头，包含NUL字节即视为二进制
+     * @private
+     */
+    async _isBinary(fullPath, size) {
+        if (size === 0) return false;
+
+        let handle;
+        try {
+            handle = await fs.open(fullPath, 'r');
+            const buffer = Buffer.alloc(Math.min(size, this.config.binarySampleSize));
+            const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+            return buffer.subarray(0, bytesRead).includes(0);
+        } catch (error) {
+            return false;
+        } finally {
+            await handle?.close();
+        }
+    }
+}
+
+export default ProjectScanner;
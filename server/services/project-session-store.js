@@ -0,0 +1,410 @@
+/**
+ * 项目会话存储 - 跨工具调用共享的项目状态与任务上下文
+ *
+ * 核心功能：
+ * - 按项目路径缓存Init流程状态（mg_kiro/init-state.json）和当前任务上下文（mg_kiro/.tmp/current-task-context.json）
+ * - 多个agent并行处理任务时，任务上下文按租约保存（mg_kiro/.tmp/leases/<leaseId>.json），互不覆盖
+ * - 同时支持多个项目，多个MCP会话（stdio / HTTP / WebSocket）共享同一份状态
+ * - 写穿持久化：每次更新立即写入文件，采用临时文件+重命名保证写入原子性
+ * - 检测外部修改：状态文件mtime变化时自动重新加载
+ *
+ * 设计理念：
+ * - 读取返回副本，只有 updateState 才会修改共享状态，保持与旧版"每次从文件读取"一致的语义
+ * - 同步文件IO：Node单线程下天然串行化同一进程内的写入
+ */
+
+import { existsSync, mkdirSync, readFileSync, readdirSync, writeFileSync, renameSync, statSync, unlinkSync } from 'fs';
+import { join, resolve } from 'path';
+
+export class ProjectSessionStore {
+    constructor(config = {}, dependencies = {}, serviceBus = null) {
+        this.config = {
+            docsFolderName: 'mg_kiro',
+            stateFileName: 'init-state.json',
+            taskContextFileName: 'current-task-context.json',
+            leaseContextFolderName: 'leases',
+            tempFolderName: '.tmp',
+            ...config
+        };
+
+        this.serviceBus = serviceBus;
+
+        // 项目会话：projectPath -> { state, stateMtimeMs, taskContext, leaseContexts, lastAccessedAt }
+        this.sessions = new Map();
+
+        this.stats = {
+            stateReads: 0,
+            stateWrites: 0,
+            reloadsFromDisk: 0,
+            writeErrors: 0
+        };
+    }
+
+    // ========== Init流程状态 ==========
+
+    /**
+     * 获取项目状态（副本）
+     * @param {string} projectPath - 项目根目录
+     * @returns {Object} 项目状态
+     */
+    getState(projectPath) {
+        const session = this._getSession(projectPath);
+        this.stats.stateReads++;
+        return structuredClone(this._ensureStateLoaded(session));
+    }
+
+    /**
+     * 合并更新项目状态并立即持久化
+     * @param {string} projectPath - 项目根目录
+     * @param {Object} updates - 要合并的字段
+     * @returns {Object} 更新后的状态（副本）
+     */
+    updateState(projectPath, updates) {
+        const session = this._getSession(projectPath);
+        const state = this._ensureStateLoaded(session);
+
+        Object.assign(state, structuredClone(updates));
+        this._persistState(session);
+
+        return structuredClone(state);
+    }
+
+    /**
+     * 项目是否已有状态（内存或文件）
+     * @param {string} projectPath - 项目根目录
+     * @returns {boolean}
+     */
+    hasState(projectPath) {
+        const normalizedPath = resolve(projectPath);
+        return Boolean(this.sessions.get(normalizedPath)?.state) || existsSync(this._getStateFilePath(normalizedPath));
+    }
+
+    // ========== 当前任务上下文 ==========
+
+    /**
+     * 设置当前任务上下文并持久化
+     * @param {string} projectPath - 项目根目录
+     * @param {Object} taskContext - 任务上下文
+     * @param {string} [leaseId] - 任务租约ID，缺省时为项目级上下文（单agent）
+     * @returns {Object} 保存的上下文
+     */
+    setTaskContext(projectPath, taskContext, leaseId = null) {
+        const session = this._getSession(projectPath);
+        const context = {
+            ...taskContext,
+            updatedAt: new Date().toISOString()
+        };
+        if (leaseId) {
+            session.leaseContexts.set(leaseId, context);
+        } else {
+            session.taskContext = context;
+        }
+
+        const contextFile = this._getTaskContextFilePath(session.projectPath, leaseId);
+        try {
+            this._writeJsonAtomic(contextFile, context);
+        } catch (error) {
+            // 即使文件保存失败，内存中的上下文依然可用
+            this.stats.writeErrors++;
+            console.error(`[ProjectSessionStore] 保存任务上下文失败: ${error.message} (${contextFile})`);
+        }
+
+        return context;
+    }
+
+    /**
+     * 获取当前任务上下文（内存优先，其次从文件恢复）
+     * @param {string} projectPath - 项目根目录
+     * @param {string} [leaseId] - 任务租约ID，缺省时为项目级上下文（单agent）
+     * @returns {Object|null}
+     */
+    getTaskContext(projectPath, leaseId = null) {
+        const session = this._getSession(projectPath);
+        const cached = leaseId ? session.leaseContexts.get(leaseId) : session.taskContext;
+        if (cached) {
+            return cached;
+        }
+
+        const contextFile = this._getTaskContextFilePath(session.projectPath, leaseId);
+        if (!existsSync(contextFile)) {
+            return null;
+        }
+
+        try {
+            const context = JSON.parse(readFileSync(contextFile, 'utf8'));
+            if (leaseId) {
+                session.leaseContexts.set(leaseId, context);
+            } else {
+                session.taskContext = context;
+            }
+            console.log(`[ProjectSessionStore] 从文件恢复任务上下文: ${session.projectPath}${leaseId ? ` (租约 ${leaseId})` : ''}`);
+            return context;
+        } catch (error) {
+            console.error(`[ProjectSessionStore] 恢复任务上下文失败: ${error.message} (${contextFile})`);
+            return null;
+        }
+    }
+
+    /**
+     * 清除当前任务上下文（内存和文件）
+     * @param {string} projectPath - 项目根目录
+     * @param {string} [leaseId] - 任务租约ID，缺省时为项目级上下文（单agent）
+     * @returns {boolean} 清除前是否存在上下文
+     */
+    clearTaskContext(projectPath, leaseId = null) {
+        const session = this._getSession(projectPath);
+        const contextFile = this._getTaskContextFilePath(session.projectPath, leaseId);
+        const hadContext = Boolean(leaseId ? session.leaseContexts.get(leaseId) : session.taskContext) || existsSync(contextFile);
+
+        if (leaseId) {
+            session.leaseContexts.delete(leaseId);
+        } else {
+            session.taskContext = null;
+        }
+        try {
+            if (existsSync(contextFile)) {
+                unlinkSync(contextFile);
+            }
+        } catch (error) {
+            console.error(`[ProjectSessionStore] 删除任务上下文文件失败: ${error.message}`);
+        }
+
+        return hadContext;
+    }
+
+    /**
+     * 列出项目所有按租约保存的任务上下文（含服务重启前写入、尚未载入内存的上下文）
+     * @param {string} projectPath - 项目根目录
+     * @returns {Array<Object>} [{ leaseId, context }]
+     */
+    listLeaseContexts(projectPath) {
+        const session = this._getSession(projectPath);
+        const leaseFolder = join(session.projectPath, this.config.docsFolderName, this.config.tempFolderName, this.config.leaseContextFolderName);
+        const leaseIds = new Set(session.leaseContexts.keys());
+        if (existsSync(leaseFolder)) {
+            for (const fileName of readdirSync(leaseFolder)) {
+                if (/^[\w-]+\.json$/.test(fileName)) {
+                    leaseIds.add(fileName.slice(0, -'.json'.length));
+                }
+            }
+        }
+
+        const contexts = [];
+        for (const leaseId of leaseIds) {
+            const context = this.getTaskContext(session.projectPath, leaseId);
+            if (context) {
+                contexts.push({ leaseId, context });
+            }
+        }
+        return contexts;
+    }
+
+    // ========== 会话管理 ==========
+
+    /**
+     * 释放项目的内存会话（文件保留）
+     * @param {string} projectPath - 项目根目录
+     * @returns {Object} { hadState, hadContext }
+     */
+    resetProject(projectPath) {
+        const normalizedPath = resolve(projectPath);
+        const session = this.sessions.get(normalizedPath);
+        this.sessions.delete(normalizedPath);
+
+        return {
+            hadState: Boolean(session?.state),
+            hadContext: Boolean(session?.taskContext)
+        };
+    }
+
+    /**
+     * 释放所有项目的内存会话
+     * @returns {Object} { projectStatesCleared, taskContextsCleared }
+     */
+    resetAll() {
+        const summary = this.getSummary();
+        this.sessions.clear();
+
+        return {
+            projectStatesCleared: summary.projectStates,
+            taskContextsCleared: summary.taskContexts
+        };
+    }
+
+    /**
+     * 列出当前活跃的项目会话
+     * @returns {Array<Object>}
+     */
+    listProjects() {
+        return Array.from(this.sessions.values()).map(session => ({
+            projectPath: session.projectPath,
+            currentStep: session.state?.currentStep ?? null,
+            stepsCompleted: session.state?.stepsCompleted || [],
+            completed: Boolean(session.state?.completed),
+            currentTask: session.taskContext?.taskId || null,
+            leasedTasks: Array.from(session.leaseContexts.values()).map(context => context.taskId),
+            lastAccessedAt: session.lastAccessedAt
+        }));
+    }
+
+    /**
+     * 会话计数摘要
+     */
+    getSummary() {
+        const sessions = Array.from(this.sessions.values());
+        return {
+            projects: sessions.length,
+            projectStates: sessions.filter(session => session.state).length,
+            taskContexts: sessions.filter(session => session.taskContext).length,
+            leaseContexts: sessions.reduce((count, session) => count + session.leaseContexts.size, 0)
+        };
+    }
+
+    /**
+     * 获取服务状态
+     */
+    getServiceStatus() {
+        return {
+            name: 'ProjectSessionStore',
+            ...this.getSummary(),
+            stats: { ...this.stats },
+            config: this.config
+        };
+    }
+
+    // ========== 私有方法 ==========
+
+    /**
+     * 获取或创建项目会话
+     * @private
+     */
+    _getSession(projectPath) {
+        const normalizedPath = resolve(projectPath);
+        let session = this.sessions.get(normalizedPath);
+        if (!session) {
+            session = {
+                projectPath: normalizedPath,
+                state: null,
+                stateMtimeMs: null,
+                taskContext: null,
+                leaseContexts: new Map(),
+                lastAccessedAt: null
+            };
+            this.sessions.set(normalizedPath, session);
+        }
+        session.lastAccessedAt = new Date().toISOString();
+        return session;
+    }
+
+    /**
+     * 确保状态已加载，文件被外部修改时重新加载
+     * @private
+     */
+    _ensureStateLoaded(session) {
+        const stateFile = this._getStateFilePath(session.projectPath);
+        const mtimeMs = this._getMtimeMs(stateFile);
+
+        if (session.state && mtimeMs === session.stateMtimeMs) {
+            return session.state;
+        }
+
+        if (session.state) {
+            this.stats.reloadsFromDisk++;
+            console.log(`[ProjectSessionStore] 状态文件已被外部修改，重新加载: ${stateFile}`);
+        }
+
+        session.state = this._readStateFile(stateFile, session.projectPath);
+        session.stateMtimeMs = mtimeMs;
+        return session.state;
+    }
+
+    /**
+     * 读取状态文件，不存在或损坏时返回初始状态
+     * @private
+     */
+    _readStateFile(stateFile, projectPath) {
+        if (existsSync(stateFile)) {
+            try {
+                return JSON.parse(readFileSync(stateFile, 'utf8'));
+            } catch (error) {
+                console.log(`[ProjectSessionStore] 状态文件损坏，创建新状态: ${error.message}`);
+            }
+        }
+
+        return {
+            currentStep: 0,
+            projectPath,
+            stepsCompleted: [],
+            stepResults: {},
+            startedAt: null,
+            error: null,
+            documentCount: 0,
+            generatedDocs: []
+        };
+    }
+
+    /**
+     * 写入状态文件并记录mtime
+     * @private
+     */
+    _persistState(session) {
+        const stateFile = this._getStateFilePath(session.projectPath);
+        try {
+            this._writeJsonAtomic(stateFile, session.state);
+            session.stateMtimeMs = this._getMtimeMs(stateFile);
+            this.stats.stateWrites++;
+            console.log(`[ProjectSessionStore] 状态已保存: ${stateFile}`);
+        } catch (error) {
+            this.stats.writeErrors++;
+            console.error(`[ProjectSessionStore] 保存状态失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 原子写入JSON文件（临时文件+重命名）
+     * @private
+     */
+    _writeJsonAtomic(filePath, data) {
+        const dir = resolve(filePath, '..');
+        if (!existsSync(dir)) {
+            mkdirSync(dir, { recursive: true });
+        }
+
+        const tempFile = `${filePath}.${process.pid}.tmp`;
+        writeFileSync(tempFile, JSON.stringify(data, null, 2), 'utf8');
+        renameSync(tempFile, filePath);
+    }
+
+    /**
+     * @private
+     */
+    _getMtimeMs(filePath) {
+        try {
+            return statSync(filePath).mtimeMs;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _getStateFilePath(projectPath) {
+        return join(projectPath, this.config.docsFolderName, this.config.stateFileName);
+    }
+
+    /**
+     * @private
+     */
+    _getTaskContextFilePath(projectPath, leaseId = null) {
+        const tempFolder = join(projectPath, this.config.docsFolderName, this.config.tempFolderName);
+        if (leaseId && !/^[\w-]+$/.test(leaseId)) {
+            throw new Error(`无效的租约ID: ${leaseId}`);
+        }
+        return leaseId
+            ? join(tempFolder, this.config.leaseContextFolderName, `${leaseId}.json`)
+            : join(tempFolder, this.config.taskContextFileName);
+    }
+}
+
+export default ProjectSessionStore;
@@ -5,12 +5,17 @@
 
 import { getServiceBus } from './service-bus.js';
 import ConfigService from './config-service.js';
+import { ProjectScanner } from './project-scanner.js';
 
 import LanguageDetector from '../language/detector.js';
 import LanguageIntelligenceService from './language-intelligence-service.js';
 import { ProjectOverviewGenerator } from './project-overview-generator.js';
 import { FileQueryService } from './file-query-service.js';
 import { SmartContentTrimmer } from './smart-content-trimmer.js';
+import { DocResourceService } from './doc-resource-service.js';
+import { DocSearchService } from './doc-search-service.js';
+import { ProjectSessionStore } from './project-session-store.js';
+import { AiTodoManager } from './ai-todo-manager.js';
 
 // 新的统一模板系统
 import MasterTemplateService from './unified/master-template-service.js';
@@ -20,14 +25,45 @@ import ModeTemplateService from './unified/mode-template-service.js';
 // 文件分析模块
 import { FileAnalysisModule } from './file-analysis/FileAnalysisModule.js';
 import { PreciseTokenCalculator } from './file-analysis/token-analysis/PreciseTokenCalculator.js';
+import { ModelProfileService } from './file-analysis/token-analysis/ModelProfileService.js';
 import { CombinedFileBatchStrategy } from './file-analysis/batch-strategies/CombinedFileBatchStrategy.js';
 import { SingleFileBatchStrategy } from './file-analysis/batch-strategies/SingleFileBatchStrategy.js';
 import { LargeFileMultiBatchStrategy } from './file-analysis/batch-strategies/LargeFileMultiBatchStrategy.js';
+import { ImportGraphBuilder } from './file-analysis/import-analysis/ImportGraphBuilder.js';
 
 // 任务管理模块
 import { UnifiedTaskManager } from './task-management/UnifiedTaskManager.js';
 import { UnifiedTaskValidator } from './task-management/UnifiedTaskValidator.js';
 import { TaskStateManager } from './task-management/TaskStateManager.js';
+import { Step3FolderValidator } from './task-management/validation-strategies/Step3FolderValidator.js';
+import { Step4ModuleValidator } from './task-management/validation-strategies/Step4ModuleValidator.js';
+import { Step5FixedFileValidator } from './task-management/validation-strategies/Step5FixedFileValidator.js';
+import { Step6ArchitectureValidator } from './task-management/validation-strategies/Step6ArchitectureValidator.js';
+import { FixNoteValidator } from './task-management/validation-strategies/FixNoteValidator.js';
+import { AnalysisReportValidator } from './task-management/validation-strategies/AnalysisReportValidator.js';
+import { CreateTaskValidator } from './task-management/validation-strategies/CreateTaskValidator.js';
+
+// Fix模式
+import { SuspectFileRanker } from './fix-workflow/SuspectFileRanker.js';
+import { FixWorkflowService } from './fix-workflow/FixWorkflowService.js';
+
+// Analyze模式
+import { CodeHealthAnalyzer } from './analyze-workflow/CodeHealthAnalyzer.js';
+import { AnalyzeWorkflowService } from './analyze-workflow/AnalyzeWorkflowService.js';
+
+// Create模式
+import { CreateWorkflowService } from './create-workflow/CreateWorkflowService.js';
+
+// 文档新鲜度检测
+import { DocFreshnessService } from './doc-freshness/DocFreshnessService.js';
+import { ProjectWatchService } from './doc-freshness/ProjectWatchService.js';
+
+// 文档站导出
+import { DocSiteExporter } from './doc-site/DocSiteExporter.js';
+
+// 项目知识图谱
+import { KnowledgeGraphService } from './knowledge-graph/KnowledgeGraphService.js';
+import { MermaidDiagramService } from './diagrams/MermaidDiagramService.js';
 
 /**
  * 注册所有系统服务到ServiceBus
@@ -38,7 +74,8 @@ export function registerServices(configDir = './config') {
 
     // 基础服务层（无依赖）
     serviceBus
-        .register('configService', ConfigService, configDir, []);
+        .register('configService', ConfigService, configDir, [])
+        .register('projectScanner', ProjectScanner, {}, []);
 
     // 新的统一模板系统（基础层）
     serviceBus
@@ -46,19 +83,25 @@ export function registerServices(configDir = './config') {
 
     // 核心服务层（依赖基础服务）
     serviceBus
-        .register('languageDetector', LanguageDetector, {}, [])
+        .register('languageDetector', LanguageDetector, {}, ['projectScanner'])
         
-        .register('languageIntelligence', LanguageIntelligenceService, {}, [])
-        .register('projectOverviewGenerator', ProjectOverviewGenerator, {}, [])
+        .register('languageIntelligence', LanguageIntelligenceService, {}, ['projectScanner'])
+        .register('projectOverviewGenerator', ProjectOverviewGenerator, {}, ['projectScanner'])
         .register('smartContentTrimmer', SmartContentTrimmer, {}, [])
-        .register('fileQueryService', FileQueryService, {}, ['smartContentTrimmer']);
+        .register('fileQueryService', FileQueryService, {}, ['smartContentTrimmer', 'projectScanner'])
+        .register('docResourceService', DocResourceService, {}, [])
+        .register('docSearchService', DocSearchService, {}, ['docResourceService'])
+        .register('projectSessionStore', ProjectSessionStore, {}, [])
+        .register('aiTodoManager', AiTodoManager, {}, []);
 
     // 文件分析模块层（依赖基础服务）
     serviceBus
-        .register('preciseTokenCalculator', PreciseTokenCalculator, {}, [])
+        .register('modelProfileService', ModelProfileService, {}, ['configService'])
+        .register('preciseTokenCalculator', PreciseTokenCalculator, {}, ['modelProfileService'])
         .register('combinedFileBatchStrategy', CombinedFileBatchStrategy, {}, [])
         .register('singleFileBatchStrategy', SingleFileBatchStrategy, {}, [])
         .register('largeFileMultiBatchStrategy', LargeFileMultiBatchStrategy, {}, [])
+        .register('importGraphBuilder', ImportGraphBuilder, {}, [])
         .register('taskStateManager', TaskStateManager, {}, []);
 
     // 文件分析模块核心（依赖Token计算器和批次策略）
@@ -67,18 +110,22 @@ export function registerServices(configDir = './config') {
             'preciseTokenCalculator',
             'combinedFileBatchStrategy',
             'singleFileBatchStrategy',
-            'largeFileMultiBatchStrategy'
+            'largeFileMultiBatchStrategy',
+            'importGraphBuilder',
+            'modelProfileService'
         ]);
 
     // 任务管理模块（依赖文件分析模块）
     serviceBus
         .register('unifiedTaskValidator', UnifiedTaskValidator, {}, [
             'fileAnalysisModule',
-            'taskStateManager'
+            'taskStateManager',
+            'projectSessionStore'
         ])
         .register('unifiedTaskManager', UnifiedTaskManager, {}, [
             'taskStateManager',
-            'unifiedTaskValidator'
+            'unifiedTaskValidator',
+            'projectSessionStore'
         ]);
 
     // 高级服务层（依赖核心服务）
@@ -96,6 +143,65 @@ export function registerServices(configDir = './config') {
             'languageIntelligence'
         ]);
 
+    // Fix模式（依赖文件查询、任务管理和模板服务）
+    serviceBus
+        .register('suspectFileRanker', SuspectFileRanker, {}, ['fileQueryService', 'projectSessionStore', 'importGraphBuilder'])
+        .register('fixWorkflowService', FixWorkflowService, {}, [
+            'suspectFileRanker',
+            'unifiedTaskManager',
+            'unifiedTaskValidator',
+            'modeTemplateService'
+        ]);
+
+    // Analyze模式（复用Fix模式的源文件扫描和import关系）
+    serviceBus
+        .register('codeHealthAnalyzer', CodeHealthAnalyzer, {}, [
+            'suspectFileRanker',
+            'preciseTokenCalculator'
+        ])
+        .register('analyzeWorkflowService', AnalyzeWorkflowService, {}, [
+            'codeHealthAnalyzer',
+            'unifiedTaskManager',
+            'unifiedTaskValidator',
+            'modeTemplateService'
+        ]);
+
+    // Create模式（实现任务由AiTodoManager排序，相关文件排序复用SuspectFileRanker）
+    serviceBus
+        .register('createWorkflowService', CreateWorkflowService, {}, [
+            'suspectFileRanker',
+            'aiTodoManager',
+            'unifiedTaskManager',
+            'unifiedTaskValidator',
+            'modeTemplateService'
+        ]);
+
+    // 文档新鲜度检测（移动检测复用SuspectFileRanker的源文件扫描）
+    serviceBus
+        .register('docFreshnessService', DocFreshnessService, {}, ['suspectFileRanker']);
+
+    // 监听模式（源文件变化时标记过期文档并排入Step3更新任务）
+    serviceBus
+        .register('projectWatchService', ProjectWatchService, {}, [
+            'configService',
+            'docResourceService',
+            'projectSessionStore',
+            'projectScanner',
+            'unifiedTaskManager',
+            'fileAnalysisModule',
+            'docFreshnessService',
+            'fileQueryService'
+        ]);
+
+    // 文档站导出
+    serviceBus
+        .register('docSiteExporter', DocSiteExporter, {}, ['docResourceService']);
+
+    // 项目知识图谱和Mermaid架构图（读取Init步骤结果和生成的文档）
+    serviceBus
+        .register('knowledgeGraphService', KnowledgeGraphService, {}, ['projectSessionStore', 'projectOverviewGenerator'])
+        .register('mermaidDiagramService', MermaidDiagramService, {}, ['projectSessionStore', 'importGraphBuilder', 'knowledgeGraphService']);
+
     console.log('[ServiceRegistry] 所有服务已注册到ServiceBus');
     
     // 验证依赖关系
@@ -146,11 +252,13 @@ export async function initializeServices(configDir = './config') {
             unifiedTaskManager,
             taskStateManager,
             fileAnalysisModule,
-            // 步骤验证器稍后注入（如果需要）
-            step3Validator: null,
-            step4Validator: null,
-            step5Validator: null,
-            step6Validator: null
+            step3Validator: new Step3FolderValidator(),
+            step4Validator: new Step4ModuleValidator(),
+            step5Validator: new Step5FixedFileValidator(),
+            step6Validator: new Step6ArchitectureValidator(),
+            fixValidator: new FixNoteValidator(),
+            analyzeValidator: new AnalysisReportValidator(),
+            createValidator: new CreateTaskValidator()
         });
         console.log('[ServiceRegistry] UnifiedTaskValidator 交叉依赖关系设置完成');
     }
@@ -175,6 +283,7 @@ export function getServices() {
         
         // 其他核心服务
         languageDetector: serviceBus.get('languageDetector'),
+        projectScanner: serviceBus.get('projectScanner'),
         languageIntelligence: serviceBus.get('languageIntelligence'),
         configService: serviceBus.get('configService'),
         
@@ -184,13 +293,41 @@ export function getServices() {
         projectOverviewGenerator: serviceBus.get('projectOverviewGenerator'),
         fileQueryService: serviceBus.get('fileQueryService'),
         smartContentTrimmer: serviceBus.get('smartContentTrimmer'),
+        docResourceService: serviceBus.get('docResourceService'),
+        docSearchService: serviceBus.get('docSearchService'),
+        projectSessionStore: serviceBus.get('projectSessionStore'),
+        aiTodoManager: serviceBus.get('aiTodoManager'),
         
         // 新的文件分析模块和任务管理服务
         fileAnalysisModule: serviceBus.get('fileAnalysisModule'),
+        importGraphBuilder: serviceBus.get('importGraphBuilder'),
+        modelProfileService: serviceBus.get('modelProfileService'),
         unifiedTaskManager: serviceBus.get('unifiedTaskManager'),
         unifiedTaskValidator: serviceBus.get('unifiedTaskValidator'),
         taskStateManager: serviceBus.get('taskStateManager'),
         
+        // Fix模式
+        fixWorkflowService: serviceBus.get('fixWorkflowService'),
+        
+        // Analyze模式
+        analyzeWorkflowService: serviceBus.get('analyzeWorkflowService'),
+        
+        // Create模式
+        createWorkflowService: serviceBus.get('createWorkflowService'),
+        
+        // 文档新鲜度检测
+        docFreshnessService: serviceBus.get('docFreshnessService'),
+        projectWatchService: serviceBus.get('projectWatchService'),
+        
+        // 文档站导出
+        docSiteExporter: serviceBus.get('docSiteExporter'),
+        
+        // 项目知识图谱
+        knowledgeGraphService: serviceBus.get('knowledgeGraphService'),
+        
+        // Mermaid架构图
+        mermaidDiagramService: serviceBus.get('mermaidDiagramService'),
+        
         // 向后兼容的别名（指向新服务）
         promptService: serviceBus.get('masterTemplateService'), // promptManager 的替代
         unifiedTemplateService: serviceBus.get('masterTemplateService'), // 保持兼容性
@@ -7,10 +7,16 @@
  * 3. 任务元数据管理
  * 4. 状态恢复和数据备份机制
  * 5. 与UnifiedTaskManager的集成接口
+ * 6. 任务租约：多个agent并行领取任务（所有者ID、过期时间、原子领取/释放、过期回收）
+ *
+ * 租约只保存在内存中，与UnifiedTaskManager的任务队列生命周期一致。
+ * 租约操作均为同步方法：Node单线程下检查与写入之间没有await，
+ * 多个agent并发领取同一任务时只有一个能成功。
  */
 
 import fs from 'fs/promises';
 import path from 'path';
+import { randomUUID } from 'crypto';
 
 export class TaskStateManager {
     constructor(config = {}, dependencies = {}, serviceBus = null) {
@@ -45,6 +51,10 @@ export class TaskStateManager {
             'cancelled': []  // 最终状态
         };
         
+        // 任务租约：taskId → { leaseId, taskId, ownerId, projectPath, stepType, ttl, acquiredAt, expiresAt, renewals }
+        this.leaseTTL = config.leaseTTL || 10 * 60 * 1000;   // 默认租期10分钟
+        this.leases = new Map();
+        
         // 内存状态缓存
         this.stateCache = new Map();
         this.isDirty = false;
@@ -471,6 +481,242 @@ export class TaskStateManager {
         }
     }
 
+    /**
+     * 领取任务租约 - 任务无租约或租约已过期时成功，同一所有者重复领取视为续租
+     * @param {string} taskId - 任务ID
+     * @param {string} ownerId - 租约所有者（agent ID）
+     * @param {Object} [options]
+     * @param {number} [options.ttl] - 租期（毫秒），默认 leaseTTL
+     * @param {string} [options.projectPath] - 任务所属项目
+     * @param {string} [options.stepType] - 任务步骤类型
+     * @returns {Object} { success, lease } 或 { success: false, message, heldBy }
+     */
+    claimTask(taskId, ownerId, options = {}) {
+        if (!taskId || !ownerId) {
+            return { success: false, message: 'taskId and ownerId are required' };
+        }
+        
+        const now = Date.now();
+        const ttl = options.ttl || this.leaseTTL;
+        const existing = this.leases.get(taskId);
+        
+        if (existing && existing.expiresAt > now) {
+            if (existing.ownerId !== ownerId) {
+                return {
+                    success: false,
+                    message: `Task ${taskId} is leased by ${existing.ownerId}`,
+                    heldBy: this._toLeaseInfo(existing)
+                };
+            }
+            existing.expiresAt = now + ttl;
+            existing.renewals++;
+            return { success: true, lease: this._toLeaseInfo(existing) };
+        }
+        
+        const lease = {
+            leaseId: randomUUID(),
+            taskId,
+            ownerId,
+            projectPath: options.projectPath || null,
+            stepType: options.stepType || null,
+            ttl,
+            acquiredAt: now,
+            expiresAt: now + ttl,
+            renewals: 0
+        };
+        this.leases.set(taskId, lease);
+        
+        this.logger.info(`Task ${taskId} leased to ${ownerId} (lease ${lease.leaseId})`);
+        return { success: true, lease: this._toLeaseInfo(lease) };
+    }
+
+    /**
+     * 续租 - 租约已过期或不属于该所有者时失败
+     * @param {string} leaseId - 租约ID
+     * @param {Object} [options]
+     * @param {string} [options.ownerId] - 校验所有者
+     * @param {number} [options.ttl] - 新租期（毫秒）
+     * @returns {Object} { success, lease } 或 { success: false, message }
+     */
+    renewLease(leaseId, options = {}) {
+        const lease = this._findLease(leaseId);
+        if (!lease || lease.expiresAt <= Date.now()) {
+            return { success: false, message: `Lease ${leaseId} not found or expired` };
+        }
+        if (options.ownerId && lease.ownerId !== options.ownerId) {
+            return { success: false, message: `Lease ${leaseId} is owned by ${lease.ownerId}` };
+        }
+        
+        lease.expiresAt = Date.now() + (options.ttl || lease.ttl || this.leaseTTL);
+        lease.renewals++;
+        return { success: true, lease: this._toLeaseInfo(lease) };
+    }
+
+    /**
+     * 恢复租约 - 服务重启后根据持久化的租约信息重新登记
+     * 重启期间agent无法续租，恢复的租约从现在起重新计算租期；已过期或任务已被其他租约持有时失败
+     * @param {Object} leaseInfo - claimTask 返回的租约信息
+     * @returns {Object} { success, lease } 或 { success: false, message, heldBy }
+     */
+    restoreLease(leaseInfo) {
+        if (!leaseInfo?.leaseId || !leaseInfo.taskId || !leaseInfo.ownerId) {
+            return { success: false, message: 'leaseId, taskId and ownerId are required' };
+        }
+        
+        const now = Date.now();
+        const existing = this.leases.get(leaseInfo.taskId);
+        if (existing && existing.leaseId === leaseInfo.leaseId) {
+            return existing.expiresAt > now
+                ? { success: true, lease: this._toLeaseInfo(existing) }
+                : { success: false, message: `Lease ${leaseInfo.leaseId} expired` };
+        }
+        if (existing && existing.expiresAt > now) {
+            return {
+                success: false,
+                message: `Task ${leaseInfo.taskId} is leased by ${existing.ownerId}`,
+                heldBy: this._toLeaseInfo(existing)
+            };
+        }
+        
+        const ttl = leaseInfo.ttl || this.leaseTTL;
+        const lease = {
+            leaseId: leaseInfo.leaseId,
+            taskId: leaseInfo.taskId,
+            ownerId: leaseInfo.ownerId,
+            projectPath: leaseInfo.projectPath || null,
+            stepType: leaseInfo.stepType || null,
+            ttl,
+            acquiredAt: Date.parse(leaseInfo.acquiredAt) || now,
+            expiresAt: now + ttl,
+            renewals: leaseInfo.renewals || 0
+        };
+        this.leases.set(lease.taskId, lease);
+        
+        this.logger.info(`Lease ${lease.leaseId} on task ${lease.taskId} restored for ${lease.ownerId}`);
+        return { success: true, lease: this._toLeaseInfo(lease) };
+    }
+
+    /**
+     * 释放租约
+     * @param {string} leaseId - 租约ID
+     * @param {Object} [options]
+     * @param {string} [options.ownerId] - 校验所有者
+     * @returns {Object} { success, lease } 或 { success: false, message }
+     */
+    releaseLease(leaseId, options = {}) {
+        const lease = this._findLease(leaseId);
+        if (!lease) {
+            return { success: false, message: `Lease ${leaseId} not found` };
+        }
+        if (options.ownerId && lease.ownerId !== options.ownerId) {
+            return { success: false, message: `Lease ${leaseId} is owned by ${lease.ownerId}` };
+        }
+        
+        this.leases.delete(lease.taskId);
+        this.logger.info(`Lease ${leaseId} on task ${lease.taskId} released`);
+        return { success: true, lease: this._toLeaseInfo(lease) };
+    }
+
+    /**
+     * 释放任务上的租约（任务完成时调用）
+     * @param {string} taskId - 任务ID
+     * @returns {Object|null} 被释放的租约
+     */
+    releaseTaskLease(taskId) {
+        const lease = this.leases.get(taskId);
+        if (!lease) {
+            return null;
+        }
+        this.leases.delete(taskId);
+        return this._toLeaseInfo(lease);
+    }
+
+    /**
+     * 获取有效租约（已过期返回 null）
+     * @param {string} leaseId - 租约ID
+     */
+    getLease(leaseId) {
+        const lease = this._findLease(leaseId);
+        return lease && lease.expiresAt > Date.now() ? this._toLeaseInfo(lease) : null;
+    }
+
+    /**
+     * 获取任务上的有效租约
+     * @param {string} taskId - 任务ID
+     */
+    getTaskLease(taskId) {
+        const lease = this.leases.get(taskId);
+        return lease && lease.expiresAt > Date.now() ? this._toLeaseInfo(lease) : null;
+    }
+
+    /**
+     * 列出有效租约
+     * @param {Object} [filter]
+     * @param {string} [filter.projectPath] - 只列出该项目的租约
+     * @param {string} [filter.ownerId] - 只列出该所有者的租约
+     */
+    listLeases(filter = {}) {
+        const now = Date.now();
+        return Array.from(this.leases.values())
+            .filter(lease => lease.expiresAt > now)
+            .filter(lease => !filter.projectPath || lease.projectPath === filter.projectPath)
+            .filter(lease => !filter.ownerId || lease.ownerId === filter.ownerId)
+            .map(lease => this._toLeaseInfo(lease));
+    }
+
+    /**
+     * 回收过期租约，由任务管理器据此把任务重新放回队列
+     * @returns {Array<Object>} 被回收的租约
+     */
+    reclaimExpiredLeases() {
+        const now = Date.now();
+        const expired = [];
+        
+        for (const [taskId, lease] of this.leases) {
+            if (lease.expiresAt <= now) {
+                this.leases.delete(taskId);
+                expired.push(this._toLeaseInfo(lease));
+            }
+        }
+        
+        if (expired.length > 0) {
+            this.logger.warn(`Reclaimed ${expired.length} expired leases: ${expired.map(lease => `${lease.taskId}(${lease.ownerId})`).join(', ')}`);
+        }
+        return expired;
+    }
+
+    /**
+     * 清除所有租约
+     */
+    clearLeases() {
+        const count = this.leases.size;
+        this.leases.clear();
+        return count;
+    }
+
+    /**
+     * @private
+     */
+    _findLease(leaseId) {
+        for (const lease of this.leases.values()) {
+            if (lease.leaseId === leaseId) {
+                return lease;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    _toLeaseInfo(lease) {
+        return {
+            ...lease,
+            acquiredAt: new Date(lease.acquiredAt).toISOString(),
+            expiresAt: new Date(lease.expiresAt).toISOString()
+        };
+    }
+
     /**
      * 验证状态转换是否有效
      */
@@ -556,6 +802,7 @@ export class TaskStateManager {
                     totalTasks: states.length,
                     statusBreakdown: statusCounts,
                     cacheSize: this.stateCache.size,
+                    activeLeases: this.listLeases().length,
                     isDirty: this.isDirty,
                     lastSaved: this.lastSaved,
                     initialized: this.initialized,
@@ -7,6 +7,7 @@
  * 3. 实现自动任务完成机制
  * 4. 提供统一的任务状态管理
  * 5. 错误检测和重试逻辑
+ * 6. 任务租约：多个agent并行时每个任务同一时刻只分配给一个agent，租约过期后任务自动重新排队
  */
 
 import fs from 'fs/promises';
@@ -18,6 +19,7 @@ export class UnifiedTaskManager {
         // 依赖注入（ServiceBus格式：config, dependencies, serviceBus）
         this.taskValidator = dependencies.unifiedTaskValidator;  // UnifiedTaskValidator
         this.taskStateManager = dependencies.taskStateManager;
+        this.projectSessionStore = dependencies.projectSessionStore;   // 按租约保存的任务上下文
         this.logger = dependencies.logger || console;
         this.serviceBus = serviceBus;
         
@@ -25,6 +27,7 @@ export class UnifiedTaskManager {
         this.currentTasks = new Map();
         this.completedTasks = new Map();
         this.taskMetadata = new Map();
+        this.pendingTaskLoads = new Map();   // 项目+步骤 → 进行中的批量创建
         
         // 步骤配置
         this.stepConfigs = {
@@ -51,6 +54,24 @@ export class UnifiedTaskManager {
                 validationType: 'architecture_files',
                 autoComplete: true,
                 maxRetries: 2
+            },
+            fix: {
+                name: 'Bug Fix Notes',
+                validationType: 'fix_notes',
+                autoComplete: true,
+                maxRetries: 3
+            },
+            analyze: {
+                name: 'Module Health Reports',
+                validationType: 'health_report',
+                autoComplete: true,
+                maxRetries: 3
+            },
+            create: {
+                name: 'Create Workflow Tasks',
+                validationType: 'create_outputs',
+                autoComplete: true,
+                maxRetries: 3
             }
         };
         
@@ -105,21 +126,40 @@ export class UnifiedTaskManager {
     }
 
     /**
-     * 获取当前任务 - 返回下一个待处理任务
+     * 获取当前任务 - 返回下一个待处理任务，指定所有者时为其领取租约
+     * @param {string} projectPath - 项目路径
+     * @param {string} stepType - 步骤类型
+     * @param {Object} [options]
+     * @param {string} [options.ownerId] - 租约所有者（agent ID），缺省时不领取租约（单agent顺序处理）
+     * @param {number} [options.leaseTTL] - 租期（毫秒）
      */
-    async getNextTask(projectPath, stepType = 'step3') {
+    async getNextTask(projectPath, stepType = 'step3', options = {}) {
+        const { ownerId = null, leaseTTL } = options;
         try {
+            this.requeueExpiredLeases();
+            
             // 查找指定步骤的待处理任务
             for (const [taskId, task] of this.currentTasks.entries()) {
                 if (task.stepType === stepType && 
                     task.status === 'pending' && 
                     task.projectPath === projectPath) {
                     
+                    // 领取租约（与状态修改之间没有await，并发调用不会领到同一任务）
+                    const claim = ownerId ? this.taskStateManager?.claimTask(taskId, ownerId, {
+                        ttl: leaseTTL,
+                        projectPath,
+                        stepType
+                    }) : null;
+                    if (claim && !claim.success) {
+                        continue;
+                    }
+                    
                     // 标记为处理中
                     task.status = 'in_progress';
                     task.updatedAt = new Date().toISOString();
+                    task.lease = claim?.lease || null;
                     
-                    this.logger.info(`Retrieved next task: ${taskId} (${stepType})`);
+                    this.logger.info(`Retrieved next task: ${taskId} (${stepType})${ownerId ? ` for ${ownerId}` : ''}`);
                     return task;
                 }
             }
@@ -213,6 +253,8 @@ export class UnifiedTaskManager {
             }
             
             // 更新任务状态
+            this.taskStateManager?.releaseTaskLease(taskId);
+            task.lease = null;
             task.status = 'completed';
             task.completedAt = new Date().toISOString();
             task.updatedAt = new Date().toISOString();
@@ -314,6 +356,7 @@ export class UnifiedTaskManager {
                         createdAt: task.createdAt,
                         updatedAt: task.updatedAt,
                         retryCount: task.retryCount,
+                        lease: task.lease || null,
                         metadata: task.metadata
                     }
                 };
@@ -343,6 +386,208 @@ export class UnifiedTaskManager {
         }
     }
 
+    /**
+     * 把租约已过期的处理中任务放回队列，并删除这些租约的任务上下文
+     * @returns {Array<Object>} 已过期的租约
+     */
+    requeueExpiredLeases() {
+        const expired = this.taskStateManager?.reclaimExpiredLeases() || [];
+        
+        for (const lease of expired) {
+            if (lease.projectPath) {
+                this.projectSessionStore?.clearTaskContext(lease.projectPath, lease.leaseId);
+            }
+            const task = this.currentTasks.get(lease.taskId);
+            if (task && task.status === 'in_progress' && task.lease?.leaseId === lease.leaseId) {
+                task.status = 'pending';
+                task.lease = null;
+                task.updatedAt = new Date().toISOString();
+                task.expiredLeases = (task.expiredLeases || 0) + 1;
+                this.logger.warn(`Lease on task ${task.id} held by ${lease.ownerId} expired, task re-queued`);
+            }
+        }
+        return expired;
+    }
+
+    /**
+     * 从任务上下文恢复租约 - 服务重启后租约只保存在 mg_kiro/.tmp/leases/ 的上下文中
+     * 项目任务已载入时，只有任务仍待处理（或已由同一租约持有）才恢复，并标记为处理中；
+     * 任务尚未载入时先登记租约，载入任务时再同步任务状态。无法恢复的上下文被删除
+     * @param {string} projectPath - 项目路径
+     * @param {string} leaseId - 租约ID
+     * @returns {Object|null} 恢复的租约
+     */
+    restoreLease(projectPath, leaseId) {
+        const context = this.projectSessionStore?.getTaskContext(projectPath, leaseId);
+        if (!context || !this.taskStateManager) {
+            return null;
+        }
+        
+        const task = this.currentTasks.get(context.taskId);
+        let restorable = context.lease?.leaseId === leaseId;
+        if (restorable && task) {
+            restorable = task.projectPath === projectPath &&
+                (task.status === 'pending' || (task.status === 'in_progress' && task.lease?.leaseId === leaseId));
+        } else if (restorable) {
+            // 任务已载入但不存在（已完成或已被替换）时不能恢复
+            restorable = !this.hasProjectTasks(projectPath, context.lease.stepType || 'step3');
+        }
+        const result = restorable ? this.taskStateManager.restoreLease(context.lease) : null;
+        if (!result?.success) {
+            this.projectSessionStore.clearTaskContext(projectPath, leaseId);
+            this.logger.warn(`Lease ${leaseId} on task ${context.taskId} could not be restored${result?.message ? `: ${result.message}` : ''}`);
+            return null;
+        }
+        
+        if (task) {
+            task.status = 'in_progress';
+            task.lease = result.lease;
+            task.updatedAt = new Date().toISOString();
+        }
+        return result.lease;
+    }
+
+    /**
+     * 恢复项目在指定步骤的全部租约（任务载入后调用）
+     * @returns {Array<Object>} 恢复的租约
+     */
+    restoreLeases(projectPath, stepType = 'step3') {
+        const restored = [];
+        for (const { leaseId, context } of this.projectSessionStore?.listLeaseContexts(projectPath) || []) {
+            if ((context.lease?.stepType || stepType) !== stepType) {
+                continue;
+            }
+            const lease = this.restoreLease(projectPath, leaseId);
+            if (lease) {
+                restored.push(lease);
+            }
+        }
+        
+        if (restored.length > 0) {
+            this.logger.info(`Restored ${restored.length} ${stepType} leases of ${projectPath}: ${restored.map(lease => `${lease.taskId}(${lease.ownerId})`).join(', ')}`);
+        }
+        return restored;
+    }
+
+    /**
+     * 获取项目中由agent持有租约、正在处理的任务
+     */
+    getLeasedTasks(projectPath, stepType = 'step3') {
+        return Array.from(this.currentTasks.values()).filter(task =>
+            task.projectPath === projectPath &&
+            task.stepType === stepType &&
+            task.status === 'in_progress' &&
+            task.lease
+        );
+    }
+
+    /**
+     * 获取尚未完成的任务（pending 或 in_progress）
+     */
+    getActiveTask(taskId) {
+        const task = this.currentTasks.get(taskId);
+        return task && (task.status === 'pending' || task.status === 'in_progress') ? task : null;
+    }
+
+    /**
+     * 获取项目在指定步骤尚未完成的任务
+     */
+    getProjectTasks(projectPath, stepType = 'step3') {
+        return Array.from(this.currentTasks.values()).filter(task =>
+            task.projectPath === projectPath && task.stepType === stepType
+        );
+    }
+
+    /**
+     * 从队列中移除未完成的任务（不计入完成统计），如已在其他进程完成的任务
+     * @returns {boolean} 是否移除
+     */
+    discardTask(taskId) {
+        if (!this.currentTasks.delete(taskId)) {
+            return false;
+        }
+        this.taskMetadata.delete(taskId);
+        this.taskStateManager?.releaseTaskLease(taskId);
+        this.logger.info(`Discarded task ${taskId}`);
+        return true;
+    }
+
+    /**
+     * 项目在指定步骤是否已有任务（含已完成任务）
+     */
+    hasProjectTasks(projectPath, stepType = 'step3') {
+        for (const task of [...this.currentTasks.values(), ...this.completedTasks.values()]) {
+            if (task.projectPath === projectPath && task.stepType === stepType) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * 移除项目在指定步骤的全部任务（含已完成任务）及其租约
+     * 重新执行Step2时新的任务计划替换旧的任务队列
+     * @returns {number} 移除的任务数
+     */
+    clearProjectTasks(projectPath, stepType = 'step3') {
+        let removed = 0;
+        for (const tasks of [this.currentTasks, this.completedTasks]) {
+            for (const [taskId, task] of tasks) {
+                if (task.projectPath === projectPath && task.stepType === stepType) {
+                    tasks.delete(taskId);
+                    this.taskMetadata.delete(taskId);
+                    this.taskStateManager?.releaseTaskLease(taskId);
+                    removed++;
+                }
+            }
+        }
+        
+        // 旧任务的租约上下文不能用于新任务（任务ID可能相同）
+        for (const { leaseId, context } of this.projectSessionStore?.listLeaseContexts(projectPath) || []) {
+            if ((context.lease?.stepType || stepType) === stepType) {
+                this.projectSessionStore.clearTaskContext(projectPath, leaseId);
+            }
+        }
+
+        if (removed > 0) {
+            this.logger.info(`Cleared ${removed} ${stepType} tasks of ${projectPath}`);
+        }
+        return removed;
+    }
+
+    /**
+     * 项目在指定步骤尚无任务时批量创建，已有任务时不做任何事
+     * 多个agent同时开始时共用同一次创建，避免任务被重复载入
+     */
+    async ensureProjectTasks(taskDefinitions, projectPath, stepType = 'step3') {
+        // 创建过程中已有部分任务，先等待创建完成，不能据此判断任务已载入
+        const key = `${projectPath}:${stepType}`;
+        if (this.pendingTaskLoads.has(key)) {
+            await this.pendingTaskLoads.get(key);
+            return { success: true, tasks: [], count: 0 };
+        }
+        if (this.hasProjectTasks(projectPath, stepType)) {
+            return { success: true, tasks: [], count: 0 };
+        }
+
+        // 服务重启后重新载入任务时，恢复各agent仍持有的租约
+        const pending = this.createBatchTasks(taskDefinitions, projectPath, stepType)
+            .then(result => {
+                this.restoreLeases(projectPath, stepType);
+                return result;
+            })
+            .finally(() => this.pendingTaskLoads.delete(key));
+        this.pendingTaskLoads.set(key, pending);
+        return pending;
+    }
+
+    /**
+     * 项目在指定步骤是否正在批量创建任务
+     */
+    isLoadingProjectTasks(projectPath, stepType = 'step3') {
+        return this.pendingTaskLoads.has(`${projectPath}:${stepType}`);
+    }
+
     /**
      * 批量创建任务 - 用于Step3的多批次任务
      */
@@ -402,6 +647,7 @@ export class UnifiedTaskManager {
             this.currentTasks.clear();
             this.completedTasks.clear();
             this.taskMetadata.clear();
+            this.taskStateManager?.clearLeases();
             
             // 重置统计
             this.statistics = {
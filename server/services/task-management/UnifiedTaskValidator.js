@@ -12,6 +12,9 @@
  * - Step4: 检查模块文档文件夹是否有.md文件  
  * - Step5: 检查 relations.md 是否存在
  * - Step6: 检查 README.md, architecture.md 是否存在
+ * - Fix: 检查根因说明/回归测试说明是否存在且包含必需章节
+ * - Analyze: 检查模块健康报告是否存在、包含必需章节并引用热点文件
+ * - Create: 检查需求/方案/变更摘要文档，以及实现任务的文件变更
  * 
  * 设计理念：
  * - 精确优于模糊：基于具体任务和文件进行验证
@@ -38,6 +41,7 @@ export class UnifiedTaskValidator {
         this.unifiedTaskManager = null; // 将在后续通过injectDependencies设置
         this.taskStateManager = dependencies.taskStateManager;
         this.fileAnalysisModule = dependencies.fileAnalysisModule;
+        this.projectSessionStore = dependencies.projectSessionStore;
         this.serviceBus = serviceBus;
 
         // 步骤验证器映射
@@ -45,7 +49,10 @@ export class UnifiedTaskValidator {
             'step3': null,  // Step3FolderValidator
             'step4': null,  // Step4ModuleValidator  
             'step5': null,  // Step5FixedFileValidator
-            'step6': null   // Step6ArchitectureValidator
+            'step6': null,  // Step6ArchitectureValidator
+            'fix': null,      // FixNoteValidator
+            'analyze': null,  // AnalysisReportValidator
+            'create': null    // CreateTaskValidator
         };
     }
 
@@ -59,7 +66,10 @@ export class UnifiedTaskValidator {
         step3Validator,
         step4Validator,
         step5Validator,
-        step6Validator
+        step6Validator,
+        fixValidator,
+        analyzeValidator,
+        createValidator
     }) {
         this.unifiedTaskManager = unifiedTaskManager;
         this.taskStateManager = taskStateManager;
@@ -68,6 +78,9 @@ export class UnifiedTaskValidator {
         this.stepValidators.step4 = step4Validator;
         this.stepValidators.step5 = step5Validator;
         this.stepValidators.step6 = step6Validator;
+        this.stepValidators.fix = fixValidator;
+        this.stepValidators.analyze = analyzeValidator;
+        this.stepValidators.create = createValidator;
     }
 
     /**
@@ -106,6 +119,8 @@ export class UnifiedTaskValidator {
             let taskContext = null;
             if (detectedStepType === 'step3' && this.fileAnalysisModule) {
                 taskContext = await this._getTaskContext(taskId, projectPath);
+            } else if (['fix', 'analyze', 'create'].includes(detectedStepType)) {
+                taskContext = await this._getManagedTaskContext(taskId, projectPath);
             }
 
             // 执行验证
@@ -117,8 +132,15 @@ export class UnifiedTaskValidator {
                 taskContext
             );
 
+            if (validationResult.frontmatter) {
+                this._recordDocSources(projectPath, validationResult.frontmatter);
+            }
+
             const processingTime = Date.now() - startTime;
 
+            // 验证器检测过文档后，通知资源服务刷新（新增/变更文档 -> MCP资源更新通知）
+            await this._notifyDocsRefreshed(projectPath);
+
             // 处理验证结果
             if (validationResult.isValid) {
                 // 验证通过，自动完成任务
@@ -227,8 +249,9 @@ export class UnifiedTaskValidator {
                 return null;
             }
 
-            // 从FileAnalysisModule获取任务定义和相关文件信息
-            const taskDefinition = await this.fileAnalysisModule.getTaskDefinition(taskId);
+            // 从FileAnalysisModule获取任务定义和相关文件信息（服务重启后从持久化的Step2结果恢复）
+            const taskDefinition = await this.fileAnalysisModule.getTaskDefinition(taskId)
+                || await this._restoreTaskDefinition(taskId, projectPath);
             if (!taskDefinition) {
                 console.warn(`[UnifiedTaskValidator] 无法找到任务 ${taskId} 的定义`);
                 return null;
@@ -250,6 +273,48 @@ export class UnifiedTaskValidator {
         }
     }
 
+    /**
+     * 服务重启后FileAnalysisModule中没有任务定义：从项目状态中的Step2结果重新登记
+     * @private
+     */
+    async _restoreTaskDefinition(taskId, projectPath) {
+        if (!this.projectSessionStore?.hasState(projectPath)) {
+            return null;
+        }
+
+        const state = this.projectSessionStore.getState(projectPath);
+        const taskDefinitions = state?.stepResults?.step2?.analysisResult?.data?.taskDefinitions || [];
+        if (!taskDefinitions.some(definition => definition.id === taskId)) {
+            return null;
+        }
+
+        this.fileAnalysisModule.registerTaskDefinitions(taskDefinitions, resolve(projectPath));
+        console.log(`[UnifiedTaskValidator] 已从Step2结果恢复 ${taskDefinitions.length} 个任务定义: ${projectPath}`);
+        return this.fileAnalysisModule.getTaskDefinition(taskId);
+    }
+
+    /**
+     * 获取任务上下文（从UnifiedTaskManager中的任务元数据）
+     * @private
+     */
+    async _getManagedTaskContext(taskId, projectPath) {
+        if (!this.unifiedTaskManager) {
+            return null;
+        }
+
+        const status = await this.unifiedTaskManager.getTaskStatus(taskId);
+        if (!status.success || !status.task) {
+            console.warn(`[UnifiedTaskValidator] 任务管理器中没有任务 ${taskId}`);
+            return null;
+        }
+
+        return {
+            taskId,
+            projectPath,
+            metadata: status.task.metadata || {}
+        };
+    }
+
     /**
      * 验证输入参数
      * @private
@@ -315,7 +380,8 @@ export class UnifiedTaskValidator {
             const result = await validator.validate(taskId, projectPath, {
                 timeoutMs: this.config.timeoutMs,
                 detailedErrors: this.config.detailedErrorReporting,
-                taskContext  // 传递任务上下文（包含FileAnalysisModule的任务定义）
+                taskContext,  // 传递任务上下文（包含FileAnalysisModule的任务定义）
+                docSources: stepType === 'step3' ? this._getDocSources(projectPath) : undefined
             });
 
             return result;
@@ -332,6 +398,43 @@ export class UnifiedTaskValidator {
         }
     }
 
+    /**
+     * 项目状态中的文档来源索引（文档相对路径 -> { taskId, sources }）
+     * @private
+     */
+    _getDocSources(projectPath) {
+        if (!this.projectSessionStore?.hasState(projectPath)) {
+            return {};
+        }
+        return this.projectSessionStore.getState(projectPath)?.docSources || {};
+    }
+
+    /**
+     * 把Step3验证写入/改写的文档来源写回文档来源索引
+     * 写回前重新读取项目状态，只改动本次涉及的文档，其他进程同时记录的文档不会被覆盖
+     * @private
+     */
+    _recordDocSources(projectPath, { documents = {}, supersededDocs = [], missingDocs = [] }) {
+        if (!this.projectSessionStore?.hasState(projectPath)) {
+            return;
+        }
+
+        const docSources = { ...this._getDocSources(projectPath), ...documents };
+        for (const { document, sources } of supersededDocs) {
+            if (!docSources[document]) continue;
+            const released = new Set(sources);
+            docSources[document] = {
+                ...docSources[document],
+                sources: docSources[document].sources.filter(sourcePath => !released.has(sourcePath))
+            };
+        }
+        for (const document of missingDocs) {
+            delete docSources[document];
+        }
+
+        this.projectSessionStore.updateState(projectPath, { docSources });
+    }
+
     /**
      * 自动完成任务
      * @private
@@ -384,6 +487,23 @@ export class UnifiedTaskValidator {
         }
     }
 
+    /**
+     * 通知文档资源服务重新扫描项目文档
+     * @private
+     */
+    async _notifyDocsRefreshed(projectPath) {
+        const docResourceService = this.serviceBus?.get('docResourceService');
+        if (!docResourceService) {
+            return;
+        }
+
+        try {
+            await docResourceService.refreshProject(projectPath);
+        } catch (error) {
+            console.warn(`[UnifiedTaskValidator] 文档资源刷新失败: ${error.message}`);
+        }
+    }
+
     /**
      * 创建错误响应
      * @private
@@ -0,0 +1,216 @@
+/**
+ * 健康报告验证器 - 检查Analyze模式生成的模块健康报告
+ *
+ * 验证策略：
+ * - 根据任务元数据中的 reportPath 定位报告（mg_kiro/analysis/<模块>/health-report.md）
+ * - 检查文件存在、不小于最小长度
+ * - 检查包含必需章节：规模与复杂度、依赖关系、TODO、测试、改进建议
+ * - 模块存在复杂度热点时，报告必须至少提到其中一个热点文件，确保结论基于 metrics.json
+ *
+ * 设计理念：
+ * - 与Step3-6验证器保持一致的结果结构（isValid / errorCode / suggestions / missingFiles）
+ * - 失败时给出可直接执行的修复建议
+ */
+
+import { promises as fs } from 'fs';
+import { join, resolve } from 'path';
+
+export class AnalysisReportValidator {
+    constructor(config = {}) {
+        this.config = {
+            minFileSize: 500,                   // 最小文件大小（字节）
+            requiredHeadings: ['规模与复杂度', '依赖关系', 'TODO', '测试', '改进建议'],
+            requireHotspotReference: true,
+            ...config
+        };
+
+        // 错误代码映射
+        this.errorCodes = {
+            MISSING_TASK_CONTEXT: 'ANALYZE_MISSING_TASK_CONTEXT',
+            FILE_NOT_FOUND: 'ANALYZE_REPORT_NOT_FOUND',
+            FILE_TOO_SMALL: 'ANALYZE_REPORT_TOO_SMALL',
+            MISSING_HEADINGS: 'ANALYZE_REPORT_MISSING_HEADINGS',
+            MISSING_HOTSPOTS: 'ANALYZE_REPORT_MISSING_HOTSPOTS',
+            ACCESS_DENIED: 'ANALYZE_ACCESS_DENIED'
+        };
+    }
+
+    /**
+     * 验证健康报告
+     * @param {string} taskId - 任务ID
+     * @param {string} projectPath - 项目路径
+     * @param {Object} options - 验证选项（taskContext.metadata 包含 reportPath、metricsPath）
+     * @returns {Promise<Object>} 验证结果
+     */
+    async validate(taskId, projectPath, options = {}) {
+        console.log(`[AnalysisReportValidator] 开始验证: ${taskId} 项目: ${projectPath}`);
+
+        const startTime = Date.now();
+        const metadata = options.taskContext?.metadata || {};
+        const { reportPath, metricsPath } = metadata;
+
+        let result;
+        if (!reportPath) {
+            result = this._createErrorResult(
+                this.errorCodes.MISSING_TASK_CONTEXT,
+                `任务 ${taskId} 缺少报告路径信息`,
+                { suggestions: ['请使用 analyze_step2_get_next_task 获取任务，不要手动构造taskId'] }
+            );
+        } else {
+            result = await this._validateReport(resolve(projectPath), reportPath, metricsPath);
+        }
+
+        result.metadata = {
+            ...result.metadata,
+            taskId,
+            projectPath,
+            validator: 'AnalysisReportValidator',
+            processingTime: Date.now() - startTime,
+            timestamp: new Date().toISOString()
+        };
+
+        console.log(`[AnalysisReportValidator] 验证完成: ${result.isValid ? '通过' : '失败'}`);
+        return result;
+    }
+
+    /**
+     * 检查报告的存在性、长度、必需章节和热点引用
+     * @private
+     */
+    async _validateReport(projectPath, reportPath, metricsPath) {
+        const absolutePath = join(projectPath, reportPath);
+
+        let content;
+        try {
+            content = await fs.readFile(absolutePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return this._createErrorResult(
+                    this.errorCodes.FILE_NOT_FOUND,
+                    `健康报告不存在: ${reportPath}`,
+                    {
+                        expectedPath: absolutePath,
+                        missingFiles: [absolutePath],
+                        suggestions: [
+                            `请创建 ${reportPath}`,
+                            `报告需包含章节: ${this.config.requiredHeadings.map(heading => `## ${heading}`).join('、')}`
+                        ]
+                    }
+                );
+            }
+
+            return this._createErrorResult(
+                this.errorCodes.ACCESS_DENIED,
+                `读取健康报告失败: ${error.message}`,
+                { expectedPath: absolutePath }
+            );
+        }
+
+        const size = Buffer.byteLength(content, 'utf8');
+        if (size < this.config.minFileSize) {
+            return this._createErrorResult(
+                this.errorCodes.FILE_TOO_SMALL,
+                `健康报告内容过少 (${size} 字节，至少 ${this.config.minFileSize} 字节)`,
+                {
+                    filePath: absolutePath,
+                    actualSize: size,
+                    minRequiredSize: this.config.minFileSize,
+                    suggestions: [`请根据指标补充 ${reportPath} 的分析内容，而不是只写标题`]
+                }
+            );
+        }
+
+        const headings = content
+            .split('\n')
+            .filter(line => /^#{1,6}\s+/.test(line))
+            .map(line => line.replace(/^#{1,6}\s+/, '').trim());
+        const missingHeadings = this.config.requiredHeadings.filter(required =>
+            !headings.some(heading => heading.includes(required))
+        );
+
+        if (missingHeadings.length > 0) {
+            return this._createErrorResult(
+                this.errorCodes.MISSING_HEADINGS,
+                `健康报告缺少必需章节: ${missingHeadings.join('、')}`,
+                {
+                    filePath: absolutePath,
+                    missingHeadings,
+                    suggestions: missingHeadings.map(heading => `在 ${reportPath} 中添加 "## ${heading}" 章节`)
+                }
+            );
+        }
+
+        const hotspots = await this._loadHotspots(projectPath, metricsPath);
+        if (this.config.requireHotspotReference && hotspots.length > 0 &&
+            !hotspots.some(hotspot => content.includes(hotspot))) {
+            return this._createErrorResult(
+                this.errorCodes.MISSING_HOTSPOTS,
+                '健康报告没有提到任何复杂度热点文件',
+                {
+                    filePath: absolutePath,
+                    hotspots,
+                    suggestions: [`请在报告中分析热点文件，例如 ${hotspots[0]}`]
+                }
+            );
+        }
+
+        return {
+            isValid: true,
+            step: 'analysis_report_check',
+            filePath: absolutePath,
+            properties: {
+                size,
+                headings
+            }
+        };
+    }
+
+    /**
+     * 读取指标文件中的热点文件路径（指标缺失时不做热点检查）
+     * @private
+     */
+    async _loadHotspots(projectPath, metricsPath) {
+        if (!metricsPath) {
+            return [];
+        }
+
+        try {
+            const metrics = JSON.parse(await fs.readFile(join(projectPath, metricsPath), 'utf8'));
+            return (metrics.summary?.hotspots || []).map(hotspot => hotspot.path);
+        } catch (error) {
+            console.warn(`[AnalysisReportValidator] 读取指标失败: ${metricsPath} - ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * 创建错误结果
+     * @private
+     */
+    _createErrorResult(errorCode, message, details = {}) {
+        return {
+            isValid: false,
+            errorCode,
+            message,
+            ...details,
+            metadata: {
+                validator: 'AnalysisReportValidator',
+                errorType: 'validation_failed',
+                ...details.metadata
+            }
+        };
+    }
+
+    /**
+     * 获取验证器状态
+     */
+    getValidatorStatus() {
+        return {
+            name: 'AnalysisReportValidator',
+            version: '1.0.0',
+            config: this.config
+        };
+    }
+}
+
+export default AnalysisReportValidator;
@@ -0,0 +1,318 @@
+/**
+ * Create 任务验证器 - 检查Create模式各阶段的产出
+ *
+ * 验证策略（根据任务元数据中的 taskKind）：
+ * - requirement: 需求文档存在、长度达标、包含必需章节
+ * - impact_analysis / architecture_design: 计划文档包含必需章节，且"实现计划"中至少有一条文件变更
+ * - implementation: 按变更类型检查文件（创建/修改需存在且在流程开始后有改动，删除需不存在）
+ * - doc_update: 变更摘要包含必需章节，且受影响文件的分析文档在流程开始后已更新
+ *
+ * 设计理念：
+ * - 与Step3-6验证器保持一致的结果结构（isValid / errorCode / suggestions / missingFiles）
+ * - 失败时给出可直接执行的修复建议
+ */
+
+import { promises as fs } from 'fs';
+import { join, resolve } from 'path';
+import { parseImplementationPlan } from '../../create-workflow/implementation-plan.js';
+
+export class CreateTaskValidator {
+    constructor(config = {}) {
+        this.config = {
+            minFileSize: 300,                   // 文档最小大小（字节）
+            docRequirements: {
+                requirement: {
+                    title: '需求文档',
+                    requiredHeadings: ['需求描述', '功能需求', '验收标准']
+                },
+                impact_analysis: {
+                    title: '影响分析',
+                    requiredHeadings: ['受影响模块', '风险评估', '实现计划'],
+                    requirePlan: true
+                },
+                architecture_design: {
+                    title: '架构设计',
+                    requiredHeadings: ['技术栈', '目录结构', '实现计划'],
+                    requirePlan: true
+                },
+                doc_update: {
+                    title: '变更摘要',
+                    requiredHeadings: ['变更摘要', '文档更新']
+                }
+            },
+            ...config
+        };
+
+        // 错误代码映射
+        this.errorCodes = {
+            MISSING_TASK_CONTEXT: 'CREATE_MISSING_TASK_CONTEXT',
+            UNKNOWN_TASK_KIND: 'CREATE_UNKNOWN_TASK_KIND',
+            FILE_NOT_FOUND: 'CREATE_DOC_NOT_FOUND',
+            FILE_TOO_SMALL: 'CREATE_DOC_TOO_SMALL',
+            MISSING_HEADINGS: 'CREATE_DOC_MISSING_HEADINGS',
+            EMPTY_PLAN: 'CREATE_EMPTY_PLAN',
+            FILE_CHANGES_MISSING: 'CREATE_FILE_CHANGES_MISSING',
+            DOCS_NOT_UPDATED: 'CREATE_DOCS_NOT_UPDATED',
+            ACCESS_DENIED: 'CREATE_ACCESS_DENIED'
+        };
+    }
+
+    /**
+     * 验证Create任务
+     * @param {string} taskId - 任务ID
+     * @param {string} projectPath - 项目路径
+     * @param {Object} options - 验证选项（taskContext.metadata 包含 taskKind 及对应信息）
+     * @returns {Promise<Object>} 验证结果
+     */
+    async validate(taskId, projectPath, options = {}) {
+        console.log(`[CreateTaskValidator] 开始验证: ${taskId} 项目: ${projectPath}`);
+
+        const startTime = Date.now();
+        const metadata = options.taskContext?.metadata || {};
+        const normalizedPath = resolve(projectPath);
+
+        let result;
+        if (!metadata.taskKind) {
+            result = this._createErrorResult(
+                this.errorCodes.MISSING_TASK_CONTEXT,
+                `任务 ${taskId} 缺少任务类型信息`,
+                { suggestions: ['请使用 create_step2_get_next_task 获取任务，不要手动构造taskId'] }
+            );
+        } else if (metadata.taskKind === 'implementation') {
+            result = await this._validateFileChanges(normalizedPath, metadata);
+        } else if (!this.config.docRequirements[metadata.taskKind]) {
+            result = this._createErrorResult(
+                this.errorCodes.UNKNOWN_TASK_KIND,
+                `不支持的任务类型: ${metadata.taskKind}`,
+                { supportedKinds: ['implementation', ...Object.keys(this.config.docRequirements)] }
+            );
+        } else {
+            result = await this._validateDocument(normalizedPath, metadata);
+            if (result.isValid && metadata.taskKind === 'doc_update') {
+                result = await this._validateDocsUpdated(normalizedPath, metadata, result);
+            }
+        }
+
+        result.metadata = {
+            ...result.metadata,
+            taskId,
+            projectPath,
+            validator: 'CreateTaskValidator',
+            processingTime: Date.now() - startTime,
+            timestamp: new Date().toISOString()
+        };
+
+        console.log(`[CreateTaskValidator] 验证完成: ${result.isValid ? '通过' : '失败'}`);
+        return result;
+    }
+
+    /**
+     * 检查文档的存在性、长度、必需章节和实现计划
+     * @private
+     */
+    async _validateDocument(projectPath, { taskKind, docPath }) {
+        const requirement = this.config.docRequirements[taskKind];
+        const absolutePath = join(projectPath, docPath);
+
+        let content;
+        try {
+            content = await fs.readFile(absolutePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return this._createErrorResult(
+                    this.errorCodes.FILE_NOT_FOUND,
+                    `${requirement.title}不存在: ${docPath}`,
+                    {
+                        expectedPath: absolutePath,
+                        missingFiles: [absolutePath],
+                        suggestions: [
+                            `请创建 ${docPath}`,
+                            `文档需包含章节: ${requirement.requiredHeadings.map(heading => `## ${heading}`).join('、')}`
+                        ]
+                    }
+                );
+            }
+
+            return this._createErrorResult(
+                this.errorCodes.ACCESS_DENIED,
+                `读取${requirement.title}失败: ${error.message}`,
+                { expectedPath: absolutePath }
+            );
+        }
+
+        const size = Buffer.byteLength(content, 'utf8');
+        if (size < this.config.minFileSize) {
+            return this._createErrorResult(
+                this.errorCodes.FILE_TOO_SMALL,
+                `${requirement.title}内容过少 (${size} 字节，至少 ${this.config.minFileSize} 字节)`,
+                {
+                    filePath: absolutePath,
+                    actualSize: size,
+                    minRequiredSize: this.config.minFileSize,
+                    suggestions: [`请补充 ${docPath} 的内容，而不是只写标题`]
+                }
+            );
+        }
+
+        const headings = content
+            .split('\n')
+            .filter(line => /^#{1,6}\s+/.test(line))
+            .map(line => line.replace(/^#{1,6}\s+/, '').trim());
+        const missingHeadings = requirement.requiredHeadings.filter(required =>
+            !headings.some(heading => heading.includes(required))
+        );
+
+        if (missingHeadings.length > 0) {
+            return this._createErrorResult(
+                this.errorCodes.MISSING_HEADINGS,
+                `${requirement.title}缺少必需章节: ${missingHeadings.join('、')}`,
+                {
+                    filePath: absolutePath,
+                    missingHeadings,
+                    suggestions: missingHeadings.map(heading => `在 ${docPath} 中添加 "## ${heading}" 章节`)
+                }
+            );
+        }
+
+        let plan = null;
+        if (requirement.requirePlan) {
+            plan = parseImplementationPlan(content);
+            if (plan.length === 0) {
+                return this._createErrorResult(
+                    this.errorCodes.EMPTY_PLAN,
+                    `${requirement.title}的"实现计划"中没有可识别的文件变更`,
+                    {
+                        filePath: absolutePath,
+                        suggestions: [
+                            '在 "## 实现计划" 下按行列出文件变更，例如: - [创建] `src/models/coupon.js` - 优惠券模型',
+                            '变更类型可用: 创建 / 修改 / 删除，可用 "### 阶段名" 划分阶段'
+                        ]
+                    }
+                );
+            }
+        }
+
+        return {
+            isValid: true,
+            step: 'create_doc_check',
+            filePath: absolutePath,
+            taskKind,
+            properties: {
+                size,
+                headings,
+                ...(plan ? { plan } : {})
+            }
+        };
+    }
+
+    /**
+     * 按变更类型检查实现任务涉及的文件
+     * @private
+     */
+    async _validateFileChanges(projectPath, { files = [], since }) {
+        const sinceMs = since ? Date.parse(since) : 0;
+        const problems = [];
+
+        for (const { path, changeType } of files) {
+            const absolutePath = join(projectPath, path);
+            let stats = null;
+            try {
+                stats = await fs.stat(absolutePath);
+            } catch (error) {
+                // 文件不存在
+            }
+
+            if (changeType === 'delete') {
+                if (stats) problems.push({ path, changeType, reason: '文件仍然存在' });
+            } else if (!stats) {
+                problems.push({ path, changeType, reason: '文件不存在' });
+            } else if (changeType === 'modify' && stats.mtimeMs < sinceMs) {
+                problems.push({ path, changeType, reason: '流程开始后文件没有改动' });
+            }
+        }
+
+        if (problems.length > 0) {
+            return this._createErrorResult(
+                this.errorCodes.FILE_CHANGES_MISSING,
+                `${problems.length} 个文件的变更尚未完成`,
+                {
+                    problems,
+                    missingFiles: problems.filter(problem => problem.reason === '文件不存在').map(problem => join(projectPath, problem.path)),
+                    suggestions: problems.map(problem => `${problem.path}: ${problem.reason}`)
+                }
+            );
+        }
+
+        return {
+            isValid: true,
+            step: 'create_file_changes_check',
+            properties: {
+                files
+            }
+        };
+    }
+
+    /**
+     * 检查受影响文件的分析文档在流程开始后已更新
+     * @private
+     */
+    async _validateDocsUpdated(projectPath, { docsToUpdate = [], since }, documentResult) {
+        const sinceMs = since ? Date.parse(since) : 0;
+        const staleDocs = [];
+
+        for (const docPath of docsToUpdate) {
+            try {
+                const stats = await fs.stat(join(projectPath, docPath));
+                if (stats.mtimeMs < sinceMs) staleDocs.push(docPath);
+            } catch (error) {
+                // 文档被删除（对应文件已删除）时不要求更新
+            }
+        }
+
+        if (staleDocs.length > 0) {
+            return this._createErrorResult(
+                this.errorCodes.DOCS_NOT_UPDATED,
+                `${staleDocs.length} 个受影响文件的分析文档尚未更新`,
+                {
+                    staleDocs,
+                    suggestions: staleDocs.map(docPath => `根据本次变更更新 ${docPath}`)
+                }
+            );
+        }
+
+        documentResult.properties.updatedDocs = docsToUpdate;
+        return documentResult;
+    }
+
+    /**
+     * 创建错误结果
+     * @private
+     */
+    _createErrorResult(errorCode, message, details = {}) {
+        return {
+            isValid: false,
+            errorCode,
+            message,
+            ...details,
+            metadata: {
+                validator: 'CreateTaskValidator',
+                errorType: 'validation_failed',
+                ...details.metadata
+            }
+        };
+    }
+
+    /**
+     * 获取验证器状态
+     */
+    getValidatorStatus() {
+        return {
+            name: 'CreateTaskValidator',
+            version: '1.0.0',
+            config: this.config,
+            supportedTaskKinds: ['implementation', ...Object.keys(this.config.docRequirements)]
+        };
+    }
+}
+
+export default CreateTaskValidator;
@@ -0,0 +1,364 @@
+/**
+ * 文档内容检查器 - Step4/5/6 验证器共用的内容级规则
+ *
+ * 检查规则（每条规则对应一个文档，可在验证器配置中覆盖）：
+ * - requiredHeadings: 必需章节，默认取 prompts/modes/init 下对应模板的二级标题
+ * - minHeadingCoverage: 必需章节的最低覆盖率（0-1），低于该值时失败
+ * - minLength: 最少非空白字符数（不含frontmatter）
+ * - mentions: 'modules' 要求提到每个模块名；'exports' 要求提到模块源文件导出的每个符号
+ *
+ * 设计理念：
+ * - 章节来源于模板，模板调整后验证规则自动跟随
+ * - 所有问题一次性返回，并附带可直接执行的修复建议
+ */
+
+import { promises as fs } from 'fs';
+import { join, resolve, relative, dirname, extname, basename, sep } from 'path';
+import { fileURLToPath } from 'url';
+import { parseDocFrontmatter } from '../../doc-freshness/doc-frontmatter.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const SOURCE_PATH_PATTERN = /[\w@.\/-]+\.(?:js|jsx|ts|tsx|mjs|cjs|py|go)\b/g;
+
+export class DocContentChecker {
+    constructor(config = {}) {
+        this.config = {
+            templatesPath: join(__dirname, '../../../../prompts/modes/init'),
+            mgKiroFolderName: 'mg_kiro',
+            modulesFolderName: 'modules',
+            overviewFileName: 'module-overview.md',
+            headingLevel: 2,                    // 从模板中提取的标题级别
+            minHeadingCoverage: 0.8,            // 默认章节覆盖率
+            sectionMarker: '模板',              // 模板集合文件中分隔各文档模板的标题标记
+            maxListedItems: 20,                 // 错误信息中最多列出的缺失项
+            ...config
+        };
+
+        // 模板标题缓存：template#section -> headings
+        this.templateHeadings = new Map();
+    }
+
+    /**
+     * 按规则检查单个文档
+     * @param {string} projectPath - 项目根目录
+     * @param {string} filePath - 文档绝对路径
+     * @param {Object} rule - 内容规则
+     * @param {string} [rule.template] - 模板路径（相对 prompts/modes/init）
+     * @param {string} [rule.templateSection] - 模板集合中的章节（如 'README.md'）
+     * @param {Array<string>} [rule.requiredHeadings] - 显式指定的必需章节（优先于模板）
+     * @param {number} [rule.minHeadingCoverage] - 章节覆盖率
+     * @param {number} [rule.minLength] - 最少非空白字符数
+     * @param {string} [rule.mentions] - 'modules' | 'exports'
+     * @param {string} [rule.moduleName] - mentions 为 'exports' 时的模块名
+     * @returns {Promise<Object>} { isValid, filePath, issues, stats }
+     */
+    async checkDocument(projectPath, filePath, rule = {}) {
+        const normalizedPath = resolve(projectPath);
+        const relativePath = relative(normalizedPath, filePath).split(sep).join('/');
+        const { body } = parseDocFrontmatter(await fs.readFile(filePath, 'utf8'));
+        const issues = [];
+        const stats = {};
+
+        // 1. 长度
+        stats.length = body.replace(/\s+/g, '').length;
+        if (rule.minLength && stats.length < rule.minLength) {
+            issues.push({
+                type: 'too_short',
+                message: `内容过少 (${stats.length} 字符，至少 ${rule.minLength} 字符)`,
+                suggestion: `补充 ${relativePath} 的实际分析内容（当前 ${stats.length} 字符，至少 ${rule.minLength} 字符），而不是只保留标题`
+            });
+        }
+
+        // 2. 必需章节
+        const requiredHeadings = rule.requiredHeadings || await this.getTemplateHeadings(rule.template, rule.templateSection);
+        if (requiredHeadings.length > 0) {
+            const docHeadings = this._extractHeadings(body).map(heading => heading.text.toLowerCase());
+            const missingHeadings = requiredHeadings.filter(required =>
+                !docHeadings.some(heading => heading.includes(required.toLowerCase()))
+            );
+            const coverage = (requiredHeadings.length - missingHeadings.length) / requiredHeadings.length;
+            const minCoverage = rule.minHeadingCoverage ?? this.config.minHeadingCoverage;
+            stats.headingCoverage = Math.round(coverage * 100) / 100;
+
+            if (coverage < minCoverage) {
+                const templateHint = rule.template ? `（参考模板 prompts/modes/init/${rule.template}）` : '';
+                issues.push({
+                    type: 'missing_headings',
+                    message: `章节覆盖率 ${Math.round(coverage * 100)}%，至少需要 ${Math.round(minCoverage * 100)}%`,
+                    missing: missingHeadings,
+                    suggestion: `在 ${relativePath} 中添加章节${templateHint}: ${this._listItems(missingHeadings.map(heading => `## ${heading}`))}`
+                });
+            }
+        }
+
+        // 3. 提及模块名 / 导出符号
+        if (rule.mentions === 'modules') {
+            const moduleNames = await this.listModuleNames(normalizedPath);
+            const lowerBody = body.toLowerCase();
+            const missingModules = moduleNames.filter(moduleName => !lowerBody.includes(moduleName.toLowerCase()));
+            stats.modules = moduleNames.length;
+            if (missingModules.length > 0) {
+                issues.push({
+                    type: 'missing_mentions',
+                    message: `没有提到 ${missingModules.length}/${moduleNames.length} 个模块`,
+                    missing: missingModules,
+                    suggestion: `在 ${relativePath} 中说明这些模块: ${this._listItems(missingModules)}`
+                });
+            }
+        } else if (rule.mentions === 'exports' && rule.moduleName) {
+            const exportedSymbols = await this.collectModuleExports(normalizedPath, rule.moduleName);
+            const missingSymbols = exportedSymbols.filter(({ symbol }) => !body.includes(symbol));
+            stats.exports = exportedSymbols.length;
+            if (missingSymbols.length > 0) {
+                issues.push({
+                    type: 'missing_mentions',
+                    message: `没有提到 ${missingSymbols.length}/${exportedSymbols.length} 个导出符号`,
+                    missing: missingSymbols.map(({ symbol, file }) => `${symbol} (${file})`),
+                    suggestion: `在 ${relativePath} 的接口章节说明这些导出: ${this._listItems(missingSymbols.map(({ symbol }) => symbol))}`
+                });
+            }
+        }
+
+        return {
+            isValid: issues.length === 0,
+            filePath,
+            relativePath,
+            issues,
+            stats
+        };
+    }
+
+    /**
+     * 获取模板中的必需章节
+     * @param {string} template - 模板路径（相对 prompts/modes/init）
+     * @param {string} [section] - 模板集合中的章节名
+     * @returns {Promise<Array<string>>}
+     */
+    async getTemplateHeadings(template, section = null) {
+        if (!template) return [];
+
+        const cacheKey = `${template}#${section || ''}`;
+        if (this.templateHeadings.has(cacheKey)) {
+            return this.templateHeadings.get(cacheKey);
+        }
+
+        let content;
+        try {
+            content = await fs.readFile(join(this.config.templatesPath, template), 'utf8');
+        } catch (error) {
+            console.warn(`[DocContentChecker] 无法读取模板 ${template}: ${error.message}`);
+            return [];
+        }
+
+        let headings = this._extractHeadings(content);
+        if (section) {
+            headings = this._sliceSection(headings, section);
+        }
+
+        const required = Array.from(new Set(headings
+            .filter(heading => heading.level === this.config.headingLevel)
+            .map(heading => heading.text)
+            .filter(text => text && !text.includes('{{') && !text.includes(this.config.sectionMarker))));
+
+        this.templateHeadings.set(cacheKey, required);
+        return required;
+    }
+
+    /**
+     * 列出模块名：modules/ 下的子目录，或扁平布局下的模块文档名
+     * @param {string} projectPath - 项目根目录
+     * @returns {Promise<Array<string>>}
+     */
+    async listModuleNames(projectPath) {
+        const modulesDir = join(projectPath, this.config.mgKiroFolderName, this.config.modulesFolderName);
+        let entries;
+        try {
+            entries = await fs.readdir(modulesDir, { withFileTypes: true });
+        } catch (error) {
+            return [];
+        }
+
+        const directories = entries.filter(entry => entry.isDirectory() && !entry.name.startsWith('.'));
+        const names = directories.length > 0
+            ? directories.map(entry => entry.name)
+            : entries
+                .filter(entry => entry.isFile() && extname(entry.name) === '.md' && entry.name !== this.config.overviewFileName)
+                .map(entry => basename(entry.name, '.md'));
+
+        return names.sort();
+    }
+
+    /**
+     * 收集模块源文件的导出符号
+     * 模块包含的源文件取自模块目录下文档中提到的、在项目中真实存在的源文件路径
+     * @param {string} projectPath - 项目根目录
+     * @param {string} moduleName - 模块名
+     * @returns {Promise<Array<Object>>} [{ symbol, file }]
+     */
+    async collectModuleExports(projectPath, moduleName) {
+        const modulesDir = join(projectPath, this.config.mgKiroFolderName, this.config.modulesFolderName);
+        const moduleDir = join(modulesDir, moduleName);
+        let docPaths;
+        try {
+            docPaths = (await fs.readdir(moduleDir))
+                .filter(name => extname(name) === '.md')
+                .map(name => join(moduleDir, name));
+        } catch (error) {
+            // 扁平布局：modules/<模块>.md
+            docPaths = [join(modulesDir, `${moduleName}.md`)];
+        }
+
+        const sourceFiles = new Set();
+        for (const docPath of docPaths) {
+            const content = await fs.readFile(docPath, 'utf8').catch(() => '');
+            for (const [candidate] of content.matchAll(SOURCE_PATH_PATTERN)) {
+                const sourcePath = candidate.replace(/^\.?\//, '');
+                try {
+                    if ((await fs.stat(join(projectPath, sourcePath))).isFile()) sourceFiles.add(sourcePath);
+                } catch (error) {
+                    // 不是项目中的文件（如示例路径），忽略
+                }
+            }
+        }
+
+        const exportedSymbols = [];
+        const seen = new Set();
+        for (const sourcePath of Array.from(sourceFiles).sort()) {
+            const content = await fs.readFile(join(projectPath, sourcePath), 'utf8').catch(() => '');
+            for (const symbol of this.extractExports(content, extname(sourcePath).toLowerCase())) {
+                if (seen.has(symbol)) continue;
+                seen.add(symbol);
+                exportedSymbols.push({ symbol, file: sourcePath });
+            }
+        }
+        return exportedSymbols;
+    }
+
+    /**
+     * 提取源文件导出的符号（JS/TS、Python、Go）
+     * @param {string} content - 源文件内容
+     * @param {string} extension - 小写扩展名（如 '.ts'）
+     * @returns {Array<string>}
+     */
+    extractExports(content, extension) {
+        const symbols = new Set();
+        const add = (name) => {
+            const symbol = (name || '').trim();
+            if (/^[A-Za-z_$][\w$]*$/.test(symbol) && symbol !== 'default') symbols.add(symbol);
+        };
+
+        if (['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs'].includes(extension)) {
+            for (const match of content.matchAll(/export\s+(?:default\s+)?(?:declare\s+)?(?:abstract\s+)?(?:async\s+)?(?:function\*?|class|const|let|var|interface|type|enum)\s+([A-Za-z_$][\w$]*)/g)) {
+                add(match[1]);
+            }
+            for (const match of content.matchAll(/export\s*(?:type\s*)?\{([^}]*)\}/g)) {
+                for (const part of match[1].split(',')) add(part.split(/\s+as\s+/).pop());
+            }
+            for (const match of content.matchAll(/module\.exports\s*=\s*\{([^}]*)\}/g)) {
+                for (const part of match[1].split(',')) add(part.split(':')[0]);
+            }
+            for (const match of content.matchAll(/(?:module\.)?exports\.([A-Za-z_$][\w$]*)\s*=/g)) {
+                add(match[1]);
+            }
+        } else if (extension === '.py') {
+            const allMatch = content.match(/^__all__\s*=\s*[\[(]([^\])]*)[\])]/m);
+            if (allMatch) {
+                for (const [, name] of allMatch[1].matchAll(/['"]([^'"]+)['"]/g)) add(name);
+            } else {
+                for (const match of content.matchAll(/^(?:async\s+)?(?:def|class)\s+([A-Za-z]\w*)/gm)) add(match[1]);
+            }
+        } else if (extension === '.go') {
+            for (const match of content.matchAll(/^func\s+(?:\([^)]*\)\s*)?([A-Z]\w*)/gm)) add(match[1]);
+            for (const match of content.matchAll(/^type\s+([A-Z]\w*)/gm)) add(match[1]);
+        }
+
+        return Array.from(symbols);
+    }
+
+    /**
+     * 汇总多个文档的检查结果为修复建议
+     * @param {Array<Object>} results - checkDocument 结果列表
+     * @returns {Array<string>}
+     */
+    buildSuggestions(results) {
+        return results.flatMap(result => result.issues.map(issue => issue.suggestion));
+    }
+
+    /**
+     * 提取Markdown标题（跳过代码块内的行，标题文本去掉前缀emoji）
+     * @private
+     */
+    _extractHeadings(content) {
+        const headings = [];
+        let inFence = false;
+        let fenceMarker = null;
+        // 模板集合用 ```markdown 包裹文档模板，其中的标题需要保留
+        let inTemplateWrapper = false;
+
+        for (const line of content.split('\n')) {
+            const fence = line.match(/^\s*(```+|~~~+)(.*)$/);
+            if (fence) {
+                const language = fence[2].trim();
+                if (inFence) {
+                    if (fence[1] === fenceMarker && !language) inFence = false;
+                } else if (/^(markdown|md)$/i.test(language)) {
+                    inTemplateWrapper = true;
+                } else if (inTemplateWrapper && !language) {
+                    inTemplateWrapper = false;
+                } else {
+                    inFence = true;
+                    fenceMarker = fence[1];
+                }
+                continue;
+            }
+            if (inFence) continue;
+
+            const match = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+            if (match) {
+                headings.push({ level: match[1].length, text: this._normalizeHeading(match[2]) });
+            }
+        }
+        return headings;
+    }
+
+    /**
+     * 截取模板集合中某个文档模板的标题（到下一个同级模板标记为止）
+     * @private
+     */
+    _sliceSection(headings, section) {
+        const startIndex = headings.findIndex(heading =>
+            heading.text.includes(section) && heading.text.includes(this.config.sectionMarker)
+        );
+        if (startIndex === -1) return [];
+
+        const sectionLevel = headings[startIndex].level;
+        const sliced = [];
+        for (const heading of headings.slice(startIndex + 1)) {
+            if (heading.level <= sectionLevel && heading.text.includes(this.config.sectionMarker)) break;
+            sliced.push(heading);
+        }
+        return sliced;
+    }
+
+    /**
+     * 标题文本去掉前缀emoji和符号
+     * @private
+     */
+    _normalizeHeading(text) {
+        return text.replace(/^[^\p{L}\p{N}{]+/u, '').trim();
+    }
+
+    /**
+     * 列出缺失项（超过上限时截断）
+     * @private
+     */
+    _listItems(items) {
+        const listed = items.slice(0, this.config.maxListedItems).join('、');
+        return items.length > this.config.maxListedItems
+            ? `${listed} 等 ${items.length} 项`
+            : listed;
+    }
+}
+
+export default DocContentChecker;
@@ -0,0 +1,204 @@
+/**
+ * Fix 说明文档验证器 - 检查修复流程的根因说明和回归测试说明
+ *
+ * 验证策略：
+ * - 根据任务元数据中的 noteType / notePath 定位说明文档（mg_kiro/fixes/<fixId>/）
+ * - 检查文件存在、不小于最小长度
+ * - 检查包含该类说明要求的章节标题（如"根本原因"、"回归测试"）
+ *
+ * 说明类型：
+ * - root_cause: root-cause.md，必须包含"根本原因"和"受影响文件"章节
+ * - regression_test: regression-test.md，必须包含"回归测试"和"验证步骤"章节
+ *
+ * 设计理念：
+ * - 与Step3-6验证器保持一致的结果结构（isValid / errorCode / suggestions / missingFiles）
+ * - 失败时给出可直接执行的修复建议
+ */
+
+import { promises as fs } from 'fs';
+import { join, resolve } from 'path';
+
+export class FixNoteValidator {
+    constructor(config = {}) {
+        this.config = {
+            minFileSize: 200,                   // 最小文件大小（字节）
+            noteRequirements: {
+                root_cause: {
+                    title: '根因说明',
+                    requiredHeadings: ['根本原因', '受影响文件']
+                },
+                regression_test: {
+                    title: '回归测试说明',
+                    requiredHeadings: ['回归测试', '验证步骤']
+                }
+            },
+            ...config
+        };
+
+        // 错误代码映射
+        this.errorCodes = {
+            MISSING_TASK_CONTEXT: 'FIX_MISSING_TASK_CONTEXT',
+            UNKNOWN_NOTE_TYPE: 'FIX_UNKNOWN_NOTE_TYPE',
+            FILE_NOT_FOUND: 'FIX_NOTE_NOT_FOUND',
+            FILE_TOO_SMALL: 'FIX_NOTE_TOO_SMALL',
+            MISSING_HEADINGS: 'FIX_NOTE_MISSING_HEADINGS',
+            ACCESS_DENIED: 'FIX_ACCESS_DENIED'
+        };
+    }
+
+    /**
+     * 验证Fix说明文档
+     * @param {string} taskId - 任务ID
+     * @param {string} projectPath - 项目路径
+     * @param {Object} options - 验证选项（taskContext.metadata 包含 noteType、notePath）
+     * @returns {Promise<Object>} 验证结果
+     */
+    async validate(taskId, projectPath, options = {}) {
+        console.log(`[FixNoteValidator] 开始验证: ${taskId} 项目: ${projectPath}`);
+
+        const startTime = Date.now();
+        const metadata = options.taskContext?.metadata || {};
+        const { noteType, notePath } = metadata;
+
+        let result;
+        if (!noteType || !notePath) {
+            result = this._createErrorResult(
+                this.errorCodes.MISSING_TASK_CONTEXT,
+                `任务 ${taskId} 缺少说明文档信息`,
+                { suggestions: ['请使用 fix_step2_get_next_task 获取任务，不要手动构造taskId'] }
+            );
+        } else if (!this.config.noteRequirements[noteType]) {
+            result = this._createErrorResult(
+                this.errorCodes.UNKNOWN_NOTE_TYPE,
+                `不支持的说明类型: ${noteType}`,
+                { supportedTypes: Object.keys(this.config.noteRequirements) }
+            );
+        } else {
+            result = await this._validateNote(resolve(projectPath), noteType, notePath);
+        }
+
+        result.metadata = {
+            ...result.metadata,
+            taskId,
+            projectPath,
+            validator: 'FixNoteValidator',
+            processingTime: Date.now() - startTime,
+            timestamp: new Date().toISOString()
+        };
+
+        console.log(`[FixNoteValidator] 验证完成: ${result.isValid ? '通过' : '失败'}`);
+        return result;
+    }
+
+    /**
+     * 检查说明文档的存在性、长度和必需章节
+     * @private
+     */
+    async _validateNote(projectPath, noteType, notePath) {
+        const requirement = this.config.noteRequirements[noteType];
+        const absolutePath = join(projectPath, notePath);
+
+        let content;
+        try {
+            content = await fs.readFile(absolutePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return this._createErrorResult(
+                    this.errorCodes.FILE_NOT_FOUND,
+                    `${requirement.title}不存在: ${notePath}`,
+                    {
+                        expectedPath: absolutePath,
+                        missingFiles: [absolutePath],
+                        suggestions: [
+                            `请创建 ${notePath}`,
+                            `文档需包含章节: ${requirement.requiredHeadings.map(heading => `## ${heading}`).join('、')}`
+                        ]
+                    }
+                );
+            }
+
+            return this._createErrorResult(
+                this.errorCodes.ACCESS_DENIED,
+                `读取${requirement.title}失败: ${error.message}`,
+                { expectedPath: absolutePath }
+            );
+        }
+
+        const size = Buffer.byteLength(content, 'utf8');
+        if (size < this.config.minFileSize) {
+            return this._createErrorResult(
+                this.errorCodes.FILE_TOO_SMALL,
+                `${requirement.title}内容过少 (${size} 字节，至少 ${this.config.minFileSize} 字节)`,
+                {
+                    filePath: absolutePath,
+                    actualSize: size,
+                    minRequiredSize: this.config.minFileSize,
+                    suggestions: [`请补充 ${notePath} 的分析内容，而不是只写标题`]
+                }
+            );
+        }
+
+        const headings = content
+            .split('\n')
+            .filter(line => /^#{1,6}\s+/.test(line))
+            .map(line => line.replace(/^#{1,6}\s+/, '').trim());
+        const missingHeadings = requirement.requiredHeadings.filter(required =>
+            !headings.some(heading => heading.includes(required))
+        );
+
+        if (missingHeadings.length > 0) {
+            return this._createErrorResult(
+                this.errorCodes.MISSING_HEADINGS,
+                `${requirement.title}缺少必需章节: ${missingHeadings.join('、')}`,
+                {
+                    filePath: absolutePath,
+                    missingHeadings,
+                    suggestions: missingHeadings.map(heading => `在 ${notePath} 中添加 "## ${heading}" 章节`)
+                }
+            );
+        }
+
+        return {
+            isValid: true,
+            step: 'fix_note_check',
+            filePath: absolutePath,
+            noteType,
+            properties: {
+                size,
+                headings
+            }
+        };
+    }
+
+    /**
+     * 创建错误结果
+     * @private
+     */
+    _createErrorResult(errorCode, message, details = {}) {
+        return {
+            isValid: false,
+            errorCode,
+            message,
+            ...details,
+            metadata: {
+                validator: 'FixNoteValidator',
+                errorType: 'validation_failed',
+                ...details.metadata
+            }
+        };
+    }
+
+    /**
+     * 获取验证器状态
+     */
+    getValidatorStatus() {
+        return {
+            name: 'FixNoteValidator',
+            version: '1.0.0',
+            config: this.config,
+            supportedNoteTypes: Object.keys(this.config.noteRequirements)
+        };
+    }
+}
+
+export default FixNoteValidator;
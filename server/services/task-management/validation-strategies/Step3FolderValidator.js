@@ -11,6 +11,11 @@
  * - CombinedFileBatch: 验证批次内所有文件是否都有对应的分析文档
  * - SingleFileBatch: 验证单个文件是否有对应的分析文档
  * - LargeFileMultiBatch: 验证多批次文件的所有子任务是否完成
+ * - 验证通过后在文档开头写入frontmatter（来源文件、内容哈希、任务ID、生成时间），供过期检测使用
+ * - 监听模式标记为过期的文档必须重新生成（过期标记被覆盖）后才能通过验证
+ * - 之前任务留下、来源已变化且未被改写的旧文档不算任务输出，必须重新生成后才能通过验证
+ * - 新文档记录的来源文件从其他任务的旧文档frontmatter中移除（增量Init后旧组合批次文档不再负责变更文件）
+ *   只处理项目状态中文档来源索引（options.docSources）记录的、来源与本任务重叠的文档，不扫描整个文档目录
  * 
  * 设计理念：
  * - 精确验证：基于具体任务和文件进行验证
@@ -20,7 +25,8 @@
  */
 
 import { promises as fs } from 'fs';
-import { join, resolve } from 'path';
+import { join, resolve, relative } from 'path';
+import { parseDocFrontmatter, stampDocFrontmatter, checkDocOutdated, releaseDocSources } from '../../doc-freshness/doc-frontmatter.js';
 
 export class Step3FolderValidator {
     constructor(config = {}) {
@@ -42,7 +48,9 @@ export class Step3FolderValidator {
             FOLDER_NOT_FOUND: 'STEP3_FOLDER_NOT_FOUND',
             NO_MD_FILES: 'STEP3_NO_MD_FILES',
             ACCESS_DENIED: 'STEP3_ACCESS_DENIED',
-            TIMEOUT: 'STEP3_VALIDATION_TIMEOUT'
+            TIMEOUT: 'STEP3_VALIDATION_TIMEOUT',
+            DOC_STALE: 'STEP3_DOC_STALE',
+            DOC_OUTDATED: 'STEP3_DOC_OUTDATED'
         };
     }
 
@@ -245,25 +253,200 @@ export class Step3FolderValidator {
         }
 
         // 根据批次策略进行不同的验证
+        let validationResult;
         switch (batchStrategy) {
             case 'CombinedFileBatch':
-                return await this._validateCombinedFileBatch(
+                validationResult = await this._validateCombinedFileBatch(
                     taskId, filesFolderPath, expectedFiles, taskDefinition
                 );
+                break;
             case 'SingleFileBatch':
-                return await this._validateSingleFileBatch(
+                validationResult = await this._validateSingleFileBatch(
                     taskId, filesFolderPath, expectedFiles, taskDefinition
                 );
+                break;
             case 'LargeFileMultiBatch':
-                return await this._validateLargeFileMultiBatch(
+                validationResult = await this._validateLargeFileMultiBatch(
                     taskId, filesFolderPath, expectedFiles, taskDefinition
                 );
+                break;
             default:
                 console.warn(`[Step3FolderValidator] 未知的批次策略: ${batchStrategy}`);
-                return await this._validateGenericBatch(
+                validationResult = await this._validateGenericBatch(
                     taskId, filesFolderPath, expectedFiles, taskDefinition
                 );
         }
+
+        if (validationResult.isValid) {
+            const staleDocs = await this._findStaleDocs(validationResult);
+            if (staleDocs.length > 0) {
+                return this._createErrorResult(
+                    this.errorCodes.DOC_STALE,
+                    `文档仍带有过期标记，来源文件变更后尚未重新生成: ${staleDocs.map(doc => doc.document).join(', ')}`,
+                    {
+                        taskId,
+                        staleDocs,
+                        suggestions: [
+                            '根据变更的来源文件重新分析并覆盖写入文档（不要保留旧的frontmatter）',
+                            '写入后再次调用 init_step3_check_task_completion'
+                        ]
+                    }
+                );
+            }
+
+            const outdatedDocs = await this._findOutdatedDocs(projectPath, taskId, validationResult, expectedFiles);
+            if (outdatedDocs.length > 0) {
+                return this._createErrorResult(
+                    this.errorCodes.DOC_OUTDATED,
+                    `文档是之前生成的旧版本，来源文件已变化: ${outdatedDocs.map(doc => doc.document).join(', ')}`,
+                    {
+                        taskId,
+                        outdatedDocs,
+                        suggestions: [
+                            '根据当前的来源文件重新分析并覆盖写入文档（不要保留旧的frontmatter）',
+                            '写入后再次调用 init_step3_check_task_completion'
+                        ]
+                    }
+                );
+            }
+
+            await this._stampFrontmatter(
+                projectPath, taskId, validationResult, expectedFiles,
+                taskDefinition?.metadata?.gitHistory, options.docSources
+            );
+        }
+
+        return validationResult;
+    }
+
+    /**
+     * 验证结果对应的文档路径
+     * @private
+     */
+    _documentPaths(validationResult) {
+        return validationResult.foundDocs
+            ? validationResult.foundDocs.map(doc => doc.path)
+            : [validationResult.documentPath];
+    }
+
+    /**
+     * 找出仍带有监听模式过期标记的文档
+     * @private
+     */
+    async _findStaleDocs(validationResult) {
+        const staleDocs = [];
+        for (const docPath of this._documentPaths(validationResult)) {
+            try {
+                const { frontmatter } = parseDocFrontmatter(await fs.readFile(docPath, 'utf8'));
+                if (frontmatter?.stale_since) {
+                    staleDocs.push({
+                        document: docPath,
+                        staleSince: frontmatter.stale_since,
+                        staleSources: frontmatter.stale_sources || []
+                    });
+                }
+            } catch (error) {
+                // 读取失败由文档存在性验证负责
+            }
+        }
+        return staleDocs;
+    }
+
+    /**
+     * 找出写入frontmatter后未被改写、但任务或来源内容已经不同的旧文档
+     * @private
+     */
+    async _findOutdatedDocs(projectPath, taskId, validationResult, expectedFiles) {
+        const sourcePaths = this._sourcePaths(validationResult, expectedFiles);
+        const outdatedDocs = [];
+        for (const docPath of this._documentPaths(validationResult)) {
+            try {
+                const check = await checkDocOutdated(resolve(projectPath), docPath, { taskId, sourcePaths });
+                if (check.outdated) {
+                    outdatedDocs.push({
+                        document: docPath,
+                        reason: check.reason,
+                        previousTaskId: check.taskId,
+                        changedSources: check.changedSources
+                    });
+                }
+            } catch (error) {
+                // 读取失败由文档存在性验证负责
+            }
+        }
+        return outdatedDocs;
+    }
+
+    /**
+     * 验证结果对应的来源文件
+     * @private
+     */
+    _sourcePaths(validationResult, expectedFiles) {
+        return validationResult.targetFile || validationResult.sourceFile
+            ? [validationResult.targetFile || validationResult.sourceFile]
+            : expectedFiles;
+    }
+
+    /**
+     * 为验证通过的文档写入来源frontmatter
+     * 写入失败不影响验证结果，只是该文档无法参与过期检测
+     * 任务带有Git历史时一并写入来源文件的提交统计
+     * 结果中的documents（文档相对路径 -> 来源）由调用方写回项目状态的文档来源索引
+     * @private
+     */
+    async _stampFrontmatter(projectPath, taskId, validationResult, expectedFiles, gitHistory = null, docSources = {}) {
+        const docs = this._documentPaths(validationResult);
+        const sourcePaths = this._sourcePaths(validationResult, expectedFiles);
+
+        const stampedDocs = [];
+        const documents = {};
+        for (const docPath of docs) {
+            try {
+                const { stamped } = await stampDocFrontmatter(resolve(projectPath), docPath, {
+                    taskId,
+                    sourcePaths,
+                    history: gitHistory?.files
+                });
+                if (stamped) stampedDocs.push(docPath);
+                documents[relative(resolve(projectPath), docPath)] = { taskId, sources: sourcePaths };
+            } catch (error) {
+                console.warn(`[Step3FolderValidator] 写入frontmatter失败: ${docPath} - ${error.message}`);
+            }
+        }
+
+        const { supersededDocs, missingDocs } = stampedDocs.length > 0
+            ? await this._releaseSupersededSources(projectPath, taskId, documents, sourcePaths, docSources)
+            : { supersededDocs: [], missingDocs: [] };
+        validationResult.frontmatter = { sources: sourcePaths, stampedDocs, supersededDocs, documents, missingDocs };
+    }
+
+    /**
+     * 新文档记录的来源文件从其他任务的旧文档中移除，避免旧组合批次文档因这些文件一直被判为过期
+     * 只改写文档来源索引中来源与本任务重叠的文档；索引中已不存在的文档放入missingDocs，由调用方移出索引
+     * @private
+     */
+    async _releaseSupersededSources(projectPath, taskId, documents, sourcePaths, docSources = {}) {
+        const released = new Set(sourcePaths);
+        const supersededDocs = [];
+        const missingDocs = [];
+
+        for (const [document, entry] of Object.entries(docSources || {})) {
+            if (documents[document] || entry.taskId === taskId) continue;
+            if (!(entry.sources || []).some(sourcePath => released.has(sourcePath))) continue;
+
+            const docPath = resolve(projectPath, document);
+            try {
+                const sources = await releaseDocSources(docPath, sourcePaths);
+                if (sources.length > 0) supersededDocs.push({ document, sources });
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    missingDocs.push(document);
+                } else {
+                    console.warn(`[Step3FolderValidator] 更新旧文档frontmatter失败: ${docPath} - ${error.message}`);
+                }
+            }
+        }
+        return { supersededDocs, missingDocs };
     }
 
     /**
@@ -4,23 +4,24 @@
  * 验证策略：
  * - 检查 mg_kiro/modules/ 文件夹是否存在
  * - 检查该文件夹是否包含任何文件（不限制文件类型）
- * - 只要文件夹里边有文件即可，没有文件再提醒生成
- * - 不验证文件内容，只检查文件存在性
+ * - 检查文档内容：module-overview.md 提到每个模块，模块 README.md 提到模块源文件的每个导出，
+ *   files.md 覆盖 module-files 模板章节（目录布局和扁平的 modules/<模块>.md 布局都支持）
  * 
  * 验证逻辑：
  * - 如果modules文件夹不存在 -> 验证失败，提示需要运行Step4
  * - 如果modules文件夹存在但是空的 -> 验证失败，提示没有生成模块文档
- * - 如果modules文件夹存在且有文件 -> 验证通过
+ * - 如果模块文档内容不满足 contentRules -> 验证失败，逐个文档列出缺失内容
+ * - 否则 -> 验证通过
  * 
  * 设计理念：
  * - 灵活验证：不限制特定文件名或扩展名
- * - 简单明确：只检查是否有文件存在
+ * - 内容可配置：通过 contentRules 调整各类模块文档的规则
  * - 友好提示：清晰的错误信息和修复建议
- * - 快速验证：不读取文件内容，提升性能
  */
 
 import { promises as fs } from 'fs';
 import { join, resolve } from 'path';
+import { DocContentChecker } from './DocContentChecker.js';
 
 export class Step4ModuleValidator {
     constructor(config = {}) {
@@ -31,9 +32,33 @@ export class Step4ModuleValidator {
             enableDetailedScan: true,           // 启用详细扫描
             excludeHiddenFiles: true,           // 排除隐藏文件
             timeoutMs: 5000,                    // 验证超时时间
+            overviewFileName: 'module-overview.md', // 模块总览文档
+            validateContent: true,              // 检查文档内容
+            contentRules: {                     // 内容规则，见 DocContentChecker.checkDocument
+                overview: {
+                    template: 'module-integration/module-overview.md',
+                    minLength: 300,
+                    mentions: 'modules'
+                },
+                moduleReadme: {
+                    template: 'module-integration/module-integration.md',
+                    minLength: 300,
+                    mentions: 'exports'
+                },
+                moduleFiles: {
+                    template: 'module-integration/module-files.md',
+                    minLength: 150
+                }
+            },
             ...config
         };
 
+        this.contentChecker = new DocContentChecker({
+            mgKiroFolderName: this.config.mgKiroFolderName,
+            modulesFolderName: this.config.modulesFolderName,
+            overviewFileName: this.config.overviewFileName
+        });
+
         // 需要排除的文件/文件夹
         this.excludePatterns = [
             /^\..*$/,           // 隐藏文件
@@ -46,6 +71,7 @@ export class Step4ModuleValidator {
         this.errorCodes = {
             FOLDER_NOT_FOUND: 'STEP4_FOLDER_NOT_FOUND',
             NO_FILES: 'STEP4_NO_FILES',
+            CONTENT_INVALID: 'STEP4_CONTENT_INVALID',
             ACCESS_DENIED: 'STEP4_ACCESS_DENIED',
             TIMEOUT: 'STEP4_VALIDATION_TIMEOUT'
         };
@@ -73,7 +99,8 @@ export class Step4ModuleValidator {
             const validationSteps = [
                 () => this._checkBaseFolderExists(docsBasePath, projectPath),
                 () => this._checkModulesFolderExists(modulesFolderPath, docsBasePath),
-                () => this._scanForFiles(modulesFolderPath, finalOptions)
+                () => this._scanForFiles(modulesFolderPath, finalOptions),
+                () => this._validateContent(projectPath, modulesFolderPath, finalOptions)
             ];
 
             let validationResult = null;
@@ -328,6 +355,94 @@ export class Step4ModuleValidator {
         }
     }
 
+    /**
+     * 验证模块文档内容
+     * @private
+     */
+    async _validateContent(projectPath, modulesFolderPath, options) {
+        if (!options.validateContent) {
+            return { isValid: true, step: 'content_check', skipped: true };
+        }
+
+        const rules = options.contentRules;
+        const missingFiles = [];
+        const checks = [];
+
+        const overviewPath = join(modulesFolderPath, this.config.overviewFileName);
+        if (await this._isFile(overviewPath)) {
+            checks.push(this.contentChecker.checkDocument(projectPath, overviewPath, rules.overview));
+        } else {
+            missingFiles.push(overviewPath);
+        }
+
+        const entries = await fs.readdir(modulesFolderPath, { withFileTypes: true });
+        for (const entry of entries) {
+            if (this._shouldExcludeFile(entry.name)) continue;
+            const entryPath = join(modulesFolderPath, entry.name);
+
+            if (entry.isDirectory()) {
+                const readmePath = join(entryPath, 'README.md');
+                if (await this._isFile(readmePath)) {
+                    checks.push(this.contentChecker.checkDocument(projectPath, readmePath, { ...rules.moduleReadme, moduleName: entry.name }));
+                } else {
+                    missingFiles.push(readmePath);
+                }
+
+                const filesDocPath = join(entryPath, 'files.md');
+                if (await this._isFile(filesDocPath)) {
+                    checks.push(this.contentChecker.checkDocument(projectPath, filesDocPath, rules.moduleFiles));
+                }
+            } else if (entry.name.endsWith('.md') && entry.name !== this.config.overviewFileName) {
+                // 扁平布局：modules/<模块>.md 即模块文档
+                checks.push(this.contentChecker.checkDocument(projectPath, entryPath, {
+                    ...rules.moduleReadme,
+                    moduleName: entry.name.slice(0, -'.md'.length)
+                }));
+            }
+        }
+
+        const contentIssues = (await Promise.all(checks)).filter(result => !result.isValid);
+
+        if (missingFiles.length > 0 || contentIssues.length > 0) {
+            const problems = [];
+            if (missingFiles.length > 0) problems.push(`缺少 ${missingFiles.length} 个模块文档`);
+            if (contentIssues.length > 0) problems.push(`${contentIssues.length} 个模块文档内容不完整`);
+
+            return this._createErrorResult(
+                this.errorCodes.CONTENT_INVALID,
+                `模块文档未通过内容检查: ${problems.join('，')}`,
+                {
+                    scannedPath: modulesFolderPath,
+                    missingFiles,
+                    contentIssues,
+                    suggestions: [
+                        ...missingFiles.map(filePath => `创建 ${filePath}`),
+                        ...this.contentChecker.buildSuggestions(contentIssues),
+                        '修改文档后再次调用 init_step3_check_task_completion 验证'
+                    ]
+                }
+            );
+        }
+
+        return {
+            isValid: true,
+            step: 'content_check',
+            checkedDocs: checks.length
+        };
+    }
+
+    /**
+     * 判断路径是否为文件
+     * @private
+     */
+    async _isFile(filePath) {
+        try {
+            return (await fs.stat(filePath)).isFile();
+        } catch (error) {
+            return false;
+        }
+    }
+
     /**
      * 检查是否应该排除文件
      * @private
@@ -468,14 +583,15 @@ export class Step4ModuleValidator {
             name: 'Step4ModuleValidator',
             version: '1.0.0',
             stepType: 'step4',
-            description: '检查Step4模块整合结果，验证modules文件夹是否包含模块文档',
+            description: '检查Step4模块整合结果，验证modules文件夹包含模块文档且内容完整',
             config: this.config,
             excludePatterns: this.excludePatterns.map(p => p.toString()),
             errorCodes: this.errorCodes,
             validationCriteria: {
                 minFiles: this.config.minRequiredFiles,
                 excludeHidden: this.config.excludeHiddenFiles,
-                allowAnyFileType: true
+                allowAnyFileType: true,
+                contentRules: this.config.validateContent ? this.config.contentRules : null
             },
             isReady: true
         };
@@ -4,23 +4,23 @@
  * 验证策略：
  * - 检查 mg_kiro/relations.md 文件是否存在
  * - 这是Step5步骤的核心输出文件
- * - 只验证文件存在性，不验证内容
+ * - 检查文档内容：relations-analysis 模板的章节、最小长度、每个模块都被提到
  * - 提供明确的错误信息和修复建议
  * 
  * 验证逻辑：
  * - 如果 relations.md 文件不存在 -> 验证失败，提示需要运行Step5
- * - 如果 relations.md 文件存在 -> 验证通过
+ * - 如果 relations.md 内容不满足 contentRules -> 验证失败，列出缺失的章节/模块
  * - 可选：检查文件大小和基本可读性
  * 
  * 设计理念：
  * - 精确验证：专门针对Step5的固定输出文件
- * - 简单明确：只检查特定文件的存在性
+ * - 内容可配置：通过 contentRules 调整章节、长度和提及规则
  * - 友好提示：清晰的错误信息和修复建议
- * - 快速验证：不读取文件内容，提升性能
  */
 
 import { promises as fs } from 'fs';
 import { join, resolve } from 'path';
+import { DocContentChecker } from './DocContentChecker.js';
 
 export class Step5FixedFileValidator {
     constructor(config = {}) {
@@ -31,8 +31,16 @@ export class Step5FixedFileValidator {
             maxFileSize: 10 * 1024 * 1024,     // 最大文件大小（10MB）
             checkReadability: true,             // 检查文件可读性
             timeoutMs: 3000,                    // 验证超时时间（较短，因为只检查单个文件）
+            validateContent: true,              // 检查文档内容
+            contentRules: {                     // 内容规则，见 DocContentChecker.checkDocument
+                template: 'relations-analysis/relations-analysis.md',
+                minLength: 800,
+                mentions: 'modules'
+            },
             ...config
         };
+
+        this.contentChecker = new DocContentChecker({ mgKiroFolderName: this.config.mgKiroFolderName });
         
         // 错误代码映射
         this.errorCodes = {
@@ -42,6 +50,7 @@ export class Step5FixedFileValidator {
             FILE_TOO_LARGE: 'STEP5_RELATIONS_FILE_TOO_LARGE',
             FILE_NOT_READABLE: 'STEP5_RELATIONS_FILE_NOT_READABLE',
             ACCESS_DENIED: 'STEP5_ACCESS_DENIED',
+            CONTENT_INVALID: 'STEP5_RELATIONS_CONTENT_INVALID',
             TIMEOUT: 'STEP5_VALIDATION_TIMEOUT'
         };
 
@@ -72,11 +81,17 @@ export class Step5FixedFileValidator {
             const docsBasePath = resolve(projectPath, this.config.mgKiroFolderName);
             const relationsFilePath = join(docsBasePath, this.config.requiredFileName);
 
-            // 执行分层验证
+            // 执行分层验证（内容检查使用实际找到的文件，可能是替代文件名）
+            let foundFilePath = relationsFilePath;
             const validationSteps = [
                 () => this._checkBaseFolderExists(docsBasePath, projectPath),
-                () => this._checkRelationsFileExists(relationsFilePath, docsBasePath),
-                () => this._validateFileProperties(relationsFilePath, finalOptions)
+                async () => {
+                    const result = await this._checkRelationsFileExists(relationsFilePath, docsBasePath);
+                    if (result.isValid) foundFilePath = result.foundPath;
+                    return result;
+                },
+                () => this._validateFileProperties(foundFilePath, finalOptions),
+                () => this._validateContent(projectPath, foundFilePath, finalOptions)
             ];
 
             let validationResult = null;
@@ -378,6 +393,40 @@ export class Step5FixedFileValidator {
         }
     }
 
+    /**
+     * 验证文档内容（章节、长度、模块提及）
+     * @private
+     */
+    async _validateContent(projectPath, filePath, options) {
+        if (!options.validateContent) {
+            return { isValid: true, step: 'content_check', skipped: true };
+        }
+
+        const contentResult = await this.contentChecker.checkDocument(projectPath, filePath, options.contentRules);
+
+        if (!contentResult.isValid) {
+            return this._createErrorResult(
+                this.errorCodes.CONTENT_INVALID,
+                `${contentResult.relativePath} 内容不完整: ${contentResult.issues.map(issue => issue.message).join('；')}`,
+                {
+                    filePath,
+                    contentIssues: [contentResult],
+                    suggestions: [
+                        ...this.contentChecker.buildSuggestions([contentResult]),
+                        '修改文档后再次调用 init_step3_check_task_completion 验证'
+                    ]
+                }
+            );
+        }
+
+        return {
+            isValid: true,
+            step: 'content_check',
+            filePath,
+            contentStats: contentResult.stats
+        };
+    }
+
     /**
      * 检查文件可读性
      * @private
@@ -469,7 +518,7 @@ export class Step5FixedFileValidator {
             name: 'Step5FixedFileValidator',
             version: '1.0.0',
             stepType: 'step5',
-            description: '检查Step5模块关联分析结果，验证relations.md文件是否存在',
+            description: '检查Step5模块关联分析结果，验证relations.md文件是否存在且内容完整',
             config: this.config,
             requiredFile: this.config.requiredFileName,
             alternativeFiles: this.alternativeFileNames,
@@ -477,7 +526,8 @@ export class Step5FixedFileValidator {
             validationChecks: [
                 'file_existence',
                 'file_size',
-                'file_readability'
+                'file_readability',
+                'content_rules'
             ],
             isReady: true
         };
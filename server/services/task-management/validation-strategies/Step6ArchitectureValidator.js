@@ -5,23 +5,25 @@
  * - 检查 mg_kiro/README.md 文件是否存在
  * - 检查 mg_kiro/architecture.md 文件是否存在
  * - 这两个文件是Step6步骤的核心输出文件
- * - 只验证文件存在性，不验证内容
+ * - 检查文档内容：章节取自 architecture-docs 模板中对应文档的模板，architecture.md 需提到每个模块
  * - 提供明确的错误信息和修复建议
  * 
  * 验证逻辑：
- * - 两个文件都存在 -> 验证通过
+ * - 两个文件都存在且内容满足 contentRules -> 验证通过
  * - 任何文件缺失 -> 验证失败，明确指出缺少哪个文件
+ * - 内容不完整 -> 验证失败，列出缺失的章节/模块
  * - 可选：检查文件大小和基本可读性
  * 
  * 设计理念：
  * - 多文件验证：同时检查多个必需文件
- * - 精确报告：明确指出哪些文件缺失
- * - 简单明确：只检查特定文件的存在性
+ * - 精确报告：明确指出哪些文件缺失、哪些内容不完整
+ * - 内容可配置：通过 contentRules 按文件名调整规则
  * - 友好提示：清晰的错误信息和修复建议
  */
 
 import { promises as fs } from 'fs';
 import { join, resolve } from 'path';
+import { DocContentChecker } from './DocContentChecker.js';
 
 export class Step6ArchitectureValidator {
     constructor(config = {}) {
@@ -36,8 +38,24 @@ export class Step6ArchitectureValidator {
             checkReadability: true,             // 检查文件可读性
             allowPartialSuccess: false,         // 是否允许部分成功（某些文件存在）
             timeoutMs: 5000,                    // 验证超时时间
+            validateContent: true,              // 检查文档内容
+            contentRules: {                     // 按文件名的内容规则，见 DocContentChecker.checkDocument
+                'README.md': {
+                    template: 'architecture-generation/architecture-docs.md',
+                    templateSection: 'README.md',
+                    minLength: 300
+                },
+                'architecture.md': {
+                    template: 'architecture-generation/architecture-docs.md',
+                    templateSection: 'architecture.md',
+                    minLength: 800,
+                    mentions: 'modules'
+                }
+            },
             ...config
         };
+
+        this.contentChecker = new DocContentChecker({ mgKiroFolderName: this.config.mgKiroFolderName });
         
         // 错误代码映射
         this.errorCodes = {
@@ -48,6 +66,7 @@ export class Step6ArchitectureValidator {
             FILE_EMPTY: 'STEP6_FILE_EMPTY',
             FILE_TOO_LARGE: 'STEP6_FILE_TOO_LARGE',
             FILE_NOT_READABLE: 'STEP6_FILE_NOT_READABLE',
+            CONTENT_INVALID: 'STEP6_CONTENT_INVALID',
             ACCESS_DENIED: 'STEP6_ACCESS_DENIED',
             TIMEOUT: 'STEP6_VALIDATION_TIMEOUT'
         };
@@ -80,7 +99,8 @@ export class Step6ArchitectureValidator {
             const validationSteps = [
                 () => this._checkBaseFolderExists(docsBasePath, projectPath),
                 () => this._checkRequiredFiles(docsBasePath, finalOptions),
-                () => this._validateFileProperties(docsBasePath, finalOptions)
+                () => this._validateFileProperties(docsBasePath, finalOptions),
+                () => this._validateContent(projectPath, docsBasePath, finalOptions)
             ];
 
             let validationResult = null;
@@ -391,6 +411,54 @@ export class Step6ArchitectureValidator {
         };
     }
 
+    /**
+     * 验证架构文档内容
+     * @private
+     */
+    async _validateContent(projectPath, docsBasePath, options) {
+        if (!options.validateContent) {
+            return { isValid: true, step: 'content_check', skipped: true };
+        }
+
+        const contentResults = [];
+        for (const fileName of this.config.requiredFiles) {
+            const rule = options.contentRules[fileName];
+            if (!rule) continue;
+
+            const filePath = join(docsBasePath, fileName);
+            try {
+                if (!(await fs.stat(filePath)).isFile()) continue;
+            } catch (error) {
+                // 缺失文件已由必需文件检查处理（允许部分成功时跳过）
+                continue;
+            }
+            contentResults.push(await this.contentChecker.checkDocument(projectPath, filePath, rule));
+        }
+
+        const contentIssues = contentResults.filter(result => !result.isValid);
+        if (contentIssues.length > 0) {
+            return this._createErrorResult(
+                this.errorCodes.CONTENT_INVALID,
+                `架构文档内容不完整: ${contentIssues.map(result =>
+                    `${result.relativePath}（${result.issues.map(issue => issue.message).join('；')}）`
+                ).join('，')}`,
+                {
+                    contentIssues,
+                    suggestions: [
+                        ...this.contentChecker.buildSuggestions(contentIssues),
+                        '修改文档后再次调用 init_step3_check_task_completion 验证'
+                    ]
+                }
+            );
+        }
+
+        return {
+            isValid: true,
+            step: 'content_check',
+            checkedDocs: contentResults.map(result => result.relativePath)
+        };
+    }
+
     /**
      * 验证单个文件属性
      * @private
@@ -536,7 +604,7 @@ export class Step6ArchitectureValidator {
             name: 'Step6ArchitectureValidator',
             version: '1.0.0',
             stepType: 'step6',
-            description: '检查Step6架构文档生成结果，验证README.md和architecture.md文件是否存在',
+            description: '检查Step6架构文档生成结果，验证README.md和architecture.md文件是否存在且内容完整',
             config: this.config,
             requiredFiles: this.config.requiredFiles,
             alternativeFiles: this.alternativeFileNames,
@@ -544,7 +612,8 @@ export class Step6ArchitectureValidator {
             validationChecks: [
                 'file_existence',
                 'file_size',
-                'file_readability'
+                'file_readability',
+                'content_rules'
             ],
             isReady: true
         };
@@ -76,23 +76,52 @@ class ModeTemplateService {
             create: {
                 name: 'Create模式',
                 description: '新功能开发和模块创建',
-                steps: ['feature-planning', 'module-creation', 'existing-project', 'new-project'],
+                steps: ['feature-planning', 'module-creation', 'existing-project', 'new-project', 'existing-project-requirement', 'new-project-requirement', 'requirement-analysis', 'impact-analysis', 'architecture-design', 'implementation', 'doc-update'],
                 templatePrefix: 'create',
-                priority: 95
+                priority: 95,
+                // 作为MCP提示词时由用户提供的输入（其余模板变量由服务端填充或留给AI编写）
+                promptInputs: {
+                    'feature-planning': [{ name: 'feature_name', description: '功能名称' }],
+                    'module-creation': [{ name: 'module_name', description: '模块名称' }],
+                    'existing-project': [{ name: 'new_feature_name', description: '要添加的功能名称' }],
+                    'new-project': [{ name: 'project_description', description: '项目描述' }],
+                    'existing-project-requirement': [
+                        { name: 'requirement', description: '需求描述', required: true },
+                        { name: 'mainGoal', description: '主要目标' }
+                    ],
+                    'new-project-requirement': [
+                        { name: 'projectName', description: '新项目名称' },
+                        { name: 'requirement', description: '需求描述', required: true },
+                        { name: 'mainGoal', description: '主要目标' }
+                    ]
+                },
+                // 由Create流程渲染的步骤：模板变量从进行中的流程记录填充
+                workflow: {
+                    idArgument: 'createId',
+                    steps: ['requirement-analysis', 'impact-analysis', 'architecture-design', 'implementation', 'doc-update']
+                }
             },
             fix: {
                 name: 'Fix模式', 
                 description: '问题修复和代码优化',
                 steps: ['issue-analysis', 'diagnosis', 'resolution'],
                 templatePrefix: 'fix',
-                priority: 90
+                priority: 90,
+                workflow: {
+                    idArgument: 'fixId',
+                    steps: ['issue-analysis', 'diagnosis', 'resolution']
+                }
             },
             analyze: {
                 name: 'Analyze模式',
                 description: '代码分析和质量评估', 
                 steps: ['quality-analysis', 'security-analysis', 'performance-analysis'],
                 templatePrefix: 'analyze',
-                priority: 85
+                priority: 85,
+                workflow: {
+                    idArgument: 'analysisId',
+                    steps: ['quality-analysis']
+                }
             }
         };
 
@@ -934,6 +963,65 @@ class ModeTemplateService {
         return definition.steps;
     }
 
+    /**
+     * 列出所有存在模板文件的模式步骤（供MCP prompts能力使用）
+     * inputs 为需要用户提供的输入；workflowIdArgument 不为空时模板变量从对应工作流的进行中记录填充
+     * @returns {Array<Object>} [{ mode, step, title, description, files, inputs, workflowIdArgument }]
+     */
+    listStepTemplates() {
+        const stepTemplates = [];
+
+        for (const [mode, definition] of Object.entries(this.modeDefinitions)) {
+            for (const step of definition.steps) {
+                const files = this._getStepTemplateFiles(mode, step);
+                if (files.length === 0) {
+                    continue;
+                }
+
+                let title = null;
+                for (const filePath of files) {
+                    const content = fs.readFileSync(filePath, 'utf8');
+                    // 标题中含变量的模板（如"{{moduleName}} 模块整合文档"）不适合作为描述
+                    const heading = content.match(/^#\s+(.+)$/m)?.[1]?.trim();
+                    title = title || (heading && !heading.includes('{{') ? heading : null);
+                }
+
+                stepTemplates.push({
+                    mode,
+                    step,
+                    title,
+                    description: `${definition.name} - ${title || step}`,
+                    files,
+                    inputs: definition.promptInputs?.[step] || [],
+                    workflowIdArgument: definition.workflow?.steps.includes(step) ? definition.workflow.idArgument : null
+                });
+            }
+        }
+
+        return stepTemplates;
+    }
+
+    /**
+     * 获取模式步骤对应的模板文件（与_getModeStepTemplate的查找顺序一致）
+     * @private
+     */
+    _getStepTemplateFiles(mode, step) {
+        const stepDir = path.join(this.paths.modes, mode, step);
+        const multiDocumentFiles = this.modeDefinitions[mode]?.multiDocumentSteps?.[step];
+
+        if (multiDocumentFiles) {
+            return multiDocumentFiles
+                .map(fileName => path.join(stepDir, fileName))
+                .filter(filePath => fs.existsSync(filePath));
+        }
+
+        const candidate = ['template.md', `${step}.md`, 'default.md']
+            .map(fileName => path.join(stepDir, fileName))
+            .find(filePath => fs.existsSync(filePath));
+
+        return candidate ? [candidate] : [];
+    }
+
     /**
      * 列出可用语言
      */
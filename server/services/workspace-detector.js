@@ -0,0 +1,735 @@
+/**
+ * 工作区检测器 - 识别Monorepo中的各个包
+ *
+ * 支持的工作区清单：
+ * - npm / yarn: package.json 的 workspaces（数组或 { packages: [] }）
+ * - pnpm: pnpm-workspace.yaml 的 packages 列表
+ * - Go: go.work 的 use 指令
+ * - Cargo: Cargo.toml 的 [workspace] members / exclude
+ *
+ * 每个包输出：名称、路径、包管理器、独立的语言画像、依赖，以及对工作区内其他包的依赖
+ * 同一个仓库可以同时存在多种工作区（如 pnpm + go.work + Cargo）
+ *
+ * 设计理念：
+ * - 只解析清单中需要的字段，不引入TOML/YAML依赖
+ * - 包之间的依赖按名称（npm/Cargo）、模块路径（Go）或本地路径（path / replace）识别
+ */
+
+import { promises as fs } from 'fs';
+import { join, resolve, relative, basename, sep } from 'path';
+import LanguageDetector from '../language/detector.js';
+
+export class WorkspaceDetector {
+    constructor(config = {}, dependencies = {}) {
+        this.config = {
+            maxGlobDepth: 5,                    // ** 展开的最大目录深度
+            ignoredDirectories: ['node_modules', '.git', 'target', 'dist', 'build', 'vendor', 'mg_kiro', 'mg_kiro_site'],
+            maxSharedDependencies: 20,          // 文档中列出的共享外部依赖上限
+            ...config
+        };
+
+        // 独立实例：LanguageDetector 在检测过程中保存权重状态，不能与项目级检测并发共用
+        this.languageDetector = new LanguageDetector({}, { projectScanner: dependencies.projectScanner });
+    }
+
+    /**
+     * 检测项目中的工作区和包
+     * @param {string} projectPath - 项目根目录
+     * @returns {Promise<Object>} { isMonorepo, managers, manifests, packages, dependencyGraph }
+     */
+    async detect(projectPath) {
+        const rootPath = resolve(projectPath);
+        const workspaces = [
+            ...(await this._detectNpmWorkspaces(rootPath)),
+            ...(await this._detectGoWorkspace(rootPath)),
+            ...(await this._detectCargoWorkspace(rootPath))
+        ];
+
+        // 包以路径为标识：同一目录被多个清单声明时（如 pnpm-workspace.yaml 和 package.json workspaces）只取第一个
+        const packages = [];
+        const seenPaths = new Set();
+        for (const workspace of workspaces) {
+            for (const packagePath of workspace.packagePaths) {
+                if (seenPaths.has(packagePath)) continue;
+                seenPaths.add(packagePath);
+
+                const packageInfo = await this._readPackage(rootPath, packagePath, workspace.manager);
+                if (packageInfo) packages.push(packageInfo);
+            }
+        }
+
+        // 逐个检测语言（LanguageDetector 不支持并发）
+        for (const packageInfo of packages) {
+            packageInfo.languageProfile = await this._detectPackageLanguage(join(rootPath, packageInfo.path));
+        }
+
+        this._resolveInternalDependencies(packages);
+
+        return {
+            isMonorepo: packages.length > 1,
+            managers: Array.from(new Set(packages.map(packageInfo => packageInfo.manager))),
+            manifests: workspaces.map(workspace => workspace.manifest),
+            packages: packages.sort((a, b) => a.path.localeCompare(b.path)),
+            dependencyGraph: this._buildDependencyGraph(packages)
+        };
+    }
+
+    /**
+     * 找到文件所属的包（最长路径前缀）
+     * @param {string} filePath - 相对项目根目录的文件路径
+     * @param {Array<Object>} packages - detect() 返回的包列表
+     * @returns {string|null} 包路径
+     */
+    findPackageForFile(filePath, packages) {
+        const normalized = filePath.split(sep).join('/');
+        let owner = null;
+        for (const packageInfo of packages) {
+            if (packageInfo.path === '.') continue;
+            if (normalized === packageInfo.path || normalized.startsWith(`${packageInfo.path}/`)) {
+                if (!owner || packageInfo.path.length > owner.length) owner = packageInfo.path;
+            }
+        }
+        return owner;
+    }
+
+    /**
+     * 生成工作区包依赖文档（Markdown）
+     * @param {Object} analysis - detect() 的结果
+     * @param {string} projectName - 项目名称
+     * @returns {string}
+     */
+    renderDocument(analysis, projectName) {
+        const { packages, dependencyGraph } = analysis;
+        const nodeIds = new Map(packages.map((packageInfo, index) => [packageInfo.path, `pkg${index}`]));
+        const nameOf = new Map(packages.map(packageInfo => [packageInfo.path, packageInfo.name]));
+        const lines = [
+            `# ${projectName} - 工作区包依赖`,
+            '',
+            '> 由 Init Step1 根据工作区清单自动生成，重新运行 Step1 会覆盖本文件',
+            '',
+            '## 📦 工作区概述',
+            '',
+            `- 包管理器: ${analysis.managers.join('、')}`,
+            `- 工作区清单: ${analysis.manifests.map(manifest => `\`${manifest}\``).join('、')}`,
+            `- 包数量: ${packages.length}`,
+            `- 包之间的依赖: ${dependencyGraph.edges.length}`,
+            '',
+            '## 📋 包列表',
+            '',
+            '| 包 | 路径 | 类型 | 主要语言 | 外部依赖 | 依赖的工作区包 |',
+            '|----|------|------|----------|----------|----------------|'
+        ];
+
+        for (const packageInfo of packages) {
+            const externalCount = Object.keys(packageInfo.dependencies.production).length
+                + Object.keys(packageInfo.dependencies.development).length
+                - packageInfo.internalDependencies.length;
+            const internal = packageInfo.internalDependencies
+                .map(path => `\`${nameOf.get(path)}\``)
+                .join(', ') || '-';
+            lines.push(`| \`${packageInfo.name}\` | \`${packageInfo.path}\` | ${packageInfo.manager} | ${packageInfo.languageProfile.primary} | ${Math.max(0, externalCount)} | ${internal} |`);
+        }
+
+        lines.push('', '## 🔗 包依赖关系', '', '```mermaid', 'graph LR');
+        for (const packageInfo of packages) {
+            lines.push(`    ${nodeIds.get(packageInfo.path)}["${packageInfo.name.replace(/"/g, "'")}"]`);
+        }
+        for (const edge of dependencyGraph.edges) {
+            lines.push(`    ${nodeIds.get(edge.from)} --> ${nodeIds.get(edge.to)}`);
+        }
+        lines.push('```', '');
+        lines.push('箭头方向为依赖方向：`A --> B` 表示 A 依赖 B。', '');
+
+        lines.push('## 🏗️ 构建顺序', '');
+        dependencyGraph.buildOrder.forEach((path, index) => {
+            lines.push(`${index + 1}. \`${nameOf.get(path)}\` (\`${path}\`)`);
+        });
+        if (dependencyGraph.cycles.length > 0) {
+            lines.push('', `⚠️ 存在循环依赖，以下包未参与排序: ${dependencyGraph.cycles.map(path => `\`${nameOf.get(path)}\``).join(', ')}`);
+        }
+
+        const shared = this._findSharedDependencies(packages);
+        if (shared.length > 0) {
+            lines.push('', '## 🧩 共享外部依赖', '', '| 依赖 | 使用的包 |', '|------|----------|');
+            for (const { dependency, users } of shared.slice(0, this.config.maxSharedDependencies)) {
+                lines.push(`| \`${dependency}\` | ${users.map(path => `\`${nameOf.get(path)}\``).join(', ')} |`);
+            }
+        }
+
+        lines.push('');
+        return lines.join('\n');
+    }
+
+    /**
+     * 解析 Cargo.toml 的包名和依赖
+     * @param {string} content - Cargo.toml 内容
+     * @returns {Object} { name, production, development, workspace, localPaths }
+     */
+    parseCargoManifest(content) {
+        const sections = this._parseToml(content);
+        const production = {};
+        const development = {};
+        const localPaths = {};
+
+        for (const [sectionName, values] of sections) {
+            // [workspace.dependencies] 只是版本声明，不是根包的依赖
+            if (sectionName.startsWith('workspace.')) continue;
+
+            const target = /(^|\.)(dev-dependencies|build-dependencies)$/.test(sectionName) ? development
+                : /(^|\.)dependencies$/.test(sectionName) ? production
+                    : null;
+
+            if (target) {
+                for (const [key, value] of Object.entries(values)) {
+                    // serde.workspace = true 形式的点号键
+                    const dependency = key.split('.')[0];
+                    if (key.includes('.') && target[dependency] && !key.endsWith('.version')) continue;
+                    target[dependency] = key.endsWith('.workspace') ? 'workspace' : this._cargoVersion(value);
+                    const pathMatch = value.match(/path\s*=\s*"([^"]+)"/);
+                    if (pathMatch) localPaths[dependency] = pathMatch[1];
+                }
+                continue;
+            }
+
+            // [dependencies.foo] 形式
+            const tableMatch = sectionName.match(/^(?:target\..+\.)?(dependencies|dev-dependencies|build-dependencies)\.(.+)$/);
+            if (tableMatch) {
+                const dependency = tableMatch[2].replace(/^"|"$/g, '');
+                (tableMatch[1] === 'dependencies' ? production : development)[dependency] = this._unquote(values.version || '*');
+                if (values.path) localPaths[dependency] = this._unquote(values.path);
+            }
+        }
+
+        const workspace = sections.get('workspace');
+        return {
+            name: this._unquote(sections.get('package')?.name || ''),
+            production,
+            development,
+            localPaths,
+            workspace: workspace ? {
+                members: this._parseTomlArray(workspace.members || '[]'),
+                exclude: this._parseTomlArray(workspace.exclude || '[]')
+            } : null
+        };
+    }
+
+    /**
+     * 解析 go.mod 的模块路径和依赖
+     * @param {string} content - go.mod 内容
+     * @returns {Object} { name, production, development, localPaths }
+     */
+    parseGoMod(content) {
+        const production = {};
+        const localPaths = {};
+        const moduleMatch = content.match(/^module\s+(\S+)/m);
+
+        for (const entry of this._goDirectiveEntries(content, 'require')) {
+            const [modulePath, version] = entry.split(/\s+/);
+            if (modulePath) production[modulePath] = version || '*';
+        }
+        for (const entry of this._goDirectiveEntries(content, 'replace')) {
+            const [from, to] = entry.split('=>').map(part => part.trim().split(/\s+/)[0]);
+            if (from && to && (to.startsWith('.') || to.startsWith('/'))) localPaths[from] = to;
+        }
+
+        return {
+            name: moduleMatch ? moduleMatch[1] : '',
+            production,
+            development: {},
+            localPaths
+        };
+    }
+
+    /**
+     * npm / yarn / pnpm 工作区
+     * @private
+     */
+    async _detectNpmWorkspaces(rootPath) {
+        const workspaces = [];
+
+        // pnpm 只认 pnpm-workspace.yaml，存在时优先于 package.json 的 workspaces
+        const pnpmContent = await this._readText(join(rootPath, 'pnpm-workspace.yaml'));
+        if (pnpmContent) {
+            const pnpmPatterns = this._parseYamlList(pnpmContent, 'packages');
+            if (pnpmPatterns.length > 0) {
+                workspaces.push({
+                    manager: 'pnpm',
+                    manifest: 'pnpm-workspace.yaml',
+                    packagePaths: await this._expandPatterns(rootPath, pnpmPatterns, 'package.json')
+                });
+            }
+        }
+
+        const packageJson = await this._readJson(join(rootPath, 'package.json'));
+        const npmPatterns = Array.isArray(packageJson?.workspaces)
+            ? packageJson.workspaces
+            : packageJson?.workspaces?.packages;
+        if (Array.isArray(npmPatterns) && npmPatterns.length > 0) {
+            const hasYarnLock = await this._exists(join(rootPath, 'yarn.lock'));
+            workspaces.push({
+                manager: hasYarnLock ? 'yarn' : 'npm',
+                manifest: 'package.json',
+                packagePaths: await this._expandPatterns(rootPath, npmPatterns, 'package.json')
+            });
+        }
+
+        return workspaces;
+    }
+
+    /**
+     * Go 工作区（go.work）
+     * @private
+     */
+    async _detectGoWorkspace(rootPath) {
+        const content = await this._readText(join(rootPath, 'go.work'));
+        if (!content) return [];
+
+        const packagePaths = [];
+        for (const entry of this._goDirectiveEntries(content, 'use')) {
+            const packagePath = this._normalizeRelative(entry.split(/\s+/)[0]);
+            if (await this._exists(join(rootPath, packagePath, 'go.mod'))) packagePaths.push(packagePath);
+        }
+        return packagePaths.length > 0
+            ? [{ manager: 'go', manifest: 'go.work', packagePaths }]
+            : [];
+    }
+
+    /**
+     * Cargo 工作区
+     * @private
+     */
+    async _detectCargoWorkspace(rootPath) {
+        const content = await this._readText(join(rootPath, 'Cargo.toml'));
+        if (!content) return [];
+
+        const { workspace, name } = this.parseCargoManifest(content);
+        if (!workspace || workspace.members.length === 0) return [];
+
+        const patterns = [...workspace.members, ...workspace.exclude.map(pattern => `!${pattern}`)];
+        const packagePaths = await this._expandPatterns(rootPath, patterns, 'Cargo.toml');
+        // 根目录同时是包（[package] + [workspace]）
+        if (name) packagePaths.unshift('.');
+
+        return [{ manager: 'cargo', manifest: 'Cargo.toml', packagePaths }];
+    }
+
+    /**
+     * 读取单个包的清单
+     * @private
+     */
+    async _readPackage(rootPath, packagePath, manager) {
+        const absolutePath = join(rootPath, packagePath);
+
+        if (manager === 'go' || manager === 'cargo') {
+            const manifestName = manager === 'go' ? 'go.mod' : 'Cargo.toml';
+            const content = await this._readText(join(absolutePath, manifestName));
+            if (!content) return null;
+
+            const parsed = manager === 'go' ? this.parseGoMod(content) : this.parseCargoManifest(content);
+            return {
+                name: parsed.name || basename(absolutePath),
+                path: packagePath,
+                manager,
+                manifest: packagePath === '.' ? manifestName : `${packagePath}/${manifestName}`,
+                dependencies: { production: parsed.production, development: parsed.development },
+                localPaths: this._resolveLocalPaths(rootPath, absolutePath, parsed.localPaths),
+                internalDependencies: []
+            };
+        }
+
+        const packageJson = await this._readJson(join(absolutePath, 'package.json'));
+        if (!packageJson) return null;
+
+        const localPaths = {};
+        const production = { ...(packageJson.dependencies || {}), ...(packageJson.peerDependencies || {}) };
+        const development = packageJson.devDependencies || {};
+        for (const [dependency, version] of Object.entries({ ...production, ...development })) {
+            const localMatch = String(version).match(/^(?:file|link|portal):(.+)$/);
+            if (localMatch) localPaths[dependency] = localMatch[1];
+        }
+
+        return {
+            name: packageJson.name || basename(absolutePath),
+            path: packagePath,
+            manager,
+            manifest: `${packagePath}/package.json`,
+            dependencies: { production, development },
+            localPaths: this._resolveLocalPaths(rootPath, absolutePath, localPaths),
+            internalDependencies: []
+        };
+    }
+
+    /**
+     * 检测包的语言画像
+     * @private
+     */
+    async _detectPackageLanguage(packagePath) {
+        const result = await this.languageDetector.detectLanguage(packagePath);
+        return {
+            primary: result.language || 'unknown',
+            frameworks: (result.frameworks || []).map(framework => framework.name || framework),
+            confidence: result.confidence || 0
+        };
+    }
+
+    /**
+     * 识别包之间的依赖
+     * @private
+     */
+    _resolveInternalDependencies(packages) {
+        const byName = new Map(packages.map(packageInfo => [packageInfo.name, packageInfo.path]));
+        const byPath = new Set(packages.map(packageInfo => packageInfo.path));
+
+        for (const packageInfo of packages) {
+            const internal = new Set();
+            const dependencyNames = [
+                ...Object.keys(packageInfo.dependencies.production),
+                ...Object.keys(packageInfo.dependencies.development)
+            ];
+
+            for (const dependency of dependencyNames) {
+                const localPath = packageInfo.localPaths[dependency];
+                if (localPath && byPath.has(localPath)) {
+                    internal.add(localPath);
+                } else if (byName.has(dependency)) {
+                    internal.add(byName.get(dependency));
+                }
+            }
+
+            internal.delete(packageInfo.path);
+            packageInfo.internalDependencies = Array.from(internal).sort();
+        }
+    }
+
+    /**
+     * 构建包依赖图和构建顺序
+     * @private
+     */
+    _buildDependencyGraph(packages) {
+        const edges = [];
+        const remaining = new Map();
+        for (const packageInfo of packages) {
+            remaining.set(packageInfo.path, new Set(packageInfo.internalDependencies));
+            for (const dependencyPath of packageInfo.internalDependencies) {
+                edges.push({ from: packageInfo.path, to: dependencyPath });
+            }
+        }
+
+        // Kahn 拓扑排序：先构建被依赖的包
+        const buildOrder = [];
+        let ready = Array.from(remaining.keys()).filter(path => remaining.get(path).size === 0).sort();
+        while (ready.length > 0) {
+            const current = ready.shift();
+            buildOrder.push(current);
+            remaining.delete(current);
+
+            const unlocked = [];
+            for (const [path, dependencies] of remaining) {
+                if (dependencies.delete(current) && dependencies.size === 0) unlocked.push(path);
+            }
+            ready = [...ready, ...unlocked.sort()];
+        }
+
+        return {
+            edges,
+            buildOrder,
+            cycles: Array.from(remaining.keys()).sort()
+        };
+    }
+
+    /**
+     * 找出被多个包使用的外部依赖
+     * @private
+     */
+    _findSharedDependencies(packages) {
+        const packageNames = new Set(packages.map(packageInfo => packageInfo.name));
+        const users = new Map();
+
+        for (const packageInfo of packages) {
+            const dependencies = new Set([
+                ...Object.keys(packageInfo.dependencies.production),
+                ...Object.keys(packageInfo.dependencies.development)
+            ]);
+            for (const dependency of dependencies) {
+                if (packageNames.has(dependency) || packageInfo.localPaths[dependency]) continue;
+                if (!users.has(dependency)) users.set(dependency, []);
+                users.get(dependency).push(packageInfo.path);
+            }
+        }
+
+        return Array.from(users.entries())
+            .filter(([, paths]) => paths.length > 1)
+            .map(([dependency, paths]) => ({ dependency, users: paths }))
+            .sort((a, b) => b.users.length - a.users.length || a.dependency.localeCompare(b.dependency));
+    }
+
+    /**
+     * 展开工作区包路径模式（支持 *、**、! 排除），只保留包含清单文件的目录
+     * @private
+     */
+    async _expandPatterns(rootPath, patterns, manifestName) {
+        const included = new Set();
+        const excluded = new Set();
+
+        for (const rawPattern of patterns) {
+            const isExclude = rawPattern.startsWith('!');
+            const pattern = this._normalizeRelative(isExclude ? rawPattern.slice(1) : rawPattern);
+            const matches = await this._matchDirectories(rootPath, pattern.split('/').filter(Boolean), '.', 0);
+            for (const match of matches) (isExclude ? excluded : included).add(match);
+        }
+
+        const packagePaths = [];
+        for (const packagePath of Array.from(included).sort()) {
+            if (excluded.has(packagePath)) continue;
+            if (await this._exists(join(rootPath, packagePath, manifestName))) packagePaths.push(packagePath);
+        }
+        return packagePaths;
+    }
+
+    /**
+     * 按路径段匹配目录
+     * @private
+     */
+    async _matchDirectories(rootPath, segments, currentPath, depth) {
+        if (segments.length === 0) return [currentPath];
+        if (depth > this.config.maxGlobDepth) return [];
+
+        const [segment, ...rest] = segments;
+        if (!segment.includes('*')) {
+            const nextPath = currentPath === '.' ? segment : `${currentPath}/${segment}`;
+            return (await this._isDirectory(join(rootPath, nextPath)))
+                ? this._matchDirectories(rootPath, rest, nextPath, depth + 1)
+                : [];
+        }
+
+        const children = await this._listDirectories(join(rootPath, currentPath));
+        const results = [];
+
+        if (segment === '**') {
+            // ** 匹配零层或多层目录
+            results.push(...await this._matchDirectories(rootPath, rest, currentPath, depth));
+            for (const child of children) {
+                const nextPath = currentPath === '.' ? child : `${currentPath}/${child}`;
+                results.push(...await this._matchDirectories(rootPath, segments, nextPath, depth + 1));
+            }
+            return results;
+        }
+
+        const matcher = new RegExp(`^${segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+        for (const child of children) {
+            if (!matcher.test(child)) continue;
+            const nextPath = currentPath === '.' ? child : `${currentPath}/${child}`;
+            results.push(...await this._matchDirectories(rootPath, rest, nextPath, depth + 1));
+        }
+        return results;
+    }
+
+    /**
+     * 把依赖中的本地路径转换为相对项目根目录的包路径
+     * @private
+     */
+    _resolveLocalPaths(rootPath, packageAbsolutePath, localPaths) {
+        const resolved = {};
+        for (const [dependency, localPath] of Object.entries(localPaths)) {
+            const target = relative(rootPath, resolve(packageAbsolutePath, localPath)).split(sep).join('/');
+            resolved[dependency] = target || '.';
+        }
+        return resolved;
+    }
+
+    /**
+     * 解析 go.mod / go.work 中单行或块形式的指令
+     * @private
+     */
+    _goDirectiveEntries(content, directive) {
+        const entries = [];
+        const withoutComments = content.replace(/\/\/.*$/gm, '');
+        const blockPattern = new RegExp(`^${directive}\\s*\\(([\\s\\S]*?)\\)`, 'gm');
+        const linePattern = new RegExp(`^${directive}\\s+([^(\\s].*)$`, 'gm');
+
+        for (const [, block] of withoutComments.matchAll(blockPattern)) {
+            entries.push(...block.split('\n').map(line => line.trim()).filter(Boolean));
+        }
+        for (const [, line] of withoutComments.matchAll(linePattern)) {
+            entries.push(line.trim());
+        }
+        return entries;
+    }
+
+    /**
+     * 最小TOML解析：节 -> { 键: 原始值 }，支持跨行数组和内联表
+     * @private
+     */
+    _parseToml(content) {
+        const sections = new Map([['', {}]]);
+        let current = sections.get('');
+        let pendingKey = null;
+        let pendingValue = '';
+
+        for (const rawLine of content.split('\n')) {
+            const line = rawLine.replace(/\s+#.*$/, '').trim();
+            if (pendingKey) {
+                pendingValue += ` ${line}`;
+                if (this._isBalanced(pendingValue)) {
+                    current[pendingKey] = pendingValue.trim();
+                    pendingKey = null;
+                }
+                continue;
+            }
+            if (!line || line.startsWith('#')) continue;
+
+            const sectionMatch = line.match(/^\[\[?([^\]]+)\]\]?$/);
+            if (sectionMatch) {
+                const sectionName = sectionMatch[1].trim();
+                if (!sections.has(sectionName)) sections.set(sectionName, {});
+                current = sections.get(sectionName);
+                continue;
+            }
+
+            const keyMatch = line.match(/^("?[\w.-]+"?)\s*=\s*(.*)$/);
+            if (!keyMatch) continue;
+            const key = keyMatch[1].replace(/^"|"$/g, '');
+            if (this._isBalanced(keyMatch[2])) {
+                current[key] = keyMatch[2].trim();
+            } else {
+                pendingKey = key;
+                pendingValue = keyMatch[2];
+            }
+        }
+        return sections;
+    }
+
+    /**
+     * @private
+     */
+    _isBalanced(value) {
+        const opens = (value.match(/[[{]/g) || []).length;
+        const closes = (value.match(/[\]}]/g) || []).length;
+        return opens <= closes;
+    }
+
+    /**
+     * @private
+     */
+    _parseTomlArray(value) {
+        return Array.from(value.matchAll(/"([^"]*)"|'([^']*)'/g)).map(match => match[1] ?? match[2]);
+    }
+
+    /**
+     * Cargo依赖值：字符串版本、{ version = "..." } 或 { workspace = true }
+     * @private
+     */
+    _cargoVersion(value) {
+        if (value.startsWith('"') || value.startsWith("'")) return this._unquote(value);
+        const versionMatch = value.match(/version\s*=\s*"([^"]+)"/);
+        if (versionMatch) return versionMatch[1];
+        return /workspace\s*=\s*true/.test(value) ? 'workspace' : '*';
+    }
+
+    /**
+     * 解析YAML中某个键下的字符串列表
+     * @private
+     */
+    _parseYamlList(content, key) {
+        const items = [];
+        let inList = false;
+        for (const rawLine of content.split('\n')) {
+            const line = rawLine.replace(/\s+#.*$/, '');
+            if (!line.trim() || line.trim().startsWith('#')) continue;
+            if (new RegExp(`^${key}\\s*:`).test(line)) {
+                inList = true;
+                continue;
+            }
+            if (!inList) continue;
+            const itemMatch = line.match(/^\s*-\s*(.+)$/);
+            if (itemMatch) {
+                items.push(this._unquote(itemMatch[1].trim()));
+            } else if (!/^\s/.test(line)) {
+                break;
+            }
+        }
+        return items;
+    }
+
+    /**
+     * @private
+     */
+    _unquote(value) {
+        return String(value).trim().replace(/^(['"])(.*)\1$/, '$2');
+    }
+
+    /**
+     * @private
+     */
+    _normalizeRelative(path) {
+        const normalized = path.trim().replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+        return normalized || '.';
+    }
+
+    /**
+     * @private
+     */
+    async _listDirectories(directoryPath) {
+        try {
+            const entries = await fs.readdir(directoryPath, { withFileTypes: true });
+            return entries
+                .filter(entry => entry.isDirectory()
+                    && !entry.name.startsWith('.')
+                    && !this.config.ignoredDirectories.includes(entry.name))
+                .map(entry => entry.name)
+                .sort();
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _isDirectory(path) {
+        try {
+            return (await fs.stat(path)).isDirectory();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _exists(path) {
+        try {
+            await fs.access(path);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _readText(path) {
+        try {
+            return await fs.readFile(path, 'utf8');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _readJson(path) {
+        const content = await this._readText(path);
+        if (!content) return null;
+        try {
+            return JSON.parse(content);
+        } catch (error) {
+            console.warn(`[WorkspaceDetector] 无法解析 ${path}: ${error.message}`);
+            return null;
+        }
+    }
+}
+
+export default WorkspaceDetector;
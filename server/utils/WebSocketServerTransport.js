@@ -0,0 +1,87 @@
+/**
+ * WebSocket服务端MCP传输层
+ *
+ * 功能特点：
+ * - 实现MCP SDK的Transport接口，每个WebSocket连接对应一个MCP会话
+ * - 消息格式为JSON-RPC 2.0，每条WebSocket文本帧承载一条消息
+ * - 非法JSON/非JSON-RPC消息通过onerror上报，并回复JSON-RPC解析错误
+ *
+ * @version 1.0.0
+ */
+
+import { randomUUID } from 'crypto';
+import { JSONRPCMessageSchema } from '@modelcontextprotocol/sdk/types.js';
+
+export class WebSocketServerTransport {
+    /**
+     * @param {import('ws').WebSocket} socket - 已建立的WebSocket连接
+     */
+    constructor(socket) {
+        this.socket = socket;
+        this.sessionId = randomUUID();
+        this.started = false;
+
+        // Transport接口回调（由MCP Server设置）
+        this.onmessage = undefined;
+        this.onclose = undefined;
+        this.onerror = undefined;
+    }
+
+    /**
+     * 开始监听连接消息
+     */
+    async start() {
+        if (this.started) {
+            throw new Error('WebSocketServerTransport 已经启动');
+        }
+        this.started = true;
+
+        this.socket.on('message', (data) => this._handleMessage(data));
+        this.socket.on('close', () => this.onclose?.());
+        this.socket.on('error', (error) => this.onerror?.(error));
+    }
+
+    /**
+     * 发送JSON-RPC消息
+     * @param {Object} message - JSON-RPC消息
+     */
+    async send(message) {
+        if (this.socket.readyState !== this.socket.OPEN) {
+            throw new Error('WebSocket连接未打开');
+        }
+
+        await new Promise((resolve, reject) => {
+            this.socket.send(JSON.stringify(message), (error) => error ? reject(error) : resolve());
+        });
+    }
+
+    /**
+     * 关闭连接
+     */
+    async close() {
+        this.socket.close();
+    }
+
+    /**
+     * 解析并分发收到的消息
+     * @private
+     */
+    _handleMessage(data) {
+        let message;
+        try {
+            message = JSONRPCMessageSchema.parse(JSON.parse(data.toString()));
+        } catch (error) {
+            this.onerror?.(new Error(`无效的JSON-RPC消息: ${error.message}`));
+            this.send({
+                jsonrpc: '2.0',
+                id: null,
+                error: { code: -32700, message: 'Parse error: 需要JSON-RPC 2.0消息' }
+            }).catch(() => {});
+            return;
+        }
+
+        this.onmessage?.(message, { sessionId: this.sessionId });
+    }
+}
+
+export default WebSocketServerTransport;